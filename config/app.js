@@ -1 +1,76 @@
-// Express app configuration
\ No newline at end of file
+// Express app configuration
+const express = require('express')
+const helmet = require('helmet')
+const cors = require('cors')
+const { config, env, trustProxy } = require('./envConfig')
+const { requestLogger } = require('../middlewares/logger')
+const { notFoundHandler, errorHandler } = require('../middlewares/errorHandler')
+const { requireRole, usersOnly } = require('../middlewares/authentication')
+const { rateLimit } = require('../middlewares/rateLimiter')
+const { selectBot, resolveBot } = require('../middlewares/botResolver')
+const { ROLES } = require('../utils/constants')
+const chatRoutes = require('../modules/chat/chatController')
+const modelRoutes = require('../modules/nlp/modelController')
+const inboxRoutes = require('../modules/nlp/fallbackInboxController')
+const handoffRoutes = require('../modules/handoff/handoffController')
+const knowledgeRoutes = require('../modules/knowledge/knowledgeController')
+const intentRoutes = require('../modules/intents/intentController')
+const authRoutes = require('../modules/users/authController')
+const userRoutes = require('../modules/users/userController')
+const botRoutes = require('../modules/bots/botController')
+const configRoutes = require('../modules/configuration/configController')
+const analyticsRoutes = require('../modules/analytics/analyticsController')
+
+const apiBase = `${env.API_PREFIX}/${env.API_VERSION}`
+
+// Staff routes: the role check first, so each caller is limited by its own quota
+const staffOnly = (role, ...handlers) => [...requireRole(role), rateLimit('api'), ...handlers]
+
+// Routes that work on one bot, served under /bots/:slug and, for the API key's or the default bot, without it
+const perBotRoutes = () => {
+    const router = express.Router()
+    // Chat checks its own credentials, it can be open to anonymous clients
+    router.use('/chat', chatRoutes)
+    router.use('/models', staffOnly(ROLES.TRAINER, resolveBot, rateLimit('training')), modelRoutes)
+    router.use('/inbox', staffOnly(ROLES.TRAINER, resolveBot, rateLimit('training')), inboxRoutes)
+    router.use('/handoff', staffOnly(ROLES.AGENT, resolveBot), handoffRoutes)
+    router.use('/intents', staffOnly(ROLES.TRAINER, resolveBot, rateLimit('training')), intentRoutes)
+    router.use('/knowledge', staffOnly(ROLES.TRAINER, resolveBot), knowledgeRoutes)
+    router.use('/config', staffOnly(ROLES.ADMIN, resolveBot), configRoutes)
+    router.use('/analytics', staffOnly(ROLES.TRAINER, resolveBot), analyticsRoutes)
+    return router
+}
+
+const createApp = () => {
+    const app = express()
+    // Behind a load balancer req.ip is the client only when the proxies are trusted
+    app.set('trust proxy', trustProxy)
+
+    app.use(helmet())
+    app.use(cors(config.cors))
+    app.use(express.json({ limit: '1mb' }))
+    app.use(requestLogger)
+
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok', timestamp: new Date().toISOString() })
+    })
+
+    const bot = perBotRoutes()
+    // Before the bot admin routes, so /bots/:slug/chat stays open to chat clients
+    app.use(`${apiBase}/bots/:slug`, selectBot, bot)
+    // Bot and user administration spans every bot, so it is closed to API keys
+    app.use(`${apiBase}/bots`, staffOnly(ROLES.ADMIN, usersOnly), botRoutes)
+    app.use(`${apiBase}/auth`, authRoutes)
+    app.use(`${apiBase}/users`, staffOnly(ROLES.ADMIN, usersOnly), userRoutes)
+    app.use(apiBase, bot)
+
+    app.use(notFoundHandler)
+    app.use(errorHandler)
+
+    return app
+}
+
+module.exports = {
+    apiBase,
+    createApp
+}
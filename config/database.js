@@ -106,10 +106,10 @@ const paginate = (page = 1, limit = 10) => {
     }
 }
 
-// Transaction wrapper for grouped DB operations
-const transaction = async (callback) => {
+// Transaction wrapper for grouped DB operations, `options` such as { timeout } go to Prisma
+const transaction = async (callback, options) => {
     const client = createPrismaClient()
-    return client.$transaction(callback)
+    return client.$transaction(callback, options)
 }
 
 module.exports = {
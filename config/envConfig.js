@@ -2,6 +2,17 @@
 require('dotenv').config();
 const { z, ZodError } = require('zod')
 
+// z.coerce.boolean() reads the string "false" as true
+const booleanFlag = (defaultValue) => z.enum(['true', 'false', '1', '0'])
+    .default(String(defaultValue))
+    .transform(value => value === 'true' || value === '1')
+
+// Express reads `trust proxy` as a boolean, a hop count or a list of addresses
+const parseTrustProxy = (value) => {
+    if (value === 'true' || value === 'false') return value === 'true'
+    return /^\d+$/.test(value) ? Number(value) : value
+}
+
 // Environment validation schema
 const envSchema = z.object({
     NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
@@ -20,6 +31,11 @@ const envSchema = z.object({
     // JWT
     JWT_SECRET: z.string().min(32, 'JWT_SECRET must be at least 32 characters'),
     JWT_EXPIRES_IN: z.string().default('24h'),
+    JWT_REFRESH_EXPIRES_DAYS: z.coerce.number().int().min(1).default(30),
+    CHAT_REQUIRE_API_KEY: booleanFlag(false), // chat without a key is for public web widgets
+
+    // Bots
+    DEFAULT_BOT: z.string().default('default'), // slug of the bot answering requests that name none
 
     // API Configuration
     API_VERSION: z.string().default('v1'),
@@ -27,7 +43,18 @@ const envSchema = z.object({
 
     // Rate limiting
     RATE_LIMIT_WINDOW_MS: z.coerce.number().default(15 * 60 * 1000), // 15 minutes
-    RATE_LIMIT_MAX_REQUESTS: z.coerce.number().default(100),
+    RATE_LIMIT_MAX_REQUESTS: z.coerce.number().default(100), // per IP, for callers without credentials
+    RATE_LIMIT_USER_MAX: z.coerce.number().int().min(1).default(1000),
+    RATE_LIMIT_API_KEY_MAX: z.coerce.number().int().min(1).default(1000),
+    RATE_LIMIT_LOGIN_MAX: z.coerce.number().int().min(1).default(10), // login and token refresh attempts per IP
+    RATE_LIMIT_CHAT_WINDOW_MS: z.coerce.number().int().min(1000).default(60 * 1000), // 1 minute
+    RATE_LIMIT_CHAT_IP_MAX: z.coerce.number().int().min(1).default(30),
+    RATE_LIMIT_CHAT_SESSION_MAX: z.coerce.number().int().min(1).default(20),
+    RATE_LIMIT_CHAT_USER_MAX: z.coerce.number().int().min(1).default(60),
+    RATE_LIMIT_CHAT_API_KEY_MAX: z.coerce.number().int().min(1).default(1200), // shared by every user of a client app
+    RATE_LIMIT_TRAINING_WINDOW_MS: z.coerce.number().int().min(1000).default(15 * 60 * 1000), // 15 minutes
+    RATE_LIMIT_TRAINING_MAX: z.coerce.number().int().min(1).default(60),
+    TRUST_PROXY: z.string().default('false'), // how many proxies set X-Forwarded-For, so req.ip is the client's
 
     // CORS
     CORS_ORIGIN: z.string().default('*'),
@@ -42,15 +69,45 @@ const envSchema = z.object({
     NLP_TRAINING_DATA_PATH: z.string().default('./data/training-data.json'),
     NLP_LANGUAGE: z.string().default('en'),
     NLP_SENTIMENT_THRESHOLD: z.coerce.number().default(0.5),
+    NLP_RETRAIN_DEBOUNCE_MS: z.coerce.number().default(2000),
+    NLP_MODEL_WATCH_INTERVAL_MS: z.coerce.number().default(10 * 1000), // 10 seconds
+    NLP_TRAINING_LOCK_TTL_MS: z.coerce.number().int().min(1000).default(60 * 1000), // renewed while training runs
+    NLP_EVAL_MIN_MACRO_F1: z.coerce.number().min(0).max(1).default(0),
+    NLP_DEFAULT_TIMEZONE: z.string().default('UTC'),
+    NLP_SENTIMENT_WINDOW: z.coerce.number().int().min(1).default(5),
+    NLP_ESCALATION_STREAK: z.coerce.number().int().min(1).default(3),
+    NLP_INBOX_SIMILARITY: z.coerce.number().min(0).max(1).default(0.5),
+    NLP_INBOX_MAX_MESSAGES: z.coerce.number().int().min(1).default(2000),
+    NLP_PRIORITY_TIE_MARGIN: z.coerce.number().min(0).max(1).default(0.05),
+    NLP_LINT_SIMILARITY: z.coerce.number().min(0).max(1).default(0.8),
+    NLP_LINT_MIN_EXAMPLES: z.coerce.number().int().min(1).default(5),
+
+    // Knowledge base
+    KB_MIN_RELEVANCE: z.coerce.number().min(0).max(1).default(0.3),
+    KB_REFRESH_INTERVAL_MS: z.coerce.number().int().min(0).default(30 * 1000), // 30 seconds
+
+    // Fulfillment webhooks, called only when FULFILLMENT_SECRET is set so every request is signed
+    FULFILLMENT_SECRET: z.string().min(16, 'FULFILLMENT_SECRET must be at least 16 characters').optional(),
+    FULFILLMENT_TIMEOUT_MS: z.coerce.number().int().min(100).default(3000),
+    FULFILLMENT_MAX_RETRIES: z.coerce.number().int().min(0).max(5).default(2),
+
+    // Streaming
+    STREAM_CHUNK_DELAY_MS: z.coerce.number().int().min(0).default(30),
+    STREAM_HEARTBEAT_MS: z.coerce.number().int().min(1000).default(25 * 1000), // under typical proxy idle timeouts
 
     // Session Management
     SESSION_SECRET: z.string().min(32, 'SESSION_SECRET must be at least 32 characters'),
     SESSION_TIMEOUT: z.coerce.number().default(30 * 60 * 1000), // 30 minutes
+    SESSION_FLUSH_INTERVAL_MS: z.coerce.number().int().min(1000).default(15 * 1000), // write-behind of Redis contexts to the database
+
+    // Analytics
+    ANALYTICS_BATCH_SIZE: z.coerce.number().int().min(1).max(1000).default(100),
+    ANALYTICS_FLUSH_INTERVAL_MS: z.coerce.number().int().min(1000).default(5 * 1000), // 5 seconds
 
     // Feature Flags
-    ENABLE_ANALYTICS: z.coerce.boolean().default(false),
-    ENABLE_RICH_RESPONSES: z.coerce.boolean().default(true),
-    ENABLE_CONTEXT_MANAGEMENT: z.coerce.boolean().default(true),
+    ENABLE_ANALYTICS: booleanFlag(false),
+    ENABLE_RICH_RESPONSES: booleanFlag(true),
+    ENABLE_CONTEXT_MANAGEMENT: booleanFlag(true),
 
     // Security
     BCRYPT_SALT_ROUNDS: z.coerce.number().default(12),
@@ -192,10 +249,22 @@ module.exports = {
     // Auth
     jwtSecret: env.JWT_SECRET,
     jwtExpiresIn: env.JWT_EXPIRES_IN,
+    jwtRefreshExpiresDays: env.JWT_REFRESH_EXPIRES_DAYS,
+    chatRequireApiKey: env.CHAT_REQUIRE_API_KEY,
+
+    // Bots
+    defaultBot: env.DEFAULT_BOT,
 
     // Session
     sessionSecret: env.SESSION_SECRET,
     sessionTimeout: env.SESSION_TIMEOUT,
+    sessionFlushIntervalMs: env.SESSION_FLUSH_INTERVAL_MS,
+
+    // Analytics events are written in batches
+    analytics: {
+        batchSize: env.ANALYTICS_BATCH_SIZE,
+        flushIntervalMs: env.ANALYTICS_FLUSH_INTERVAL_MS,
+    },
 
     // Feature flags
     features: {
@@ -210,14 +279,62 @@ module.exports = {
         trainingDataPath: env.NLP_TRAINING_DATA_PATH,
         language: env.NLP_LANGUAGE,
         sentimentThreshold: env.NLP_SENTIMENT_THRESHOLD,
+        retrainDebounceMs: env.NLP_RETRAIN_DEBOUNCE_MS,
+        modelWatchIntervalMs: env.NLP_MODEL_WATCH_INTERVAL_MS,
+        trainingLockTtlMs: env.NLP_TRAINING_LOCK_TTL_MS,
+        evalMinMacroF1: env.NLP_EVAL_MIN_MACRO_F1,
+        defaultTimezone: env.NLP_DEFAULT_TIMEZONE,
+        sentimentWindow: env.NLP_SENTIMENT_WINDOW,
+        escalationStreak: env.NLP_ESCALATION_STREAK,
+        inboxSimilarity: env.NLP_INBOX_SIMILARITY,
+        inboxMaxMessages: env.NLP_INBOX_MAX_MESSAGES,
+        priorityTieMargin: env.NLP_PRIORITY_TIE_MARGIN,
+        lintSimilarity: env.NLP_LINT_SIMILARITY,
+        lintMinExamples: env.NLP_LINT_MIN_EXAMPLES,
+    },
+
+    // Knowledge base question answering
+    knowledgeBase: {
+        minRelevance: env.KB_MIN_RELEVANCE,
+        refreshIntervalMs: env.KB_REFRESH_INTERVAL_MS,
+    },
+
+    // Intent fulfillment webhooks
+    fulfillment: {
+        secret: env.FULFILLMENT_SECRET,
+        timeoutMs: env.FULFILLMENT_TIMEOUT_MS,
+        maxRetries: env.FULFILLMENT_MAX_RETRIES,
+    },
+
+    // Chat streaming
+    streaming: {
+        chunkDelayMs: env.STREAM_CHUNK_DELAY_MS,
+        heartbeatMs: env.STREAM_HEARTBEAT_MS,
     },
 
     // Rate limiting
     rateLimit: {
         windowMs: env.RATE_LIMIT_WINDOW_MS,
         max: env.RATE_LIMIT_MAX_REQUESTS,
+        userMax: env.RATE_LIMIT_USER_MAX,
+        apiKeyMax: env.RATE_LIMIT_API_KEY_MAX,
+        loginMax: env.RATE_LIMIT_LOGIN_MAX,
+        chat: {
+            windowMs: env.RATE_LIMIT_CHAT_WINDOW_MS,
+            ipMax: env.RATE_LIMIT_CHAT_IP_MAX,
+            sessionMax: env.RATE_LIMIT_CHAT_SESSION_MAX,
+            userMax: env.RATE_LIMIT_CHAT_USER_MAX,
+            apiKeyMax: env.RATE_LIMIT_CHAT_API_KEY_MAX,
+        },
+        training: {
+            windowMs: env.RATE_LIMIT_TRAINING_WINDOW_MS,
+            max: env.RATE_LIMIT_TRAINING_MAX,
+        },
     },
 
+    // Express `trust proxy`: true, a hop count, or a list of trusted addresses
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+
     // Security
     security: {
         bcryptSaltRounds: env.BCRYPT_SALT_ROUNDS,
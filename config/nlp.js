@@ -3,14 +3,18 @@ const natural = require("natural");
 const sentiment = require("sentiment");
 const compromise = require("compromise");
 const fs = require('fs/promises');
+const path = require('path');
 const logger = require("../utils/logger");
+const { FALLBACK_INTENT } = require("../utils/constants");
 const { env, isDevelopment } = require("./envConfig");
 
 
 // NLP configuration
 const nlpConfig = {
     languages: [env.NLP_LANGUAGE],
-    forceNR: true,
+    forceNER: true,
+    // InitializeNlpManager saves to the bot's model path itself
+    autoSave: false,
     nlu: {
         log: isDevelopment,
         useNoneFeature: true,
@@ -31,8 +35,8 @@ const nlpConfig = {
     }
 }
 
-const createNlpManager = () => {
-    const manager = new NlpManager(nlpConfig)
+const createNlpManager = (languages = nlpConfig.languages) => {
+    const manager = new NlpManager({ ...nlpConfig, languages })
     return manager
 }
 
@@ -115,6 +119,18 @@ const intentCategories = {
         ]
     },
 
+    human_agent: {
+        patterns: [
+            'talk to a human', 'speak to an agent', 'I want a real person',
+            'can I talk to someone', 'connect me to support staff', 'human please', 'customer service representative'
+        ],
+        entities: [],
+        responses: [
+            'Sure, let me get a member of our team for you.',
+            'Of course. I\'ll connect you with a person.'
+        ]
+    },
+
     complaint: {
         patterns: [
             'this is wrong', 'you\'re not helpful', 'this doesn\'t work',
@@ -162,71 +178,109 @@ const entityTypes = {
     }
 }
 
-// Initialize NLP manager with training data
-const InitializeNlpManager = async () => {
-    const manager = createNlpManager()
-
-    try {
-        // Load training data if it exists
-        const intentsPath = path.resolve('../training/intents.json')
-        const utterancesPath = path.resolve('../training/utterances.json')
-        const entitiesPath = path.resolve('../training/entities.json')
-        const modelPath = path.resolve(env.NLP_MODEL_PATH)
+// Training files, relative to the project root rather than the working directory
+const trainingDir = path.join(__dirname, '..', 'training')
+
+/**
+ * Read the training files into a corpus:
+ * `{ languages, intents: [{ name, language, utterances, responses }], entities: [{ name, option, languages, texts }] }`
+ * Intents without a language belong to NLP_LANGUAGE.
+ */
+const loadTrainingFiles = async () => {
+    const [intents, utterances, entities] = await Promise.all([
+        fs.readFile(path.join(trainingDir, 'intents.json'), 'utf8').then(JSON.parse),
+        fs.readFile(path.join(trainingDir, 'utterances.json'), 'utf8').then(JSON.parse),
+        fs.readFile(path.join(trainingDir, 'entities.json'), 'utf8').then(JSON.parse).catch(() => [])
+    ])
+
+    const parsedIntents = intents.map(intent => ({
+        name: intent.name,
+        language: intent.language || env.NLP_LANGUAGE,
+        utterances: utterances[intent.name] || [],
+        responses: intent.responses || []
+    }))
 
-        let intents = [], utterances = {}, entities = []
+    return {
+        languages: [...new Set([env.NLP_LANGUAGE, ...parsedIntents.map(intent => intent.language)])],
+        intents: parsedIntents,
+        entities
+    }
+}
 
-        try {
-            [intents, utterances, entities] = await Promise.all([
-                fs.readFile(intentsPath, 'utf8').then(JSON.parse),
-                fs.readFile(utterancesPath, 'utf8').then(JSON.parse),
-                fs.readFile(entitiesPath, 'utf8').then(JSON.parse).catch(() => [])
-            ])
-
-            // Add intents and entities from training data
-            for (const intent of intents) {
-                const intentUtterances = utterances[intent.name] || []
-
-                for (const utterance of intentUtterances) {
-                    manager.addDocument(env.NLP_LANGUAGE, utterance, intent.name)
-                }
-
-                for (const response of intent.responses || []) {
-                    manager.addAnswer(env.NLP_LANGUAGE, intent.name, response)
-                }
-            }
+// Corpus built from the hardcoded intent categories
+const getDefaultCorpus = () => ({
+    languages: [env.NLP_LANGUAGE],
+    intents: Object.entries(intentCategories).map(([name, intentData]) => ({
+        name,
+        language: env.NLP_LANGUAGE,
+        utterances: intentData.patterns,
+        responses: intentData.responses
+    })),
+    entities: []
+})
+
+// Add a corpus' documents, answers and named entities to a manager
+const addCorpus = (manager, corpus) => {
+    for (const intent of corpus.intents) {
+        const language = intent.language || env.NLP_LANGUAGE
+
+        for (const utterance of intent.utterances) {
+            manager.addDocument(language, utterance, intent.name)
+        }
 
-            for (const entity of entities) {
-                manager.addNamedEntityText(
-                    entity.name,
-                    entity.option,
-                    entity.languages,
-                    entity.texts
-                )
-            }
+        // node-nlp evaluates {{ }} in answers itself; templated responses are rendered by the response generator
+        for (const response of intent.responses || []) {
+            if (!response.includes('{{')) manager.addAnswer(language, intent.name, response)
+        }
+    }
 
-            logger.info('Loaded training data from individual files')
-        } catch (error) {
-            logger.warn('Training files not found or invalid. Using default intents')
+    for (const entity of corpus.entities || []) {
+        manager.addNamedEntityText(
+            entity.name,
+            entity.option,
+            entity.languages || corpus.languages || [env.NLP_LANGUAGE],
+            entity.texts
+        )
+    }
+}
 
-            // Default intents
-            for (const [intentName, intentData] of Object.entries(intentCategories)) {
-                for (const pattern of intentData.patterns) {
-                    manager.addDocument(env.NLP_LANGUAGE, pattern, intentName)
-                }
+// Each bot's models live in a directory of its own next to NLP_MODEL_PATH, e.g. models/<botId>/nlp-model.json
+const getModelPath = (botId = null) => {
+    const modelPath = path.resolve(env.NLP_MODEL_PATH)
+    return botId ? path.join(path.dirname(modelPath), botId, path.basename(modelPath)) : modelPath
+}
 
-                for (const response of intentData.responses) {
-                    manager.addAnswer(env.NLP_LANGUAGE, intentName, response)
-                }
+// Initialize NLP manager with training data, from the given corpus or the training files, saved to the bot's model path
+const InitializeNlpManager = async (corpus = null, { botId = null, modelPath = getModelPath(botId) } = {}) => {
+    try {
+        let trainingCorpus = corpus
+
+        if (trainingCorpus) {
+            logger.info('Loaded training data from corpus', { botId, intents: trainingCorpus.intents.length })
+        } else {
+            try {
+                trainingCorpus = await loadTrainingFiles()
+                logger.info('Loaded training data from individual files')
+            } catch (error) {
+                logger.warn('Training files not found or invalid. Using default intents')
+                trainingCorpus = getDefaultCorpus()
             }
         }
 
+        const manager = createNlpManager(trainingCorpus.languages)
+        addCorpus(manager, trainingCorpus)
+
         // Train the model
         await manager.train()
 
-        // Save the trained model
+        // Save the trained model, callers that store the model themselves pass `modelPath: null`
+        if (!modelPath) return manager
+
         try {
-            await manager.save(modelPath)
-            logger.info('NLP model trained and saved successfully')
+            const resolvedPath = path.resolve(modelPath)
+            await fs.mkdir(path.dirname(resolvedPath), { recursive: true })
+            await manager.save(resolvedPath)
+            logger.info('NLP model trained and saved successfully', { botId, modelPath: resolvedPath })
         } catch (error) {
             logger.error('Failed to save NLP model:', error.message)
         }
@@ -243,30 +297,27 @@ const preprocessText = (text) => {
     // Convert to lowercase
     let processed = text.toLowerCase()
 
+    // Remove special characters but keep letters of every language, digits and punctuation for NLP
+    processed = processed.replace(/[^\p{L}\p{M}\p{N}_\s.,!?'-]/gu, '')
+
     // Remove extra whitespace
     processed = processed.replace(/\s+/g, ' ').trim()
 
-    // Remove special characters but keep punctuation for NLP
-    processed = processed.replace(/[^\w\s.,!?'-]/g, '')
-
     return processed
 }
 
-// Extract entities from text
+// Extract entities from text, every match with its own offsets
 const extractentities = (text) => {
     const entities = []
 
     for (const [entityType, entityConfig] of Object.entries(entityTypes)) {
-        const matches = text.match(entityConfig.regex);
-        if (matches) {
-            for (const match of matches) {
-                entities.push({
-                    type: entityType,
-                    value: match,
-                    start: text.indexOf(match),
-                    end: text.indexOf(match) + match.length
-                })
-            }
+        for (const match of text.matchAll(entityConfig.regex)) {
+            entities.push({
+                type: entityType,
+                value: match[0],
+                start: match.index,
+                end: match.index + match[0].length
+            })
         }
     }
 
@@ -307,8 +358,9 @@ const parseText = (text) => {
         places: doc.places().out('array'),
         organizations: doc.organizations().out('array'),
         topics: doc.topics().out('array'),
-        dates: doc.dates().out('array'),
-        times: doc.times().out('array'),
+        // dates() and times() need the compromise-dates plugin, the core tagger still marks them
+        dates: doc.match('#Date+').out('array'),
+        times: doc.match('#Time+').out('array'),
         sentences: doc.sentences().out('array'),
         nouns: doc.nouns().out('array'),
         verbs: doc.verbs().out('array'),
@@ -316,9 +368,22 @@ const parseText = (text) => {
     }
 }
 
-// Get response confidence threshold
-const getConfidenceTreshold = () => {
-    return isDevelopment ? 0.3 : 0.5
+// Confidence threshold until a bot's `default_confidence_threshold` configuration sets one
+const DEFAULT_CONFIDENCE_THRESHOLD = isDevelopment ? 0.3 : 0.5
+
+// Classify text with a trained manager, falling back when the best score is below the threshold
+const classifyText = async (manager, text, language = env.NLP_LANGUAGE, threshold = DEFAULT_CONFIDENCE_THRESHOLD) => {
+    const result = await manager.process(language, preprocessText(text))
+
+    const confidence = result.score || 0
+    const recognized = result.intent && result.intent !== 'None' && confidence >= threshold
+
+    return {
+        intent: recognized ? result.intent : FALLBACK_INTENT,
+        confidence,
+        classifications: result.classifications || [],
+        entities: result.entities || []
+    }
 }
 
 module.exports = {
@@ -326,6 +391,10 @@ module.exports = {
     intentCategories,
     entityTypes,
     createNlpManager,
+    getModelPath,
+    loadTrainingFiles,
+    getDefaultCorpus,
+    addCorpus,
     InitializeNlpManager,
     preprocessText,
     extractentities,
@@ -333,7 +402,8 @@ module.exports = {
     tokenizeText,
     stemText,
     parseText,
-    getConfidenceTreshold,
+    DEFAULT_CONFIDENCE_THRESHOLD,
+    classifyText,
 
     // Utility functions
     isGreeting: (intent) => intent === 'greeting',
@@ -341,6 +411,7 @@ module.exports = {
     isQuestion: (intent) => intent === 'question',
     isComplaint: (intent) => intent === 'complaint',
     isCompliment: (intent) => intent === 'compliment',
+    isHandoffRequest: (intent) => intent === 'human_agent',
 
     // NLP libraries access
     natural,
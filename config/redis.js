@@ -23,7 +23,7 @@ const redisConfig = {
     maxRetriesPerRequest: config.redis.maxRetriesPerRequest,
     connectTimeout: config.redis.connectTimeout || 10000,
     lazyConnect: true,
-    keyPrefix: `chatbot:${env.NODE_ENV}`
+    keyPrefix: `chatbot:${env.NODE_ENV}:`
 }
 
 const createRedisClient = () => {
@@ -69,7 +69,8 @@ const cleanExpiredSessions = async () => {
     do {
         const [nextCursor, scannedKeys] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', 100)
         cursor = nextCursor
-        keys.push(...scannedKeys)
+        // SCAN returns prefixed keys, while the commands below add the prefix themselves
+        keys.push(...scannedKeys.map((key) => key.slice(redisConfig.keyPrefix.length)))
     } while (cursor !== '0');
 
     let cleanedCount = 0
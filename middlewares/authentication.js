@@ -1 +1,108 @@
-// JWT authentication middleware
\ No newline at end of file
+// JWT and API key authentication, and role checks
+const authService = require('../modules/users/authService')
+const logger = require('../utils/logger')
+const { AppError } = require('./errorHandler')
+const { ROLES, AUTH_TYPES } = require('../utils/constants')
+
+const BEARER = /^Bearer\s+(\S+)$/i
+
+const unauthorized = () => new AppError('Authentication required', 401, 'UNAUTHORIZED')
+
+const forbidden = () => new AppError('Insufficient permissions', 403, 'FORBIDDEN')
+
+// Without the query string, which can hold a WebSocket's credentials
+const requestInfo = (req) => ({
+    ip: req.ip || req.socket?.remoteAddress,
+    method: req.method,
+    path: (req.originalUrl || req.url).split('?')[0]
+})
+
+// An X-API-Key header, or an access token in the Authorization header
+const readCredentials = (headers) => {
+    if (headers['x-api-key']) return { apiKey: headers['x-api-key'] }
+    const token = BEARER.exec(headers.authorization || '')?.[1]
+    return token ? { token } : null
+}
+
+const identify = ({ apiKey, token }) => (apiKey ? authService.verifyApiKey(apiKey) : authService.verifyAccessToken(token))
+
+const hasRole = (auth, roles) => auth.role === ROLES.ADMIN || roles.includes(auth.role)
+
+const checkRole = (req, auth, roles) => {
+    if (hasRole(auth, roles)) return
+    logger.logSecurity('access_denied', { ...requestInfo(req), principal: auth.id, role: auth.role, required: roles })
+    throw forbidden()
+}
+
+// Identify the caller from its credentials, logging rejected ones
+const identifyRequest = async (req, credentials) => {
+    try {
+        return await identify(credentials)
+    } catch (error) {
+        if (error instanceof AppError) logger.logSecurity('authentication_failed', { ...requestInfo(req), reason: error.code })
+        throw error
+    }
+}
+
+/**
+ * Identify the caller and expose it on `req.auth` as `{ type, id, role,
+ * name }`. Invalid credentials are always rejected; with `optional`,
+ * requests that carry none go through without `req.auth`.
+ */
+const authenticate = ({ optional = false } = {}) => async (req, res, next) => {
+    const credentials = readCredentials(req.headers)
+    if (!credentials) {
+        if (optional) return next()
+        logger.logSecurity('authentication_missing', requestInfo(req))
+        throw unauthorized()
+    }
+
+    req.auth = await identifyRequest(req, credentials)
+    next()
+}
+
+// Let through callers holding one of the roles; admins hold them all
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.auth) throw unauthorized()
+    checkRole(req, req.auth, roles)
+    next()
+}
+
+const requireRole = (...roles) => [authenticate(), authorize(...roles)]
+
+// Routes that reach every bot; an API key belongs to one bot, so only signed-in staff get through
+const usersOnly = (req, res, next) => {
+    if (req.auth?.type === AUTH_TYPES.USER) return next()
+    logger.logSecurity('access_denied', { ...requestInfo(req), principal: req.auth?.id, reason: 'api_key_on_global_route' })
+    throw new AppError('API keys only reach their own bot', 403, 'FORBIDDEN')
+}
+
+/**
+ * Check a WebSocket upgrade request. Browsers can't set headers on
+ * WebSockets, so the `access_token` and `api_key` query parameters are
+ * read too. Resolves the caller (null for anonymous `optional` upgrades),
+ * or rejects with the AppError to answer the upgrade with.
+ */
+const authenticateUpgrade = async (req, url, { roles, optional = false }) => {
+    const query = url.searchParams
+    const credentials = readCredentials(req.headers) || (query.get('api_key') && { apiKey: query.get('api_key') }) ||
+        (query.get('access_token') && { token: query.get('access_token') })
+
+    if (!credentials) {
+        if (optional) return null
+        logger.logSecurity('authentication_missing', requestInfo(req))
+        throw unauthorized()
+    }
+
+    const auth = await identifyRequest(req, credentials)
+    checkRole(req, auth, roles)
+    return auth
+}
+
+module.exports = {
+    authenticate,
+    authorize,
+    requireRole,
+    usersOnly,
+    authenticateUpgrade
+}
@@ -0,0 +1,42 @@
+// Which bot a request is for, from the /bots/:slug path or the API key
+const botService = require('../modules/bots/botService')
+const logger = require('../utils/logger')
+const { AppError } = require('./errorHandler')
+const { AUTH_TYPES } = require('../utils/constants')
+
+// Mounted on /bots/:slug, before the bot's routers lose the parameter
+const selectBot = (req, res, next) => {
+    req.botSlug = req.params.slug
+    next()
+}
+
+// Keys made without a bot belong to the default one
+const keyBot = ({ botId }) => (botId ? botService.getBotById(botId) : botService.getDefaultBot())
+
+/**
+ * The bot a caller is after: the one named by slug, else the one its API
+ * key belongs to, else DEFAULT_BOT. An API key only reaches its own bot,
+ * while staff signed in as users may work on any.
+ */
+const botFor = async (auth, slug, info = {}) => {
+    const ownBot = auth?.type === AUTH_TYPES.API_KEY ? await keyBot(auth) : null
+    const bot = slug ? await botService.getBotBySlug(slug) : ownBot || await botService.getDefaultBot()
+
+    if (ownBot && bot.id !== ownBot.id) {
+        logger.logSecurity('access_denied', { ...info, principal: auth.id, bot: bot.slug })
+        throw new AppError('This API key belongs to another bot', 403, 'FORBIDDEN')
+    }
+    return bot
+}
+
+// Expose the request's bot on `req.bot`; runs after authentication
+const resolveBot = async (req, res, next) => {
+    req.bot = await botFor(req.auth, req.botSlug, { ip: req.ip, path: req.originalUrl.split('?')[0] })
+    next()
+}
+
+module.exports = {
+    selectBot,
+    resolveBot,
+    botFor
+}
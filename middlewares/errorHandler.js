@@ -1 +1,57 @@
-// Global error handling
\ No newline at end of file
+// Global error handling
+const { ZodError } = require('zod')
+const logger = require('../utils/logger')
+const formatter = require('../utils/responseFormatter')
+const { isProduction } = require('../config/envConfig')
+
+// Errors thrown on purpose, carrying the HTTP status to answer with
+class AppError extends Error {
+    constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details) {
+        super(message)
+        this.name = 'AppError'
+        this.statusCode = statusCode
+        this.code = code
+        this.details = details
+    }
+}
+
+// Known Prisma request errors
+const prismaErrors = {
+    P2002: { statusCode: 409, code: 'CONFLICT', message: 'Resource already exists' },
+    P2025: { statusCode: 404, code: 'NOT_FOUND', message: 'Resource not found' }
+}
+
+const notFoundHandler = (req, res, next) => {
+    next(new AppError(`Route ${req.method} ${req.originalUrl} not found`, 404, 'NOT_FOUND'))
+}
+
+// Express recognizes error handlers by their four parameters, so `_next` stays
+const errorHandler = (err, req, res, _next) => {
+    if (err instanceof AppError) {
+        if (err.statusCode >= 500) logger.logError(err, { path: req.originalUrl, method: req.method })
+        return formatter.error(res, err.message, err.statusCode, err.code, err.details)
+    }
+
+    if (err instanceof ZodError) {
+        return formatter.error(res, 'Validation failed', 400, 'VALIDATION_ERROR', err.errors)
+    }
+
+    if (err.code && prismaErrors[err.code]) {
+        const { statusCode, code, message } = prismaErrors[err.code]
+        return formatter.error(res, message, statusCode, code)
+    }
+
+    // Malformed JSON bodies from express.json()
+    if (err.type === 'entity.parse.failed') {
+        return formatter.error(res, 'Invalid JSON payload', 400, 'INVALID_JSON')
+    }
+
+    logger.logError(err, { path: req.originalUrl, method: req.method })
+    return formatter.error(res, isProduction ? 'Internal server error' : err.message, 500)
+}
+
+module.exports = {
+    AppError,
+    notFoundHandler,
+    errorHandler
+}
@@ -1 +1,24 @@
-// Request logging middleware
\ No newline at end of file
+// Request logging middleware
+const logger = require('../utils/logger')
+
+const requestLogger = (req, res, next) => {
+    const startTime = Date.now()
+
+    res.on('finish', () => {
+        logger.http('HTTP Request', {
+            type: 'HTTP',
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            duration: `${Date.now() - startTime}ms`,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        })
+    })
+
+    next()
+}
+
+module.exports = {
+    requestLogger
+}
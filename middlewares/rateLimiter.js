@@ -1 +1,205 @@
-// Rate limiting middleware
\ No newline at end of file
+// Rate limiting middleware, with counters shared by every instance over Redis
+const redis = require('../config/redis')
+const logger = require('../utils/logger')
+const { rateLimit: limits } = require('../config/envConfig')
+const { AppError } = require('./errorHandler')
+const { AUTH_TYPES } = require('../utils/constants')
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+/**
+ * Quotas per window for each kind of caller. A request counts against its
+ * API key or user when it has one, against its IP otherwise, and against
+ * its chat session when the policy has a session quota. It is refused as
+ * soon as one of them runs out, so bots rotating sessions still hit their
+ * IP quota, and a noisy client app only exhausts its own key's quota.
+ */
+const POLICIES = {
+    // Admin and staff routes
+    api: {
+        windowMs: limits.windowMs,
+        quotas: { apiKey: limits.apiKeyMax, user: limits.userMax, ip: limits.max }
+    },
+    // Login and token refresh, per IP against password guessing
+    login: {
+        windowMs: limits.windowMs,
+        quotas: { ip: limits.loginMax }
+    },
+    // Chat messages, each one a run through the NLP pipeline
+    chat: {
+        windowMs: limits.chat.windowMs,
+        quotas: { apiKey: limits.chat.apiKeyMax, user: limits.chat.userMax, session: limits.chat.sessionMax, ip: limits.chat.ipMax }
+    },
+    // Changes to training data and models, which retrain or swap the model
+    training: {
+        windowMs: limits.training.windowMs,
+        quotas: { apiKey: limits.training.max, user: limits.training.max, ip: limits.training.max },
+        writesOnly: true
+    }
+}
+
+// Count a hit on each key, starting its window on the first; replies [hits, ttl, hits, ttl, ...]
+const HIT = `
+local reply = {}
+for _, key in ipairs(KEYS) do
+    local hits = redis.call('INCR', key)
+    local ttl = redis.call('PTTL', key)
+    if ttl < 0 then
+        redis.call('PEXPIRE', key, ARGV[1])
+        ttl = tonumber(ARGV[1])
+    end
+    reply[#reply + 1] = hits
+    reply[#reply + 1] = ttl
+end
+return reply`
+
+// Counters of this instance, used until Redis is connected and whenever it fails
+const local = new Map()
+let client = null
+
+const hitLocally = (keys, windowMs) => {
+    const now = Date.now()
+    return keys.map((key) => {
+        let counter = local.get(key)
+        if (!counter || counter.resetAt <= now) {
+            counter = { hits: 0, resetAt: now + windowMs }
+            local.set(key, counter)
+        }
+        counter.hits++
+        return { hits: counter.hits, resetMs: counter.resetAt - now }
+    })
+}
+
+const hit = async (keys, windowMs) => {
+    if (client) {
+        try {
+            const reply = await client.hitRateLimit(keys.length, ...keys, windowMs)
+            return keys.map((key, index) => ({ hits: reply[index * 2], resetMs: reply[index * 2 + 1] }))
+        } catch (error) {
+            logger.logError(error, { operation: 'rate_limit_hit' })
+        }
+    }
+    return hitLocally(keys, windowMs)
+}
+
+// Forget local counters whose window is over
+const sweep = setInterval(() => {
+    const now = Date.now()
+    for (const [key, counter] of local) {
+        if (counter.resetAt <= now) local.delete(key)
+    }
+}, 60 * 1000)
+sweep.unref()
+
+// The quotas a caller draws from: its API key or user, else its IP, and its chat session
+const bucketsFor = (quotas, { auth, sessionId, ip }) => {
+    const buckets = []
+    if (auth?.type === AUTH_TYPES.API_KEY) buckets.push({ kind: 'apiKey', id: auth.id })
+    if (auth?.type === AUTH_TYPES.USER) buckets.push({ kind: 'user', id: auth.id })
+    if (!auth) buckets.push({ kind: 'ip', id: ip })
+    if (sessionId) buckets.push({ kind: 'session', id: sessionId })
+    return buckets.filter(({ kind }) => quotas[kind])
+}
+
+/**
+ * Count a request against the caller's quotas for the named policy.
+ * Resolves the state of the quota closest to running out, as `{ allowed,
+ * limit, remaining, resetMs, windowMs, bucket }`, or null when no quota
+ * applies. The first refusal of a window is logged as a security event.
+ */
+const consume = async (policyName, caller, meta = {}) => {
+    const { windowMs, quotas } = POLICIES[policyName]
+    const buckets = bucketsFor(quotas, caller)
+    if (buckets.length === 0) return null
+
+    const counts = await hit(buckets.map(({ kind, id }) => `ratelimit:${policyName}:${kind}:${id}`), windowMs)
+    const states = buckets.map((bucket, index) => {
+        const limit = quotas[bucket.kind]
+        const { hits, resetMs } = counts[index]
+        return { allowed: hits <= limit, limit, hits, remaining: Math.max(0, limit - hits), resetMs, windowMs, bucket }
+    })
+
+    const refused = states.filter((state) => !state.allowed)
+    for (const { hits, limit, bucket } of refused) {
+        if (hits === limit + 1) {
+            logger.logSecurity('rate_limit_exceeded', { policy: policyName, bucket: bucket.kind, id: bucket.id, limit, windowMs, ip: caller.ip, ...meta })
+        }
+    }
+
+    // Refused: the quota that frees up last; allowed: the one with the fewest requests left
+    if (refused.length > 0) return refused.reduce((latest, state) => (state.resetMs > latest.resetMs ? state : latest))
+    return states.reduce((tightest, state) => (state.remaining < tightest.remaining ? state : tightest))
+}
+
+// IETF RateLimit header fields, in seconds
+const setHeaders = (res, { limit, remaining, resetMs, windowMs, allowed }) => {
+    const reset = Math.ceil(resetMs / 1000)
+    res.set({
+        'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(reset)
+    })
+    if (!allowed) res.set('Retry-After', String(reset))
+}
+
+const tooManyRequests = (resetMs) => new AppError('Too many requests, please retry later', 429, 'RATE_LIMITED', {
+    retryAfter: Math.ceil(resetMs / 1000)
+})
+
+// Chat routes name the session in their path or body
+const sessionIdOf = (req) => req.validated?.params?.sessionId || req.validated?.body?.sessionId
+
+/**
+ * Limit requests by the named policy. Place it after authentication so
+ * that callers with credentials get their own quotas, and after body or
+ * params validation on chat routes so the session is known.
+ */
+const rateLimit = (policyName) => {
+    if (!POLICIES[policyName]) throw new Error(`Unknown rate limit policy ${policyName}`)
+    const { writesOnly = false } = POLICIES[policyName]
+
+    return async (req, res, next) => {
+        if (writesOnly && SAFE_METHODS.includes(req.method)) return next()
+
+        const caller = { auth: req.auth, ip: req.ip, sessionId: sessionIdOf(req) }
+        const state = await consume(policyName, caller, { method: req.method, path: req.originalUrl.split('?')[0] })
+        if (!state) return next()
+
+        setHeaders(res, state)
+        if (!state.allowed) throw tooManyRequests(state.resetMs)
+        next()
+    }
+}
+
+/**
+ * Share the counters between instances through Redis. Without Redis each
+ * instance keeps its own, so the quotas apply per instance.
+ */
+const start = async () => {
+    if (client) return true
+
+    try {
+        const connection = redis.createRedisClient()
+        if (connection.status === 'wait') await connection.connect()
+        if (!connection.hitRateLimit) connection.defineCommand('hitRateLimit', { lua: HIT })
+        client = connection
+        logger.info('Rate limits shared over Redis')
+        return true
+    } catch (error) {
+        logger.warn('Redis unavailable, rate limits are counted per instance', { error: error.message })
+        return false
+    }
+}
+
+const stop = () => {
+    client = null
+}
+
+module.exports = {
+    POLICIES,
+    rateLimit,
+    consume,
+    start,
+    stop
+}
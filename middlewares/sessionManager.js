@@ -1 +1,24 @@
-// Session management middleware
\ No newline at end of file
+// Chat session loading for routes with a :sessionId parameter
+const sessionStore = require('../modules/chat/sessionStore')
+const { AppError } = require('./errorHandler')
+
+/**
+ * Load the session named by the validated `sessionId` parameter, among
+ * those of `req.bot` that `req.auth` may use, onto `req.chatSession`, sliding its expiry or resuming it if it had expired.
+ * With `create`, an unknown id starts a session for a caller with credentials instead of answering 404.
+ */
+const loadSession = ({ create = false } = {}) => async (req, res, next) => {
+    const { sessionId } = req.validated.params
+    const botId = req.bot.id
+    const session = create
+        ? await sessionStore.getOrCreateSession(botId, sessionId, req.auth)
+        : await sessionStore.getSession(botId, sessionId, req.auth)
+    if (!session) throw new AppError(`Session ${sessionId} not found`, 404, 'NOT_FOUND')
+
+    req.chatSession = session
+    next()
+}
+
+module.exports = {
+    loadSession
+}
@@ -1 +1,18 @@
-// Input validation middleware
\ No newline at end of file
+// Input validation middleware
+const { AppError } = require('./errorHandler')
+
+// Validate a request part against a zod schema and expose the parsed result on req.validated
+const validate = (schema, source = 'body') => (req, res, next) => {
+    const result = schema.safeParse(req[source] ?? {})
+
+    if (!result.success) {
+        return next(new AppError('Validation failed', 400, 'VALIDATION_ERROR', result.error.errors))
+    }
+
+    req.validated = { ...req.validated, [source]: result.data }
+    next()
+}
+
+module.exports = {
+    validate
+}
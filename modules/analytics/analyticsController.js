@@ -0,0 +1,27 @@
+// Analytics dashboard routes; every one takes a `from`/`to` range, the last 30 days by default
+const express = require('express')
+const analyticsService = require('./analyticsService')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const { analyticsQuerySchema, analyticsIntentQuerySchema } = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+// Messages per day, top intents, fallback rate, average confidence, sentiment, sessions and retention at once
+router.get('/', validate(analyticsQuerySchema, 'query'), async (req, res) => {
+    const dashboard = await analyticsService.getDashboard(req.bot.id, req.validated.query)
+    return formatter.success(res, dashboard)
+})
+
+router.get('/messages', validate(analyticsQuerySchema, 'query'), async (req, res) => {
+    const days = await analyticsService.getMessagesPerDay(req.bot.id, req.validated.query)
+    return formatter.success(res, days)
+})
+
+// Beyond the dashboard's top 10
+router.get('/intents', validate(analyticsIntentQuerySchema, 'query'), async (req, res) => {
+    const intents = await analyticsService.getTopIntents(req.bot.id, req.validated.query)
+    return formatter.success(res, intents)
+})
+
+module.exports = router
@@ -0,0 +1,154 @@
+// Aggregates of a bot's analytics events for the dashboards
+const db = require('../../config/database')
+const { ANALYTICS_EVENTS, FALLBACK_INTENT } = require('../../utils/constants')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const SENTIMENT_LABELS = ['positive', 'neutral', 'negative']
+
+// Up to `to`, by default now, and from `from`, by default 30 days before it
+const toRange = ({ from, to } = {}) => {
+    const end = to || new Date()
+    return { from: from || new Date(end.getTime() - 30 * DAY_MS), to: end }
+}
+
+const ratio = (part, total) => (total > 0 ? part / total : 0)
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+
+// One entry per UTC day of the range, days without messages included so charts don't skip them
+const getMessagesPerDay = async (botId, range) => {
+    const { from, to } = toRange(range)
+    const rows = await db.prisma.$queryRaw`
+        SELECT date_trunc('day', "timestamp") AS day, COUNT(*)::int AS count
+        FROM analytics
+        WHERE "botId" = ${botId} AND event = ${ANALYTICS_EVENTS.MESSAGE_SENT} AND "timestamp" >= ${from} AND "timestamp" < ${to}
+        GROUP BY day`
+    const counts = new Map(rows.map(({ day, count }) => [startOfDay(new Date(day)).getTime(), count]))
+
+    const days = []
+    for (let day = startOfDay(from).getTime(); day < to.getTime(); day += DAY_MS) {
+        days.push({ date: new Date(day).toISOString().slice(0, 10), count: counts.get(day) || 0 })
+    }
+    return days
+}
+
+// The most recognized intents, with how often and how confidently
+const getTopIntents = async (botId, { limit = 10, ...range } = {}) => {
+    const { from, to } = toRange(range)
+    const rows = await db.prisma.$queryRaw`
+        SELECT data->>'intent' AS intent, COUNT(*)::int AS count, AVG((data->>'confidence')::float) AS "averageConfidence"
+        FROM analytics
+        WHERE "botId" = ${botId} AND event = ${ANALYTICS_EVENTS.INTENT_RECOGNIZED} AND "timestamp" >= ${from} AND "timestamp" < ${to}
+        GROUP BY 1
+        ORDER BY count DESC, intent
+        LIMIT ${limit}`
+    return rows.map((row) => ({ ...row, fallback: row.intent === FALLBACK_INTENT }))
+}
+
+// How many messages fell back, and the average confidence of all of them
+const getRecognition = async (botId, range) => {
+    const { from, to } = toRange(range)
+    const [row] = await db.prisma.$queryRaw`
+        SELECT COUNT(*)::int AS total,
+            (COUNT(*) FILTER (WHERE data->>'intent' = ${FALLBACK_INTENT}))::int AS fallbacks,
+            AVG((data->>'confidence')::float) AS "averageConfidence"
+        FROM analytics
+        WHERE "botId" = ${botId} AND event = ${ANALYTICS_EVENTS.INTENT_RECOGNIZED} AND "timestamp" >= ${from} AND "timestamp" < ${to}`
+    return {
+        recognized: row.total,
+        fallbacks: row.fallbacks,
+        fallbackRate: ratio(row.fallbacks, row.total),
+        averageConfidence: row.averageConfidence ?? null
+    }
+}
+
+// Messages by sentiment label, for bots with enable_sentiment_analysis
+const getSentimentDistribution = async (botId, range) => {
+    const { from, to } = toRange(range)
+    const rows = await db.prisma.$queryRaw`
+        SELECT data->>'sentiment' AS label, COUNT(*)::int AS count
+        FROM analytics
+        WHERE "botId" = ${botId} AND event = ${ANALYTICS_EVENTS.MESSAGE_SENT} AND data->>'sentiment' IS NOT NULL
+            AND "timestamp" >= ${from} AND "timestamp" < ${to}
+        GROUP BY 1`
+    const total = rows.reduce((sum, { count }) => sum + count, 0)
+    return Object.fromEntries(SENTIMENT_LABELS.map((label) => {
+        const count = rows.find((row) => row.label === label)?.count || 0
+        return [label, { count, share: ratio(count, total) }]
+    }))
+}
+
+// Sessions with events in the range, how long they lasted from first to last event and how many messages they had
+const getSessionStats = async (botId, range) => {
+    const { from, to } = toRange(range)
+    const [row] = await db.prisma.$queryRaw`
+        WITH per_session AS (
+            SELECT "sessionId",
+                EXTRACT(EPOCH FROM MAX("timestamp") - MIN("timestamp")) AS duration,
+                COUNT(*) FILTER (WHERE event = ${ANALYTICS_EVENTS.MESSAGE_SENT}) AS messages
+            FROM analytics
+            WHERE "botId" = ${botId} AND "timestamp" >= ${from} AND "timestamp" < ${to}
+            GROUP BY "sessionId"
+        )
+        SELECT COUNT(*)::int AS sessions,
+            AVG(duration)::float AS "averageDurationSeconds",
+            (percentile_cont(0.5) WITHIN GROUP (ORDER BY duration))::float AS "medianDurationSeconds",
+            AVG(messages)::float AS "averageMessages"
+        FROM per_session`
+    return {
+        sessions: row.sessions,
+        averageDurationSeconds: row.averageDurationSeconds ?? 0,
+        medianDurationSeconds: row.medianDurationSeconds ?? 0,
+        averageMessages: row.averageMessages ?? 0
+    }
+}
+
+/**
+ * Signed-in users who started a session in the range, and how many of
+ * them came back for another one at least a day after their first.
+ * Anonymous sessions can't be told apart, so they don't count.
+ */
+const getRetention = async (botId, range) => {
+    const { from, to } = toRange(range)
+    const [row] = await db.prisma.$queryRaw`
+        WITH starts AS (
+            SELECT s."userId", a."timestamp"
+            FROM analytics a
+            JOIN sessions s ON s.id = a."sessionId"
+            WHERE a."botId" = ${botId} AND a.event = ${ANALYTICS_EVENTS.SESSION_STARTED} AND s."userId" IS NOT NULL
+                AND a."timestamp" >= ${from} AND a."timestamp" < ${to}
+        ), firsts AS (
+            SELECT "userId", MIN("timestamp") AS first_seen FROM starts GROUP BY "userId"
+        )
+        SELECT COUNT(*)::int AS users,
+            (COUNT(*) FILTER (WHERE EXISTS (
+                SELECT 1 FROM starts WHERE starts."userId" = firsts."userId" AND starts."timestamp" >= firsts.first_seen + interval '1 day'
+            )))::int AS "returningUsers"
+        FROM firsts`
+    return { users: row.users, returningUsers: row.returningUsers, retentionRate: ratio(row.returningUsers, row.users) }
+}
+
+// Everything the dashboard shows for the range
+const getDashboard = async (botId, range) => {
+    const { from, to } = toRange(range)
+    const [messagesPerDay, topIntents, recognition, sentiment, sessions, retention] = await Promise.all([
+        getMessagesPerDay(botId, { from, to }),
+        getTopIntents(botId, { from, to }),
+        getRecognition(botId, { from, to }),
+        getSentimentDistribution(botId, { from, to }),
+        getSessionStats(botId, { from, to }),
+        getRetention(botId, { from, to })
+    ])
+    return { from, to, messagesPerDay, topIntents, ...recognition, sentiment, sessions, retention }
+}
+
+module.exports = {
+    getMessagesPerDay,
+    getTopIntents,
+    getRecognition,
+    getSentimentDistribution,
+    getSessionStats,
+    getRetention,
+    getDashboard
+}
@@ -0,0 +1,105 @@
+// Analytics events, queued in memory and written to the database in batches
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const configService = require('../configuration/configService')
+const { analytics: settings } = require('../../config/envConfig')
+
+// Events kept while the database is unavailable; past this the oldest are dropped
+const MAX_QUEUED = settings.batchSize * 50
+
+// Prisma errors of an unreachable or overloaded database, worth retrying. Anything else, e.g. an
+// event of a session deleted meanwhile failing its foreign key, fails the same way every time
+const TRANSIENT_CODES = new Set(['P1001', 'P1002', 'P1008', 'P1017', 'P2024'])
+
+const queue = []
+let timer = null
+let flushing = false
+
+const isTransient = (error) => error.name === 'PrismaClientInitializationError' || TRANSIENT_CODES.has(error.code)
+
+// Write a rejected batch an event at a time so only the events the database refuses are dropped
+const writeEach = async (batch) => {
+    for (let i = 0; i < batch.length; i++) {
+        try {
+            await db.prisma.analytics.create({ data: batch[i] })
+        } catch (error) {
+            if (isTransient(error)) {
+                queue.unshift(...batch.slice(i))
+                throw error
+            }
+            logger.logError(error, { operation: 'analytics_flush', dropped: batch[i] })
+        }
+    }
+}
+
+/**
+ * Write the queued events, a batch at a time. A batch that fails on the
+ * connection goes back to the front of the queue for the next flush; one
+ * the database refuses is written event by event, dropping the bad ones.
+ */
+const flush = async () => {
+    if (flushing) return
+    flushing = true
+    try {
+        while (queue.length > 0) {
+            const batch = queue.splice(0, settings.batchSize)
+            try {
+                await db.prisma.analytics.createMany({ data: batch })
+            } catch (error) {
+                if (!isTransient(error)) {
+                    await writeEach(batch)
+                    continue
+                }
+                queue.unshift(...batch)
+                throw error
+            }
+        }
+    } finally {
+        flushing = false
+    }
+}
+
+const flushInBackground = () => flush().catch((error) => logger.logError(error, { operation: 'analytics_flush', queued: queue.length }))
+
+/**
+ * Queue an event of the session for the bot's analytics, when the bot's
+ * enable_analytics setting is on. Never throws and never waits on the
+ * database, so callers needn't await it; the time is taken now rather
+ * than when the batch is written.
+ */
+const track = async (session, event, data = {}) => {
+    try {
+        if (!(await configService.get(session.botId, 'enable_analytics'))) return
+
+        queue.push({ botId: session.botId, sessionId: session.id, event, data, timestamp: new Date() })
+        if (queue.length > MAX_QUEUED) {
+            const dropped = queue.splice(0, queue.length - MAX_QUEUED)
+            logger.warn('Analytics queue full, dropping the oldest events', { dropped: dropped.length })
+        }
+        if (queue.length >= settings.batchSize) flushInBackground()
+    } catch (error) {
+        logger.logError(error, { operation: 'analytics_track', event, sessionId: session.id })
+    }
+}
+
+// Write queued events every ANALYTICS_FLUSH_INTERVAL_MS, and as soon as a batch is full
+const start = () => {
+    if (timer) return
+    timer = setInterval(flushInBackground, settings.flushIntervalMs)
+    timer.unref()
+}
+
+// Stop the timer after writing what is still queued
+const stop = async () => {
+    if (!timer) return
+    clearInterval(timer)
+    timer = null
+    await flush()
+}
+
+module.exports = {
+    track,
+    flush,
+    start,
+    stop
+}
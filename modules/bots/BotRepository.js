@@ -0,0 +1,26 @@
+// Prisma access for bots
+const db = require('../../config/database')
+
+const findBots = async ({ page, limit }) => {
+    const [bots, total] = await Promise.all([
+        db.prisma.bot.findMany({ orderBy: { createdAt: 'asc' }, ...db.helpers.paginate(page, limit) }),
+        db.prisma.bot.count()
+    ])
+    return { bots, total }
+}
+
+const findBotById = (id) => db.prisma.bot.findUnique({ where: { id } })
+
+const findBotBySlug = (slug) => db.prisma.bot.findUnique({ where: { slug } })
+
+const createBot = (data) => db.prisma.bot.create({ data })
+
+const updateBot = (id, data) => db.prisma.bot.update({ where: { id }, data })
+
+module.exports = {
+    findBots,
+    findBotById,
+    findBotBySlug,
+    createBot,
+    updateBot
+}
@@ -0,0 +1,31 @@
+// Bot admin routes
+const express = require('express')
+const botService = require('./botService')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const { paginationSchema, botSchema, botUpdateSchema, botParamsSchema } = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+router.get('/', validate(paginationSchema, 'query'), async (req, res) => {
+    const { bots, ...pagination } = await botService.listBots(req.validated.query)
+    return formatter.paginated(res, bots, pagination)
+})
+
+router.post('/', validate(botSchema), async (req, res) => {
+    const bot = await botService.createBot(req.validated.body, req.auth)
+    return formatter.success(res, bot, 201)
+})
+
+router.get('/:slug', validate(botParamsSchema, 'params'), async (req, res) => {
+    const bot = await botService.getBot(req.validated.params.slug)
+    return formatter.success(res, bot)
+})
+
+// Name, description or isActive; a deactivated bot stops answering and its model is unloaded
+router.patch('/:slug', validate(botParamsSchema, 'params'), validate(botUpdateSchema), async (req, res) => {
+    const bot = await botService.updateBot(req.validated.params.slug, req.validated.body, req.auth)
+    return formatter.success(res, bot)
+})
+
+module.exports = router
@@ -0,0 +1,84 @@
+// Bots hosted for each product line, and which one a request is for
+const logger = require('../../utils/logger')
+const botRepository = require('./BotRepository')
+const modelManager = require('../nlp/modelManager')
+const { defaultBot } = require('../../config/envConfig')
+const { AppError } = require('../../middlewares/errorHandler')
+
+// Every request looks its bot up, so cache them like conversation flows
+const BOT_CACHE_TTL = 60 * 1000
+
+const botCache = new Map()
+
+const botNotFound = (slug) => new AppError(`Bot ${slug} not found`, 404, 'NOT_FOUND')
+
+const cached = async (key, load) => {
+    const entry = botCache.get(key)
+    if (entry && Date.now() - entry.loadedAt < BOT_CACHE_TTL) return entry.bot
+
+    const bot = await load()
+    if (bot) botCache.set(key, { bot, loadedAt: Date.now() })
+    return bot
+}
+
+const invalidateBots = () => botCache.clear()
+
+// Active bots only; a deactivated bot answers no requests
+const getBotBySlug = async (slug) => {
+    const bot = await cached(`slug:${slug}`, () => botRepository.findBotBySlug(slug))
+    if (!bot?.isActive) throw botNotFound(slug)
+    return bot
+}
+
+const getBotById = async (id) => {
+    const bot = await cached(`id:${id}`, () => botRepository.findBotById(id))
+    if (!bot?.isActive) throw botNotFound(id)
+    return bot
+}
+
+// Requests that name no bot, by path or API key, go to DEFAULT_BOT
+const getDefaultBot = () => getBotBySlug(defaultBot)
+
+const listBots = async ({ page = 1, limit = 10 } = {}) => {
+    const { bots, total } = await botRepository.findBots({ page, limit })
+    return { bots, total, page, limit }
+}
+
+// Deactivated bots are listed too, so they can be restored
+const getBot = async (slug) => {
+    const bot = await botRepository.findBotBySlug(slug)
+    if (!bot) throw botNotFound(slug)
+    return bot
+}
+
+// A new bot knows only the built-in intents until its own are added
+const createBot = async (bot, createdBy) => {
+    const created = await botRepository.createBot(bot)
+    logger.info('Bot created', { bot: created.slug, by: createdBy.id })
+    return created
+}
+
+const updateBot = async (slug, changes, updatedBy) => {
+    const bot = await getBot(slug)
+    if (bot.slug === defaultBot && changes.isActive === false) {
+        throw new AppError('The default bot cannot be deactivated', 400, 'VALIDATION_ERROR')
+    }
+
+    const updated = await botRepository.updateBot(bot.id, changes)
+    invalidateBots()
+    if (changes.isActive === false) modelManager.unloadBot(bot.id)
+
+    logger.info('Bot updated', { bot: slug, fields: Object.keys(changes), by: updatedBy.id })
+    return updated
+}
+
+module.exports = {
+    getBotBySlug,
+    getBotById,
+    getDefaultBot,
+    listBots,
+    getBot,
+    createBot,
+    updateBot,
+    invalidateBots
+}
@@ -0,0 +1,81 @@
+// Chat API routes
+const express = require('express')
+const chatService = require('./chatService')
+const chatEvents = require('./chatEvents')
+const chatStream = require('./chatStream')
+const sessionStore = require('./sessionStore')
+const formatter = require('../../utils/responseFormatter')
+const { streaming, chatRequireApiKey } = require('../../config/envConfig')
+const { validate } = require('../../middlewares/validation')
+const { authenticate, authorize } = require('../../middlewares/authentication')
+const { loadSession } = require('../../middlewares/sessionManager')
+const { resolveBot } = require('../../middlewares/botResolver')
+const { rateLimit } = require('../../middlewares/rateLimiter')
+const { chatMessageSchema, streamMessageSchema, sessionParamsSchema, sessionUserSchema, paginationSchema } = require('../../utils/zodValidation')
+const { STREAM_EVENTS, CHAT_ROLES } = require('../../utils/constants')
+
+const router = express.Router()
+
+// Without CHAT_REQUIRE_API_KEY anonymous clients may chat, but credentials that are sent must be valid and hold a chat role
+const checkChatRole = authorize(...CHAT_ROLES)
+router.use(authenticate({ optional: !chatRequireApiKey }), (req, res, next) => (req.auth ? checkChatRole(req, res, next) : next()), resolveBot)
+
+// Send a message and receive the bot reply
+router.post('/message', validate(chatMessageSchema), rateLimit('chat'), async (req, res) => {
+    const result = await chatService.processMessage({ ...req.validated.body, botId: req.bot.id, auth: req.auth })
+    return formatter.success(res, result)
+})
+
+// Start a session with a generated id, for anonymous clients that want to follow it before their first message
+router.post('/sessions', rateLimit('chat'), async (req, res) => {
+    const session = await sessionStore.getOrCreateSession(req.bot.id, null, req.auth)
+    return formatter.success(res, { sessionId: session.sessionId }, 201)
+})
+
+// Session transcript, oldest first; clients poll it for agent replies during a handoff
+router.get('/sessions/:sessionId/messages', validate(sessionParamsSchema, 'params'), validate(paginationSchema, 'query'), loadSession(), async (req, res) => {
+    const { messages, ...pagination } = await chatService.getTranscript(req.chatSession, req.validated.query)
+    return formatter.paginated(res, messages, pagination)
+})
+
+// Follow a session as Server-Sent Events: bot replies, agent messages and handoff changes
+router.get('/sessions/:sessionId/stream', validate(sessionParamsSchema, 'params'), loadSession({ create: true }), async (req, res) => {
+    const session = req.chatSession
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Keeps nginx style proxies from buffering the stream
+    })
+
+    const send = ({ type, data }) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+    const unsubscribe = chatEvents.subscribe(session.sessionId, send)
+    // Comment lines keep idle connections open through load balancers
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), streaming.heartbeatMs)
+
+    req.on('close', () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+    })
+
+    send({
+        type: STREAM_EVENTS.READY,
+        data: { sessionId: session.sessionId, handoff: { status: session.handoffStatus, agentId: session.agentId } }
+    })
+})
+
+// Send a message whose reply is delivered to the session's stream
+router.post('/sessions/:sessionId/messages', validate(sessionParamsSchema, 'params'), validate(streamMessageSchema), rateLimit('chat'), loadSession({ create: true }), async (req, res) => {
+    const { sessionId } = req.validated.params
+    chatStream.streamMessage({ ...req.validated.body, sessionId, botId: req.bot.id, auth: req.auth })
+    return formatter.success(res, { sessionId, accepted: true }, 202)
+})
+
+// Give an anonymous session to the user who signed in; the client app vouches for the user with its API key
+router.post('/sessions/:sessionId/user', checkChatRole, rateLimit('api'), validate(sessionParamsSchema, 'params'), validate(sessionUserSchema), async (req, res) => {
+    const session = await sessionStore.assignUser(req.bot.id, req.validated.params.sessionId, req.validated.body.userId, req.auth)
+    return formatter.success(res, { sessionId: session.sessionId, userId: session.userId })
+})
+
+module.exports = router
@@ -0,0 +1,94 @@
+// Per-session chat event bus, fanned out between instances over Redis pub/sub
+const { EventEmitter } = require('events')
+const logger = require('../../utils/logger')
+const redis = require('../../config/redis')
+
+// ioredis applies keyPrefix to keys only, channels need it spelled out
+const CHANNEL_PREFIX = `${redis.redisConfig.keyPrefix}chat:session:`
+
+const local = new EventEmitter()
+local.setMaxListeners(0)
+
+let publisher = null
+let subscriber = null
+
+const channelFor = (sessionId) => `${CHANNEL_PREFIX}${sessionId}`
+
+const deliver = (sessionId, event) => local.emit(sessionId, event)
+
+const isDistributed = () => subscriber !== null
+
+/**
+ * Connect to Redis so events published on any instance reach the clients
+ * connected to this one. Without Redis, events stay in this process, which
+ * is enough for a single instance.
+ */
+const start = async () => {
+    if (subscriber) return true
+
+    let connection = null
+    try {
+        publisher = redis.createRedisClient()
+        if (publisher.status === 'wait') await publisher.connect()
+
+        // A subscribed connection can't run other commands, so it gets its own
+        connection = publisher.duplicate()
+        await connection.connect()
+        await connection.psubscribe(`${CHANNEL_PREFIX}*`)
+        connection.on('pmessage', (pattern, channel, payload) => {
+            try {
+                deliver(channel.slice(CHANNEL_PREFIX.length), JSON.parse(payload))
+            } catch (error) {
+                logger.logError(error, { operation: 'chat_event_receive', channel })
+            }
+        })
+
+        subscriber = connection
+        logger.info('Chat events distributed over Redis pub/sub')
+        return true
+    } catch (error) {
+        connection?.disconnect()
+        publisher = null
+        logger.warn('Redis unavailable, chat events stay on this instance', { error: error.message })
+        return false
+    }
+}
+
+const stop = async () => {
+    if (!subscriber) return
+    const connection = subscriber
+    subscriber = null
+    publisher = null
+    await connection.quit()
+}
+
+// Send an event to every client following the session, on any instance
+const publish = async (sessionId, type, data = {}) => {
+    const event = { type, data, sessionId, timestamp: new Date().toISOString() }
+
+    if (!isDistributed()) {
+        deliver(sessionId, event)
+        return event
+    }
+
+    try {
+        await publisher.publish(channelFor(sessionId), JSON.stringify(event))
+    } catch (error) {
+        logger.logError(error, { operation: 'chat_event_publish', sessionId, type })
+        deliver(sessionId, event)
+    }
+    return event
+}
+
+// Follow a session's events; returns the function that stops following
+const subscribe = (sessionId, listener) => {
+    local.on(sessionId, listener)
+    return () => local.off(sessionId, listener)
+}
+
+module.exports = {
+    start,
+    stop,
+    publish,
+    subscribe
+}
@@ -0,0 +1,274 @@
+// Chat orchestration
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const intentRecognition = require('../nlp/intentRecognition')
+const entityExtraction = require('../nlp/entityExtraction')
+const contextManager = require('../nlp/contextManager')
+const sentimentAnalysis = require('../nlp/sentimentAnalysis')
+const flowEngine = require('../flows/flowEngine')
+const slotFilling = require('../flows/slotFilling')
+const responseGenerator = require('./responseGenerator')
+const richResponses = require('./richResponses')
+const responseTemplates = require('./responseTemplates')
+const fulfillment = require('./fulfillment')
+const conversationHistory = require('./conversationHistory')
+const sessionStore = require('./sessionStore')
+const handoffService = require('../handoff/handoffService')
+const knowledgeService = require('../knowledge/knowledgeService')
+const configService = require('../configuration/configService')
+const metricsCollector = require('../analytics/metricsCollector')
+const { isQuestion } = require('../../config/nlp')
+const { MESSAGE_TYPES, FALLBACK_INTENT, FLOW_STATUS, HANDOFF_INTENT, HANDOFF_REASONS, ANALYTICS_EVENTS } = require('../../utils/constants')
+
+// The intent and slot a reply's question belongs to, with the slot entity's values it offered
+const describeQuestion = async (reply, { botId, intent, flowResult, slotResult }) => {
+    let slot = null
+    let questionIntent = slotResult?.intent || intent
+
+    if (flowResult.handled) {
+        // Only a flow step waiting on a single slot can take a bare answer
+        const { awaiting = [] } = flowResult.flow || {}
+        slot = awaiting.length === 1 ? awaiting[0] : null
+        questionIntent = intent
+    } else if (slotResult?.handled) {
+        slot = slotResult.pending
+    }
+
+    const definition = slot ? await entityExtraction.getEntityDefinition(botId, slot) : null
+    return contextManager.buildExpectation(reply, { intent: questionIntent, slot, values: definition?.values })
+}
+
+const getUser = (session) => {
+    if (!session.userId) return null
+    return db.prisma.user.findUnique({ where: { id: session.userId }, select: { id: true, username: true, email: true } })
+}
+
+// What response templates can refer to as {{entities.*}}, {{context.*}} and {{user.*}}
+const buildTemplateVariables = ({ entities, slots = {}, context, user }) => ({
+    // The first mention of a type in the message wins over collected slots
+    entities: { ...slots, ...Object.fromEntries([...entities].reverse().map(({ type, value }) => [type, value])) },
+    context,
+    user
+})
+
+// While a person handles the session the message only joins the transcript
+const relayToAgent = async (session, message) => {
+    await conversationHistory.saveMessage({
+        sessionId: session.id,
+        userId: session.userId,
+        content: message,
+        type: MESSAGE_TYPES.USER,
+        metadata: { handoff: session.handoffStatus, agent_id: session.agentId }
+    })
+    metricsCollector.track(session, ANALYTICS_EVENTS.MESSAGE_SENT, { message_length: message.length, handoff: session.handoffStatus })
+
+    return {
+        sessionId: session.sessionId,
+        response: null,
+        handoff: { status: session.handoffStatus, agentId: session.agentId }
+    }
+}
+
+// Handle a single user message to a bot and produce its reply, in a session of the caller `auth`
+const processMessage = async ({ botId, auth = null, message, sessionId, timezone, rich: clientSupportsRich = false }) => {
+    const startTime = Date.now()
+    let session = await sessionStore.getOrCreateSession(botId, sessionId, auth)
+
+    if (handoffService.isAgentHandled(session)) {
+        return relayToAgent(session, message)
+    }
+
+    const settings = await configService.getSettings(botId)
+    let context = contextManager.getContext(session)
+    if (context.is_new_session) {
+        metricsCollector.track(session, ANALYTICS_EVENTS.SESSION_STARTED, { authenticated: Boolean(session.userId), timezone: timezone || null })
+    }
+
+    // Relative dates resolve in the timezone the client last reported
+    if (timezone) context = { ...context, timezone }
+
+    // The session's last language settles messages too short to detect
+    const historyLimit = settings.max_context_messages
+    const { intent, confidence, language, modelVersion, contextEntities, contextual } = await intentRecognition.recognizeIntent(message, {
+        botId,
+        language: context.language,
+        context,
+        historyLimit
+    })
+    const recognitionTime = Date.now() - startTime
+    const entities = [
+        ...contextEntities,
+        ...await entityExtraction.extractEntities(message, { botId, language, timezone: context.timezone })
+    ]
+
+    // Frustrated users get empathetic responses and, if it persists, an escalation
+    const tracked = await sentimentAnalysis.trackMessage(context, { botId, message, intent })
+    const { sentiment, tone } = tracked
+    context = tracked.context
+    // A long streak keeps asking to escalate, a session escalates once until an agent hands it back
+    const escalating = tracked.escalate && !session.escalatedAt
+
+    // An active or newly triggered flow answers before the intent's own responses
+    const flowResult = await flowEngine.handleTurn({ botId, message, intent, entities, context })
+    context = flowResult.context
+
+    const rich = richResponses.isEnabled(clientSupportsRich, settings.enable_rich_responses)
+    const user = await getUser(session)
+    const variables = (slots) => buildTemplateVariables({ entities, slots, context, user })
+    const generate = (responseIntent, slots) => responseGenerator.generateResponse(responseIntent, language, {
+        botId,
+        tone,
+        rich,
+        variables: variables(slots),
+        lastVariants: context.last_variants,
+        fallbackResponses: settings.fallback_responses
+    })
+    // Flow and slot prompts can use the same template variables
+    const textReply = (messages, slots) => {
+        const text = responseTemplates.render(messages.join(' '), variables(slots), { language })
+        return { text, blocks: rich ? [richResponses.textBlock(text)] : null }
+    }
+    let reply
+    let slotResult = null
+    let fulfilled = null
+
+    if (flowResult.handled) {
+        reply = textReply(flowResult.messages, flowResult.flow?.slots)
+    } else if (flowResult.flow?.status === FLOW_STATUS.FAILED) {
+        reply = await generate(FALLBACK_INTENT)
+    } else {
+        // Ask for the intent's missing slots, or answer the intent the slots were collected for
+        slotResult = await slotFilling.handleTurn({ botId, message, intent, entities, context })
+        context = slotResult.context
+
+        if (slotResult.handled) {
+            reply = textReply(slotResult.messages, slotResult.slots)
+        } else {
+            // The intent's webhook answers first; its context update also feeds the static responses it falls back to
+            fulfilled = await fulfillment.fulfill(slotResult.intent, {
+                message, confidence, language, entities, slots: slotResult.slots, session, context
+            })
+            if (fulfilled?.context) context = { ...context, ...fulfilled.context }
+            reply = fulfillment.toReply(fulfilled, { rich })
+
+            // Questions and messages nothing recognized are looked up in the knowledge base
+            if (!reply && (isQuestion(slotResult.intent) || slotResult.intent === FALLBACK_INTENT)) {
+                reply = await knowledgeService.answer(botId, message, { language, rich })
+            }
+            reply = reply || await generate(slotResult.intent, slotResult.slots)
+        }
+    }
+    const response = reply.text
+
+    const slots = slotResult && {
+        intent: slotResult.intent,
+        status: slotResult.status,
+        pending: slotResult.pending,
+        values: slotResult.slots
+    }
+
+    // Remember what this reply asked so the next bare "yes" or "the second one" is read against it
+    const expectation = settings.enable_context_management
+        ? await describeQuestion(response, { botId, intent, flowResult, slotResult })
+        : null
+    context = contextManager.setExpectation(context, expectation)
+
+    // Rich clients get the expected answers as buttons
+    const richReply = reply.blocks && richResponses.withQuickReplies(reply.blocks, expectation, language)
+
+    context = contextManager.recordTurn(context, { intent, entities, language, historyLimit, response: reply })
+    await sessionStore.saveContext(session, context)
+
+    if (escalating) {
+        await sentimentAnalysis.escalate(session, { message, intent, sentiment, context })
+    }
+
+    const processingTime = Date.now() - startTime
+
+    await conversationHistory.saveMessage({
+        sessionId: session.id,
+        userId: session.userId,
+        content: message,
+        type: MESSAGE_TYPES.USER,
+        intent,
+        entities,
+        confidence,
+        response,
+        language,
+        metadata: {
+            processing_time: processingTime,
+            model_version: modelVersion,
+            contextual,
+            sentiment: sentiment && { score: sentiment.score, comparative: sentiment.comparative, label: sentiment.label },
+            flow: flowResult.flow,
+            slots
+        }
+    })
+    await conversationHistory.saveMessage({
+        sessionId: session.id,
+        userId: session.userId,
+        content: response,
+        type: MESSAGE_TYPES.BOT,
+        intent,
+        confidence,
+        language,
+        metadata: {
+            model_version: modelVersion,
+            tone,
+            rich: richReply,
+            template_used: reply.variant && `${reply.intent}:${reply.variant}`,
+            fulfillment: fulfilled?.status,
+            knowledge: reply.knowledge && { entry_id: reply.knowledge.entryId, relevance: reply.knowledge.relevance }
+        }
+    })
+
+    metricsCollector.track(session, ANALYTICS_EVENTS.MESSAGE_SENT, { message_length: message.length, language, sentiment: sentiment?.label || null })
+    metricsCollector.track(session, ANALYTICS_EVENTS.INTENT_RECOGNIZED, {
+        intent,
+        confidence,
+        contextual,
+        model_version: modelVersion,
+        processing_time: recognitionTime
+    })
+    metricsCollector.track(session, ANALYTICS_EVENTS.RESPONSE_GENERATED, {
+        response_length: response.length,
+        template_used: reply.variant && `${reply.intent}:${reply.variant}`,
+        tone,
+        rich: Boolean(richReply),
+        knowledge: Boolean(reply.knowledge),
+        generation_time: processingTime - recognitionTime
+    })
+
+    // Asking for a person or escalating queues the session for an agent after this reply
+    const handoffReason = (intent === HANDOFF_INTENT && HANDOFF_REASONS.USER_REQUEST)
+        || (escalating && HANDOFF_REASONS.ESCALATION)
+    if (handoffReason) {
+        session = await handoffService.requestHandoff(session, { reason: handoffReason })
+    }
+
+    logger.logChatInteraction(session.sessionId, message, { type: MESSAGE_TYPES.BOT, intent, confidence }, processingTime)
+
+    return {
+        sessionId: session.sessionId,
+        response,
+        rich: richReply,
+        knowledge: reply.knowledge || null,
+        intent,
+        confidence,
+        language,
+        entities,
+        flow: flowResult.flow,
+        slots,
+        sentiment: sentiment && { label: sentiment.label, trend: context.sentiment.trend_label },
+        escalated: escalating,
+        handoff: { status: session.handoffStatus, agentId: session.agentId }
+    }
+}
+
+// A page of the session transcript, including agent and system messages
+const getTranscript = (session, pagination) => conversationHistory.listMessages(session.id, pagination)
+
+module.exports = {
+    processMessage,
+    getTranscript
+}
@@ -0,0 +1,130 @@
+// WebSocket transport for streamed chat
+const { STATUS_CODES } = require('http')
+const { WebSocketServer, WebSocket } = require('ws')
+const chatEvents = require('./chatEvents')
+const chatStream = require('./chatStream')
+const sessionStore = require('./sessionStore')
+const logger = require('../../utils/logger')
+const { streaming, chatRequireApiKey } = require('../../config/envConfig')
+const { authenticateUpgrade } = require('../../middlewares/authentication')
+const { botFor } = require('../../middlewares/botResolver')
+const { consume } = require('../../middlewares/rateLimiter')
+const { AppError } = require('../../middlewares/errorHandler')
+const { sessionParamsSchema, streamMessageSchema } = require('../../utils/zodValidation')
+const { STREAM_EVENTS, CHAT_ROLES } = require('../../utils/constants')
+
+const send = (socket, type, data) => {
+    if (socket.readyState !== WebSocket.OPEN) return
+    socket.send(JSON.stringify({ type, data, timestamp: new Date().toISOString() }))
+}
+
+const rejectUpgrade = (socket, status, reason) => {
+    socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`)
+}
+
+// Messages count against the same quotas as the chat routes
+const sendMessage = async (socket, caller, message) => {
+    const state = await consume('chat', caller, { method: 'WS', path: 'chat_socket' })
+    if (state && !state.allowed) {
+        return send(socket, STREAM_EVENTS.ERROR, { code: 'RATE_LIMITED', message: 'Too many messages, please retry later', retryAfter: Math.ceil(state.resetMs / 1000) })
+    }
+    chatStream.streamMessage(message)
+}
+
+// Client frames are `{ "type": "message", "message": "...", "timezone": "..." }`
+const handleFrame = (socket, caller, raw) => {
+    let frame
+    try {
+        frame = JSON.parse(raw)
+    } catch {
+        return send(socket, STREAM_EVENTS.ERROR, { code: 'INVALID_JSON', message: 'Frames must be JSON' })
+    }
+
+    if (frame?.type !== 'message') {
+        return send(socket, STREAM_EVENTS.ERROR, { code: 'UNSUPPORTED_FRAME', message: `Unsupported frame type ${frame?.type}` })
+    }
+
+    const { type, ...body } = frame
+    const result = streamMessageSchema.safeParse(body)
+    if (!result.success) {
+        return send(socket, STREAM_EVENTS.ERROR, { code: 'VALIDATION_ERROR', message: 'Validation failed', details: result.error.errors })
+    }
+
+    sendMessage(socket, caller, { ...result.data, sessionId: caller.sessionId, botId: caller.botId, auth: caller.auth })
+        .catch((error) => logger.logError(error, { operation: 'chat_socket_message', sessionId: caller.sessionId }))
+}
+
+const handleConnection = async (socket, caller) => {
+    const { sessionId } = caller
+    // Follow the session before loading it so nothing published meanwhile is missed
+    const unsubscribe = chatEvents.subscribe(sessionId, ({ type, data }) => send(socket, type, data))
+    socket.isAlive = true
+
+    socket.on('pong', () => { socket.isAlive = true })
+    socket.on('message', (raw) => handleFrame(socket, caller, raw.toString()))
+    socket.on('close', unsubscribe)
+    socket.on('error', (error) => logger.logError(error, { operation: 'chat_socket', sessionId }))
+
+    try {
+        const session = await sessionStore.getOrCreateSession(caller.botId, sessionId, caller.auth)
+        send(socket, STREAM_EVENTS.READY, { sessionId, handoff: { status: session.handoffStatus, agentId: session.agentId } })
+    } catch (error) {
+        logger.logError(error, { operation: 'chat_socket_connect', sessionId })
+        socket.close(1011, 'Session unavailable')
+    }
+}
+
+/**
+ * Accept WebSocket upgrades on `path?sessionId=...&bot=...` for the given
+ * HTTP server, with the same credentials as the chat routes; without
+ * `bot` the socket talks to the API key's bot or DEFAULT_BOT. Sockets exchange
+ * the same events as the SSE stream, and are pinged every
+ * STREAM_HEARTBEAT_MS; one that misses a pong is dropped. Given the
+ * Express `app`, upgrade requests get its `req.ip`, which honours
+ * `trust proxy`.
+ */
+const attachChatSocket = (server, { path, app }) => {
+    const wss = new WebSocketServer({ noServer: true })
+
+    server.on('upgrade', (req, socket, head) => {
+        if (app) Object.setPrototypeOf(req, app.request)
+        const url = new URL(req.url, 'http://localhost')
+        if (url.pathname !== path) return rejectUpgrade(socket, 404, 'Not Found')
+
+        const params = sessionParamsSchema.safeParse({ sessionId: url.searchParams.get('sessionId') })
+        if (!params.success) return rejectUpgrade(socket, 400, 'Bad Request')
+
+        authenticateUpgrade(req, url, { roles: CHAT_ROLES, optional: !chatRequireApiKey })
+            .then(async (auth) => {
+                const ip = req.ip || req.socket.remoteAddress
+                const bot = await botFor(auth, url.searchParams.get('bot'), { ip, path: url.pathname })
+                const caller = { auth, ip, sessionId: params.data.sessionId, botId: bot.id }
+                // Refused before the upgrade, so nobody follows a session they may not use
+                await sessionStore.getOrCreateSession(caller.botId, caller.sessionId, auth)
+                wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, caller))
+            })
+            .catch((error) => {
+                if (error instanceof AppError) return rejectUpgrade(socket, error.statusCode, STATUS_CODES[error.statusCode])
+                logger.logError(error, { operation: 'chat_socket_upgrade' })
+                rejectUpgrade(socket, 500, STATUS_CODES[500])
+            })
+    })
+
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate()
+                continue
+            }
+            socket.isAlive = false
+            socket.ping()
+        }
+    }, streaming.heartbeatMs)
+    wss.on('close', () => clearInterval(heartbeat))
+
+    return wss
+}
+
+module.exports = {
+    attachChatSocket
+}
@@ -0,0 +1,61 @@
+// Streams chat turns to the clients following a session
+const chatService = require('./chatService')
+const chatEvents = require('./chatEvents')
+const logger = require('../../utils/logger')
+const { AppError } = require('../../middlewares/errorHandler')
+const { streaming } = require('../../config/envConfig')
+const { STREAM_EVENTS } = require('../../utils/constants')
+
+const CHUNK_WORDS = 3
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Split a reply into small word groups, keeping the whitespace so chunks concatenate back
+const toChunks = (text) => {
+    const words = text.match(/\S+\s*/g) || []
+    const chunks = []
+    for (let i = 0; i < words.length; i += CHUNK_WORDS) {
+        chunks.push(words.slice(i, i + CHUNK_WORDS).join(''))
+    }
+    return chunks
+}
+
+/**
+ * Run a message through the same pipeline as the REST chat route and
+ * publish the reply as it is produced: a typing indicator, the response
+ * in chunks, then the complete result. Failures are published as an
+ * error event, since the client is no longer waiting on a request.
+ */
+const streamMessage = async ({ sessionId, ...payload }) => {
+    try {
+        await chatEvents.publish(sessionId, STREAM_EVENTS.TYPING, { typing: true })
+        const result = await chatService.processMessage({ sessionId, ...payload })
+
+        // Messages relayed to an agent have no bot reply to stream
+        if (result.response) {
+            const chunks = toChunks(result.response)
+            for (const [index, text] of chunks.entries()) {
+                await chatEvents.publish(sessionId, STREAM_EVENTS.CHUNK, { index, text })
+                if (streaming.chunkDelayMs && index < chunks.length - 1) await wait(streaming.chunkDelayMs)
+            }
+        }
+
+        await chatEvents.publish(sessionId, STREAM_EVENTS.MESSAGE, result)
+        return result
+    } catch (error) {
+        logger.logError(error, { operation: 'chat_stream', sessionId })
+        const isExpected = error instanceof AppError && error.statusCode < 500
+        await chatEvents.publish(sessionId, STREAM_EVENTS.ERROR, {
+            code: isExpected ? error.code : 'INTERNAL_ERROR',
+            message: isExpected ? error.message : 'Message could not be processed'
+        })
+        return null
+    } finally {
+        await chatEvents.publish(sessionId, STREAM_EVENTS.TYPING, { typing: false })
+    }
+}
+
+module.exports = {
+    toChunks,
+    streamMessage
+}
@@ -0,0 +1,39 @@
+// Conversation history persistence
+const db = require('../../config/database')
+const { MESSAGE_TYPES } = require('../../utils/constants')
+
+const saveMessage = async ({ sessionId, userId = null, content, type = MESSAGE_TYPES.USER, intent = null, entities = [], confidence = null, response = null, language = null, metadata = {} }) => {
+    return db.prisma.message.create({
+        data: { sessionId, userId, content, type, intent, entities, confidence, response, language, metadata }
+    })
+}
+
+// Most recent messages of a session in chronological order
+const getRecentMessages = async (sessionId, limit = 10) => {
+    const messages = await db.prisma.message.findMany({
+        where: { sessionId },
+        orderBy: { createdAt: 'desc' },
+        take: limit
+    })
+    return messages.reverse()
+}
+
+// A page of a session's transcript, oldest first
+const listMessages = async (sessionId, { page = 1, limit = 10 } = {}) => {
+    const [messages, total] = await Promise.all([
+        db.prisma.message.findMany({
+            where: { sessionId },
+            orderBy: { createdAt: 'asc' },
+            ...db.helpers.paginate(page, limit)
+        }),
+        db.prisma.message.count({ where: { sessionId } })
+    ])
+
+    return { messages, total, page, limit }
+}
+
+module.exports = {
+    saveMessage,
+    getRecentMessages,
+    listMessages
+}
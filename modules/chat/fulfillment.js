@@ -0,0 +1,140 @@
+// Intent fulfillment webhooks
+const crypto = require('crypto')
+const axios = require('axios')
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const richResponses = require('./richResponses')
+const { fulfillment: settings } = require('../../config/envConfig')
+const { AppError } = require('../../middlewares/errorHandler')
+const { fulfillmentSchema, fulfillmentReplySchema } = require('../../utils/zodValidation')
+
+const RETRY_BASE_DELAY_MS = 200
+
+// Context keys the conversation machinery owns; webhooks can't overwrite them
+const RESERVED_CONTEXT_KEYS = [
+    'flow', 'slot_filling', 'expecting', 'sentiment', 'language', 'timezone',
+    'last_intent', 'last_entities', 'last_variants', 'intent_history', 'is_new_session'
+]
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const getSettings = async (botId, intentName) => {
+    const intent = await db.prisma.intent.findUnique({ where: { botId_name: { botId, name: intentName } } })
+    if (!intent?.isActive || !intent.fulfillment) return null
+
+    const result = fulfillmentSchema.safeParse(intent.fulfillment)
+    if (!result.success) {
+        logger.warn('Ignoring invalid fulfillment settings', { intent: intentName, issues: result.error.errors })
+        return null
+    }
+    return result.data
+}
+
+// Hex HMAC-SHA256 of `<timestamp>.<body>`; the timestamp lets receivers reject replays
+const sign = (body, timestamp) => crypto.createHmac('sha256', settings.secret).update(`${timestamp}.${body}`).digest('hex')
+
+// Timeouts, network errors, 429 and 5xx are worth another try, other answers are final
+const isRetryable = (error) => !error.response || error.response.status === 429 || error.response.status >= 500
+
+const post = async (webhook, body) => {
+    const timestamp = Math.floor(Date.now() / 1000).toString()
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Chatbot-Timestamp': timestamp,
+        'X-Chatbot-Signature': `sha256=${sign(body, timestamp)}`
+    }
+
+    const response = await axios.post(webhook.url, body, {
+        headers,
+        timeout: webhook.timeout_ms ?? settings.timeoutMs,
+        maxRedirects: 0,
+        maxContentLength: 1024 * 1024
+    })
+    return response.data
+}
+
+// Post with exponential backoff between attempts
+const callWebhook = async (webhook, payload) => {
+    const body = JSON.stringify(payload)
+    const retries = webhook.retries ?? settings.maxRetries
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { data: await post(webhook, body), attempts: attempt }
+        } catch (error) {
+            if (attempt > retries || !isRetryable(error)) {
+                error.attempts = attempt
+                throw error
+            }
+            await wait(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1))
+        }
+    }
+}
+
+const withoutReservedKeys = (context) => Object.fromEntries(
+    Object.entries(context).filter(([key]) => !RESERVED_CONTEXT_KEYS.includes(key))
+)
+
+/**
+ * Ask the intent's webhook, if it declares one, for the reply. Resolves to
+ * null when the intent has no webhook, to `{ status: 'failed' }` when the
+ * call or its reply is unusable, and otherwise to the reply's `text`,
+ * `rich` blocks and `context` update, each optional. Webhooks are never
+ * called unsigned: without FULFILLMENT_SECRET they fail.
+ */
+const fulfill = async (intentName, { message, confidence, language, entities, slots, session, context }) => {
+    const webhook = await getSettings(session.botId, intentName)
+    if (!webhook) return null
+
+    if (!settings.secret) {
+        logger.error('FULFILLMENT_SECRET is not set, refusing to call the webhook unsigned', { intent: intentName, url: webhook.url })
+        return { status: 'failed' }
+    }
+
+    const startTime = Date.now()
+    const payload = {
+        intent: { name: intentName, confidence },
+        message,
+        language,
+        entities: entities.map(({ type, value, text, resolution }) => ({ type, value, text, ...(resolution && { resolution }) })),
+        slots: slots || {},
+        session: { id: session.sessionId, userId: session.userId, context }
+    }
+
+    try {
+        const { data, attempts } = await callWebhook(webhook, payload)
+        const reply = fulfillmentReplySchema.safeParse(data)
+        if (!reply.success) {
+            throw Object.assign(new AppError('Fulfillment webhook returned an invalid reply', 502, 'INVALID_FULFILLMENT', reply.error.errors), { attempts })
+        }
+
+        logger.logPerformance('fulfillment', Date.now() - startTime, { intent: intentName, attempts })
+        const { context: contextUpdate, ...rest } = reply.data
+        return { status: 'fulfilled', ...rest, context: contextUpdate && withoutReservedKeys(contextUpdate) }
+    } catch (error) {
+        logger.logError(error, {
+            operation: 'fulfillment',
+            intent: intentName,
+            url: webhook.url,
+            status: error.response?.status,
+            attempts: error.attempts,
+            duration: Date.now() - startTime
+        })
+        return { status: 'failed' }
+    }
+}
+
+// The bot reply for a webhook answer with text or rich blocks; null when it brought neither
+const toReply = (fulfilled, { rich }) => {
+    if (!fulfilled?.text && !fulfilled?.rich) return null
+
+    const text = fulfilled.text || richResponses.toPlainText(fulfilled.rich)
+    const blocks = fulfilled.rich || [richResponses.textBlock(text)]
+    return { text, blocks: rich ? blocks : null, variant: null }
+}
+
+module.exports = {
+    sign,
+    fulfill,
+    toReply
+}
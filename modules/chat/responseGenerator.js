@@ -0,0 +1,108 @@
+// Bot response generation
+const db = require('../../config/database')
+const { env } = require('../../config/envConfig')
+const { intentCategories, isComplaint } = require('../../config/nlp')
+const richResponses = require('./richResponses')
+const responseTemplates = require('./responseTemplates')
+const { FALLBACK_INTENT, DEFAULT_FALLBACK_RESPONSE, RESPONSE_TONES, EMPATHETIC_OPENERS } = require('../../utils/constants')
+
+const pickRandom = (items) => items[Math.floor(Math.random() * items.length)]
+
+// Pick at random, avoiding the variant the intent answered with last time when there is a choice
+const pickVariant = (items, pool, lastVariant) => {
+    const keys = items.map((item, index) => `${pool}:${index}`)
+    const fresh = keys.filter((key) => key !== lastVariant)
+    const variant = pickRandom(fresh.length > 0 ? fresh : keys)
+    return { variant, item: items[keys.indexOf(variant)] }
+}
+
+/**
+ * Responses for a bot's intent in a language, preferring the database over the
+ * built-in categories. `templates` are the intent's rich responses
+ * (`Intent.richResponses`, or `richResponses` inside a translation). A
+ * non-neutral `tone` uses the intent's variants for it (`Intent.variants`,
+ * or `variants` inside a translation) when present; `toned` says whether
+ * they were found.
+ */
+const getIntentResponses = async (botId, intentName, language = env.NLP_LANGUAGE, tone = RESPONSE_TONES.NEUTRAL) => {
+    const intent = await db.prisma.intent.findUnique({ where: { botId_name: { botId, name: intentName } } })
+
+    if (intent?.isActive) {
+        const translation = language !== env.NLP_LANGUAGE ? intent.translations?.[language] : null
+        const variants = translation ? translation.variants?.[tone] : intent.variants?.[tone]
+
+        if (tone !== RESPONSE_TONES.NEUTRAL && variants?.length > 0) return { responses: variants, templates: [], toned: true }
+
+        const source = translation?.responses?.length > 0 || translation?.richResponses?.length > 0 ? translation : intent
+        const templates = richResponses.validTemplates(source.richResponses, intentName)
+        if (source.responses?.length > 0 || templates.length > 0) {
+            return { responses: source.responses || [], templates, toned: false }
+        }
+    }
+
+    return { responses: intentCategories[intentName]?.responses || [], templates: [], toned: false }
+}
+
+// Soften a regular response for a frustrated user; complaint responses already apologize
+const applyTone = (blocks, { intentName, language, tone }) => {
+    const openers = EMPATHETIC_OPENERS[language]
+    if (tone !== RESPONSE_TONES.EMPATHETIC || isComplaint(intentName) || !openers) return blocks
+
+    const opener = pickRandom(openers)
+    const [first, ...rest] = blocks
+    return first.type === 'text'
+        ? [richResponses.textBlock(`${opener} ${first.text}`), ...rest]
+        : [richResponses.textBlock(opener), ...blocks]
+}
+
+/**
+ * Pick a reply for an intent. `text` is always set; `blocks` holds the rich
+ * version when `rich` output is on. Rich clients get one of the intent's
+ * templates when it has any; text-only clients get a written response, or a
+ * template rendered as text when there is none. Responses are rendered
+ * with `variables` (see responseTemplates), and `lastVariants` maps intents
+ * to the variant they used last so it isn't picked twice in a row. When
+ * not even the fallback intent has responses, one of the bot's
+ * `fallbackResponses` is used.
+ */
+const generateResponse = async (intentName, language = env.NLP_LANGUAGE, options = {}) => {
+    const { botId, tone = RESPONSE_TONES.NEUTRAL, rich = false, variables = {}, lastVariants = {}, fallbackResponses = [DEFAULT_FALLBACK_RESPONSE] } = options
+    const found = await getIntentResponses(botId, intentName, language, tone)
+    const isEmpty = ({ responses, templates }) => responses.length === 0 && templates.length === 0
+    const useFallback = isEmpty(found) && intentName !== FALLBACK_INTENT
+    const responseIntent = useFallback ? FALLBACK_INTENT : intentName
+    const candidates = useFallback ? await getIntentResponses(botId, FALLBACK_INTENT, language, tone) : found
+    const { responses, templates, toned } = candidates
+    const lastVariant = lastVariants[responseIntent]
+
+    let blocks
+    let variant = null
+    if (isEmpty(candidates)) {
+        const picked = pickVariant(fallbackResponses, 'fallbackResponses', lastVariant)
+        variant = picked.variant
+        blocks = [richResponses.textBlock(picked.item)]
+    } else if (templates.length > 0 && (rich || responses.length === 0)) {
+        const picked = pickVariant(templates, 'richResponses', lastVariant)
+        variant = picked.variant
+        blocks = picked.item
+    } else {
+        const picked = pickVariant(responses, toned ? `variants.${tone}` : 'responses', lastVariant)
+        variant = picked.variant
+        blocks = [richResponses.textBlock(picked.item)]
+    }
+
+    blocks = responseTemplates.renderBlocks(blocks, variables, { language })
+    if (variant && !toned) blocks = applyTone(blocks, { intentName: responseIntent, language, tone })
+
+    return {
+        text: richResponses.toPlainText(blocks),
+        blocks: rich ? blocks : null,
+        intent: responseIntent,
+        variant
+    }
+}
+
+module.exports = {
+    getIntentResponses,
+    generateResponse
+}
@@ -0,0 +1,138 @@
+// Response templating: variables, conditional sections and plurals
+const logger = require('../../utils/logger')
+
+/*
+ * Syntax, with variables resolved against { entities, context, user }:
+ *   {{entities.product}}                      value, empty when missing
+ *   {{context.user_name | there}}             value, or the fallback text when missing
+ *   {{#if entities.product}}...{{else}}...{{/if}}
+ *   {{#unless context.user_name}}...{{/unless}}
+ *   {{plural entities.number "# item" "# items"}}   # is replaced by the count
+ */
+const TAG_PATTERN = /\{\{\s*([\s\S]+?)\s*\}\}/g
+const SECTION_PATTERN = /^#(if|unless)\s+([\w.]+)$/
+const SECTION_END_PATTERN = /^\/(if|unless)$/
+const PLURAL_PATTERN = /^plural\s+([\w.]+)\s+"([^"]*)"\s+"([^"]*)"$/
+const VARIABLE_PATTERN = /^([\w.]+)(?:\s*\|\s*([\s\S]*))?$/
+
+// Intents are edited at runtime and flow prompts are joined per turn, so only the most recently used stay parsed
+const PARSED_CACHE_SIZE = 500
+
+// Parsed templates by source text, least recently used first
+const parsed = new Map()
+
+const unquote = (text) => text.replace(/^(["'])([\s\S]*)\1$/, '$2')
+
+// Turn a template into a tree of text, variable, plural and section nodes
+const parse = (template) => {
+    const root = { children: [] }
+    const stack = [{ node: root, target: root.children }]
+    let cursor = 0
+
+    for (const match of template.matchAll(TAG_PATTERN)) {
+        const current = stack[stack.length - 1]
+        const tag = match[1]
+        if (match.index > cursor) current.target.push({ kind: 'text', text: template.slice(cursor, match.index) })
+        cursor = match.index + match[0].length
+
+        const section = tag.match(SECTION_PATTERN)
+        const plural = tag.match(PLURAL_PATTERN)
+        const variable = tag.match(VARIABLE_PATTERN)
+
+        if (section) {
+            const node = { kind: section[1], path: section[2], children: [], otherwise: [] }
+            current.target.push(node)
+            stack.push({ node, target: node.children })
+        } else if (tag === 'else' && stack.length > 1) {
+            current.target = current.node.otherwise
+        } else if (SECTION_END_PATTERN.test(tag) && stack.length > 1) {
+            stack.pop()
+        } else if (plural) {
+            current.target.push({ kind: 'plural', path: plural[1], one: plural[2], other: plural[3] })
+        } else if (variable) {
+            const fallback = variable[2] === undefined ? '' : unquote(variable[2].trim())
+            current.target.push({ kind: 'variable', path: variable[1], fallback })
+        } else {
+            // Not ours, leave it for the reader to see
+            current.target.push({ kind: 'text', text: match[0] })
+        }
+    }
+
+    const last = stack[stack.length - 1]
+    if (cursor < template.length) last.target.push({ kind: 'text', text: template.slice(cursor) })
+    if (stack.length > 1) logger.warn('Response template has an unclosed section', { template })
+
+    return root.children
+}
+
+const getParsed = (template) => {
+    const nodes = parsed.get(template) || parse(template)
+
+    // Re-inserting moves the template to the most recently used end
+    parsed.delete(template)
+    parsed.set(template, nodes)
+    if (parsed.size > PARSED_CACHE_SIZE) parsed.delete(parsed.keys().next().value)
+
+    return nodes
+}
+
+const lookup = (variables, path) => path.split('.').reduce((value, key) => value?.[key], variables)
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '' && value !== false
+    && !(Array.isArray(value) && value.length === 0)
+
+const format = (value) => Array.isArray(value) ? value.join(', ') : String(value)
+
+const RENDERERS = {
+    text: (node) => node.text,
+    variable: (node, variables) => {
+        const value = lookup(variables, node.path)
+        return isPresent(value) ? format(value) : node.fallback
+    },
+    plural: (node, variables, language) => {
+        const count = Number(lookup(variables, node.path))
+        if (!Number.isFinite(count)) return ''
+        const form = new Intl.PluralRules(language).select(count) === 'one' ? node.one : node.other
+        return form.replace(/#/g, String(count))
+    },
+    if: (node, variables, language) => {
+        const branch = isPresent(lookup(variables, node.path)) ? node.children : node.otherwise
+        return renderNodes(branch, variables, language)
+    },
+    unless: (node, variables, language) => {
+        const branch = isPresent(lookup(variables, node.path)) ? node.otherwise : node.children
+        return renderNodes(branch, variables, language)
+    }
+}
+
+const renderNodes = (nodes, variables, language) => {
+    return nodes.map((node) => RENDERERS[node.kind](node, variables, language)).join('')
+}
+
+// Render a template; text without tags comes back unchanged
+const render = (template, variables = {}, { language = 'en' } = {}) => {
+    if (typeof template !== 'string' || !template.includes('{{')) return template
+
+    // Missing variables leave doubled spaces behind
+    return renderNodes(getParsed(template), variables, language)
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim()
+}
+
+// Render every string in a rich response's blocks
+const renderBlocks = (blocks, variables, options) => {
+    const renderValue = (value) => {
+        if (typeof value === 'string') return render(value, variables, options)
+        if (Array.isArray(value)) return value.map(renderValue)
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item)]))
+        }
+        return value
+    }
+    return renderValue(blocks)
+}
+
+module.exports = {
+    render,
+    renderBlocks
+}
@@ -0,0 +1,70 @@
+// Rich response blocks and their plain-text rendering
+const logger = require('../../utils/logger')
+const { features } = require('../../config/envConfig')
+const { richTemplateSchema } = require('../../utils/zodValidation')
+const { CONFIRMATION_REPLIES } = require('../../utils/constants')
+
+// Rich output needs both the bot's enable_rich_responses flag and a client that renders it
+const isEnabled = (clientSupportsRich, enabled = features.richResponses) => enabled && clientSupportsRich === true
+
+const textBlock = (text) => ({ type: 'text', text })
+
+// Keep the well-formed templates; a broken one is skipped so the intent still answers
+const validTemplates = (templates, intentName) => {
+    if (!Array.isArray(templates)) return []
+
+    return templates.filter((template, index) => {
+        const result = richTemplateSchema.safeParse(template)
+        if (!result.success) {
+            logger.warn('Skipping invalid rich response template', { intent: intentName, index, issues: result.error.errors })
+        }
+        return result.success
+    })
+}
+
+const numbered = (lines) => lines.map((line, index) => `${index + 1}. ${line}`)
+
+const describeOptions = (options) => options.length > 0 ? [`Options: ${options.join(', ')}`] : []
+
+const describeCard = (card) => {
+    const heading = [card.title, card.subtitle].filter(Boolean).join(' - ')
+    const links = [card.url, ...card.buttons.filter((button) => button.url).map((button) => `${button.title}: ${button.url}`)]
+    const options = card.buttons.filter((button) => !button.url).map((button) => button.title)
+    return [heading, ...links.filter(Boolean), ...describeOptions(options)].join('\n')
+}
+
+const describeListItem = (item) => {
+    const line = [item.title, item.subtitle].filter(Boolean).join(' - ')
+    return item.url ? `${line} (${item.url})` : line
+}
+
+const BLOCK_TEXT = {
+    text: (block) => block.text,
+    quick_replies: (block) => [block.text, ...describeOptions(block.replies.map((reply) => reply.title))].filter(Boolean).join('\n'),
+    card: (block) => describeCard({ buttons: [], ...block }),
+    carousel: (block) => numbered(block.cards.map((card) => describeCard({ buttons: [], ...card }))).join('\n'),
+    list: (block) => [block.title, ...numbered(block.items.map(describeListItem))].filter(Boolean).join('\n')
+}
+
+// What a text-only client, the transcript and the logs see for a rich reply
+const toPlainText = (blocks) => blocks.map((block) => BLOCK_TEXT[block.type](block)).join('\n')
+
+// Buttons for the answers the reply is waiting on, titled in the reply's language, unless the template already offers some
+const withQuickReplies = (blocks, expectation, language = 'en') => {
+    if (!expectation || blocks.some((block) => block.type === 'quick_replies')) return blocks
+
+    const labels = CONFIRMATION_REPLIES[language] || CONFIRMATION_REPLIES.en
+    const replies = expectation.type === 'choice'
+        ? expectation.options.map((option) => ({ title: option, payload: option }))
+        : [{ title: labels.yes, payload: 'yes' }, { title: labels.no, payload: 'no' }]
+
+    return [...blocks, { type: 'quick_replies', replies }]
+}
+
+module.exports = {
+    isEnabled,
+    textBlock,
+    validTemplates,
+    toPlainText,
+    withQuickReplies
+}
@@ -0,0 +1,322 @@
+// Chat sessions, with their context kept hot in Redis and written behind to the database
+const { v4: uuidv4 } = require('uuid')
+const db = require('../../config/database')
+const redis = require('../../config/redis')
+const logger = require('../../utils/logger')
+const { sessionTimeout, sessionFlushIntervalMs } = require('../../config/envConfig')
+const { AppError } = require('../../middlewares/errorHandler')
+const { AUTH_TYPES } = require('../../utils/constants')
+
+// Sorted sets of session ids: when their context last changed unsaved, and when they expire
+const DIRTY_KEY = 'sessions:dirty'
+const EXPIRING_KEY = 'sessions:expiring'
+
+const FLUSH_BATCH = 100
+
+// Contexts outlive their expiry by two flushes, so the sweep still finds them to save
+const CONTEXT_TTL_MS = sessionTimeout + 2 * sessionFlushIntervalMs
+
+// Forget an unsaved change only if it is still the one that was saved
+const CLEAR_DIRTY = `
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) == ARGV[2] then
+    return redis.call('ZREM', KEYS[1], ARGV[1])
+end
+return 0`
+
+// Drop an expired session from Redis unless it was used again since it was read
+const CLOSE_SESSION = `
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) ~= ARGV[2] then
+    return 0
+end
+redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('ZREM', KEYS[2], ARGV[1])
+redis.call('DEL', KEYS[3])
+return 1`
+
+let client = null
+let timer = null
+let flushing = false
+
+const isDistributed = () => client !== null
+
+const contextKey = (sessionId) => `session:${sessionId}`
+
+const expiresFrom = (time) => new Date(time + sessionTimeout)
+
+// ZRANGE ... WITHSCORES replies [member, score, member, score, ...]
+const pairs = (reply) => {
+    const entries = []
+    for (let i = 0; i < reply.length; i += 2) entries.push([reply[i], reply[i + 1]])
+    return entries
+}
+
+// Keep the context in Redis, slide its expiry and queue it for the next write-behind
+const cacheContext = async (session, context) => {
+    const now = Date.now()
+    await client.multi()
+        .set(contextKey(session.sessionId), JSON.stringify({ id: session.id, context }), 'PX', CONTEXT_TTL_MS)
+        .zadd(DIRTY_KEY, now, session.sessionId)
+        .zadd(EXPIRING_KEY, now + sessionTimeout, session.sessionId)
+        .exec()
+}
+
+// Slide the expiry of a cached context; the write-behind carries it to the row
+const touchContext = async (sessionId) => {
+    const now = Date.now()
+    await client.multi()
+        .pexpire(contextKey(sessionId), CONTEXT_TTL_MS)
+        .zadd(DIRTY_KEY, now, sessionId)
+        .zadd(EXPIRING_KEY, now + sessionTimeout, sessionId)
+        .exec()
+}
+
+// The cached context, or null when the session isn't in Redis
+const readContext = async (sessionId) => {
+    if (!isDistributed()) return null
+    try {
+        const cached = await client.get(contextKey(sessionId))
+        return cached ? JSON.parse(cached).context : null
+    } catch (error) {
+        logger.logError(error, { operation: 'session_context_read', sessionId })
+        return null
+    }
+}
+
+/**
+ * Make the session live: with its cached context and a slid expiry, or,
+ * when Redis has no copy because it was idle too long, resumed from its
+ * row. Without Redis the row's expiry slides at most once per flush
+ * interval, rather than on every request.
+ */
+const activate = async (session) => {
+    const now = Date.now()
+    const cached = await readContext(session.sessionId)
+    if (cached) {
+        await touchContext(session.sessionId)
+        return { ...session, context: cached, isActive: true, expiresAt: expiresFrom(now) }
+    }
+
+    const expired = !session.isActive || (session.expiresAt && session.expiresAt.getTime() <= now)
+    const stale = !session.expiresAt || session.expiresAt.getTime() - now < sessionTimeout - sessionFlushIntervalMs
+    let live = session
+
+    if (expired || (stale && !isDistributed())) {
+        live = await db.prisma.session.update({ where: { id: session.id }, data: { isActive: true, expiresAt: expiresFrom(now) } })
+        if (expired) logger.info('Session resumed', { sessionId: session.sessionId, idleSince: session.expiresAt })
+    }
+    if (isDistributed()) await cacheContext(live, live.context)
+    return live
+}
+
+/**
+ * Sessions belong to the API key or signed-in user that started them, and
+ * only that caller may use them. Anonymous sessions belong to nobody: their
+ * id is generated here and unguessable, so it is their only credential.
+ */
+const canUse = (session, auth) => !session.ownerId || session.ownerId === auth?.id
+
+const notFound = (sessionId) => new AppError(`Session ${sessionId} not found`, 404, 'NOT_FOUND')
+
+const createSession = async (botId, sessionId, auth) => {
+    const session = await db.prisma.session.create({
+        data: {
+            botId,
+            sessionId,
+            ownerId: auth?.id || null,
+            userId: auth?.type === AUTH_TYPES.USER ? auth.id : null,
+            context: { is_new_session: true },
+            expiresAt: expiresFrom(Date.now())
+        }
+    })
+    if (isDistributed()) await cacheContext(session, session.context)
+    return session
+}
+
+// Load the bot's session by its public id, or null when the bot has none the caller may use
+const getSession = async (botId, sessionId, auth = null) => {
+    const session = await db.prisma.session.findUnique({ where: { sessionId } })
+    return session?.botId === botId && canUse(session, auth) ? activate(session) : null
+}
+
+/**
+ * Load the bot's session by its public id, or start one for the caller.
+ * Without an id the session gets a generated one; only callers with
+ * credentials may name a new session themselves. Another bot's or another
+ * caller's session is answered as not found; ids are unique across bots.
+ */
+const getOrCreateSession = async (botId, sessionId, auth = null) => {
+    if (!sessionId) return createSession(botId, uuidv4(), auth)
+
+    const session = await db.prisma.session.findUnique({ where: { sessionId } })
+    if (!session) {
+        if (!auth) throw notFound(sessionId)
+        return createSession(botId, sessionId, auth)
+    }
+    if (session.botId !== botId || !canUse(session, auth)) throw notFound(sessionId)
+    return activate(session)
+}
+
+// The session with its current context, for rows read straight from the database
+const withContext = async (session) => {
+    const cached = await readContext(session.sessionId)
+    return cached ? { ...session, context: cached } : session
+}
+
+// Store the session context; the row gets it on the next flush, or now without Redis
+const saveContext = async (session, context) => {
+    if (isDistributed()) {
+        try {
+            return await cacheContext(session, context)
+        } catch (error) {
+            logger.logError(error, { operation: 'session_context_cache', sessionId: session.sessionId })
+            // A copy left behind would hide the one written below
+            client.del(contextKey(session.sessionId)).catch(() => {})
+        }
+    }
+
+    await db.prisma.session.update({
+        where: { id: session.id },
+        data: { context, isActive: true, expiresAt: expiresFrom(Date.now()) }
+    })
+}
+
+/**
+ * Give an anonymous session to the user who just signed in, with the
+ * messages sent so far, on behalf of the client app `auth`. A session that
+ * already belongs to another user is refused.
+ */
+const assignUser = async (botId, sessionId, userId, auth) => {
+    const session = await getSession(botId, sessionId, auth)
+    if (!session) throw notFound(sessionId)
+    if (session.userId === userId) return session
+
+    const user = await db.prisma.user.findUnique({ where: { id: userId }, select: { id: true } })
+    if (!user) throw new AppError(`User ${userId} not found`, 404, 'NOT_FOUND')
+
+    const assigned = await db.helpers.transaction(async (tx) => {
+        const { count } = await tx.session.updateMany({ where: { id: session.id, userId: null }, data: { userId } })
+        if (count === 0) return false
+        await tx.message.updateMany({ where: { sessionId: session.id, userId: null }, data: { userId } })
+        return true
+    })
+    if (!assigned) throw new AppError(`Session ${sessionId} belongs to another user`, 409, 'SESSION_OWNED')
+
+    logger.info('Anonymous session merged into user', { sessionId, userId })
+    return { ...session, userId }
+}
+
+// Write a batch of contexts changed before `until` to their rows; returns how many there were
+const writeBehind = async (until) => {
+    const entries = pairs(await client.zrangebyscore(DIRTY_KEY, '-inf', until, 'WITHSCORES', 'LIMIT', 0, FLUSH_BATCH))
+    if (entries.length === 0) return 0
+
+    const sessionIds = entries.map(([sessionId]) => sessionId)
+    const [cached, expiries] = await Promise.all([
+        client.mget(sessionIds.map(contextKey)),
+        client.zmscore(EXPIRING_KEY, ...sessionIds)
+    ])
+
+    for (const [index, [sessionId, changedAt]] of entries.entries()) {
+        if (cached[index]) {
+            const { id, context } = JSON.parse(cached[index])
+            const expiresAt = new Date(Number(expiries[index] || Number(changedAt) + sessionTimeout))
+            await db.prisma.session.updateMany({ where: { id }, data: { context, isActive: true, expiresAt } })
+        }
+        await client.clearDirty(DIRTY_KEY, sessionId, changedAt)
+    }
+    return entries.length
+}
+
+// Save and drop a batch of the cached sessions expired by `until`; returns how many there were
+const closeExpired = async (until) => {
+    const entries = pairs(await client.zrangebyscore(EXPIRING_KEY, '-inf', until, 'WITHSCORES', 'LIMIT', 0, FLUSH_BATCH))
+
+    for (const [sessionId, expiresAt] of entries) {
+        const cached = await client.get(contextKey(sessionId))
+        if (cached) {
+            const { id, context } = JSON.parse(cached)
+            await db.prisma.session.updateMany({ where: { id }, data: { context, isActive: false, expiresAt: new Date(Number(expiresAt)) } })
+        }
+        // A session used since it was read stays, and its next write-behind marks it active again
+        await client.closeSession(EXPIRING_KEY, DIRTY_KEY, contextKey(sessionId), sessionId, expiresAt)
+    }
+    return entries.length
+}
+
+/**
+ * Write changed contexts to their session rows, then close the sessions
+ * idle past SESSION_TIMEOUT: their last context is saved, their Redis
+ * copy dropped and their row marked inactive. Rows that never were in
+ * Redis are marked inactive once their expiresAt passes.
+ */
+const flush = async () => {
+    if (flushing) return
+    flushing = true
+    try {
+        // Sessions changed during the flush wait for the next one, so it always ends
+        const startedAt = Date.now()
+        if (isDistributed()) {
+            let count
+            do {
+                count = await writeBehind(startedAt)
+            } while (count === FLUSH_BATCH)
+            do {
+                count = await closeExpired(startedAt)
+            } while (count === FLUSH_BATCH)
+        }
+
+        const { count } = await db.prisma.session.updateMany({
+            where: { isActive: true, expiresAt: { lte: new Date(startedAt) } },
+            data: { isActive: false }
+        })
+        if (count > 0) logger.debug('Expired idle sessions', { count })
+    } finally {
+        flushing = false
+    }
+}
+
+/**
+ * Keep session contexts in Redis, shared by every instance, and start the
+ * write-behind every SESSION_FLUSH_INTERVAL_MS. Without Redis, contexts
+ * are written straight to the database.
+ */
+const start = async () => {
+    if (timer) return isDistributed()
+
+    try {
+        const connection = redis.createRedisClient()
+        if (connection.status === 'wait') await connection.connect()
+        if (!connection.clearDirty) {
+            connection.defineCommand('clearDirty', { numberOfKeys: 1, lua: CLEAR_DIRTY })
+            connection.defineCommand('closeSession', { numberOfKeys: 3, lua: CLOSE_SESSION })
+        }
+        client = connection
+        logger.info('Session contexts kept in Redis')
+    } catch (error) {
+        logger.warn('Redis unavailable, session contexts are written to the database', { error: error.message })
+    }
+
+    timer = setInterval(() => flush().catch((error) => logger.logError(error, { operation: 'session_flush' })), sessionFlushIntervalMs)
+    timer.unref()
+    return isDistributed()
+}
+
+// Stop the write-behind after a last flush
+const stop = async () => {
+    if (!timer) return
+    clearInterval(timer)
+    timer = null
+    await flush()
+    client = null
+}
+
+module.exports = {
+    start,
+    stop,
+    flush,
+    getSession,
+    getOrCreateSession,
+    withContext,
+    saveContext,
+    assignUser
+}
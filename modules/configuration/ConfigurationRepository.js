@@ -0,0 +1,37 @@
+// Prisma access for configuration values, shared by every bot or set for one, and their change history
+const db = require('../../config/database')
+
+// The bot's own rows and the shared ones
+const findConfigurations = (botId) => db.prisma.configuration.findMany({ where: { OR: [{ botId }, { botId: null }] } })
+
+// botId null finds the shared row; compound unique lookups can't match a null column
+const findConfiguration = (botId, key, client = db.prisma) => client.configuration.findFirst({ where: { botId, key } })
+
+const createConfiguration = (data, client = db.prisma) => client.configuration.create({ data })
+
+const updateConfiguration = (id, data, client = db.prisma) => client.configuration.update({ where: { id }, data })
+
+const createChange = (data, client = db.prisma) => client.configurationChange.create({ data })
+
+// Changes to the bot's values and the shared ones, newest first
+const findChanges = async (botId, { key, page, limit }) => {
+    const where = { OR: [{ botId }, { botId: null }], ...(key && { key }) }
+    const [changes, total] = await Promise.all([
+        db.prisma.configurationChange.findMany({ where, orderBy: { createdAt: 'desc' }, ...db.helpers.paginate(page, limit) }),
+        db.prisma.configurationChange.count({ where })
+    ])
+    return { changes, total }
+}
+
+// Every bot, deactivated ones too, whose cached settings a shared change affects
+const findBotIds = async () => (await db.prisma.bot.findMany({ select: { id: true } })).map((bot) => bot.id)
+
+module.exports = {
+    findConfigurations,
+    findConfiguration,
+    createConfiguration,
+    updateConfiguration,
+    createChange,
+    findChanges,
+    findBotIds
+}
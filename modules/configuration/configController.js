@@ -0,0 +1,34 @@
+// Runtime configuration admin routes
+const express = require('express')
+const configService = require('./configService')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const { configurationParamsSchema, configurationUpdateSchema, configurationChangeQuerySchema } = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+// Every key with the value the bot uses and whether it is the bot's, shared or the default
+router.get('/', async (req, res) => {
+    const settings = await configService.listSettings(req.bot.id)
+    return formatter.success(res, settings)
+})
+
+// Audit trail of the bot's and the shared values, newest first; before /:key so it isn't read as a key
+router.get('/changes', validate(configurationChangeQuerySchema, 'query'), async (req, res) => {
+    const { changes, ...pagination } = await configService.listChanges(req.bot.id, req.validated.query)
+    return formatter.paginated(res, changes, pagination)
+})
+
+router.get('/:key', validate(configurationParamsSchema, 'params'), async (req, res) => {
+    const setting = await configService.getSetting(req.bot.id, req.validated.params.key)
+    return formatter.success(res, setting)
+})
+
+// Takes effect on every instance without a restart
+router.put('/:key', validate(configurationParamsSchema, 'params'), validate(configurationUpdateSchema), async (req, res) => {
+    const { value, shared } = req.validated.body
+    const setting = await configService.setValue(req.bot.id, req.validated.params.key, value, { shared, changedBy: req.auth })
+    return formatter.success(res, setting)
+})
+
+module.exports = router
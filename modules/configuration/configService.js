@@ -0,0 +1,226 @@
+// Runtime configuration: each bot's Configuration values, cached in Redis and reloaded on every instance when changed
+const db = require('../../config/database')
+const redis = require('../../config/redis')
+const logger = require('../../utils/logger')
+const configRepository = require('./ConfigurationRepository')
+const { features } = require('../../config/envConfig')
+const { DEFAULT_CONFIDENCE_THRESHOLD } = require('../../config/nlp')
+const { AppError } = require('../../middlewares/errorHandler')
+const { configurationValueSchemas } = require('../../utils/zodValidation')
+const { DEFAULT_FALLBACK_RESPONSE, AUTH_TYPES } = require('../../utils/constants')
+
+// Values of the keys neither the bot nor the shared configuration sets; feature flags keep their ENABLE_* variable
+const DEFAULTS = {
+    default_confidence_threshold: DEFAULT_CONFIDENCE_THRESHOLD,
+    max_context_messages: 10,
+    enable_sentiment_analysis: true,
+    fallback_responses: [DEFAULT_FALLBACK_RESPONSE],
+    supported_languages: [],
+    enable_analytics: features.analytics,
+    enable_rich_responses: features.richResponses,
+    enable_context_management: features.contextManagement
+}
+
+const SOURCES = {
+    BOT: 'bot',
+    SHARED: 'shared',
+    DEFAULT: 'default'
+}
+
+// Instances hear about changes at once over Redis; without it they reload at most this long after one
+const CONFIG_CACHE_TTL = 60 * 1000
+
+// The Redis copy only saves instances the database reads, the next change drops it anyway
+const REDIS_CACHE_TTL_MS = 10 * 60 * 1000
+
+// ioredis applies keyPrefix to keys only, channels need it spelled out
+const CHANNEL = `${redis.redisConfig.keyPrefix}config:changed`
+
+const local = new Map()
+let client = null
+let subscriber = null
+
+const cacheKey = (botId) => `config:settings:${botId}`
+
+// A stored value that no longer passes its schema is skipped, as if the row were missing
+const readValue = (row) => {
+    if (!row?.isActive) return undefined
+
+    const result = configurationValueSchemas[row.key].safeParse(row.value)
+    if (result.success) return result.data
+    logger.warn('Ignoring invalid configuration value', { key: row.key, botId: row.botId, issues: result.error.errors })
+    return undefined
+}
+
+// Each key from the bot's own row, else the shared one, else its default
+const describe = (rows, botId, key) => {
+    const own = rows.find((row) => row.key === key && row.botId === botId)
+    const shared = rows.find((row) => row.key === key && row.botId === null)
+
+    for (const [row, source] of [[own, SOURCES.BOT], [shared, SOURCES.SHARED]]) {
+        const value = readValue(row)
+        if (value !== undefined) return { key, value, source, description: row.description, updatedAt: row.updatedAt }
+    }
+    return { key, value: DEFAULTS[key], source: SOURCES.DEFAULT, description: shared?.description || null, updatedAt: null }
+}
+
+const describeAll = (rows, botId) => Object.keys(DEFAULTS).map((key) => describe(rows, botId, key))
+
+const readCached = async (botId) => {
+    if (!client) return null
+    try {
+        const cached = await client.get(cacheKey(botId))
+        return cached ? JSON.parse(cached) : null
+    } catch (error) {
+        logger.logError(error, { operation: 'config_cache_read', botId })
+        return null
+    }
+}
+
+const loadSettings = async (botId) => {
+    const rows = await configRepository.findConfigurations(botId)
+    const settings = Object.fromEntries(describeAll(rows, botId).map(({ key, value }) => [key, value]))
+
+    if (client) {
+        client.set(cacheKey(botId), JSON.stringify(settings), 'PX', REDIS_CACHE_TTL_MS)
+            .catch((error) => logger.logError(error, { operation: 'config_cache_write', botId }))
+    }
+    return settings
+}
+
+/**
+ * The bot's settings as `{ key: value }`, for every key in
+ * configurationValueSchemas. Read from this instance's cache, then from
+ * Redis, then from the database.
+ */
+const getSettings = async (botId) => {
+    const entry = local.get(botId)
+    if (entry && Date.now() - entry.loadedAt < CONFIG_CACHE_TTL) return entry.settings
+
+    const settings = await readCached(botId) || await loadSettings(botId)
+    local.set(botId, { settings, loadedAt: Date.now() })
+    return settings
+}
+
+const get = async (botId, key) => (await getSettings(botId))[key]
+
+// Drop the settings of the bot, or of every bot for a shared change, from the caches of every instance
+const invalidate = async (botId) => {
+    if (botId) local.delete(botId)
+    else local.clear()
+    if (!client) return
+
+    try {
+        const botIds = botId ? [botId] : await configRepository.findBotIds()
+        if (botIds.length > 0) await client.del(...botIds.map(cacheKey))
+        await client.publish(CHANNEL, JSON.stringify({ botId }))
+    } catch (error) {
+        logger.logError(error, { operation: 'config_invalidate', botId })
+    }
+}
+
+// Every key with the value the bot uses, where it comes from and when it last changed
+const listSettings = async (botId) => describeAll(await configRepository.findConfigurations(botId), botId)
+
+const getSetting = async (botId, key) => describe(await configRepository.findConfigurations(botId), botId, key)
+
+/**
+ * Set a key for the bot, or with `shared` for every bot that doesn't set
+ * it itself. Shared values reach every bot, so only signed-in admins may
+ * set them, not API keys, which belong to one bot. The value is checked
+ * against the key's schema, and stored with its audit entry in one
+ * transaction. Resolves the key as the bot now sees it.
+ */
+const setValue = async (botId, key, value, { shared = false, changedBy }) => {
+    if (shared && changedBy.type !== AUTH_TYPES.USER) {
+        logger.logSecurity('access_denied', { principal: changedBy.id, key, reason: 'api_key_shared_config' })
+        throw new AppError('API keys only change their own bot\'s settings', 403, 'FORBIDDEN')
+    }
+
+    const result = configurationValueSchemas[key].safeParse(value)
+    if (!result.success) throw new AppError(`Invalid value for ${key}`, 400, 'VALIDATION_ERROR', result.error.errors)
+
+    const scope = shared ? null : botId
+    await db.helpers.transaction(async (tx) => {
+        const current = await configRepository.findConfiguration(scope, key, tx)
+        if (current) {
+            await configRepository.updateConfiguration(current.id, { value: result.data, isActive: true }, tx)
+        } else {
+            await configRepository.createConfiguration({ botId: scope, key, value: result.data }, tx)
+        }
+        await configRepository.createChange({
+            botId: scope,
+            key,
+            ...(current?.isActive && { previousValue: current.value }),
+            value: result.data,
+            changedBy: changedBy.id
+        }, tx)
+    })
+
+    await invalidate(scope)
+    logger.info('Configuration changed', { key, botId: scope, by: changedBy.id })
+    return getSetting(botId, key)
+}
+
+const listChanges = async (botId, { page = 1, limit = 10, key } = {}) => {
+    const { changes, total } = await configRepository.findChanges(botId, { key, page, limit })
+    return { changes, total, page, limit }
+}
+
+/**
+ * Share cached settings between instances through Redis, and drop this
+ * instance's copy whenever another one changes a value. Without Redis
+ * each instance reloads its settings every CONFIG_CACHE_TTL.
+ */
+const start = async () => {
+    if (subscriber) return true
+
+    let connection = null
+    try {
+        const publisher = redis.createRedisClient()
+        if (publisher.status === 'wait') await publisher.connect()
+
+        // A subscribed connection can't run other commands, so it gets its own
+        connection = publisher.duplicate()
+        await connection.connect()
+        await connection.subscribe(CHANNEL)
+        connection.on('message', (channel, payload) => {
+            try {
+                const { botId } = JSON.parse(payload)
+                if (botId) local.delete(botId)
+                else local.clear()
+            } catch (error) {
+                logger.logError(error, { operation: 'config_change_receive' })
+            }
+        })
+
+        client = publisher
+        subscriber = connection
+        logger.info('Configuration cached in Redis')
+        return true
+    } catch (error) {
+        connection?.disconnect()
+        logger.warn('Redis unavailable, configuration is cached per instance', { error: error.message })
+        return false
+    }
+}
+
+const stop = async () => {
+    if (!subscriber) return
+    const connection = subscriber
+    subscriber = null
+    client = null
+    await connection.quit()
+}
+
+module.exports = {
+    DEFAULTS,
+    getSettings,
+    get,
+    listSettings,
+    getSetting,
+    setValue,
+    listChanges,
+    start,
+    stop
+}
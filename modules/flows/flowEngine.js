@@ -0,0 +1,253 @@
+// Conversation flow runtime
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const contextManager = require('../nlp/contextManager')
+const slotFilling = require('./slotFilling')
+const { FLOW_STEP_TYPES, FLOW_TARGETS, FLOW_STATUS, SLOT_MAX_REPROMPTS } = require('../../utils/constants')
+
+// Flows are authored as data, so cache them briefly instead of querying every turn
+const FLOW_CACHE_TTL = 60 * 1000
+
+// Guards against flows whose `next` pointers form a loop of non-ask steps
+const MAX_STEPS_PER_TURN = 20
+
+// Each bot's flows, by bot id
+const flowCache = new Map()
+
+const loadFlows = async (botId) => {
+    const cached = flowCache.get(botId)
+    if (cached && Date.now() - cached.loadedAt < FLOW_CACHE_TTL) return cached.flows
+
+    const flows = await db.prisma.conversationFlow.findMany({ where: { botId, isActive: true } })
+    flowCache.set(botId, { flows, loadedAt: Date.now() })
+    return flows
+}
+
+const invalidateFlows = (botId) => {
+    flowCache.delete(botId)
+}
+
+const getFlow = async (botId, name) => {
+    const flows = await loadFlows(botId)
+    return flows.find(flow => flow.name === name) || null
+}
+
+const getStep = (flow, stepId) => {
+    return (flow.steps || []).find(step => step.id === stepId) || null
+}
+
+// Every key in `context_conditions` must equal the value on the session context
+const matchesContextConditions = (conditions = {}, context) => {
+    return Object.entries(conditions).every(([key, expected]) => {
+        const actual = context[key] === undefined ? false : context[key]
+        return actual === expected
+    })
+}
+
+// Find the bot's first active flow triggered by an intent
+const findTriggeredFlow = async (botId, intent, context, excludeName = null) => {
+    const flows = await loadFlows(botId)
+
+    return flows.find(flow => {
+        if (flow.name === excludeName) return false
+        const conditions = flow.conditions || {}
+        const triggers = conditions.trigger_intents || []
+        return triggers.includes(intent) && matchesContextConditions(conditions.context_conditions, context)
+    }) || null
+}
+
+// Copy extracted entities into slots the flow cares about
+const fillSlots = (slots, names, entities) => {
+    const filled = { ...slots }
+    for (const name of names) {
+        if (filled[name] !== undefined) continue
+        const entity = entities.find(e => e.type === name)
+        if (entity) filled[name] = entity.value
+    }
+    return filled
+}
+
+// Every entity named anywhere in the flow, so a triggering message can pre-fill later steps
+const getFlowEntityNames = (flow) => {
+    const names = new Set((flow.conditions || {}).required_entities || [])
+    for (const step of flow.steps || []) {
+        for (const name of step.entities || []) names.add(name)
+    }
+    return [...names]
+}
+
+const getMissingSlots = (step, slots) => {
+    return (step.entities || []).filter(name => slots[name] === undefined)
+}
+
+const createFlowState = (flow, slots = {}) => ({
+    name: flow.name,
+    stepId: null,
+    slots,
+    startedAt: new Date().toISOString()
+})
+
+// Walk steps from `target` until the flow waits for input, ends or hands off
+const runSteps = async (flow, target, state, turn, initialStatus) => {
+    const messages = []
+    let currentFlow = flow
+    let currentState = state
+    let nextTarget = target
+    let status = initialStatus
+
+    for (let i = 0; i < MAX_STEPS_PER_TURN; i++) {
+        if (!nextTarget || nextTarget === FLOW_TARGETS.END) {
+            return { messages, state: null, status: FLOW_STATUS.COMPLETED, flow: currentFlow, slots: currentState.slots }
+        }
+
+        // Let the user's answer pick the next flow, otherwise end and answer normally
+        if (nextTarget === FLOW_TARGETS.ROUTE) {
+            const routed = await findTriggeredFlow(turn.botId, turn.intent, turn.context, currentFlow.name)
+            if (!routed) {
+                return { messages, state: null, status: FLOW_STATUS.ROUTED, flow: currentFlow, slots: currentState.slots }
+            }
+            nextTarget = `${FLOW_TARGETS.HANDOFF_PREFIX}${routed.name}`
+        }
+
+        if (nextTarget.startsWith(FLOW_TARGETS.HANDOFF_PREFIX)) {
+            const flowName = nextTarget.slice(FLOW_TARGETS.HANDOFF_PREFIX.length)
+            const handoffFlow = await getFlow(turn.botId, flowName)
+            if (!handoffFlow) {
+                logger.warn('Conversation flow handoff target not found', { from: currentFlow.name, to: flowName })
+                return { messages, state: null, status: FLOW_STATUS.COMPLETED, flow: currentFlow, slots: currentState.slots }
+            }
+
+            logger.info('Conversation flow handoff', { from: currentFlow.name, to: handoffFlow.name })
+            const slots = fillSlots(currentState.slots, getFlowEntityNames(handoffFlow), turn.entities)
+            currentFlow = handoffFlow
+            currentState = createFlowState(handoffFlow, slots)
+            status = FLOW_STATUS.HANDED_OFF
+            nextTarget = handoffFlow.steps?.[0]?.id
+            continue
+        }
+
+        const step = getStep(currentFlow, nextTarget)
+        if (!step) {
+            logger.warn('Conversation flow step not found', { flow: currentFlow.name, step: nextTarget })
+            return { messages, state: null, status: FLOW_STATUS.COMPLETED, flow: currentFlow, slots: currentState.slots }
+        }
+
+        switch (step.type) {
+            case FLOW_STEP_TYPES.ASK:
+                // Skip questions the user already answered
+                if (getMissingSlots(step, currentState.slots).length === 0) {
+                    nextTarget = step.next
+                    break
+                }
+                messages.push(step.message)
+                return {
+                    messages,
+                    state: { ...currentState, stepId: step.id, attempts: 0 },
+                    status,
+                    flow: currentFlow
+                }
+
+            case FLOW_STEP_TYPES.HANDOFF:
+                if (step.message) messages.push(step.message)
+                nextTarget = `${FLOW_TARGETS.HANDOFF_PREFIX}${step.flow}`
+                break
+
+            case FLOW_STEP_TYPES.RESPONSE:
+            default:
+                if (step.message) messages.push(step.message)
+                nextTarget = step.next
+        }
+    }
+
+    logger.warn('Conversation flow exceeded step limit', { flow: currentFlow.name, limit: MAX_STEPS_PER_TURN })
+    return { messages, state: null, status: FLOW_STATUS.COMPLETED, flow: currentFlow, slots: currentState.slots }
+}
+
+// Feed the user's reply into the step that is waiting for it
+const continueFlow = async (flow, state, turn) => {
+    const step = getStep(flow, state.stepId)
+    if (!step) {
+        return runSteps(flow, flow.steps?.[0]?.id, state, turn, FLOW_STATUS.WAITING)
+    }
+
+    const missing = getMissingSlots(step, state.slots)
+    const slots = { ...state.slots }
+
+    // Only a single open question may take the raw reply as a free-text answer
+    for (const name of missing) {
+        const resolved = await slotFilling.resolveSlot(name, turn, { allowFreeText: missing.length === 1 })
+        if (resolved.valid) slots[name] = resolved.value
+    }
+
+    if (getMissingSlots(step, slots).length > 0) {
+        const attempts = (state.attempts || 0) + 1
+        if (attempts > (step.max_attempts ?? SLOT_MAX_REPROMPTS)) {
+            logger.info('Conversation flow abandoned after re-prompts', { flow: flow.name, step: step.id, attempts })
+            return { messages: [], state: null, status: FLOW_STATUS.FAILED, flow, slots }
+        }
+
+        return {
+            messages: [step.reprompt || step.message],
+            state: { ...state, slots, attempts },
+            status: FLOW_STATUS.WAITING,
+            flow
+        }
+    }
+
+    return runSteps(flow, step.next, { ...state, slots, attempts: 0 }, turn, FLOW_STATUS.WAITING)
+}
+
+/**
+ * Run one user turn through the conversation flow engine.
+ * Returns `handled: false` when no flow is active or triggered, leaving the
+ * chat service to answer from the intent's responses.
+ */
+const handleTurn = async ({ botId, message, intent, entities = [], context }) => {
+    const turn = { botId, message, intent, entities, context }
+    const active = contextManager.getFlowState(context)
+    let result
+
+    if (active) {
+        const flow = await getFlow(botId, active.name)
+        if (!flow) {
+            logger.warn('Active conversation flow no longer exists', { flow: active.name })
+            return { handled: false, messages: [], context: contextManager.clearFlowState(context), flow: null }
+        }
+        result = await continueFlow(flow, active, turn)
+    } else {
+        const flow = await findTriggeredFlow(botId, intent, context)
+        if (!flow) {
+            return { handled: false, messages: [], context, flow: null }
+        }
+
+        logger.info('Conversation flow started', { flow: flow.name, intent })
+        const slots = fillSlots({}, getFlowEntityNames(flow), entities)
+        result = await runSteps(flow, flow.steps?.[0]?.id, createFlowState(flow, slots), turn, FLOW_STATUS.STARTED)
+    }
+
+    const nextContext = result.state
+        ? contextManager.setFlowState(context, result.state)
+        : contextManager.clearFlowState(context)
+    const waitingStep = result.state ? getStep(result.flow, result.state.stepId) : null
+
+    return {
+        handled: result.messages.length > 0,
+        messages: result.messages,
+        context: nextContext,
+        flow: {
+            name: result.flow.name,
+            step: result.state?.stepId || null,
+            status: result.status,
+            slots: result.state?.slots || result.slots || {},
+            // Slots the question the flow is waiting on asks for
+            awaiting: waitingStep ? getMissingSlots(waitingStep, result.state.slots) : []
+        }
+    }
+}
+
+module.exports = {
+    loadFlows,
+    invalidateFlows,
+    findTriggeredFlow,
+    handleTurn
+}
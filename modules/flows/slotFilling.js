@@ -0,0 +1,174 @@
+// Slot filling for intents that require entities
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const { entityTypes } = require('../../config/nlp')
+const entityExtraction = require('../nlp/entityExtraction')
+const { FALLBACK_INTENT, SLOT_MAX_REPROMPTS, SLOT_STATUS } = require('../../utils/constants')
+
+// Entity types that accept any answer when the entity has no enumerated values
+const FREE_TEXT_TYPES = ['text']
+
+const humanize = (name) => name.replace(/_/g, ' ')
+
+/**
+ * Slot definitions for an intent. Every name in `Intent.entities` is a slot;
+ * `Intent.slots` can override `required`, `prompt`, `reprompt` and
+ * `max_attempts` per slot.
+ */
+const getIntentSlots = async (botId, intentName) => {
+    const intent = await db.prisma.intent.findUnique({ where: { botId_name: { botId, name: intentName } } })
+    if (!intent?.isActive) return []
+
+    const overrides = intent.slots || {}
+
+    return intent.entities.map((name) => {
+        const slot = overrides[name] || {}
+        const prompt = slot.prompt || `Could you tell me the ${humanize(name)}?`
+
+        return {
+            name,
+            required: slot.required !== false,
+            prompt,
+            reprompt: slot.reprompt || prompt,
+            maxAttempts: slot.max_attempts ?? SLOT_MAX_REPROMPTS
+        }
+    })
+}
+
+/**
+ * Resolve a slot value from a user turn. Extracted entities win, then the
+ * entity's values and synonyms, then the `entityTypes` regex for its name or
+ * type. Free-text slots take the whole reply when `allowFreeText` is set.
+ */
+const resolveSlot = async (name, { botId, message, entities = [] }, { allowFreeText = false } = {}) => {
+    const extracted = entities.find(entity => entity.type === name)
+    if (extracted) return { valid: true, value: extracted.value }
+
+    const definition = await entityExtraction.getEntityDefinition(botId, name)
+
+    if (definition?.values?.length) {
+        const match = entityExtraction.matchEntityValue(definition, message)
+        return match ? { valid: true, value: match.value } : { valid: false }
+    }
+
+    const typed = entityExtraction.matchEntityType(name, message)
+        || (definition && entityExtraction.matchEntityType(definition.type, message))
+    if (typed) return { valid: true, value: typed.value }
+
+    // Typed entities (email, number, ...) must match their pattern, free text takes the reply
+    const isFreeText = definition ? FREE_TEXT_TYPES.includes(definition.type) : !entityTypes[name]
+
+    if (allowFreeText && isFreeText && message.trim()) {
+        return { valid: true, value: message.trim() }
+    }
+
+    return { valid: false }
+}
+
+const getSlotState = (context) => context.slot_filling || null
+
+const clearSlotState = (context) => {
+    const { slot_filling, ...rest } = context
+    return rest
+}
+
+const findMissingSlot = (slots, values) => {
+    return slots.find(slot => slot.required && values[slot.name] === undefined) || null
+}
+
+const promptForSlot = (context, state, slot, message) => ({
+    handled: true,
+    status: SLOT_STATUS.PROMPTING,
+    messages: [message],
+    intent: state.intent,
+    slots: state.values,
+    context: { ...context, slot_filling: state },
+    pending: slot.name
+})
+
+// The values go out with the turn's answer only; the next intent collects its own
+const finishSlotFilling = (context, status, intent, values) => ({
+    handled: false,
+    status,
+    messages: [],
+    intent,
+    slots: values,
+    context: clearSlotState(context),
+    pending: null
+})
+
+// Continue filling the slot the previous turn asked for
+const continueSlotFilling = async (state, turn) => {
+    const { context } = turn
+    const slots = await getIntentSlots(turn.botId, state.intent)
+    const slot = slots.find(s => s.name === state.pending)
+
+    if (!slot) {
+        return finishSlotFilling(context, SLOT_STATUS.ABANDONED, turn.intent, state.values)
+    }
+
+    const resolved = await resolveSlot(slot.name, turn, { allowFreeText: true })
+
+    if (!resolved.valid) {
+        // The user moved on to something else instead of answering
+        if (turn.intent !== FALLBACK_INTENT && turn.intent !== state.intent) {
+            logger.info('Slot filling abandoned', { intent: state.intent, slot: slot.name, newIntent: turn.intent })
+            return finishSlotFilling(context, SLOT_STATUS.ABANDONED, turn.intent, state.values)
+        }
+
+        const attempts = state.attempts + 1
+        if (attempts > slot.maxAttempts) {
+            logger.info('Slot filling failed', { intent: state.intent, slot: slot.name, attempts })
+            return finishSlotFilling(context, SLOT_STATUS.FAILED, FALLBACK_INTENT, state.values)
+        }
+
+        return promptForSlot(context, { ...state, attempts }, slot, slot.reprompt)
+    }
+
+    const values = { ...state.values, [slot.name]: resolved.value }
+    const next = findMissingSlot(slots, values)
+
+    if (next) {
+        return promptForSlot(context, { ...state, values, pending: next.name, attempts: 0 }, next, next.prompt)
+    }
+
+    return finishSlotFilling(context, SLOT_STATUS.COMPLETED, state.intent, values)
+}
+
+/**
+ * Run one user turn through slot filling. Returns `handled: true` with a
+ * prompt while required slots are missing; otherwise `intent` names the
+ * intent whose responses should answer the turn.
+ */
+const handleTurn = async ({ botId, message, intent, entities = [], context }) => {
+    const turn = { botId, message, intent, entities, context }
+    const active = getSlotState(context)
+
+    if (active) {
+        return continueSlotFilling(active, turn)
+    }
+
+    const slots = await getIntentSlots(botId, intent)
+    if (slots.length === 0) {
+        return finishSlotFilling(context, SLOT_STATUS.COMPLETED, intent, {})
+    }
+
+    const values = {}
+    for (const slot of slots) {
+        const resolved = await resolveSlot(slot.name, turn)
+        if (resolved.valid) values[slot.name] = resolved.value
+    }
+
+    const missing = findMissingSlot(slots, values)
+    if (!missing) {
+        return finishSlotFilling(context, SLOT_STATUS.COMPLETED, intent, values)
+    }
+
+    return promptForSlot(context, { intent, values, pending: missing.name, attempts: 0 }, missing, missing.prompt)
+}
+
+module.exports = {
+    getIntentSlots,
+    resolveSlot,
+    handleTurn
+}
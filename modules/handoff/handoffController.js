@@ -0,0 +1,44 @@
+// Human agent handoff routes
+const express = require('express')
+const handoffService = require('./handoffService')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const {
+    paginationSchema,
+    sessionParamsSchema,
+    agentMessageSchema,
+    handoffReleaseSchema
+} = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+// Sessions waiting for an agent
+router.get('/queue', validate(paginationSchema, 'query'), async (req, res) => {
+    const { sessions, ...pagination } = await handoffService.getQueue(req.bot.id, req.validated.query)
+    return formatter.paginated(res, sessions, pagination)
+})
+
+// Conversation transcript, oldest message first
+router.get('/sessions/:sessionId/messages', validate(sessionParamsSchema, 'params'), validate(paginationSchema, 'query'), async (req, res) => {
+    const { messages, session, ...pagination } = await handoffService.getTranscript(req.bot.id, req.validated.params.sessionId, req.validated.query)
+    return formatter.paginated(res, messages, pagination)
+})
+
+// The signed-in agent answers the session
+router.post('/sessions/:sessionId/claim', validate(sessionParamsSchema, 'params'), async (req, res) => {
+    const session = await handoffService.claimSession(req.bot.id, req.validated.params.sessionId, req.auth.id)
+    return formatter.success(res, session)
+})
+
+router.post('/sessions/:sessionId/messages', validate(sessionParamsSchema, 'params'), validate(agentMessageSchema), async (req, res) => {
+    const message = await handoffService.postAgentMessage(req.bot.id, req.validated.params.sessionId, { ...req.validated.body, agentId: req.auth.id })
+    return formatter.success(res, message, 201)
+})
+
+// Hand the conversation back to the bot
+router.post('/sessions/:sessionId/release', validate(sessionParamsSchema, 'params'), validate(handoffReleaseSchema), async (req, res) => {
+    const session = await handoffService.releaseSession(req.bot.id, req.validated.params.sessionId, { ...req.validated.body, agentId: req.auth.id })
+    return formatter.success(res, session)
+})
+
+module.exports = router
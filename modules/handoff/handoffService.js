@@ -0,0 +1,192 @@
+// Human agent handoff
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const contextManager = require('../nlp/contextManager')
+const conversationHistory = require('../chat/conversationHistory')
+const chatEvents = require('../chat/chatEvents')
+const sessionStore = require('../chat/sessionStore')
+const { AppError } = require('../../middlewares/errorHandler')
+const { MESSAGE_TYPES, ANALYTICS_EVENTS, HANDOFF_STATUS, HANDOFF_MESSAGES, STREAM_EVENTS } = require('../../utils/constants')
+
+// Fields agents see for a session
+const sessionSummary = (session) => ({
+    sessionId: session.sessionId,
+    userId: session.userId,
+    handoffStatus: session.handoffStatus,
+    handoffReason: session.handoffReason,
+    handoffRequestedAt: session.handoffRequestedAt,
+    escalatedAt: session.escalatedAt,
+    agentId: session.agentId,
+    lastMessage: session.messages?.[0] || null
+})
+
+const isAgentHandled = (session) => session.handoffStatus !== HANDOFF_STATUS.BOT
+
+// Agents reach a session only through the bot it belongs to
+const getSession = async (botId, sessionId) => {
+    const session = await db.prisma.session.findUnique({ where: { sessionId } })
+    if (!session || session.botId !== botId) throw new AppError(`Session ${sessionId} not found`, 404, 'NOT_FOUND')
+    return session
+}
+
+// Handoff history is an audit trail, so it is written with the session change whatever enable_analytics says
+const recordEvent = (tx, session, event, data) => {
+    return tx.analytics.create({ data: { botId: session.botId, sessionId: session.id, event, data } })
+}
+
+// What clients following the session receive for a transcript message
+const toStreamMessage = (message) => ({
+    id: message.id,
+    type: message.type,
+    content: message.content,
+    agentId: message.metadata?.agent_id || null,
+    createdAt: message.createdAt
+})
+
+// Save a system notice and tell the session's clients the handoff state changed
+const announce = async (session, content, metadata = {}) => {
+    const message = await conversationHistory.saveMessage({
+        sessionId: session.id,
+        userId: session.userId,
+        content,
+        type: MESSAGE_TYPES.SYSTEM,
+        metadata
+    })
+
+    await chatEvents.publish(session.sessionId, STREAM_EVENTS.SYSTEM, toStreamMessage(message))
+    await chatEvents.publish(session.sessionId, STREAM_EVENTS.HANDOFF, {
+        status: metadata.handoff,
+        agentId: metadata.handoff === HANDOFF_STATUS.AGENT ? metadata.agent_id : null
+    })
+    return message
+}
+
+/**
+ * Put a bot-handled session in the agent queue. The bot stops replying
+ * from here on; sessions already queued or with an agent are left as they are.
+ */
+const requestHandoff = async (session, { reason }) => {
+    if (isAgentHandled(session)) return session
+
+    const updated = await db.helpers.transaction(async (tx) => {
+        await recordEvent(tx, session, ANALYTICS_EVENTS.HANDOFF_REQUESTED, { sessionId: session.sessionId, reason })
+        return tx.session.update({
+            where: { id: session.id },
+            data: { handoffStatus: HANDOFF_STATUS.QUEUED, handoffReason: reason, handoffRequestedAt: new Date() }
+        })
+    })
+
+    await announce(session, HANDOFF_MESSAGES.QUEUED, { handoff: HANDOFF_STATUS.QUEUED, reason })
+    logger.info('Session queued for a human agent', { sessionId: session.sessionId, reason })
+    return updated
+}
+
+// The bot's waiting sessions, escalated ones first, then by how long they have waited
+const getQueue = async (botId, { page = 1, limit = 10 } = {}) => {
+    const where = { botId, handoffStatus: HANDOFF_STATUS.QUEUED }
+    const [sessions, total] = await Promise.all([
+        db.prisma.session.findMany({
+            where,
+            orderBy: [{ escalatedAt: { sort: 'asc', nulls: 'last' } }, { handoffRequestedAt: 'asc' }],
+            include: { messages: { orderBy: { createdAt: 'desc' }, take: 1 } },
+            ...db.helpers.paginate(page, limit)
+        }),
+        db.prisma.session.count({ where })
+    ])
+
+    return { sessions: sessions.map(sessionSummary), total, page, limit }
+}
+
+// Take a queued session; only one agent can win the claim
+const claimSession = async (botId, sessionId, agentId) => {
+    const session = await getSession(botId, sessionId)
+
+    const claimed = await db.helpers.transaction(async (tx) => {
+        const { count } = await tx.session.updateMany({
+            where: { id: session.id, handoffStatus: HANDOFF_STATUS.QUEUED },
+            data: { handoffStatus: HANDOFF_STATUS.AGENT, agentId }
+        })
+        if (count === 0) return null
+
+        await recordEvent(tx, session, ANALYTICS_EVENTS.HANDOFF_CLAIMED, {
+            sessionId,
+            agentId,
+            waitMs: session.handoffRequestedAt ? Date.now() - session.handoffRequestedAt.getTime() : null
+        })
+        return tx.session.findUnique({ where: { id: session.id } })
+    })
+
+    if (!claimed) {
+        throw new AppError(`Session ${sessionId} is not waiting for an agent`, 409, 'SESSION_NOT_QUEUED')
+    }
+
+    await announce(session, HANDOFF_MESSAGES.CLAIMED, { handoff: HANDOFF_STATUS.AGENT, agent_id: agentId })
+    logger.info('Session claimed by agent', { sessionId, agentId })
+    return sessionSummary(claimed)
+}
+
+const getAgentSession = async (botId, sessionId, agentId) => {
+    const session = await getSession(botId, sessionId)
+
+    if (session.handoffStatus !== HANDOFF_STATUS.AGENT) {
+        throw new AppError(`Session ${sessionId} is not handled by an agent`, 409, 'SESSION_NOT_CLAIMED')
+    }
+    if (session.agentId !== agentId) {
+        throw new AppError(`Session ${sessionId} is handled by another agent`, 403, 'FORBIDDEN')
+    }
+
+    return session
+}
+
+// Post an agent reply or a system notice into the conversation
+const postAgentMessage = async (botId, sessionId, { agentId, content, type = MESSAGE_TYPES.AGENT }) => {
+    const session = await getAgentSession(botId, sessionId, agentId)
+
+    const message = await conversationHistory.saveMessage({
+        sessionId: session.id,
+        content,
+        type,
+        metadata: { agent_id: agentId }
+    })
+
+    const event = type === MESSAGE_TYPES.AGENT ? STREAM_EVENTS.AGENT_MESSAGE : STREAM_EVENTS.SYSTEM
+    await chatEvents.publish(sessionId, event, toStreamMessage(message))
+    return message
+}
+
+// Hand the session back to the bot with a clean conversation state
+const releaseSession = async (botId, sessionId, { agentId, note }) => {
+    const session = await sessionStore.withContext(await getAgentSession(botId, sessionId, agentId))
+    // Open questions, the sentiment streak and its escalation belong to the conversation the agent took over
+    const context = contextManager.clearExpectation(contextManager.clearFlowState(contextManager.getContext(session)))
+    const { slot_filling, sentiment, ...cleared } = context
+
+    const released = await db.helpers.transaction(async (tx) => {
+        await recordEvent(tx, session, ANALYTICS_EVENTS.HANDOFF_RELEASED, { sessionId, agentId, note })
+        return tx.session.update({
+            where: { id: session.id },
+            data: { handoffStatus: HANDOFF_STATUS.BOT, agentId: null, escalatedAt: null }
+        })
+    })
+    await sessionStore.saveContext(released, cleared)
+
+    await announce(session, HANDOFF_MESSAGES.RELEASED, { handoff: HANDOFF_STATUS.BOT, agent_id: agentId })
+    logger.info('Session handed back to the bot', { sessionId, agentId })
+    return sessionSummary(released)
+}
+
+const getTranscript = async (botId, sessionId, pagination) => {
+    const session = await getSession(botId, sessionId)
+    const transcript = await conversationHistory.listMessages(session.id, pagination)
+    return { session: sessionSummary(session), ...transcript }
+}
+
+module.exports = {
+    isAgentHandled,
+    requestHandoff,
+    getQueue,
+    claimSession,
+    postAgentMessage,
+    releaseSession,
+    getTranscript
+}
@@ -0,0 +1,115 @@
+// Prisma access for a bot's intents, their examples and entities; pass a transaction client to join one
+const db = require('../../config/database')
+
+// Highest priority first, the order in which ties between intents are settled
+const INTENT_ORDER = [{ priority: 'desc' }, { name: 'asc' }]
+
+const STATUS_FILTERS = {
+    active: { isActive: true },
+    inactive: { isActive: false },
+    all: {}
+}
+
+const intentFilter = ({ q, status = 'active' }) => ({
+    ...STATUS_FILTERS[status],
+    ...(q && {
+        OR: [
+            { name: { contains: q, mode: 'insensitive' } },
+            { description: { contains: q, mode: 'insensitive' } },
+            { examples: { some: { text: { contains: q, mode: 'insensitive' } } } }
+        ]
+    })
+})
+
+const entityFilter = ({ q, status = 'active' }) => ({
+    ...STATUS_FILTERS[status],
+    ...(q && { OR: [{ name: { contains: q, mode: 'insensitive' } }, { values: { has: q } }] })
+})
+
+const findIntents = async (botId, { q, status, page, limit }) => {
+    const where = { botId, ...intentFilter({ q, status }) }
+    const [intents, total] = await Promise.all([
+        db.prisma.intent.findMany({
+            where,
+            orderBy: INTENT_ORDER,
+            include: { _count: { select: { examples: true } } },
+            ...db.helpers.paginate(page, limit)
+        }),
+        db.prisma.intent.count({ where })
+    ])
+    return { intents, total }
+}
+
+// Active intents with their examples, as training and exports see them
+const findAllIntents = (botId, client = db.prisma) => client.intent.findMany({
+    where: { botId, isActive: true },
+    orderBy: INTENT_ORDER,
+    include: { examples: { orderBy: [{ language: 'asc' }, { text: 'asc' }] } }
+})
+
+const findIntentByName = (botId, name, { withExamples = false } = {}, client = db.prisma) => client.intent.findUnique({
+    where: { botId_name: { botId, name } },
+    ...(withExamples && { include: { examples: true } })
+})
+
+const findIntentsByName = (botId, names, { withExamples = false } = {}, client = db.prisma) => client.intent.findMany({
+    where: { botId, name: { in: names } },
+    ...(withExamples && { include: { examples: true } })
+})
+
+const createIntent = (data, client = db.prisma) => client.intent.create({ data })
+
+const updateIntent = (id, data, client = db.prisma) => client.intent.update({ where: { id }, data })
+
+const findExamples = async (intentId, { language, page, limit }) => {
+    const where = { intentId, ...(language && { language }) }
+    const [examples, total] = await Promise.all([
+        db.prisma.intentExample.findMany({ where, orderBy: { text: 'asc' }, ...db.helpers.paginate(page, limit) }),
+        db.prisma.intentExample.count({ where })
+    ])
+    return { examples, total }
+}
+
+const createExamples = (examples, client = db.prisma) => client.intentExample.createMany({ data: examples })
+
+const deleteExample = (intentId, id, client = db.prisma) => client.intentExample.deleteMany({ where: { id, intentId } })
+
+const deleteExamplesOf = (intentIds, client = db.prisma) => client.intentExample.deleteMany({ where: { intentId: { in: intentIds } } })
+
+const findEntities = async (botId, { q, status, page, limit }) => {
+    const where = { botId, ...entityFilter({ q, status }) }
+    const [entities, total] = await Promise.all([
+        db.prisma.entity.findMany({ where, orderBy: { name: 'asc' }, ...db.helpers.paginate(page, limit) }),
+        db.prisma.entity.count({ where })
+    ])
+    return { entities, total }
+}
+
+const findAllEntities = (botId, client = db.prisma) => client.entity.findMany({ where: { botId, isActive: true }, orderBy: { name: 'asc' } })
+
+const findEntityByName = (botId, name, client = db.prisma) => client.entity.findUnique({ where: { botId_name: { botId, name } } })
+
+const findEntitiesByName = (botId, names, client = db.prisma) => client.entity.findMany({ where: { botId, name: { in: names } } })
+
+const createEntity = (data, client = db.prisma) => client.entity.create({ data })
+
+const updateEntity = (id, data, client = db.prisma) => client.entity.update({ where: { id }, data })
+
+module.exports = {
+    findIntents,
+    findAllIntents,
+    findIntentByName,
+    findIntentsByName,
+    createIntent,
+    updateIntent,
+    findExamples,
+    createExamples,
+    deleteExample,
+    deleteExamplesOf,
+    findEntities,
+    findAllEntities,
+    findEntityByName,
+    findEntitiesByName,
+    createEntity,
+    updateEntity
+}
@@ -0,0 +1,132 @@
+// Intent, example and entity admin routes
+const express = require('express')
+const intentService = require('./intentService')
+const intentLinter = require('../nlp/intentLinter')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const { INTENT_FILE_FORMATS } = require('../../utils/constants')
+const {
+    intentSchema,
+    intentUpdateSchema,
+    intentQuerySchema,
+    intentParamsSchema,
+    intentLintQuerySchema,
+    intentPrioritySchema,
+    intentExamplesSchema,
+    intentExampleQuerySchema,
+    intentExampleParamsSchema,
+    entitySchema,
+    entityUpdateSchema,
+    entityQuerySchema,
+    entityParamsSchema,
+    intentExportQuerySchema,
+    intentImportQuerySchema
+} = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+const DOWNLOADS = {
+    [INTENT_FILE_FORMATS.JSON]: { type: 'application/json', filename: 'training.json' },
+    [INTENT_FILE_FORMATS.CSV]: { type: 'text/csv', filename: 'intents.csv' },
+    [INTENT_FILE_FORMATS.RASA]: { type: 'application/yaml', filename: 'nlu.yml' }
+}
+
+// CSV and YAML files are posted as the request body; JSON ones go through the app's JSON parser
+const readTextFile = express.text({ type: ['text/*', 'application/yaml', 'application/x-yaml'], limit: '5mb' })
+
+router.get('/', validate(intentQuerySchema, 'query'), async (req, res) => {
+    const { intents, ...pagination } = await intentService.listIntents(req.bot.id, req.validated.query)
+    return formatter.paginated(res, intents, pagination)
+})
+
+router.post('/', validate(intentSchema), async (req, res) => {
+    const intent = await intentService.createIntent(req.bot.id, req.validated.body)
+    return formatter.success(res, intent, 201)
+})
+
+// Fixed paths come before /:name so they aren't read as intent names
+router.get('/export', validate(intentExportQuerySchema, 'query'), async (req, res) => {
+    const { format, language } = req.validated.query
+    const content = await intentService.exportFile(req.bot.id, format, { language })
+    const { type, filename } = DOWNLOADS[format]
+
+    res.attachment(filename).type(type)
+    return format === INTENT_FILE_FORMATS.JSON ? res.json(content) : res.send(content)
+})
+
+// ?format=json|csv|rasa&mode=merge|replace, with the file as the body
+router.post('/import', readTextFile, validate(intentImportQuerySchema, 'query'), async (req, res) => {
+    const { format, mode, language } = req.validated.query
+    const result = await intentService.importFile(req.bot.id, format, req.body, { mode, language })
+    return formatter.success(res, result, 201)
+})
+
+// Duplicate and near-duplicate utterances across intents, and intents with too few, as checked before training
+router.get('/lint', validate(intentLintQuerySchema, 'query'), async (req, res) => {
+    const report = await intentLinter.lintTrainingData(req.bot.id, req.validated.query)
+    return formatter.success(res, report)
+})
+
+// Rank intents from the first listed down; the others keep their priority
+router.put('/priorities', validate(intentPrioritySchema), async (req, res) => {
+    const ranking = await intentService.setPriorities(req.bot.id, req.validated.body.intents)
+    return formatter.success(res, ranking)
+})
+
+router.get('/entities', validate(entityQuerySchema, 'query'), async (req, res) => {
+    const { entities, ...pagination } = await intentService.listEntities(req.bot.id, req.validated.query)
+    return formatter.paginated(res, entities, pagination)
+})
+
+router.post('/entities', validate(entitySchema), async (req, res) => {
+    const entity = await intentService.createEntity(req.bot.id, req.validated.body)
+    return formatter.success(res, entity, 201)
+})
+
+router.get('/entities/:name', validate(entityParamsSchema, 'params'), async (req, res) => {
+    const entity = await intentService.getEntity(req.bot.id, req.validated.params.name)
+    return formatter.success(res, entity)
+})
+
+router.patch('/entities/:name', validate(entityParamsSchema, 'params'), validate(entityUpdateSchema), async (req, res) => {
+    const entity = await intentService.updateEntity(req.bot.id, req.validated.params.name, req.validated.body)
+    return formatter.success(res, entity)
+})
+
+router.delete('/entities/:name', validate(entityParamsSchema, 'params'), async (req, res) => {
+    await intentService.deleteEntity(req.bot.id, req.validated.params.name)
+    return res.status(204).end()
+})
+
+router.get('/:name', validate(intentParamsSchema, 'params'), async (req, res) => {
+    const intent = await intentService.getIntent(req.bot.id, req.validated.params.name)
+    return formatter.success(res, intent)
+})
+
+router.patch('/:name', validate(intentParamsSchema, 'params'), validate(intentUpdateSchema), async (req, res) => {
+    const intent = await intentService.updateIntent(req.bot.id, req.validated.params.name, req.validated.body)
+    return formatter.success(res, intent)
+})
+
+router.delete('/:name', validate(intentParamsSchema, 'params'), async (req, res) => {
+    await intentService.deleteIntent(req.bot.id, req.validated.params.name)
+    return res.status(204).end()
+})
+
+router.get('/:name/examples', validate(intentParamsSchema, 'params'), validate(intentExampleQuerySchema, 'query'), async (req, res) => {
+    const { examples, ...pagination } = await intentService.listExamples(req.bot.id, req.validated.params.name, req.validated.query)
+    return formatter.paginated(res, examples, pagination)
+})
+
+router.post('/:name/examples', validate(intentParamsSchema, 'params'), validate(intentExamplesSchema), async (req, res) => {
+    const result = await intentService.addExamples(req.bot.id, req.validated.params.name, req.validated.body.examples)
+    return formatter.success(res, result, 201)
+})
+
+router.delete('/:name/examples/:exampleId', validate(intentExampleParamsSchema, 'params'), async (req, res) => {
+    const { name, exampleId } = req.validated.params
+    await intentService.deleteExample(req.bot.id, name, exampleId)
+    return res.status(204).end()
+})
+
+module.exports = router
@@ -0,0 +1,365 @@
+// Conversions between stored intents and entities and the files they're imported from and exported to
+const YAML = require('yaml')
+const { env } = require('../../config/envConfig')
+const { normalizeText } = require('../../utils/nlpUtils')
+const { AppError } = require('../../middlewares/errorHandler')
+const { trainingFilesSchema } = require('../../utils/zodValidation')
+const { INTENT_FILE_FORMATS } = require('../../utils/constants')
+
+/*
+ * Files are read into, and written from, a bundle of
+ *   { intents: [{ name, ...fields, examples: [{ text, language, entities }] }],
+ *     entities: [{ name, type, values, synonyms }] }
+ * which the import validates as a whole before touching the database.
+ */
+
+const RASA_VERSION = '3.1'
+const CSV_COLUMNS = ['intent', 'text', 'language']
+
+// Intent fields carried by JSON exports besides the utterances
+const EXPORTED_FIELDS = ['description', 'priority', 'responses', 'entities', 'slots', 'variants', 'richResponses', 'fulfillment']
+
+const invalidFile = (message, details) => new AppError(message, 400, 'INVALID_IMPORT', details)
+
+/**
+ * Every utterance of an intent: `patterns` in NLP_LANGUAGE, translated
+ * patterns and examples, once per language and normalized text. Catch-all
+ * patterns such as the fallback's '*' are left out.
+ */
+const utterancesOf = (intent) => {
+    const utterances = [
+        ...intent.patterns.map((text) => ({ text, language: env.NLP_LANGUAGE, entities: [] })),
+        ...Object.entries(intent.translations || {}).flatMap(([language, translation]) => (translation.patterns || [])
+            .map((text) => ({ text, language, entities: [] }))),
+        ...(intent.examples || []).map(({ text, language, entities }) => ({ text, language: language || env.NLP_LANGUAGE, entities: entities || [] }))
+    ]
+
+    const seen = new Set()
+    return utterances.filter(({ text, language }) => {
+        const key = `${language}:${normalizeText(text)}`
+        if (text.trim() === '*' || seen.has(key)) return false
+        seen.add(key)
+        return true
+    })
+}
+
+// Group utterances' texts by language
+const textsByLanguage = (utterances) => utterances.reduce((groups, { text, language }) => {
+    groups[language] = [...(groups[language] || []), text]
+    return groups
+}, {})
+
+// training/*.json
+
+/**
+ * Utterances in NLP_LANGUAGE go to `utterances`, those in other languages
+ * into the intent's translated `patterns`, which trains them the same way.
+ */
+const toTrainingFiles = ({ intents, entities }) => {
+    const files = { intents: [], utterances: {}, entities: [] }
+
+    for (const intent of intents) {
+        const { [env.NLP_LANGUAGE]: utterances = [], ...translated } = textsByLanguage(utterancesOf(intent))
+        const translations = { ...intent.translations }
+        for (const [language, texts] of Object.entries(translated)) {
+            translations[language] = { ...translations[language], patterns: texts }
+        }
+
+        const fields = Object.fromEntries(EXPORTED_FIELDS
+            .filter((field) => intent[field] !== null && intent[field] !== undefined)
+            .map((field) => [field, intent[field]]))
+
+        files.intents.push({ name: intent.name, language: env.NLP_LANGUAGE, ...fields, translations })
+        files.utterances[intent.name] = utterances
+    }
+
+    // One named entity option per value, listing the texts that resolve to it
+    files.entities = entities.flatMap((entity) => entity.values.map((value) => ({
+        name: entity.name,
+        type: entity.type,
+        option: value,
+        texts: [...new Set([value, ...((entity.synonyms || {})[value] || [])])]
+    })))
+
+    return files
+}
+
+// Responses of intents declared in another language belong to that language's translation
+const fromTrainingIntent = ({ name, language = env.NLP_LANGUAGE, responses, ...fields }) => {
+    if (!responses) return { ...fields, name }
+    if (language === env.NLP_LANGUAGE) return { ...fields, name, responses }
+
+    const translations = fields.translations || {}
+    return { ...fields, name, translations: { ...translations, [language]: { ...translations[language], responses } } }
+}
+
+const fromTrainingFiles = (document) => {
+    const result = trainingFilesSchema.safeParse(document)
+    if (!result.success) throw invalidFile('The file does not match the training files layout', result.error.errors)
+
+    const { intents, utterances, entities } = result.data
+    const declared = new Map(intents.map((intent) => [intent.name, intent]))
+    const names = [...new Set([...declared.keys(), ...Object.keys(utterances)])]
+
+    const options = new Map()
+    for (const { name, type, option, texts } of entities) {
+        if (!options.has(name)) options.set(name, { name, ...(type && { type }), values: [], synonyms: {} })
+        const entity = options.get(name)
+        entity.values.push(option)
+        const synonyms = texts.filter((text) => text !== option)
+        if (synonyms.length > 0) entity.synonyms[option] = synonyms
+    }
+
+    return {
+        intents: names.map((name) => {
+            const intent = declared.get(name) || { name }
+            const language = intent.language || env.NLP_LANGUAGE
+            return {
+                ...fromTrainingIntent(intent),
+                examples: (utterances[name] || []).map((text) => ({ text, language }))
+            }
+        }),
+        entities: [...options.values()]
+    }
+}
+
+// CSV
+
+// Spreadsheets run cells starting with these as formulas; exports prefix them with ' and imports drop it
+const FORMULA_START = /^[=+\-@\t\r]/
+
+const escapeFormula = (value) => (FORMULA_START.test(value) ? `'${value}` : value)
+
+const unescapeFormula = (value) => (value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value)
+
+const csvField = (raw) => {
+    const value = escapeFormula(raw)
+    return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+}
+
+const toCsv = ({ intents }) => {
+    const rows = intents.flatMap((intent) => utterancesOf(intent).map(({ text, language }) => [intent.name, text, language]))
+    return [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+// RFC 4180 rows: quoted fields may hold commas, doubled quotes and line breaks
+const parseCsvRows = (text) => {
+    const rows = []
+    let row = []
+    let field = ''
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                field += char
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true
+        } else if (char === ',') {
+            row.push(field)
+            field = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++
+            rows.push([...row, field])
+            row = []
+            field = ''
+        } else {
+            field += char
+        }
+    }
+
+    if (quoted) throw invalidFile('The CSV file ends inside a quoted field')
+    if (field !== '' || row.length > 0) rows.push([...row, field])
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''))
+}
+
+// Rows without a language column, or with it empty, are in `language`
+const fromCsv = (text, { language }) => {
+    const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''))
+    const columns = header.map((name) => name.trim().toLowerCase())
+    const [intentColumn, textColumn, languageColumn] = CSV_COLUMNS.map((name) => columns.indexOf(name))
+    if (intentColumn === -1 || textColumn === -1) throw invalidFile('The CSV file needs a header row with intent and text columns')
+
+    const intents = new Map()
+    for (const cells of rows) {
+        const name = (cells[intentColumn] || '').trim()
+        if (!intents.has(name)) intents.set(name, { name, examples: [] })
+        intents.get(name).examples.push({
+            text: unescapeFormula(cells[textColumn] || ''),
+            language: (languageColumn !== -1 && cells[languageColumn]?.trim()) || language
+        })
+    }
+
+    return { intents: [...intents.values()], entities: [] }
+}
+
+// Rasa NLU YAML
+
+// [text](entity), [text](entity:value) and [text]{"entity": "...", "value": "..."}
+const ANNOTATION_PATTERN = /\[([^\]]+)\](?:\(([^)]+)\)|(\{[^}]*\}))/g
+
+const readAnnotation = (match) => {
+    if (match[2]) {
+        const [entity, value] = match[2].split(':').map((part) => part.trim())
+        return { entity, value }
+    }
+    try {
+        const { entity, value } = JSON.parse(match[3])
+        return typeof entity === 'string' ? { entity, value: typeof value === 'string' ? value : undefined } : null
+    } catch {
+        return null
+    }
+}
+
+// Strip annotations from an example, recording where each entity lies in the plain text
+const parseAnnotatedExample = (line) => {
+    let text = ''
+    let cursor = 0
+    const entities = []
+
+    for (const match of line.matchAll(ANNOTATION_PATTERN)) {
+        const annotation = readAnnotation(match)
+        text += line.slice(cursor, match.index)
+        cursor = match.index + match[0].length
+
+        if (!annotation) {
+            text += match[0]
+            continue
+        }
+        const start = text.length
+        text += match[1]
+        entities.push({
+            entity: annotation.entity,
+            ...(annotation.value && annotation.value !== match[1] && { value: annotation.value }),
+            start,
+            end: text.length
+        })
+    }
+
+    return { text: text + line.slice(cursor), entities }
+}
+
+const annotate = ({ text, entities }) => [...entities]
+    .sort((a, b) => b.start - a.start)
+    .reduce((annotated, { entity, value, start, end }) => {
+        const label = value ? JSON.stringify({ entity, value }) : `(${entity})`
+        const mention = `[${annotated.slice(start, end)}]${label}`
+        return annotated.slice(0, start) + mention + annotated.slice(end)
+    }, text)
+
+// Rasa lists examples as "- " lines inside a block string
+const exampleLines = (examples) => (typeof examples === 'string' ? examples.split('\n') : [])
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith('- '))
+    .map((line) => line.slice(2).trim())
+    .filter(Boolean)
+
+const exampleBlock = (lines) => lines.map((line) => `- ${line.replace(/\s*\n\s*/g, ' ')}\n`).join('')
+
+/**
+ * Intents carry their examples in `language`; lookup tables become entity
+ * values and synonyms attach to the entity holding their value. Values
+ * annotated in examples are added to their entity too. Sections we have
+ * no use for, such as regexes, and synonyms of unknown values come back
+ * in `warnings`.
+ */
+const fromRasa = (text, { language }) => {
+    let document
+    try {
+        document = YAML.parse(text)
+    } catch (error) {
+        throw invalidFile(`The YAML file could not be read: ${error.message.split('\n')[0]}`)
+    }
+    if (!Array.isArray(document?.nlu)) throw invalidFile('Rasa NLU files need an nlu list')
+
+    const intents = new Map()
+    const entities = new Map()
+    const synonyms = []
+    const warnings = []
+
+    const addValue = (name, value) => {
+        if (!entities.has(name)) entities.set(name, { name, values: [], synonyms: {} })
+        const entity = entities.get(name)
+        if (!entity.values.includes(value)) entity.values.push(value)
+    }
+
+    for (const item of document.nlu) {
+        if (item?.intent) {
+            if (!intents.has(item.intent)) intents.set(item.intent, { name: item.intent, examples: [] })
+            for (const line of exampleLines(item.examples)) {
+                const example = parseAnnotatedExample(line)
+                for (const { entity, value, start, end } of example.entities) addValue(entity, value || example.text.slice(start, end))
+                intents.get(item.intent).examples.push({ ...example, language })
+            }
+        } else if (item?.lookup) {
+            for (const value of exampleLines(item.examples)) addValue(item.lookup, value)
+        } else if (item?.synonym) {
+            synonyms.push({ value: String(item.synonym), texts: exampleLines(item.examples) })
+        } else {
+            warnings.push(`Skipped an nlu item without intent, lookup or synonym: ${Object.keys(item || {}).join(', ') || 'empty'}`)
+        }
+    }
+
+    for (const { value, texts } of synonyms) {
+        const entity = [...entities.values()].find((candidate) => candidate.values.includes(value))
+        if (!entity) {
+            warnings.push(`Synonym "${value}" is not a value of any entity in the file`)
+            continue
+        }
+        entity.synonyms[value] = [...new Set([...(entity.synonyms[value] || []), ...texts])]
+    }
+
+    return { intents: [...intents.values()], entities: [...entities.values()], warnings }
+}
+
+const toRasa = ({ intents, entities }, { language }) => {
+    const nlu = [
+        ...intents
+            .map((intent) => ({ intent: intent.name, utterances: utterancesOf(intent).filter((utterance) => utterance.language === language) }))
+            .filter(({ utterances }) => utterances.length > 0)
+            .map(({ intent, utterances }) => ({ intent, examples: exampleBlock(utterances.map(annotate)) })),
+        ...entities
+            .filter((entity) => entity.values.length > 0)
+            .map((entity) => ({ lookup: entity.name, examples: exampleBlock(entity.values) })),
+        ...entities.flatMap((entity) => Object.entries(entity.synonyms || {})
+            .filter(([, texts]) => texts.length > 0)
+            .map(([value, texts]) => ({ synonym: value, examples: exampleBlock(texts) })))
+    ]
+
+    return YAML.stringify({ version: RASA_VERSION, nlu }, { blockQuote: 'literal' })
+}
+
+const EXPORTERS = {
+    [INTENT_FILE_FORMATS.JSON]: toTrainingFiles,
+    [INTENT_FILE_FORMATS.CSV]: toCsv,
+    [INTENT_FILE_FORMATS.RASA]: toRasa
+}
+
+const IMPORTERS = {
+    [INTENT_FILE_FORMATS.JSON]: fromTrainingFiles,
+    [INTENT_FILE_FORMATS.CSV]: fromCsv,
+    [INTENT_FILE_FORMATS.RASA]: fromRasa
+}
+
+// JSON files arrive parsed, CSV and YAML as text
+const parseFile = (format, content, { language = env.NLP_LANGUAGE } = {}) => {
+    if (format !== INTENT_FILE_FORMATS.JSON && (typeof content !== 'string' || !content.trim())) {
+        throw invalidFile('Send the file as the request body, with a text/csv or application/yaml content type')
+    }
+    return { warnings: [], ...IMPORTERS[format](content, { language }) }
+}
+
+const serialize = (format, bundle, { language = env.NLP_LANGUAGE } = {}) => EXPORTERS[format](bundle, { language })
+
+module.exports = {
+    utterancesOf,
+    parseFile,
+    serialize
+}
@@ -0,0 +1,286 @@
+// Intent, example and entity administration, with bulk import and export
+const { Prisma } = require('@prisma/client')
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const intentRepository = require('./IntentRepository')
+const intentFormats = require('./intentFormats')
+const modelManager = require('../nlp/modelManager')
+const { invalidateEntityDefinitions } = require('../nlp/entityExtraction')
+const { invalidateIntentPriorities } = require('../nlp/intentRecognition')
+const { env } = require('../../config/envConfig')
+const { normalizeText } = require('../../utils/nlpUtils')
+const { AppError } = require('../../middlewares/errorHandler')
+const { intentImportSchema } = require('../../utils/zodValidation')
+
+// Imports write many rows, more than Prisma's default 5s allows for
+const IMPORT_TRANSACTION_TIMEOUT_MS = 60 * 1000
+
+// Changing these changes what the model learns
+const TRAINING_FIELDS = ['patterns', 'responses', 'translations', 'isActive']
+
+const intentNotFound = (name) => new AppError(`Intent ${name} not found`, 404, 'NOT_FOUND')
+
+const entityNotFound = (name) => new AppError(`Entity ${name} not found`, 404, 'NOT_FOUND')
+
+// Prisma clears a nullable JSON column with DbNull rather than null
+const toIntentData = ({ fulfillment, ...fields }) => ({
+    ...fields,
+    ...(fulfillment !== undefined && { fulfillment: fulfillment ?? Prisma.DbNull })
+})
+
+const utteranceKey = (language, text) => `${language}:${normalizeText(text)}`
+
+// Examples the intent has neither as a pattern nor as an example, each once
+const newExamples = (intent, examples) => {
+    const known = new Set(intentFormats.utterancesOf(intent).map(({ language, text }) => utteranceKey(language, text)))
+
+    return examples.flatMap(({ text, language = env.NLP_LANGUAGE, entities = [] }) => {
+        const key = utteranceKey(language, text)
+        if (known.has(key)) return []
+        known.add(key)
+        return [{ intentId: intent.id, text, language, entities }]
+    })
+}
+
+const listIntents = async (botId, { page = 1, limit = 10, q, status } = {}) => {
+    const { intents, total } = await intentRepository.findIntents(botId, { q, status, page, limit })
+
+    return {
+        intents: intents.map(({ _count, ...intent }) => ({ ...intent, exampleCount: _count.examples })),
+        total,
+        page,
+        limit
+    }
+}
+
+// Deactivated intents are found too, so they can be reviewed and restored
+const getIntent = async (botId, name) => {
+    const intent = await intentRepository.findIntentByName(botId, name)
+    if (!intent) throw intentNotFound(name)
+    return intent
+}
+
+const createIntent = async (botId, intent) => {
+    const created = await intentRepository.createIntent({ botId, ...toIntentData(intent) })
+    logger.info('Intent created', { botId, intent: created.name })
+    invalidateIntentPriorities(botId)
+    modelManager.scheduleRetrain(botId, 'intent_created')
+    return created
+}
+
+const updateIntent = async (botId, name, changes) => {
+    const intent = await getIntent(botId, name)
+    const updated = await intentRepository.updateIntent(intent.id, toIntentData(changes))
+    invalidateIntentPriorities(botId)
+    if (TRAINING_FIELDS.some((field) => field in changes)) modelManager.scheduleRetrain(botId, 'intent_updated')
+    return updated
+}
+
+// Deactivated intents are no longer trained or answered; setting isActive again restores them
+const deleteIntent = async (botId, name) => {
+    const intent = await getIntent(botId, name)
+    if (!intent.isActive) throw intentNotFound(name)
+
+    await intentRepository.updateIntent(intent.id, { isActive: false })
+    logger.info('Intent deactivated', { botId, intent: name })
+    invalidateIntentPriorities(botId)
+    modelManager.scheduleRetrain(botId, 'intent_deleted')
+}
+
+/**
+ * Rank intents in the order given: the first gets the highest priority,
+ * down to 1 for the last. Intents left out keep their priority.
+ */
+const setPriorities = async (botId, names) => {
+    const intents = await intentRepository.findIntentsByName(botId, names)
+    const ids = new Map(intents.map((intent) => [intent.name, intent.id]))
+    const missing = names.filter((name) => !ids.has(name))
+    if (missing.length > 0) throw new AppError(`Intents not found: ${missing.join(', ')}`, 404, 'NOT_FOUND', { missing })
+
+    const ranking = names.map((name, index) => ({ name, priority: names.length - index }))
+    await db.helpers.transaction((tx) => Promise.all(ranking.map(({ name, priority }) => intentRepository.updateIntent(ids.get(name), { priority }, tx))))
+    invalidateIntentPriorities(botId)
+    return ranking
+}
+
+const listExamples = async (botId, name, { page = 1, limit = 10, language } = {}) => {
+    const intent = await getIntent(botId, name)
+    const { examples, total } = await intentRepository.findExamples(intent.id, { language, page, limit })
+    return { examples, total, page, limit }
+}
+
+const addExamples = async (botId, name, examples) => {
+    const intent = await intentRepository.findIntentByName(botId, name, { withExamples: true })
+    if (!intent?.isActive) throw intentNotFound(name)
+
+    const data = newExamples(intent, examples)
+    if (data.length > 0) {
+        await intentRepository.createExamples(data)
+        modelManager.scheduleRetrain(botId, 'examples_added')
+    }
+    return { added: data.length, skipped: examples.length - data.length }
+}
+
+const deleteExample = async (botId, name, exampleId) => {
+    const intent = await getIntent(botId, name)
+    const { count } = await intentRepository.deleteExample(intent.id, exampleId)
+    if (count === 0) throw new AppError(`Example ${exampleId} not found`, 404, 'NOT_FOUND')
+    modelManager.scheduleRetrain(botId, 'example_deleted')
+}
+
+// Synonyms belong to one of the entity's values
+const checkSynonyms = ({ name, values = [], synonyms = {} }) => {
+    const unknown = Object.keys(synonyms).filter((value) => !values.includes(value))
+    if (unknown.length > 0) {
+        throw new AppError(`Entity ${name} has synonyms for values it doesn't list: ${unknown.join(', ')}`, 400, 'VALIDATION_ERROR', { values: unknown })
+    }
+}
+
+const entitiesChanged = (botId, reason) => {
+    invalidateEntityDefinitions(botId)
+    modelManager.scheduleRetrain(botId, reason)
+}
+
+const listEntities = async (botId, { page = 1, limit = 10, q, status } = {}) => {
+    const { entities, total } = await intentRepository.findEntities(botId, { q, status, page, limit })
+    return { entities, total, page, limit }
+}
+
+const getEntity = async (botId, name) => {
+    const entity = await intentRepository.findEntityByName(botId, name)
+    if (!entity) throw entityNotFound(name)
+    return entity
+}
+
+const createEntity = async (botId, { type = 'text', values = [], synonyms = {}, ...entity }) => {
+    checkSynonyms({ ...entity, values, synonyms })
+    const created = await intentRepository.createEntity({ botId, ...entity, type, values, synonyms })
+    entitiesChanged(botId, 'entity_created')
+    return created
+}
+
+const updateEntity = async (botId, name, changes) => {
+    const entity = await getEntity(botId, name)
+    checkSynonyms({ ...entity, ...changes })
+
+    const updated = await intentRepository.updateEntity(entity.id, changes)
+    entitiesChanged(botId, 'entity_updated')
+    return updated
+}
+
+const deleteEntity = async (botId, name) => {
+    const entity = await getEntity(botId, name)
+    if (!entity.isActive) throw entityNotFound(name)
+
+    await intentRepository.updateEntity(entity.id, { isActive: false })
+    entitiesChanged(botId, 'entity_deleted')
+}
+
+const mergeSynonyms = (current = {}, added = {}) => {
+    const merged = { ...current }
+    for (const [value, texts] of Object.entries(added)) merged[value] = [...new Set([...(merged[value] || []), ...texts])]
+    return merged
+}
+
+// Entities in a file add their values and synonyms to those already stored
+const importEntities = async (botId, entities, tx) => {
+    const existing = new Map((await intentRepository.findEntitiesByName(botId, entities.map((entity) => entity.name), tx))
+        .map((entity) => [entity.name, entity]))
+    const counts = { created: 0, updated: 0 }
+
+    for (const { name, type, values = [], synonyms = {} } of entities) {
+        const current = existing.get(name)
+        const merged = {
+            values: [...new Set([...(current?.values || []), ...values])],
+            synonyms: mergeSynonyms(current?.synonyms, synonyms)
+        }
+        checkSynonyms({ name, ...merged })
+
+        if (current) {
+            await intentRepository.updateEntity(current.id, { ...merged, ...(type && { type }), isActive: true }, tx)
+            counts.updated++
+        } else {
+            await intentRepository.createEntity({ botId, name, type: type || 'text', ...merged }, tx)
+            counts.created++
+        }
+    }
+    return counts
+}
+
+// Intents in a file are created, or updated with the fields it gives and reactivated
+const importIntents = async (botId, intents, { mode }, tx) => {
+    const existing = new Map((await intentRepository.findIntentsByName(botId, intents.map((intent) => intent.name), { withExamples: true }, tx))
+        .map((intent) => [intent.name, intent]))
+    const counts = { created: 0, updated: 0 }
+    const examples = []
+
+    if (mode === 'replace') {
+        const replaced = intents.filter((intent) => existing.has(intent.name)).map((intent) => existing.get(intent.name).id)
+        if (replaced.length > 0) await intentRepository.deleteExamplesOf(replaced, tx)
+    }
+
+    for (const { name, examples: fileExamples, ...fields } of intents) {
+        const current = existing.get(name)
+        const intent = current
+            ? await intentRepository.updateIntent(current.id, toIntentData({ isActive: true, ...fields }), tx)
+            : await intentRepository.createIntent({ botId, ...toIntentData({ name, ...fields }) }, tx)
+        counts[current ? 'updated' : 'created']++
+
+        const kept = current && mode !== 'replace' ? current.examples : []
+        examples.push(...newExamples({ ...intent, examples: kept }, fileExamples))
+    }
+
+    if (examples.length > 0) await intentRepository.createExamples(examples, tx)
+    return { counts, examplesAdded: examples.length }
+}
+
+/**
+ * Read an intents file and apply it in one transaction: entities and
+ * intents are matched by name, created or merged, and the intents get the
+ * file's examples they don't have yet. In `replace` mode the file's
+ * examples replace those of the intents it lists. Nothing is written
+ * unless the whole file is valid.
+ */
+const importFile = async (botId, format, content, { mode = 'merge', language } = {}) => {
+    const { warnings, ...parsed } = intentFormats.parseFile(format, content, { language })
+    const result = intentImportSchema.safeParse(parsed)
+    if (!result.success) throw new AppError('Import validation failed', 400, 'VALIDATION_ERROR', result.error.errors)
+
+    const { intents, entities } = result.data
+    const summary = await db.helpers.transaction(async (tx) => {
+        const entityCounts = await importEntities(botId, entities, tx)
+        const { counts, examplesAdded } = await importIntents(botId, intents, { mode }, tx)
+        return { intents: counts, entities: entityCounts, examplesAdded }
+    }, { timeout: IMPORT_TRANSACTION_TIMEOUT_MS })
+
+    logger.info('Intents imported', { botId, format, mode, ...summary })
+    invalidateIntentPriorities(botId)
+    if (entities.length > 0) invalidateEntityDefinitions(botId)
+    modelManager.scheduleRetrain(botId, 'intent_import')
+    return { ...summary, warnings }
+}
+
+// Active intents and entities in the given format; Rasa files hold the one `language`
+const exportFile = async (botId, format, { language } = {}) => {
+    const [intents, entities] = await Promise.all([intentRepository.findAllIntents(botId), intentRepository.findAllEntities(botId)])
+    return intentFormats.serialize(format, { intents, entities }, { language })
+}
+
+module.exports = {
+    listIntents,
+    getIntent,
+    createIntent,
+    updateIntent,
+    deleteIntent,
+    setPriorities,
+    listExamples,
+    addExamples,
+    deleteExample,
+    listEntities,
+    getEntity,
+    createEntity,
+    updateEntity,
+    deleteEntity,
+    importFile,
+    exportFile
+}
@@ -0,0 +1,49 @@
+// Knowledge base admin routes, for the bot of the request
+const express = require('express')
+const knowledgeService = require('./knowledgeService')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const {
+    knowledgeEntrySchema,
+    knowledgeImportSchema,
+    knowledgeQuerySchema,
+    knowledgeSearchSchema,
+    knowledgeParamsSchema
+} = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+router.get('/', validate(knowledgeQuerySchema, 'query'), async (req, res) => {
+    const { entries, ...pagination } = await knowledgeService.listEntries(req.bot.id, req.validated.query)
+    return formatter.paginated(res, entries, pagination)
+})
+
+// Try a question against the index, with relevance scores, before users ask it
+router.get('/search', validate(knowledgeSearchSchema, 'query'), async (req, res) => {
+    const { q, language } = req.validated.query
+    const results = await knowledgeService.search(req.bot.id, q, { language, limit: 10 })
+    return formatter.success(res, results)
+})
+
+router.get('/:id', validate(knowledgeParamsSchema, 'params'), async (req, res) => {
+    const entry = await knowledgeService.getEntry(req.bot.id, req.validated.params.id)
+    return formatter.success(res, entry)
+})
+
+// Add an FAQ entry ({ type: 'FAQ', question, answer }) or a document ({ type: 'DOCUMENT', title, content })
+router.post('/', validate(knowledgeEntrySchema), async (req, res) => {
+    const entry = await knowledgeService.createEntry(req.bot.id, req.validated.body)
+    return formatter.success(res, entry, 201)
+})
+
+router.post('/import', validate(knowledgeImportSchema), async (req, res) => {
+    const result = await knowledgeService.importEntries(req.bot.id, req.validated.body.entries)
+    return formatter.success(res, result, 201)
+})
+
+router.delete('/:id', validate(knowledgeParamsSchema, 'params'), async (req, res) => {
+    await knowledgeService.deleteEntry(req.bot.id, req.validated.params.id)
+    return res.status(204).end()
+})
+
+module.exports = router
@@ -0,0 +1,116 @@
+// In-memory BM25 index over knowledge base passages
+const { analyzeTerms } = require('../../utils/nlpUtils')
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2
+const B = 0.75
+
+// Documents are answered a passage at a time
+const PASSAGE_MAX_WORDS = 120
+
+const wordCount = (text) => text.split(/\s+/).filter(Boolean).length
+
+// Group sentences or paragraphs into chunks of at most PASSAGE_MAX_WORDS words
+const groupByLength = (parts, separator) => {
+    const groups = []
+    for (const part of parts) {
+        const last = groups[groups.length - 1]
+        if (last && wordCount(last) + wordCount(part) <= PASSAGE_MAX_WORDS) {
+            groups[groups.length - 1] = `${last}${separator}${part}`
+        } else {
+            groups.push(part)
+        }
+    }
+    return groups
+}
+
+const splitPassages = (content) => {
+    const paragraphs = content.split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean)
+    const parts = paragraphs.flatMap((paragraph) => wordCount(paragraph) <= PASSAGE_MAX_WORDS
+        ? [paragraph]
+        : groupByLength(paragraph.split(/(?<=[.!?])\s+/), ' '))
+    return groupByLength(parts, '\n\n')
+}
+
+// FAQ entries are one passage, matched on the question twice as strongly as on the answer
+const toPassages = (entry) => {
+    const language = entry.language
+    const base = { entryId: entry.id, type: entry.type, title: entry.title, source: entry.source, language }
+
+    if (entry.type === 'FAQ') {
+        const questionTerms = analyzeTerms(entry.title, language)
+        return [{ ...base, text: entry.content, terms: [...questionTerms, ...questionTerms, ...analyzeTerms(entry.content, language)] }]
+    }
+
+    const titleTerms = analyzeTerms(entry.title, language)
+    return splitPassages(entry.content).map((text) => ({ ...base, text, terms: [...titleTerms, ...analyzeTerms(text, language)] }))
+}
+
+const countTerms = (terms) => terms.reduce((counts, term) => counts.set(term, (counts.get(term) || 0) + 1), new Map())
+
+/**
+ * Index active entries, one BM25 collection per language so document
+ * frequencies aren't skewed by other languages' vocabularies.
+ */
+const buildIndex = (entries) => {
+    const collections = new Map()
+
+    for (const passage of entries.flatMap(toPassages)) {
+        if (passage.terms.length === 0) continue
+        if (!collections.has(passage.language)) collections.set(passage.language, { passages: [], df: new Map(), totalLength: 0 })
+
+        const collection = collections.get(passage.language)
+        const tf = countTerms(passage.terms)
+        collection.passages.push({ ...passage, tf, length: passage.terms.length })
+        collection.totalLength += passage.terms.length
+        for (const term of tf.keys()) collection.df.set(term, (collection.df.get(term) || 0) + 1)
+    }
+
+    for (const collection of collections.values()) {
+        collection.averageLength = collection.totalLength / collection.passages.length
+    }
+
+    return { collections, entryCount: entries.length }
+}
+
+const idf = (collection, term) => {
+    const df = collection.df.get(term) || 0
+    const count = collection.passages.length
+    return Math.log(1 + (count - df + 0.5) / (df + 0.5))
+}
+
+/**
+ * Rank passages for a query. `relevance` is the BM25 score divided by the
+ * best score any passage could reach for the query, so it lies between 0
+ * and 1 and query words missing from the passage pull it down.
+ */
+const search = (index, query, { language, limit = 3 } = {}) => {
+    const collection = index.collections.get(language)
+    const queryTerms = [...new Set(analyzeTerms(query, language))]
+    if (!collection || queryTerms.length === 0) return []
+
+    const weights = new Map(queryTerms.map((term) => [term, idf(collection, term)]))
+    const ceiling = [...weights.values()].reduce((sum, weight) => sum + weight * (K1 + 1), 0)
+
+    return collection.passages
+        .map((passage) => {
+            let score = 0
+            for (const [term, weight] of weights) {
+                const tf = passage.tf.get(term) || 0
+                if (tf === 0) continue
+                const norm = K1 * (1 - B + B * passage.length / collection.averageLength)
+                score += weight * (tf * (K1 + 1)) / (tf + norm)
+            }
+            return { passage, score, relevance: ceiling > 0 ? Math.min(1, score / ceiling) : 0 }
+        })
+        .filter((result) => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage: { tf, terms, ...passage }, score, relevance }) => ({ ...passage, score, relevance }))
+}
+
+module.exports = {
+    splitPassages,
+    buildIndex,
+    search
+}
@@ -0,0 +1,151 @@
+// Knowledge base: each bot's FAQ and document storage, and question answering over them
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const knowledgeIndex = require('./knowledgeIndex')
+const richResponses = require('../chat/richResponses')
+const { knowledgeBase } = require('../../config/envConfig')
+const { AppError } = require('../../middlewares/errorHandler')
+const { KNOWLEDGE_SOURCE_LABELS } = require('../../utils/constants')
+
+// Index of each bot's entries, by bot id; rebuilt when they change, on this instance or, within KB_REFRESH_INTERVAL_MS, on another one
+const indexes = new Map()
+
+const stateOf = (botId) => {
+    if (!indexes.has(botId)) indexes.set(botId, { index: null, fingerprint: null, checkedAt: 0, building: null })
+    return indexes.get(botId)
+}
+
+const invalidateIndex = (botId) => {
+    stateOf(botId).checkedAt = 0
+}
+
+const getFingerprint = async (botId) => {
+    const { _count, _max } = await db.prisma.knowledgeEntry.aggregate({
+        where: { botId, isActive: true },
+        _count: { _all: true },
+        _max: { updatedAt: true }
+    })
+    return `${_count._all}:${_max.updatedAt?.getTime() || 0}`
+}
+
+const rebuild = async (botId, fingerprint) => {
+    const startTime = Date.now()
+    const entries = await db.prisma.knowledgeEntry.findMany({ where: { botId, isActive: true } })
+    const index = knowledgeIndex.buildIndex(entries)
+
+    Object.assign(stateOf(botId), { index, fingerprint, checkedAt: Date.now() })
+    logger.logPerformance('knowledge_index_build', Date.now() - startTime, { botId, entries: entries.length })
+    return index
+}
+
+const getIndex = async (botId) => {
+    const state = stateOf(botId)
+    if (state.index && Date.now() - state.checkedAt < knowledgeBase.refreshIntervalMs) return state.index
+
+    // Concurrent questions share one fingerprint check and rebuild
+    if (!state.building) {
+        state.building = (async () => {
+            const fingerprint = await getFingerprint(botId)
+            if (state.index && fingerprint === state.fingerprint) {
+                state.checkedAt = Date.now()
+                return state.index
+            }
+            return rebuild(botId, fingerprint)
+        })().finally(() => {
+            state.building = null
+        })
+    }
+    return state.building
+}
+
+const search = async (botId, query, { language, limit } = {}) => {
+    return knowledgeIndex.search(await getIndex(botId), query, { language, limit })
+}
+
+const isUrl = (source) => /^https?:\/\//i.test(source || '')
+
+/**
+ * Answer a message from the best matching passage, quoting where it comes
+ * from. Resolves to null when nothing reaches KB_MIN_RELEVANCE, so the
+ * caller can fall through to its usual responses.
+ */
+const answer = async (botId, message, { language, rich = false }) => {
+    let best
+    try {
+        [best] = await search(botId, message, { language, limit: 1 })
+    } catch (error) {
+        logger.logError(error, { operation: 'knowledge_answer', botId })
+        return null
+    }
+    if (!best || best.relevance < knowledgeBase.minRelevance) return null
+
+    const label = KNOWLEDGE_SOURCE_LABELS[language] || KNOWLEDGE_SOURCE_LABELS.en
+    const reference = best.source && best.source !== best.title ? `${best.title} (${best.source})` : best.title
+    const text = `${best.text}\n\n${label}: ${reference}`
+    const sourceBlock = isUrl(best.source)
+        ? { type: 'card', title: best.title, url: best.source, buttons: [] }
+        : richResponses.textBlock(`${label}: ${reference}`)
+
+    return {
+        text,
+        blocks: rich ? [richResponses.textBlock(best.text), sourceBlock] : null,
+        variant: null,
+        knowledge: { entryId: best.entryId, title: best.title, source: best.source, relevance: best.relevance }
+    }
+}
+
+// API entries carry question/answer or title/content, stored as title/content
+const toRecord = (botId, entry) => ({
+    botId,
+    type: entry.type,
+    title: entry.type === 'FAQ' ? entry.question : entry.title,
+    content: entry.type === 'FAQ' ? entry.answer : entry.content,
+    source: entry.source,
+    language: entry.language
+})
+
+const listEntries = async (botId, { page = 1, limit = 10, type, language } = {}) => {
+    const where = { botId, isActive: true, ...(type && { type }), ...(language && { language }) }
+    const [entries, total] = await Promise.all([
+        db.prisma.knowledgeEntry.findMany({ where, orderBy: { createdAt: 'desc' }, ...db.helpers.paginate(page, limit) }),
+        db.prisma.knowledgeEntry.count({ where })
+    ])
+
+    return { entries, total, page, limit }
+}
+
+// Another bot's entry is answered as not found
+const getEntry = async (botId, id) => {
+    const entry = await db.prisma.knowledgeEntry.findUnique({ where: { id } })
+    if (!entry?.isActive || entry.botId !== botId) throw new AppError(`Knowledge entry ${id} not found`, 404, 'NOT_FOUND')
+    return entry
+}
+
+const createEntry = async (botId, entry) => {
+    const created = await db.prisma.knowledgeEntry.create({ data: toRecord(botId, entry) })
+    invalidateIndex(botId)
+    return created
+}
+
+const importEntries = async (botId, entries) => {
+    const { count } = await db.helpers.transaction((tx) => tx.knowledgeEntry.createMany({ data: entries.map((entry) => toRecord(botId, entry)) }))
+    invalidateIndex(botId)
+    logger.info('Knowledge entries imported', { botId, count })
+    return { imported: count }
+}
+
+const deleteEntry = async (botId, id) => {
+    await getEntry(botId, id)
+    await db.prisma.knowledgeEntry.update({ where: { id }, data: { isActive: false } })
+    invalidateIndex(botId)
+}
+
+module.exports = {
+    search,
+    answer,
+    listEntries,
+    getEntry,
+    createEntry,
+    importEntries,
+    deleteEntry
+}
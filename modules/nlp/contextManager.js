@@ -0,0 +1,180 @@
+// Conversation context management
+const { wordPattern } = require('../../utils/nlpUtils')
+
+// Turns of history considered when the caller doesn't pass the bot's `max_context_messages`
+const INTENT_HISTORY_LIMIT = 10
+
+// Score added to classifier candidates that continue the conversation
+const CONTEXT_BOOST = {
+    pending: 0.15,
+    recent: 0.1
+}
+
+const YES_PATTERN = /^(?:yes|yeah|yep|yup|sure|ok|okay|of course|absolutely|definitely|correct|right|please do|sounds good|go ahead)(?:[\s,]+(?:please|thanks|thank you))?[\s.!]*$/i
+const NO_PATTERN = /^(?:no|nope|nah|not really|not now|no thanks|no thank you|never mind|nevermind)[\s.!]*$/i
+
+// Questions the user can answer with a bare yes or no
+const YES_NO_QUESTION = /^(?:do|does|did|would|will|shall|should|can|could|is|are|was|were|have|has|may)\b[^?]*\?$/i
+
+const ORDINALS = {
+    first: 1,
+    second: 2,
+    third: 3,
+    fourth: 4,
+    fifth: 5,
+    sixth: 6,
+    seventh: 7,
+    eighth: 8,
+    ninth: 9,
+    tenth: 10,
+    last: -1
+}
+const CHOICE_PATTERN = new RegExp(
+    `^(?:(?:i(?:'ll| will)?|let's)\\s+(?:take|choose|pick|want|go with)\\s+)?(?:the\\s+)?` +
+    `(?:(${Object.keys(ORDINALS).join('|')})|(\\d+)(?:st|nd|rd|th)?|(?:option|number|choice|#)\\s*(\\d+))` +
+    '(?:\\s+(?:one|option|choice))?(?:[\\s,]+please)?[\\s.!]*$',
+    'i'
+)
+
+// Read the session context as a fresh object so callers never mutate the row
+const getContext = (session) => {
+    const context = session?.context
+    if (!context || typeof context !== 'object' || Array.isArray(context)) return {}
+    return JSON.parse(JSON.stringify(context))
+}
+
+// Active conversation flow state
+const getFlowState = (context) => context.flow || null
+
+const setFlowState = (context, state) => ({ ...context, flow: state })
+
+const clearFlowState = (context) => {
+    const { flow, ...rest } = context
+    return rest
+}
+
+/**
+ * What the bot's last reply asked for: a `confirmation` (yes/no question) or
+ * a `choice` between the entity values it listed, tied to the intent and
+ * slot the question belongs to.
+ */
+const getExpectation = (context) => context.expecting || null
+
+const setExpectation = (context, expectation) => {
+    if (!expectation) return clearExpectation(context)
+    return { ...context, expecting: expectation }
+}
+
+const clearExpectation = (context) => {
+    const { expecting, ...rest } = context
+    return rest
+}
+
+const lastSentence = (text) => text.trim().split(/(?<=[.!?])\s+/).pop() || ''
+
+// Values of the slot's entity named in the reply, in the order they were offered
+const findOfferedOptions = (text, values = []) => {
+    return values
+        .map(value => ({ value, index: text.search(wordPattern(value)) }))
+        .filter(option => option.index >= 0)
+        .sort((a, b) => a.index - b.index)
+        .map(option => option.value)
+}
+
+const buildExpectation = (reply, { intent, slot = null, values = [] }) => {
+    const options = findOfferedOptions(reply, values)
+    if (options.length > 1) return { type: 'choice', intent, slot, options }
+    if (YES_NO_QUESTION.test(lastSentence(reply))) return { type: 'confirmation', intent, slot }
+    return null
+}
+
+// Read a bare "yes", "no" or "the second one" against the expectation
+const interpretReply = (text, expectation) => {
+    if (!expectation) return null
+    const reply = text.trim()
+
+    if (expectation.type === 'confirmation') {
+        if (YES_PATTERN.test(reply)) return { type: 'confirmation', value: 'yes' }
+        if (NO_PATTERN.test(reply)) return { type: 'confirmation', value: 'no' }
+        return null
+    }
+
+    const match = CHOICE_PATTERN.exec(reply)
+    if (!match) return null
+
+    const options = expectation.options || []
+    const position = match[1] ? ORDINALS[match[1].toLowerCase()] : Number(match[2] || match[3])
+    const index = position === -1 ? options.length - 1 : position - 1
+    if (index < 0 || index >= options.length) return null
+
+    return { type: 'choice', value: options[index], index }
+}
+
+// The interpreted reply as an entity, typed after the slot it answers
+const toContextEntity = (text, reply, expectation) => {
+    const answer = text.trim()
+    const start = text.indexOf(answer)
+
+    return {
+        type: expectation.slot || reply.type,
+        value: reply.value,
+        text: answer,
+        start,
+        end: start + answer.length,
+        source: 'context',
+        confidence: 1
+    }
+}
+
+/**
+ * Re-rank classifier candidates with the conversation so far: the intent an
+ * open question or slot belongs to gets the largest boost, intents
+ * from the last `historyLimit` turns a smaller one that fades with age.
+ */
+const rerankIntents = (classifications, context, { historyLimit = INTENT_HISTORY_LIMIT } = {}) => {
+    const pending = new Set([getExpectation(context)?.intent, context.slot_filling?.intent].filter(Boolean))
+    const history = (context.intent_history || []).slice(-historyLimit).reverse()
+
+    return classifications
+        .filter(candidate => candidate.intent !== 'None' && candidate.score > 0)
+        .map((candidate) => {
+            const age = history.indexOf(candidate.intent)
+            const recent = age >= 0 ? CONTEXT_BOOST.recent * (1 - age / historyLimit) : 0
+            const boost = pending.has(candidate.intent) ? CONTEXT_BOOST.pending : recent
+            return { intent: candidate.intent, score: Math.min(1, candidate.score + boost), baseScore: candidate.score }
+        })
+        .sort((a, b) => b.score - a.score)
+}
+
+// Record the outcome of a user turn, with the response variant the reply used if any
+const recordTurn = (context, { intent, entities = [], language, historyLimit = INTENT_HISTORY_LIMIT, response }) => {
+    const intentHistory = [...(context.intent_history || []), intent].slice(-historyLimit)
+    const lastVariants = response?.variant
+        ? { ...context.last_variants, [response.intent]: response.variant }
+        : context.last_variants
+
+    return {
+        ...context,
+        ...(language && { language }),
+        ...(lastVariants && { last_variants: lastVariants }),
+        last_intent: intent,
+        last_entities: entities.map(({ type, value }) => ({ type, value })),
+        intent_history: intentHistory,
+        is_new_session: false
+    }
+}
+
+module.exports = {
+    getContext,
+    getFlowState,
+    setFlowState,
+    clearFlowState,
+    getExpectation,
+    setExpectation,
+    clearExpectation,
+    buildExpectation,
+    interpretReply,
+    toContextEntity,
+    rerankIntents,
+    recordTurn
+}
@@ -0,0 +1,420 @@
+// Relative date and time resolution in the session's timezone
+const { env } = require('../../config/envConfig')
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)'
+
+const NUMBER_WORDS = {
+    'a couple of': 2,
+    'a few': 3,
+    'half an': 0.5,
+    'half a': 0.5,
+    a: 1,
+    an: 1,
+    one: 1,
+    two: 2,
+    three: 3,
+    four: 4,
+    five: 5,
+    six: 6,
+    seven: 7,
+    eight: 8,
+    nine: 9,
+    ten: 10,
+    eleven: 11,
+    twelve: 12,
+    fifteen: 15,
+    twenty: 20,
+    thirty: 30,
+    'forty-five': 45
+}
+const NUMBER_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`
+const UNIT_PATTERN = '(minute|min|hour|hr|day|week|month|year)s?'
+
+// Parts of the day as [start hour, end hour)
+const DAY_PARTS = {
+    morning: [6, 12],
+    afternoon: [12, 18],
+    evening: [18, 24]
+}
+
+// Words allowed between a day and a time that belong to one expression, e.g. "tuesday at 3pm"
+const JOINER = /^[\s,]*(?:at|on|around|by)?\s*$/i
+
+// Resolved expressions rank just above the builtin NER, which finds the same spans without our timezone
+const CONFIDENCE = 0.97
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+        return true
+    } catch {
+        return false
+    }
+}
+
+const formatters = new Map()
+
+const getFormatter = (timezone) => {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }))
+    }
+    return formatters.get(timezone)
+}
+
+/**
+ * Calendar math runs on "wall clock" dates: Date objects whose UTC fields
+ * hold the local time in the session's timezone, so adding a day never
+ * trips over a DST change. They are turned back into instants when
+ * formatted.
+ */
+const toWallClock = (instant, timezone) => {
+    const parts = Object.fromEntries(getFormatter(timezone).formatToParts(instant).map(part => [part.type, Number(part.value)]))
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second))
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant
+const getOffset = (instant, timezone) => {
+    const seconds = instant.getTime() - (instant.getTime() % 1000)
+    return toWallClock(instant, timezone).getTime() - seconds
+}
+
+const toInstant = (wall, timezone) => {
+    const guess = new Date(wall.getTime() - getOffset(wall, timezone))
+    return new Date(wall.getTime() - getOffset(guess, timezone))
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+const formatOffset = (offset) => {
+    const minutes = Math.round(Math.abs(offset) / MINUTE)
+    return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`
+}
+
+const formatDateTime = (wall, timezone) => {
+    return `${wall.toISOString().slice(0, 19)}${formatOffset(getOffset(toInstant(wall, timezone), timezone))}`
+}
+
+const formatDate = (wall) => wall.toISOString().slice(0, 10)
+
+const startOfDay = (wall) => new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate()))
+
+const addDays = (wall, days) => new Date(wall.getTime() + days * DAY)
+
+const addMonths = (wall, months) => {
+    const result = new Date(wall)
+    result.setUTCMonth(result.getUTCMonth() + months)
+    return result
+}
+
+const withTime = (wall, hour, minute = 0) => new Date(startOfDay(wall).getTime() + hour * HOUR + minute * MINUTE)
+
+const parseNumber = (text) => {
+    const word = text.toLowerCase().replace(/\s+/g, ' ')
+    return NUMBER_WORDS[word] ?? Number(word)
+}
+
+// Shift a wall clock by a spoken amount; months and years follow the calendar
+const shift = (wall, amount, unit) => {
+    switch (unit.toLowerCase()) {
+        case 'min':
+        case 'minute':
+            return new Date(wall.getTime() + amount * MINUTE)
+        case 'hr':
+        case 'hour':
+            return new Date(wall.getTime() + amount * HOUR)
+        case 'day':
+            return addDays(wall, amount)
+        case 'week':
+            return addDays(wall, amount * 7)
+        case 'month':
+            return addMonths(wall, amount)
+        default:
+            return addMonths(wall, amount * 12)
+    }
+}
+
+// Bare and "this" weekdays are today or the coming one, "next" is strictly after today
+const resolveWeekday = (today, weekday, modifier) => {
+    const diff = (weekday - today.getUTCDay() + 7) % 7
+
+    if (modifier === 'last') return addDays(today, diff === 0 ? -7 : diff - 7)
+    if (modifier === 'next') return addDays(today, diff === 0 ? 7 : diff)
+    return addDays(today, diff)
+}
+
+// A calendar date, null when it does not exist (e.g. February 30)
+const calendarDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month, day))
+    return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null
+}
+
+// Dates spoken without a year are the next time they come round
+const upcomingDate = (today, month, day) => {
+    const date = calendarDate(today.getUTCFullYear(), month, day)
+    if (!date) return null
+    return date < today ? calendarDate(today.getUTCFullYear() + 1, month, day) : date
+}
+
+const monthIndex = (name) => MONTHS.indexOf(name.toLowerCase().slice(0, 3))
+
+const to24Hour = (hour, meridiem) => {
+    const isPm = meridiem.toLowerCase().startsWith('p')
+    return (hour % 12) + (isPm ? 12 : 0)
+}
+
+const getRelativeRange = (today, modifier, unit) => {
+    const step = { next: 1, last: -1 }[modifier] || 0
+
+    if (unit === 'week') {
+        const monday = addDays(today, -((today.getUTCDay() + 6) % 7) + step * 7)
+        return { from: monday, to: addDays(monday, 7) }
+    }
+    if (unit === 'month') {
+        const first = addMonths(new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)), step)
+        return { from: first, to: addMonths(first, 1) }
+    }
+
+    const first = new Date(Date.UTC(today.getUTCFullYear() + step, 0, 1))
+    return { from: first, to: addMonths(first, 12) }
+}
+
+// Saturday to Monday; "this weekend" said on a Sunday is the current one
+const getWeekend = (today, modifier) => {
+    const weekday = today.getUTCDay()
+    const saturday = addDays(today, weekday === 0 ? -1 : 6 - weekday)
+    const step = { next: 1, last: -1 }[modifier] || 0
+    const from = addDays(saturday, step * 7)
+    return { from, to: addDays(from, 2) }
+}
+
+// Minutes and hours land on an instant, longer durations on a calendar day
+const fromDuration = (amount, unit, { now, today }) => {
+    if (!Number.isFinite(amount)) return null
+    return /^(min|minute|hr|hour)$/i.test(unit)
+        ? { kind: 'instant', wall: shift(now, amount, unit) }
+        : { kind: 'day', day: shift(today, Math.trunc(amount), unit) }
+}
+
+/**
+ * Building blocks found in the text. `day` atoms are calendar days, `time`
+ * atoms a time of day, `part` atoms a part of the day, `instant` and
+ * `range` (`from` to `to`) atoms are already complete.
+ */
+const ATOM_MATCHERS = [
+    {
+        pattern: /\b(?:the\s+)?day\s+after\s+tomorrow\b/gi,
+        build: (match, { today }) => ({ kind: 'day', day: addDays(today, 2) })
+    },
+    {
+        pattern: /\b(?:the\s+)?day\s+before\s+yesterday\b/gi,
+        build: (match, { today }) => ({ kind: 'day', day: addDays(today, -2) })
+    },
+    {
+        pattern: /\b(today|tomorrow|yesterday)\b/gi,
+        build: (match, { today }) => ({ kind: 'day', day: addDays(today, { today: 0, tomorrow: 1, yesterday: -1 }[match[1].toLowerCase()]) })
+    },
+    {
+        pattern: new RegExp(`\\b(?:(this|next|last|coming)\\s+)?(${WEEKDAYS.join('|')})\\b`, 'gi'),
+        build: (match, { today }) => ({
+            kind: 'day',
+            day: resolveWeekday(today, WEEKDAYS.indexOf(match[2].toLowerCase()), match[1]?.toLowerCase())
+        })
+    },
+    {
+        pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+        build: (match) => ({ kind: 'day', day: calendarDate(Number(match[1]), Number(match[2]) - 1, Number(match[3])) })
+    },
+    {
+        // Month first, as in entityTypes.date
+        pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g,
+        build: (match) => ({ kind: 'day', day: calendarDate(Number(match[3]), Number(match[1]) - 1, Number(match[2])) })
+    },
+    {
+        pattern: new RegExp(`\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi'),
+        build: (match, { today }) => ({
+            kind: 'day',
+            day: match[3]
+                ? calendarDate(Number(match[3]), monthIndex(match[1]), Number(match[2]))
+                : upcomingDate(today, monthIndex(match[1]), Number(match[2]))
+        })
+    },
+    {
+        pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b(?:,?\\s+(\\d{4})\\b)?`, 'gi'),
+        build: (match, { today }) => ({
+            kind: 'day',
+            day: match[3]
+                ? calendarDate(Number(match[3]), monthIndex(match[2]), Number(match[1]))
+                : upcomingDate(today, monthIndex(match[2]), Number(match[1]))
+        })
+    },
+    {
+        pattern: /\b(\d{1,2})(?::([0-5]\d))?\s*([ap])\.?m\b\.?/gi,
+        build: (match) => {
+            const hour = Number(match[1])
+            return hour >= 1 && hour <= 12 ? { kind: 'time', hour: to24Hour(hour, match[3]), minute: Number(match[2] || 0) } : null
+        }
+    },
+    {
+        pattern: /\b([01]?\d|2[0-3]):([0-5]\d)\b/g,
+        build: (match) => ({ kind: 'time', hour: Number(match[1]), minute: Number(match[2]) })
+    },
+    {
+        pattern: /\b(noon|midday|midnight)\b/gi,
+        build: (match) => ({ kind: 'time', hour: match[1].toLowerCase() === 'midnight' ? 0 : 12, minute: 0 })
+    },
+    {
+        pattern: /\b(?:in\s+the\s+|this\s+)?(morning|afternoon|evening)\b/gi,
+        build: (match) => ({ kind: 'part', part: match[1].toLowerCase() })
+    },
+    {
+        pattern: /\btonight\b/gi,
+        build: (match, { today }) => ({ kind: 'part', part: 'evening', day: today })
+    },
+    {
+        pattern: /\b(?:right\s+)?now\b/gi,
+        build: (match, { now }) => ({ kind: 'instant', wall: now })
+    },
+    {
+        pattern: new RegExp(`\\bin\\s+${NUMBER_PATTERN}\\s+${UNIT_PATTERN}\\b`, 'gi'),
+        build: (match, context) => fromDuration(parseNumber(match[1]), match[2], context)
+    },
+    {
+        pattern: new RegExp(`\\b${NUMBER_PATTERN}\\s+${UNIT_PATTERN}\\s+ago\\b`, 'gi'),
+        build: (match, context) => fromDuration(-parseNumber(match[1]), match[2], context)
+    },
+    {
+        pattern: /\b(?:(this|next|last|the)\s+)?weekend\b/gi,
+        build: (match, { today }) => ({ kind: 'range', ...getWeekend(today, match[1]?.toLowerCase()) })
+    },
+    {
+        pattern: /\b(this|next|last)\s+(week|month|year)\b/gi,
+        build: (match, { today }) => ({ kind: 'range', ...getRelativeRange(today, match[1].toLowerCase(), match[2].toLowerCase()) })
+    }
+]
+
+const findAtoms = (text, context) => {
+    const atoms = []
+
+    for (const { pattern, build } of ATOM_MATCHERS) {
+        for (const match of text.matchAll(pattern)) {
+            const atom = build(match, context)
+            if (!atom || (atom.kind === 'day' && !atom.day)) continue
+            atoms.push({ ...atom, start: match.index, end: match.index + match[0].length })
+        }
+    }
+
+    return atoms
+}
+
+// Pair days with times or parts of the day when only a joiner separates them
+const combineAtoms = (text, atoms) => {
+    const combined = []
+
+    for (const first of atoms) {
+        for (const second of atoms) {
+            if (second.start < first.end || !JOINER.test(text.slice(first.end, second.start))) continue
+
+            const kinds = new Set([first.kind, second.kind])
+            const day = [first, second].find(atom => atom.kind === 'day' || (atom.kind === 'part' && atom.day))
+            const time = [first, second].find(atom => atom.kind === 'time')
+            const part = [first, second].find(atom => atom.kind === 'part' && !atom.day)
+            const span = { start: first.start, end: second.end }
+
+            if (day && time && day !== time) {
+                combined.push({ kind: 'instant', wall: withTime(day.day, time.hour, time.minute), ...span })
+            } else if (kinds.has('day') && part) {
+                combined.push({ kind: 'part', part: part.part, day: day.day, ...span })
+            }
+        }
+    }
+
+    return combined
+}
+
+// Turn an atom into an entity value; ranges are ISO intervals with an exclusive end
+const toEntity = (atom, text, { now, today, timezone }) => {
+    const base = { text: text.slice(atom.start, atom.end), start: atom.start, end: atom.end }
+
+    switch (atom.kind) {
+        case 'day':
+            return {
+                ...base,
+                type: 'date',
+                value: formatDate(atom.day),
+                resolution: { kind: 'date', value: formatDate(atom.day), timezone }
+            }
+        case 'time': {
+            // A time on its own is the next time the clock shows it
+            let wall = withTime(today, atom.hour, atom.minute)
+            if (wall < now) wall = addDays(wall, 1)
+            const value = formatDateTime(wall, timezone)
+            return { ...base, type: 'time', value, resolution: { kind: 'datetime', value, timezone } }
+        }
+        case 'instant': {
+            const value = formatDateTime(atom.wall, timezone)
+            return { ...base, type: 'datetime', value, resolution: { kind: 'datetime', value, timezone } }
+        }
+        default: {
+            const [startHour, endHour] = atom.kind === 'part' ? DAY_PARTS[atom.part] : []
+            const day = atom.day || today
+            const range = atom.kind === 'part'
+                ? { from: withTime(day, startHour), to: withTime(day, endHour) }
+                : atom
+            const start = formatDateTime(range.from, timezone)
+            const end = formatDateTime(range.to, timezone)
+            return { ...base, type: 'daterange', value: `${start}/${end}`, resolution: { kind: 'range', start, end, timezone } }
+        }
+    }
+}
+
+const createContext = ({ timezone, now = new Date() } = {}) => {
+    const zone = timezone && isValidTimezone(timezone) ? timezone : env.NLP_DEFAULT_TIMEZONE
+    const wall = toWallClock(now, zone)
+    return { timezone: zone, now: wall, today: startOfDay(wall) }
+}
+
+/**
+ * Every date and time expression in the text, resolved relative to `now`
+ * in `timezone`. Expressions overlap (e.g. "tuesday" and "next tuesday at
+ * 3pm"); the caller keeps the longest.
+ */
+const findDateTimeEntities = (text, options = {}) => {
+    const context = createContext(options)
+    const atoms = findAtoms(text, context)
+
+    return [...atoms, ...combineAtoms(text, atoms)].map(atom => ({
+        ...toEntity(atom, text, context),
+        source: 'datetime',
+        confidence: CONFIDENCE
+    }))
+}
+
+// Resolve a phrase that is a single date or time expression as a whole, e.g. a canonical entity value
+const resolveDateTime = (phrase, options = {}) => {
+    if (typeof phrase !== 'string') return null
+
+    const text = phrase.trim()
+    return findDateTimeEntities(text, options)
+        .find(entity => entity.start === 0 && entity.end === text.length) || null
+}
+
+module.exports = {
+    isValidTimezone,
+    findDateTimeEntities,
+    resolveDateTime
+}
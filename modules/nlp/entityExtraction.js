@@ -0,0 +1,246 @@
+// Entity extraction
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const { env } = require('../../config/envConfig')
+const { extractentities, entityTypes, compromise } = require('../../config/nlp')
+const modelManager = require('./modelManager')
+const dateResolution = require('./dateResolution')
+const { wordPattern } = require('../../utils/nlpUtils')
+
+// Confidence for extractors that do not score their own matches; NER entities carry their accuracy
+const SOURCE_CONFIDENCE = {
+    dictionary: 1,
+    synonym: 0.95,
+    regex: 0.9,
+    compromise: 0.7
+}
+
+// Builtin NER entities renamed to the entity types used across the app
+const NER_TYPE_ALIASES = {
+    phonenumber: 'phone'
+}
+
+// The builtin dimension entity reads times such as "3pm" as picometres
+const IGNORED_NER_TYPES = ['dimension']
+
+// Entity types, builtin or from the Entity table, whose values resolve to ISO dates
+const DATE_TIME_TYPES = ['date', 'time', 'datetime', 'daterange']
+
+// compromise only tags English text
+const COMPROMISE_SELECTORS = {
+    person: (doc) => doc.people(),
+    location: (doc) => doc.places(),
+    organization: (doc) => doc.organizations(),
+    date: (doc) => doc.match('#Date+')
+}
+
+const TRAILING_PUNCTUATION = /[^\p{L}\p{M}\p{N}]+$/u
+
+// Entity definitions change rarely, cache them like conversation flows
+const ENTITY_CACHE_TTL = 60 * 1000
+
+// Each bot's entity definitions, by bot id
+const entityCache = new Map()
+
+const loadEntityDefinitions = async (botId) => {
+    const cached = entityCache.get(botId)
+    if (cached && Date.now() - cached.loadedAt < ENTITY_CACHE_TTL) return cached.entities
+
+    const entities = await db.prisma.entity.findMany({ where: { botId, isActive: true } })
+    entityCache.set(botId, { entities, loadedAt: Date.now() })
+    return entities
+}
+
+const invalidateEntityDefinitions = (botId) => {
+    entityCache.delete(botId)
+}
+
+const getEntityDefinition = async (botId, name) => {
+    const entities = await loadEntityDefinitions(botId)
+    return entities.find(entity => entity.name === name) || null
+}
+
+// Find a canonical value of an enum-style entity in text, matching values and their synonyms
+const matchEntityValue = (definition, text) => {
+    const synonyms = definition.synonyms || {}
+    let best = null
+
+    for (const value of definition.values || []) {
+        for (const candidate of [value, ...(synonyms[value] || [])]) {
+            const match = wordPattern(candidate).exec(text)
+            if (match && (!best || match[0].length > best.text.length)) {
+                best = { value, text: match[0], start: match.index, end: match.index + match[0].length }
+            }
+        }
+    }
+
+    return best
+}
+
+// First match of a built-in entity type; entityTypes regexes are global so copy them before exec
+const matchEntityType = (type, text) => {
+    const entityType = entityTypes[type]
+    if (!entityType) return null
+
+    const match = new RegExp(entityType.regex.source, entityType.regex.flags.replace('g', '')).exec(text)
+    return match ? { value: match[0], start: match.index, end: match.index + match[0].length } : null
+}
+
+// Every occurrence of an enum-style entity's values and synonyms, normalized to the canonical value
+const findDictionaryEntities = (definitions, text) => {
+    const entities = []
+
+    for (const definition of definitions) {
+        const synonyms = definition.synonyms || {}
+
+        for (const value of definition.values || []) {
+            for (const candidate of [value, ...(synonyms[value] || [])]) {
+                for (const match of text.matchAll(wordPattern(candidate, 'gi'))) {
+                    const isValue = candidate.toLowerCase() === value.toLowerCase()
+                    entities.push({
+                        type: definition.name,
+                        value,
+                        text: match[0],
+                        start: match.index,
+                        end: match.index + match[0].length,
+                        source: 'dictionary',
+                        confidence: isValue ? SOURCE_CONFIDENCE.dictionary : SOURCE_CONFIDENCE.synonym
+                    })
+                }
+            }
+        }
+    }
+
+    return entities
+}
+
+const findRegexEntities = (text) => {
+    return extractentities(text).map(entity => ({
+        ...entity,
+        text: entity.value,
+        source: 'regex',
+        confidence: SOURCE_CONFIDENCE.regex
+    }))
+}
+
+// Convert node-nlp named entities to the shape used across the app; node-nlp ends are inclusive
+const fromNlpEntity = (entity) => ({
+    type: NER_TYPE_ALIASES[entity.entity] || entity.entity,
+    value: entity.option || entity.sourceText,
+    text: entity.utteranceText ?? entity.sourceText,
+    start: entity.start,
+    end: entity.end + 1,
+    source: 'ner',
+    confidence: entity.accuracy ?? 1,
+    ...(entity.resolution && { resolution: entity.resolution })
+})
+
+// Run the bot's live model NER on the raw text so offsets match the message
+const findNerEntities = async (text, language, botId) => {
+    try {
+        const { manager } = await modelManager.getModel(botId)
+        const { entities = [] } = await manager.extractEntities(language, text)
+
+        return entities
+            .filter(entity => !IGNORED_NER_TYPES.includes(entity.entity))
+            .map(fromNlpEntity)
+    } catch (error) {
+        logger.logError(error, { operation: 'ner_entity_extraction' })
+        return []
+    }
+}
+
+const findCompromiseEntities = (text, language) => {
+    if (language !== 'en') return []
+
+    const doc = compromise(text)
+    const entities = []
+
+    for (const [type, select] of Object.entries(COMPROMISE_SELECTORS)) {
+        for (const { offset } of select(doc).json({ offset: true })) {
+            // compromise offsets take in the punctuation after the last word
+            const matched = text.slice(offset.start, offset.start + offset.length).replace(TRAILING_PUNCTUATION, '')
+            entities.push({
+                type,
+                value: matched,
+                text: matched,
+                start: offset.start,
+                end: offset.start + matched.length,
+                source: 'compromise',
+                confidence: SOURCE_CONFIDENCE.compromise
+            })
+        }
+    }
+
+    return entities
+}
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end
+
+/**
+ * Keep one entity per stretch of text: longer spans win, then higher
+ * confidence, then the extractor listed first. The result is in text order.
+ */
+const resolveOverlaps = (candidates) => {
+    const ranked = candidates
+        .map((entity, order) => ({ entity, order }))
+        .filter(({ entity }) => entity.end > entity.start)
+        .sort((a, b) => (b.entity.end - b.entity.start) - (a.entity.end - a.entity.start)
+            || b.entity.confidence - a.entity.confidence
+            || a.order - b.order)
+
+    const kept = []
+    for (const { entity } of ranked) {
+        if (!kept.some(other => overlaps(entity, other))) kept.push(entity)
+    }
+
+    return kept.sort((a, b) => a.start - b.start)
+}
+
+// Give date and time entities found by other extractors (e.g. the seeded "tomorrow" value) an ISO value
+const resolveDateTimeEntity = (entity, definitions, options) => {
+    if (entity.source === 'datetime') return entity
+
+    const definition = definitions.find(d => d.name === entity.type)
+    if (!DATE_TIME_TYPES.includes(definition?.type || entity.type)) return entity
+
+    const resolved = dateResolution.resolveDateTime(entity.value, options)
+        || dateResolution.resolveDateTime(entity.text, options)
+
+    return resolved ? { ...entity, value: resolved.value, resolution: resolved.resolution } : entity
+}
+
+/**
+ * Merge entities from the bot's Entity values and synonyms, its live
+ * model's NER, the built-in regexes, compromise and the date resolver into
+ * a single list of `{ type, value, text, start, end, source, confidence }`.
+ * Dates and times are resolved in `timezone` relative to `now`.
+ */
+const extractEntities = async (text, { botId, language = env.NLP_LANGUAGE, timezone, now } = {}) => {
+    let definitions = []
+    try {
+        definitions = await loadEntityDefinitions(botId)
+    } catch (error) {
+        logger.logError(error, { operation: 'load_entity_definitions', botId })
+    }
+
+    const candidates = [
+        ...findDictionaryEntities(definitions, text),
+        ...await findNerEntities(text, language, botId),
+        ...findRegexEntities(text),
+        ...findCompromiseEntities(text, language),
+        ...dateResolution.findDateTimeEntities(text, { timezone, now })
+    ]
+
+    return resolveOverlaps(candidates).map(entity => resolveDateTimeEntity(entity, definitions, { timezone, now }))
+}
+
+module.exports = {
+    loadEntityDefinitions,
+    invalidateEntityDefinitions,
+    getEntityDefinition,
+    matchEntityValue,
+    matchEntityType,
+    resolveOverlaps,
+    extractEntities
+}
@@ -0,0 +1,219 @@
+// Inbox of unrecognized user messages, grouped so admins can teach them to the model
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const modelManager = require('./modelManager')
+const { env } = require('../../config/envConfig')
+const configService = require('../configuration/configService')
+const { analyzeTerms, normalizeText } = require('../../utils/nlpUtils')
+const { AppError } = require('../../middlewares/errorHandler')
+const { MESSAGE_TYPES, FALLBACK_INTENT } = require('../../utils/constants')
+
+const SAMPLES_PER_CLUSTER = 5
+
+// The bot's unreviewed user messages that fell back or were recognized below the confidence threshold
+const unrecognizedWhere = (botId, since, threshold) => ({
+    session: { botId },
+    type: MESSAGE_TYPES.USER,
+    reviewedAt: null,
+    createdAt: { gte: since },
+    OR: [{ intent: FALLBACK_INTENT }, { confidence: { lt: threshold } }]
+})
+
+const normalize = (vector) => {
+    const length = Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0))
+    if (length === 0) return vector
+    for (const [term, weight] of vector) vector.set(term, weight / length)
+    return vector
+}
+
+// Unit-length TF-IDF vectors, with log-scaled term frequencies
+const vectorize = (documents) => {
+    const df = new Map()
+    for (const { terms } of documents) {
+        for (const term of new Set(terms)) df.set(term, (df.get(term) || 0) + 1)
+    }
+
+    return documents.map(({ terms }) => {
+        const vector = new Map()
+        for (const term of terms) vector.set(term, (vector.get(term) || 0) + 1)
+        for (const [term, tf] of vector) {
+            vector.set(term, (1 + Math.log(tf)) * (Math.log((1 + documents.length) / (1 + df.get(term))) + 1))
+        }
+        return normalize(vector)
+    })
+}
+
+const cosine = (a, b) => {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a]
+    let dot = 0
+    for (const [term, weight] of small) dot += weight * (large.get(term) || 0)
+    return dot
+}
+
+const addToCentroid = (centroid, vector) => {
+    for (const [term, weight] of vector) centroid.set(term, (centroid.get(term) || 0) + weight)
+}
+
+/**
+ * Group messages of one language: identical texts first, then each text
+ * joins the cluster whose centroid is most similar, or starts a new one
+ * below `similarity`. Texts without content words only group with
+ * identical texts.
+ */
+const clusterMessages = (messages, { language, similarity }) => {
+    const byText = new Map()
+    for (const message of messages) {
+        const key = normalizeText(message.content)
+        if (!byText.has(key)) byText.set(key, { text: message.content.trim(), terms: analyzeTerms(message.content, language), messages: [] })
+        byText.get(key).messages.push(message)
+    }
+
+    // Frequent texts seed the clusters
+    const texts = [...byText.values()].sort((a, b) => b.messages.length - a.messages.length)
+    const vectors = vectorize(texts)
+    const clusters = []
+
+    texts.forEach((text, index) => {
+        const vector = vectors[index]
+        let best = null
+        let bestScore = similarity
+
+        if (vector.size > 0) {
+            for (const cluster of clusters) {
+                if (cluster.centroid.size === 0) continue
+                const score = cosine(vector, cluster.centroid) / cluster.norm
+                if (score >= bestScore) {
+                    best = cluster
+                    bestScore = score
+                }
+            }
+        }
+
+        if (!best) {
+            best = { texts: [], centroid: new Map(), norm: 1 }
+            clusters.push(best)
+        }
+        best.texts.push(text)
+        addToCentroid(best.centroid, vector)
+        best.norm = Math.sqrt([...best.centroid.values()].reduce((sum, weight) => sum + weight * weight, 0)) || 1
+    })
+
+    return clusters.map(({ texts: members }) => toCluster(members, language))
+}
+
+const toCluster = (texts, language) => {
+    const messages = texts.flatMap((text) => text.messages)
+    const dates = messages.map((message) => message.createdAt.getTime())
+    const leader = texts[0].messages[0]
+
+    return {
+        id: `${language}:${leader.id}`,
+        language,
+        size: messages.length,
+        distinctTexts: texts.length,
+        samples: texts.slice(0, SAMPLES_PER_CLUSTER).map((text) => ({ text: text.text, count: text.messages.length })),
+        messageIds: messages.map((message) => message.id),
+        firstSeenAt: new Date(Math.min(...dates)),
+        lastSeenAt: new Date(Math.max(...dates))
+    }
+}
+
+/**
+ * Clusters of recent unrecognized messages, largest first. Only the newest
+ * NLP_INBOX_MAX_MESSAGES messages are considered.
+ */
+const getClusters = async (botId, { page = 1, limit = 10, days = 30, minSize = 1, similarity = env.NLP_INBOX_SIMILARITY } = {}) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+    const threshold = await configService.get(botId, 'default_confidence_threshold')
+    const messages = await db.prisma.message.findMany({
+        where: unrecognizedWhere(botId, since, threshold),
+        select: { id: true, content: true, language: true, createdAt: true },
+        orderBy: { createdAt: 'desc' },
+        take: env.NLP_INBOX_MAX_MESSAGES
+    })
+
+    const byLanguage = new Map()
+    for (const message of messages) {
+        const language = message.language || env.NLP_LANGUAGE
+        if (!byLanguage.has(language)) byLanguage.set(language, [])
+        byLanguage.get(language).push(message)
+    }
+
+    const clusters = [...byLanguage]
+        .flatMap(([language, group]) => clusterMessages(group, { language, similarity }))
+        .filter((cluster) => cluster.size >= minSize)
+        .sort((a, b) => b.size - a.size || b.lastSeenAt - a.lastSeenAt)
+
+    const { skip, take } = db.helpers.paginate(page, limit)
+    return { clusters: clusters.slice(skip, skip + take), total: clusters.length, page, limit }
+}
+
+const getUnreviewedMessages = async (botId, messageIds) => {
+    const messages = await db.prisma.message.findMany({
+        where: { id: { in: messageIds }, session: { botId }, type: MESSAGE_TYPES.USER, reviewedAt: null },
+        select: { id: true, content: true, language: true }
+    })
+    if (messages.length === 0) {
+        throw new AppError('None of the messages are waiting for review', 409, 'NOTHING_TO_REVIEW')
+    }
+    return messages
+}
+
+/**
+ * Teach a cluster to the model: its messages become examples of an
+ * existing intent, or of a new one created with the given responses.
+ * Texts the intent already has are skipped; every message is marked
+ * reviewed and a retrain is scheduled.
+ */
+const assignMessages = async (botId, { messageIds, intent: intentName, newIntent }) => {
+    const messages = await getUnreviewedMessages(botId, messageIds)
+
+    const result = await db.helpers.transaction(async (tx) => {
+        const intent = newIntent
+            ? await tx.intent.create({ data: { ...newIntent, botId, patterns: [], entities: [] } })
+            : await tx.intent.findUnique({ where: { botId_name: { botId, name: intentName } }, include: { examples: true } })
+        if (!intent?.isActive) throw new AppError(`Intent ${intentName} not found`, 404, 'NOT_FOUND')
+
+        const known = new Set([
+            ...intent.patterns.map((pattern) => `${env.NLP_LANGUAGE}:${normalizeText(pattern)}`),
+            ...(intent.examples || []).map((example) => `${example.language}:${normalizeText(example.text)}`)
+        ])
+        const examples = []
+        for (const message of messages) {
+            const language = message.language || env.NLP_LANGUAGE
+            const key = `${language}:${normalizeText(message.content)}`
+            if (known.has(key)) continue
+            known.add(key)
+            examples.push({ intentId: intent.id, text: message.content.trim(), language })
+        }
+
+        if (examples.length > 0) await tx.intentExample.createMany({ data: examples })
+        await tx.message.updateMany({
+            where: { id: { in: messages.map((message) => message.id) } },
+            data: { reviewedAt: new Date() }
+        })
+
+        return { intent: intent.name, created: Boolean(newIntent), examplesAdded: examples.length, messagesReviewed: messages.length }
+    })
+
+    logger.info('Unrecognized messages assigned to an intent', { botId, ...result })
+    if (result.examplesAdded > 0) modelManager.scheduleRetrain(botId, 'fallback_inbox')
+    return result
+}
+
+// Take messages out of the inbox without teaching them, e.g. spam or off-topic chatter
+const dismissMessages = async (botId, messageIds) => {
+    const messages = await getUnreviewedMessages(botId, messageIds)
+    const { count } = await db.prisma.message.updateMany({
+        where: { id: { in: messages.map((message) => message.id) } },
+        data: { reviewedAt: new Date() }
+    })
+    return { messagesReviewed: count }
+}
+
+module.exports = {
+    clusterMessages,
+    getClusters,
+    assignMessages,
+    dismissMessages
+}
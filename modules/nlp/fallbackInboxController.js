@@ -0,0 +1,27 @@
+// Fallback inbox admin routes
+const express = require('express')
+const fallbackInbox = require('./fallbackInbox')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const { inboxQuerySchema, inboxAssignSchema, inboxDismissSchema } = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+// Unrecognized messages grouped by similarity, with counts and samples
+router.get('/clusters', validate(inboxQuerySchema, 'query'), async (req, res) => {
+    const { clusters, ...pagination } = await fallbackInbox.getClusters(req.bot.id, req.validated.query)
+    return formatter.paginated(res, clusters, pagination)
+})
+
+// Turn a cluster's messages into training examples of an existing or new intent
+router.post('/assign', validate(inboxAssignSchema), async (req, res) => {
+    const result = await fallbackInbox.assignMessages(req.bot.id, req.validated.body)
+    return formatter.success(res, result, result.created ? 201 : 200)
+})
+
+router.post('/dismiss', validate(inboxDismissSchema), async (req, res) => {
+    const result = await fallbackInbox.dismissMessages(req.bot.id, req.validated.body.messageIds)
+    return formatter.success(res, result)
+})
+
+module.exports = router
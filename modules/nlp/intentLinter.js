@@ -0,0 +1,201 @@
+// Training data linting: utterances that pull intents against each other, and intents too thin to learn
+const logger = require('../../utils/logger')
+const trainingData = require('./trainingData')
+const { env } = require('../../config/envConfig')
+const { normalizeText, analyzeTerms } = require('../../utils/nlpUtils')
+const { FALLBACK_INTENT, LINT_ISSUES, LINT_SEVERITY } = require('../../utils/constants')
+
+// Findings logged before training, the full list is on the admin endpoint
+const LOGGED_ISSUES = 10
+
+// Near-duplicate pairs reported per language, enough to act on without flooding the report
+const MAX_SIMILAR_ISSUES = 100
+
+// Words shared by this many utterances say little about which intent they belong to
+const COMMON_TERM_POSTINGS = 200
+
+const languageOf = (intent) => intent.language || env.NLP_LANGUAGE
+
+const withPriority = (name, priorities) => ({ name, priority: priorities.get(name) || 0 })
+
+// The intent recognition picks when these intents tie, or null when their highest priority is shared
+const tieWinner = (names, priorities) => {
+    const ranked = names.map((name) => withPriority(name, priorities)).sort((a, b) => b.priority - a.priority)
+    return ranked[0].priority > ranked[1].priority ? ranked[0].name : null
+}
+
+// Utterances of one language, once per intent and normalized text, with their stemmed words minus stop words
+const collectUtterances = (intents, language) => {
+    const utterances = []
+    const seen = new Set()
+
+    for (const intent of intents.filter((entry) => languageOf(entry) === language)) {
+        for (const text of intent.utterances) {
+            const normalized = normalizeText(text)
+            const key = `${intent.name}:${normalized}`
+            if (!normalized || seen.has(key)) continue
+
+            seen.add(key)
+            utterances.push({
+                intent: intent.name,
+                text,
+                normalized,
+                terms: [...new Set(analyzeTerms(text, language))]
+            })
+        }
+    }
+    return utterances
+}
+
+const findDuplicates = (utterances, { language, priorities }) => {
+    const byText = new Map()
+    for (const utterance of utterances) {
+        if (!byText.has(utterance.normalized)) byText.set(utterance.normalized, [])
+        byText.get(utterance.normalized).push(utterance)
+    }
+
+    return [...byText.values()]
+        .filter((group) => group.length > 1)
+        .map((group) => {
+            const winner = tieWinner(group.map((utterance) => utterance.intent), priorities)
+            return {
+                code: LINT_ISSUES.DUPLICATE_EXAMPLE,
+                severity: winner ? LINT_SEVERITY.WARNING : LINT_SEVERITY.ERROR,
+                language,
+                intents: group.map(({ intent, text }) => ({ ...withPriority(intent, priorities), text })),
+                winner
+            }
+        })
+}
+
+/**
+ * Pairs of utterances from different intents whose stemmed words overlap
+ * by at least `similarity` (Dice coefficient). Only pairs sharing a word
+ * are compared, found through an inverted index; words already seen in
+ * COMMON_TERM_POSTINGS utterances no longer lead to candidates, and the
+ * search stops after MAX_SIMILAR_ISSUES pairs, so large corpora stay fast
+ * to lint before every retrain.
+ */
+const findSimilar = (utterances, { language, priorities, similarity }) => {
+    const postings = new Map()
+    const issues = []
+
+    for (const [index, utterance] of utterances.entries()) {
+        const shared = new Map()
+        for (const term of utterance.terms) {
+            const others = postings.get(term) || []
+            if (others.length >= COMMON_TERM_POSTINGS) continue
+            for (const other of others) shared.set(other, (shared.get(other) || 0) + 1)
+        }
+
+        for (const [other, count] of shared) {
+            const candidate = utterances[other]
+            if (candidate.intent === utterance.intent || candidate.normalized === utterance.normalized) continue
+
+            const score = (2 * count) / (candidate.terms.length + utterance.terms.length)
+            if (score < similarity) continue
+
+            issues.push({
+                code: LINT_ISSUES.SIMILAR_EXAMPLES,
+                severity: LINT_SEVERITY.WARNING,
+                language,
+                similarity: Math.round(score * 100) / 100,
+                intents: [candidate, utterance].map(({ intent, text }) => ({ ...withPriority(intent, priorities), text })),
+                winner: tieWinner([candidate.intent, utterance.intent], priorities)
+            })
+            if (issues.length >= MAX_SIMILAR_ISSUES) return issues
+        }
+
+        for (const term of utterance.terms) {
+            if (!postings.has(term)) postings.set(term, [])
+            postings.get(term).push(index)
+        }
+    }
+    return issues
+}
+
+// The fallback intent's catch-all patterns aren't utterances, so it is never thin
+const findThinIntents = (intents, { minExamples }) => intents
+    .filter((intent) => intent.name !== FALLBACK_INTENT)
+    .map((intent) => ({ intent, count: new Set(intent.utterances.map(normalizeText).filter(Boolean)).size }))
+    .filter(({ count }) => count < minExamples)
+    .map(({ intent, count }) => ({
+        code: LINT_ISSUES.TOO_FEW_EXAMPLES,
+        severity: LINT_SEVERITY.WARNING,
+        language: languageOf(intent),
+        intent: intent.name,
+        count,
+        minimum: minExamples
+    }))
+
+/**
+ * Lint a training corpus, one language at a time. The same text under
+ * several intents is an error unless one of them has a higher priority,
+ * which settles the tie at recognition time; near-duplicates across
+ * intents and intents with fewer than `minExamples` distinct utterances
+ * in a language are warnings.
+ */
+const lintCorpus = (corpus, {
+    priorities = new Map(),
+    similarity = env.NLP_LINT_SIMILARITY,
+    minExamples = env.NLP_LINT_MIN_EXAMPLES,
+    language
+} = {}) => {
+    const intents = corpus.intents.filter((intent) => !language || languageOf(intent) === language)
+    const languages = [...new Set(intents.map(languageOf))]
+    const issues = []
+    let utteranceCount = 0
+
+    for (const current of languages) {
+        const utterances = collectUtterances(intents, current)
+        utteranceCount += utterances.length
+        issues.push(
+            ...findDuplicates(utterances, { language: current, priorities }),
+            ...findSimilar(utterances, { language: current, priorities, similarity })
+        )
+    }
+    issues.push(...findThinIntents(intents, { minExamples }))
+
+    const errors = issues.filter((issue) => issue.severity === LINT_SEVERITY.ERROR)
+    const warnings = issues.filter((issue) => issue.severity === LINT_SEVERITY.WARNING)
+
+    return {
+        summary: {
+            intents: new Set(intents.map((intent) => intent.name)).size,
+            utterances: utteranceCount,
+            errors: errors.length,
+            warnings: warnings.length
+        },
+        issues: [...errors, ...warnings]
+    }
+}
+
+// Lint the bot's database intents with their priorities
+const lintTrainingData = async (botId, options = {}) => {
+    const [corpus, priorities] = await Promise.all([
+        trainingData.loadCorpusFromDatabase(botId),
+        trainingData.loadIntentPriorities(botId)
+    ])
+    return lintCorpus(corpus, { ...options, priorities })
+}
+
+// Lint the corpus about to be trained; findings are logged and never stop training
+const checkBeforeTraining = async (corpus, { botId, source }) => {
+    try {
+        const priorities = source === 'database' ? await trainingData.loadIntentPriorities(botId) : new Map()
+        const { summary, issues } = lintCorpus(corpus, { priorities })
+        if (issues.length > 0) {
+            logger.warn('Training data lint found issues', { botId, source, ...summary, issues: issues.slice(0, LOGGED_ISSUES) })
+        }
+        return summary
+    } catch (error) {
+        logger.logError(error, { operation: 'training_data_lint' })
+        return null
+    }
+}
+
+module.exports = {
+    lintCorpus,
+    lintTrainingData,
+    checkBeforeTraining
+}
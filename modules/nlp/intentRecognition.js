@@ -0,0 +1,116 @@
+// Intent recognition
+const logger = require('../../utils/logger')
+const { env } = require('../../config/envConfig')
+const { classifyText } = require('../../config/nlp')
+const modelManager = require('./modelManager')
+const contextManager = require('./contextManager')
+const trainingData = require('./trainingData')
+const { detectLanguage } = require('./languageDetection')
+const configService = require('../configuration/configService')
+const { FALLBACK_INTENT } = require('../../utils/constants')
+
+// Priorities change rarely, cache them like entity definitions
+const PRIORITY_CACHE_TTL = 60 * 1000
+
+// Priorities of each bot's intents, by bot id
+const priorityCache = new Map()
+
+// Without priorities every intent ranks the same, so recognition goes on unsettled rather than failing
+const loadPriorities = async (botId) => {
+    const cached = priorityCache.get(botId)
+    if (cached && Date.now() - cached.loadedAt < PRIORITY_CACHE_TTL) return cached.priorities
+
+    try {
+        const priorities = await trainingData.loadIntentPriorities(botId)
+        priorityCache.set(botId, { priorities, loadedAt: Date.now() })
+        return priorities
+    } catch (error) {
+        logger.logError(error, { operation: 'load_intent_priorities', botId })
+        return new Map()
+    }
+}
+
+const invalidateIntentPriorities = (botId) => {
+    priorityCache.delete(botId)
+}
+
+/**
+ * Candidates scoring within NLP_PRIORITY_TIE_MARGIN of the best one, and
+ * above the confidence threshold, tie: the classifier can't tell them
+ * apart, so the one with the highest `Intent.priority` wins. Equal
+ * priorities keep the classifier's choice.
+ */
+const breakTies = (result, priorities, threshold) => {
+    if (result.intent === FALLBACK_INTENT) return result
+
+    const floor = Math.max(threshold, result.confidence - env.NLP_PRIORITY_TIE_MARGIN)
+    const rank = (intent) => priorities.get(intent) || 0
+    const winner = result.classifications
+        .filter((candidate) => candidate.intent !== 'None' && candidate.score >= floor)
+        .reduce((best, candidate) => rank(candidate.intent) > rank(best.intent) ? candidate : best, { intent: result.intent, score: result.confidence })
+
+    if (winner.intent === result.intent) return result
+
+    logger.debug('Intent tie settled by priority', { classified: result.intent, intent: winner.intent, confidence: winner.score })
+    return { ...result, intent: winner.intent, confidence: winner.score }
+}
+
+/**
+ * Settle the classifier result against the conversation. A bare answer to
+ * the bot's last question keeps that question's intent and carries the
+ * answer as an entity; anything else is re-ranked with recent intents.
+ */
+const applyContext = (text, result, context, { historyLimit, threshold }) => {
+    const expectation = contextManager.getExpectation(context)
+    const reply = contextManager.interpretReply(text, expectation)
+
+    if (reply) {
+        return {
+            ...result,
+            intent: expectation.intent,
+            confidence: 1,
+            contextEntities: [contextManager.toContextEntity(text, reply, expectation)],
+            contextual: true
+        }
+    }
+
+    const [best] = contextManager.rerankIntents(result.classifications, context, { historyLimit })
+    if (!best || best.score < threshold || best.intent === result.intent) {
+        return { ...result, contextEntities: [], contextual: false }
+    }
+
+    return { ...result, intent: best.intent, confidence: best.score, contextEntities: [], contextual: true }
+}
+
+/**
+ * Classify a message with the bot's live model, routed to the corpus of its
+ * detected language. `language` is the fallback for messages too short or
+ * ambiguous to detect, typically the session's previous language. The
+ * bot's default_confidence_threshold decides what counts as recognized,
+ * and with enable_context_management the session `context` re-ranks the
+ * result using the last `historyLimit` turns.
+ */
+const recognizeIntent = async (text, { botId, language, context, historyLimit } = {}) => {
+    const { manager, version, languages } = await modelManager.getModel(botId)
+    const settings = await configService.getSettings(botId)
+    const threshold = settings.default_confidence_threshold
+    const detection = detectLanguage(text, { supported: languages, fallback: language })
+    const classified = breakTies(await classifyText(manager, text, detection.language, threshold), await loadPriorities(botId), threshold)
+    const result = settings.enable_context_management && context
+        ? applyContext(text, classified, context, { historyLimit, threshold })
+        : { ...classified, contextEntities: [], contextual: false }
+
+    logger.logNLPProcessing(text, result.intent, result.confidence, result.entities)
+
+    return {
+        ...result,
+        language: detection.language,
+        languageDetected: detection.detected,
+        modelVersion: version
+    }
+}
+
+module.exports = {
+    invalidateIntentPriorities,
+    recognizeIntent
+}
@@ -0,0 +1,35 @@
+// Per-message language detection
+const { Language } = require('node-nlp')
+const { env } = require('../../config/envConfig')
+
+const guesser = new Language()
+
+// Guesses on very short messages ("ok", "hi") are unreliable
+const MIN_DETECTION_LENGTH = 3
+
+// Lead the best guess needs over the runner-up before it overrides the fallback
+const MIN_DETECTION_MARGIN = 0.1
+
+/**
+ * Pick the language of a message among the supported ones. Short or
+ * ambiguous messages keep the fallback, usually the session's last language.
+ */
+const detectLanguage = (text, { supported = [env.NLP_LANGUAGE], fallback = env.NLP_LANGUAGE } = {}) => {
+    const defaultLanguage = supported.includes(fallback) ? fallback : supported[0]
+    const undetected = (confidence) => ({ language: defaultLanguage, confidence, detected: false })
+
+    if (supported.length < 2) return undetected(1)
+    if (text.replace(/\s+/g, '').length < MIN_DETECTION_LENGTH) return undetected(0)
+
+    const [best, runnerUp] = guesser.guess(text, supported, 2)
+    if (!best) return undetected(0)
+
+    const margin = best.score - (runnerUp?.score || 0)
+    if (margin < MIN_DETECTION_MARGIN) return undetected(margin)
+
+    return { language: best.alpha2, confidence: margin, detected: true }
+}
+
+module.exports = {
+    detectLanguage
+}
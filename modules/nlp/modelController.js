@@ -0,0 +1,34 @@
+// NLP model version admin routes
+const express = require('express')
+const modelManager = require('./modelManager')
+const modelRegistry = require('./modelRegistry')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const { paginationSchema, modelVersionParamsSchema } = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+// List the bot's trained versions, newest first
+router.get('/', validate(paginationSchema, 'query'), async (req, res) => {
+    const { versions, ...pagination } = await modelRegistry.listVersions(req.bot.id, req.validated.query)
+    return formatter.paginated(res, versions, pagination)
+})
+
+router.get('/active', async (req, res) => {
+    const active = await modelRegistry.getActiveVersion(req.bot.id)
+    return formatter.success(res, active)
+})
+
+// Make a stored version the active model
+router.post('/:version/promote', validate(modelVersionParamsSchema, 'params'), async (req, res) => {
+    const record = await modelManager.promoteVersion(req.bot.id, req.validated.params.version)
+    return formatter.success(res, record)
+})
+
+// Re-activate the version trained before the active one
+router.post('/rollback', async (req, res) => {
+    const record = await modelManager.rollback(req.bot.id)
+    return formatter.success(res, record)
+})
+
+module.exports = router
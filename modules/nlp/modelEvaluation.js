@@ -0,0 +1,187 @@
+// NLP model evaluation
+const { InitializeNlpManager, classifyText } = require('../../config/nlp')
+
+// Small seeded PRNG (mulberry32) so folds are reproducible between runs
+const createRandom = (seed) => {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+const shuffle = (items, random) => {
+    const shuffled = [...items]
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1))
+        const swap = shuffled[i]
+        shuffled[i] = shuffled[j]
+        shuffled[j] = swap
+    }
+    return shuffled
+}
+
+// Stratified split: every intent's utterances are dealt round-robin across the folds
+const splitFolds = (corpus, k, random) => {
+    const folds = Array.from({ length: k }, () => [])
+
+    for (const intent of corpus.intents) {
+        shuffle(intent.utterances, random).forEach((text, index) => {
+            folds[index % k].push({ text, expected: intent.name, language: intent.language })
+        })
+    }
+
+    return folds
+}
+
+// Training corpus without the utterances held out in a fold
+const withoutFold = (corpus, fold) => {
+    const key = (name, language, text) => [name, language, text].join('\u0000')
+    const heldOut = new Set(fold.map(sample => key(sample.expected, sample.language, sample.text)))
+
+    return {
+        ...corpus,
+        intents: corpus.intents.map(intent => ({
+            ...intent,
+            utterances: intent.utterances.filter(text => !heldOut.has(key(intent.name, intent.language, text)))
+        }))
+    }
+}
+
+const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0
+
+// Precision, recall and F1 per label plus the confusion matrix (rows expected, columns predicted)
+const computeMetrics = (predictions) => {
+    const labels = [...new Set(predictions.flatMap(p => [p.expected, p.predicted]))].sort()
+    const matrix = Object.fromEntries(labels.map(row => [row, Object.fromEntries(labels.map(col => [col, 0]))]))
+
+    for (const { expected, predicted } of predictions) {
+        matrix[expected][predicted]++
+    }
+
+    const perIntent = {}
+    for (const label of labels) {
+        const truePositives = matrix[label][label]
+        const predictedCount = labels.reduce((sum, row) => sum + matrix[row][label], 0)
+        const support = labels.reduce((sum, col) => sum + matrix[label][col], 0)
+        const precision = predictedCount > 0 ? truePositives / predictedCount : 0
+        const recall = support > 0 ? truePositives / support : 0
+        const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0
+
+        perIntent[label] = { precision, recall, f1, support }
+    }
+
+    // Labels only ever predicted (such as the fallback) have no support and are left out of the macro average
+    const scored = Object.values(perIntent).filter(metrics => metrics.support > 0)
+    const correct = predictions.filter(p => p.expected === p.predicted).length
+
+    return {
+        accuracy: predictions.length > 0 ? correct / predictions.length : 0,
+        macroPrecision: average(scored.map(m => m.precision)),
+        macroRecall: average(scored.map(m => m.recall)),
+        macroF1: average(scored.map(m => m.f1)),
+        perIntent,
+        confusionMatrix: { labels, matrix }
+    }
+}
+
+// Utterances misclassified most often across folds and repeats
+const findMisclassified = (predictions, limit = 20) => {
+    const grouped = new Map()
+
+    for (const prediction of predictions) {
+        if (prediction.expected === prediction.predicted) continue
+
+        const key = `${prediction.expected}\u0000${prediction.text}`
+        const entry = grouped.get(key) || { text: prediction.text, expected: prediction.expected, count: 0, predicted: {} }
+        entry.count++
+        entry.predicted[prediction.predicted] = (entry.predicted[prediction.predicted] || 0) + 1
+        grouped.set(key, entry)
+    }
+
+    return [...grouped.values()]
+        .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text))
+        .slice(0, limit)
+}
+
+/**
+ * Accuracy and macro F1 on utterances the model did not learn from: a
+ * stratified `share` of each intent's utterances is held out, a model is
+ * trained on the rest and classifies them. Intents with a single utterance
+ * keep it for training. The model that gets stored is trained on
+ * everything; this estimates how it does on new messages.
+ */
+const evaluateHoldout = async (corpus, { share = 0.2, seed = 42, threshold } = {}) => {
+    const random = createRandom(seed)
+    const testSet = corpus.intents.flatMap((intent) => {
+        const count = intent.utterances.length > 1 ? Math.max(1, Math.floor(intent.utterances.length * share)) : 0
+        return shuffle(intent.utterances, random)
+            .slice(0, count)
+            .map(text => ({ text, expected: intent.name, language: intent.language }))
+    })
+    if (testSet.length === 0) return { method: 'holdout', share, seed, total: 0, accuracy: null, macroF1: null }
+
+    const manager = await InitializeNlpManager(withoutFold(corpus, testSet), { modelPath: null })
+    const predictions = []
+    for (const sample of testSet) {
+        const { intent } = await classifyText(manager, sample.text, sample.language, threshold)
+        predictions.push({ ...sample, predicted: intent })
+    }
+
+    const { accuracy, macroF1 } = computeMetrics(predictions)
+    return { method: 'holdout', share, seed, total: predictions.length, accuracy, macroF1 }
+}
+
+/**
+ * Stratified k-fold cross-validation. Each fold trains a fresh manager on the
+ * remaining utterances and classifies the held-out ones; `repeats` reshuffles
+ * the folds to make the misclassification counts more telling. Predictions
+ * below `threshold` count as the fallback, as they do when chatting.
+ */
+const crossValidate = async (corpus, { folds = 5, repeats = 1, seed = 42, threshold, onFold } = {}) => {
+    const random = createRandom(seed)
+    const predictions = []
+
+    for (let repeat = 0; repeat < repeats; repeat++) {
+        const split = splitFolds(corpus, folds, random)
+
+        for (let index = 0; index < split.length; index++) {
+            const testSet = split[index]
+            if (testSet.length === 0) continue
+
+            const manager = await InitializeNlpManager(withoutFold(corpus, testSet), { modelPath: null })
+            for (const sample of testSet) {
+                const { intent, confidence } = await classifyText(manager, sample.text, sample.language, threshold)
+                predictions.push({ ...sample, predicted: intent, confidence, fold: index, repeat })
+            }
+
+            if (onFold) onFold({ repeat, fold: index, size: testSet.length })
+        }
+    }
+
+    return {
+        method: 'k_fold',
+        folds,
+        repeats,
+        seed,
+        threshold: threshold ?? null,
+        total: predictions.length,
+        ...computeMetrics(predictions),
+        misclassified: findMisclassified(predictions),
+        // Intents with fewer utterances than folds are missing from some training sets
+        underSampled: corpus.intents
+            .filter(intent => intent.utterances.length < folds)
+            .map(intent => intent.language ? `${intent.name} (${intent.language})` : intent.name)
+    }
+}
+
+module.exports = {
+    evaluateHoldout,
+    splitFolds,
+    computeMetrics,
+    findMisclassified,
+    crossValidate
+}
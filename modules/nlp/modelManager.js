@@ -0,0 +1,310 @@
+// Live NLP model lifecycle of each bot: training, versioning and hot reload
+const path = require('path')
+const { Worker } = require('worker_threads')
+const logger = require('../../utils/logger')
+const { env } = require('../../config/envConfig')
+const { createNlpManager, loadTrainingFiles, getDefaultCorpus } = require('../../config/nlp')
+const configService = require('../configuration/configService')
+const trainingData = require('./trainingData')
+const modelRegistry = require('./modelRegistry')
+const trainingLock = require('./trainingLock')
+const intentLinter = require('./intentLinter')
+
+// How often an instance waiting for another one's first model checks for it
+const FIRST_MODEL_POLL_MS = 1000
+
+// Per bot: the live manager, version and languages, swapped together so a message is always tagged with
+// the model that answered it, and the bot's retrain bookkeeping
+const bots = new Map()
+
+let watchTimer = null
+
+const stateOf = (botId) => {
+    if (!bots.has(botId)) {
+        bots.set(botId, {
+            live: null,
+            initializing: null,
+            training: null,
+            retrainQueued: false,
+            retrainTimer: null,
+            lastFingerprint: null
+        })
+    }
+    return bots.get(botId)
+}
+
+// Train in a worker thread so requests keep being answered by the live model; `threshold` scores the evaluation
+const trainInWorker = (botId, corpus, threshold) => new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'trainingWorker.js'), { workerData: { botId, corpus, threshold } })
+    let settled = false
+
+    worker.once('message', (message) => {
+        settled = true
+        worker.terminate()
+        if (message.error) return reject(new Error(message.error))
+        resolve(message)
+    })
+    worker.once('error', (error) => {
+        settled = true
+        reject(error)
+    })
+    worker.once('exit', (code) => {
+        if (!settled) reject(new Error(`Training worker exited with code ${code}`))
+    })
+})
+
+// The bot's database corpus first, then the training files, then the built-in intents
+const loadCorpus = async (botId) => {
+    try {
+        const corpus = await trainingData.loadCorpusFromDatabase(botId)
+        if (corpus.intents.some(intent => intent.utterances.length > 0)) return { corpus, source: 'database' }
+        logger.warn('No trainable intents in the database. Using training files', { botId })
+    } catch (error) {
+        logger.logError(error, { operation: 'load_training_corpus', botId })
+    }
+
+    try {
+        return { corpus: await loadTrainingFiles(), source: 'files' }
+    } catch (error) {
+        logger.warn('Training files not found or invalid. Using default intents')
+        return { corpus: getDefaultCorpus(), source: 'defaults' }
+    }
+}
+
+/**
+ * Train, store and activate a new model version of the bot. With
+ * `onlyIfChanged`, resolves to null instead when the bot's latest version
+ * was trained on the same data, e.g. by another instance.
+ */
+const trainVersion = async (botId, { onlyIfChanged = false } = {}) => {
+    const startTime = Date.now()
+    const { corpus, source } = await loadCorpus(botId)
+    const dataHash = modelRegistry.hashCorpus(corpus)
+    if (onlyIfChanged && (await modelRegistry.getLatestVersion(botId))?.dataHash === dataHash) return null
+
+    const lint = await intentLinter.checkBeforeTraining(corpus, { botId, source })
+    const threshold = await configService.get(botId, 'default_confidence_threshold')
+    const { model, evaluation } = await trainInWorker(botId, corpus, threshold)
+
+    const record = await modelRegistry.registerVersion({
+        botId,
+        model,
+        dataHash,
+        intentCount: new Set(corpus.intents.map(intent => intent.name)).size,
+        languages: corpus.languages,
+        evaluation: { ...evaluation, source, ...(lint && { lint }) }
+    })
+
+    const manager = createNlpManager(record.languages)
+    manager.import(model)
+
+    logger.logPerformance('nlp_model_training', Date.now() - startTime, {
+        botId,
+        version: record.version,
+        source,
+        intents: record.intentCount,
+        languages: record.languages,
+        accuracy: record.accuracy
+    })
+    return { manager, version: record.version, languages: record.languages }
+}
+
+const readVersion = async (record) => {
+    const manager = await modelRegistry.loadVersion(record)
+    return { manager, version: record.version, languages: modelRegistry.getLanguages(record) }
+}
+
+// Train the bot's first version, or wait for the instance already training it
+const trainFirstVersion = async (botId) => {
+    const trained = await trainingLock.withLock(botId, () => trainVersion(botId))
+    if (trained) return trained
+
+    await new Promise((resolve) => setTimeout(resolve, FIRST_MODEL_POLL_MS))
+    const active = await modelRegistry.getActiveVersion(botId)
+    return active ? readVersion(active) : trainFirstVersion(botId)
+}
+
+// Load the bot's active version, training one when none exists or it cannot be read
+const loadInitialModel = async (botId) => {
+    const active = await modelRegistry.getActiveVersion(botId)
+    if (!active) return trainFirstVersion(botId)
+
+    try {
+        const live = await readVersion(active)
+        logger.info('Loaded NLP model version', { botId, version: active.version })
+
+        // Data edited while the server was down; a rolled back version stays pinned
+        const latest = await modelRegistry.getLatestVersion(botId)
+        if (latest.version === active.version) {
+            const { corpus } = await loadCorpus(botId)
+            if (modelRegistry.hashCorpus(corpus) !== active.dataHash) scheduleRetrain(botId, 'training_data_changed')
+        }
+
+        return live
+    } catch (error) {
+        logger.logError(error, { operation: 'load_model_version', botId, version: active.version })
+        return trainFirstVersion(botId)
+    }
+}
+
+// The bot's training data as of now, so the watcher only retrains for edits made after this
+const seedFingerprint = async (botId, state) => {
+    try {
+        state.lastFingerprint = await trainingData.getTrainingFingerprint(botId)
+    } catch (error) {
+        logger.logError(error, { operation: 'nlp_model_watch', botId })
+    }
+}
+
+// Models are loaded per bot on its first message; the watcher then only checks bots already loaded
+const initialize = async (botId) => {
+    const state = stateOf(botId)
+    if (state.live) return state.live
+
+    // Concurrent first requests share a single load. The fingerprint is taken before loading so edits
+    // made during the load still trigger a retrain
+    if (!state.initializing) {
+        state.initializing = seedFingerprint(botId, state)
+            .then(() => loadInitialModel(botId))
+            .then((loaded) => {
+                state.live = loaded
+                return loaded
+            })
+            .finally(() => {
+                state.initializing = null
+            })
+    }
+
+    return state.initializing
+}
+
+// The bot's current manager with the version and languages it was trained with
+const getModel = async (botId) => initialize(botId)
+
+/**
+ * Retrain from the current training data and swap the live manager once
+ * training succeeds. A failed run keeps the previous model; requests made
+ * while training is in progress run once more afterwards. Only one
+ * instance trains a change: the others skip it while that one holds the
+ * lock or once its version is stored, and the watcher loads that version.
+ */
+const retrain = async (botId) => {
+    const state = stateOf(botId)
+    if (state.training) {
+        state.retrainQueued = true
+        return state.training
+    }
+
+    state.training = trainingLock.withLock(botId, () => trainVersion(botId, { onlyIfChanged: true }))
+        .then((trained) => {
+            if (!trained) {
+                logger.info('NLP model already trained or training elsewhere', { botId })
+                return state.live
+            }
+            state.live = trained
+            logger.info('NLP model reloaded', { botId, version: trained.version })
+            return trained
+        })
+        .catch((error) => {
+            logger.logError(error, { operation: 'nlp_model_retrain', botId })
+            return state.live
+        })
+        .finally(() => {
+            state.training = null
+            if (state.retrainQueued) {
+                state.retrainQueued = false
+                retrain(botId)
+            }
+        })
+
+    return state.training
+}
+
+// Debounce retraining so a burst of intent edits trains once
+const scheduleRetrain = (botId, reason = 'manual') => {
+    const state = stateOf(botId)
+    clearTimeout(state.retrainTimer)
+    state.retrainTimer = setTimeout(() => {
+        logger.info('Retraining NLP model', { botId, reason })
+        retrain(botId)
+    }, env.NLP_RETRAIN_DEBOUNCE_MS)
+    state.retrainTimer.unref()
+}
+
+// Make a stored version live for its bot on this instance
+const loadVersion = async (record) => {
+    const live = await readVersion(record)
+    stateOf(record.botId).live = live
+    logger.info('NLP model version activated', { botId: record.botId, version: record.version })
+    return live
+}
+
+const promoteVersion = async (botId, version) => {
+    const record = await modelRegistry.activateVersion(botId, version)
+    await loadVersion(record)
+    return record
+}
+
+const rollback = async (botId) => {
+    const target = await modelRegistry.getRollbackTarget(botId)
+    return promoteVersion(botId, target.version)
+}
+
+// Drop a deactivated bot's model; it is loaded again if the bot comes back
+const unloadBot = (botId) => {
+    const state = bots.get(botId)
+    if (!state) return
+    clearTimeout(state.retrainTimer)
+    bots.delete(botId)
+}
+
+// Follow training data edits and version changes made by other instances
+const checkForChanges = async (botId) => {
+    const state = stateOf(botId)
+    if (!state.live) return
+
+    const fingerprint = await trainingData.getTrainingFingerprint(botId)
+    if (fingerprint !== state.lastFingerprint) {
+        state.lastFingerprint = fingerprint
+        scheduleRetrain(botId, 'training_data_changed')
+        return
+    }
+
+    const active = await modelRegistry.getActiveVersion(botId)
+    if (active && state.live && !state.training && active.version !== state.live.version) {
+        await loadVersion(active)
+    }
+}
+
+// Only bots with a model loaded on this instance are watched
+const checkLoadedBots = async () => {
+    for (const botId of [...bots.keys()]) {
+        await checkForChanges(botId).catch((error) => logger.logError(error, { operation: 'nlp_model_watch', botId }))
+    }
+}
+
+const startModelWatcher = async () => {
+    if (watchTimer) return
+
+    watchTimer = setInterval(checkLoadedBots, env.NLP_MODEL_WATCH_INTERVAL_MS)
+    watchTimer.unref()
+}
+
+const stopModelWatcher = () => {
+    clearInterval(watchTimer)
+    watchTimer = null
+}
+
+module.exports = {
+    loadCorpus,
+    trainVersion,
+    initialize,
+    getModel,
+    retrain,
+    scheduleRetrain,
+    promoteVersion,
+    rollback,
+    unloadBot,
+    startModelWatcher,
+    stopModelWatcher
+}
@@ -0,0 +1,129 @@
+// Versioned NLP model registry, each bot with its own versions stored in the database for every instance to load
+const crypto = require('crypto')
+const db = require('../../config/database')
+const { env } = require('../../config/envConfig')
+const { createNlpManager } = require('../../config/nlp')
+const { AppError } = require('../../middlewares/errorHandler')
+
+// Exported models run to megabytes, so only loadVersion reads them
+const WITHOUT_MODEL = { omit: { model: true } }
+
+// Stable hash of the training corpus, used to tell whether a model is stale
+const hashCorpus = (corpus) => {
+    return crypto.createHash('sha256').update(JSON.stringify(corpus)).digest('hex')
+}
+
+const getActiveVersion = async (botId) => {
+    return db.prisma.modelVersion.findFirst({ where: { botId, isActive: true }, ...WITHOUT_MODEL })
+}
+
+const getLatestVersion = async (botId) => {
+    return db.prisma.modelVersion.findFirst({ where: { botId }, orderBy: { version: 'desc' }, ...WITHOUT_MODEL })
+}
+
+const getVersion = async (botId, version) => {
+    const record = await db.prisma.modelVersion.findUnique({ where: { botId_version: { botId, version } }, ...WITHOUT_MODEL })
+    if (!record) throw new AppError(`Model version ${version} not found`, 404, 'NOT_FOUND')
+    return record
+}
+
+const listVersions = async (botId, { page = 1, limit = 10 } = {}) => {
+    const [versions, total] = await Promise.all([
+        db.prisma.modelVersion.findMany({
+            where: { botId },
+            orderBy: { version: 'desc' },
+            ...WITHOUT_MODEL,
+            ...db.helpers.paginate(page, limit)
+        }),
+        db.prisma.modelVersion.count({ where: { botId } })
+    ])
+
+    return { versions, total, page, limit }
+}
+
+/**
+ * Store the exported model as the bot's next version, optionally making it
+ * the active one. The version is numbered inside the insert's transaction,
+ * which holds a per-bot advisory lock so instances registering at once
+ * take turns instead of colliding on the same number.
+ */
+const registerVersion = async ({ botId, model, dataHash, intentCount, languages, evaluation, activate = true }) => {
+    return db.helpers.transaction(async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`model_versions:${botId}`}))`
+        const { _max } = await tx.modelVersion.aggregate({ where: { botId }, _max: { version: true } })
+
+        if (activate) {
+            await tx.modelVersion.updateMany({ where: { botId, isActive: true }, data: { isActive: false } })
+        }
+
+        return tx.modelVersion.create({
+            data: {
+                botId,
+                version: (_max.version || 0) + 1,
+                model,
+                dataHash,
+                intentCount,
+                languages,
+                accuracy: evaluation?.accuracy ?? null,
+                metrics: evaluation || {},
+                isActive: activate,
+                activatedAt: activate ? new Date() : null
+            },
+            ...WITHOUT_MODEL
+        })
+    })
+}
+
+const activateVersion = async (botId, version) => {
+    const record = await getVersion(botId, version)
+
+    return db.helpers.transaction(async (tx) => {
+        await tx.modelVersion.updateMany({ where: { botId, isActive: true }, data: { isActive: false } })
+        return tx.modelVersion.update({
+            where: { id: record.id },
+            data: { isActive: true, activatedAt: new Date() },
+            ...WITHOUT_MODEL
+        })
+    })
+}
+
+// The version of the bot trained before its active one
+const getRollbackTarget = async (botId) => {
+    const active = await getActiveVersion(botId)
+    if (!active) throw new AppError('No active model version to roll back from', 409, 'NO_ACTIVE_MODEL')
+
+    const previous = await db.prisma.modelVersion.findFirst({
+        where: { botId, version: { lt: active.version } },
+        orderBy: { version: 'desc' },
+        ...WITHOUT_MODEL
+    })
+    if (!previous) throw new AppError(`No model version older than ${active.version}`, 409, 'NO_PREVIOUS_MODEL')
+
+    return previous
+}
+
+// Versions trained before multilingual support only know NLP_LANGUAGE
+const getLanguages = (record) => {
+    return record.languages?.length > 0 ? record.languages : [env.NLP_LANGUAGE]
+}
+
+// Read a stored version into a ready-to-use manager
+const loadVersion = async (record) => {
+    const { model } = await db.prisma.modelVersion.findUnique({ where: { id: record.id }, select: { model: true } })
+    const manager = createNlpManager(getLanguages(record))
+    manager.import(model)
+    return manager
+}
+
+module.exports = {
+    hashCorpus,
+    getActiveVersion,
+    getLatestVersion,
+    getVersion,
+    listVersions,
+    registerVersion,
+    activateVersion,
+    getRollbackTarget,
+    getLanguages,
+    loadVersion
+}
@@ -0,0 +1,97 @@
+// Sentiment tracking and escalation
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const configService = require('../configuration/configService')
+const { env } = require('../../config/envConfig')
+const { analyzeSentiment, isComplaint } = require('../../config/nlp')
+const { RESPONSE_TONES, ANALYTICS_EVENTS } = require('../../utils/constants')
+
+// Sentiment can be switched off with the `enable_sentiment_analysis` configuration, for all bots or one
+const isEnabled = (botId) => configService.get(botId, 'enable_sentiment_analysis')
+
+const getSentimentState = (context) => context.sentiment || { scores: [], negative_streak: 0 }
+
+const toLabel = (score) => {
+    if (score > env.NLP_SENTIMENT_THRESHOLD) return 'positive'
+    if (score < -env.NLP_SENTIMENT_THRESHOLD) return 'negative'
+    return 'neutral'
+}
+
+/**
+ * Add a message's sentiment to the session's rolling window. Negative
+ * messages and complaints extend the streak, anything else resets it;
+ * `escalate` is true while the streak is at least NLP_ESCALATION_STREAK,
+ * the caller escalates a session only once.
+ */
+const recordSentiment = (context, { sentiment, intent }) => {
+    const previous = getSentimentState(context)
+    const scores = [...previous.scores, sentiment.score].slice(-env.NLP_SENTIMENT_WINDOW)
+    const trend = scores.reduce((sum, score) => sum + score, 0) / scores.length
+    const isNegative = sentiment.label === 'negative' || isComplaint(intent)
+    const negativeStreak = isNegative ? previous.negative_streak + 1 : 0
+
+    const state = {
+        scores,
+        trend,
+        trend_label: toLabel(trend),
+        last_label: sentiment.label,
+        negative_streak: negativeStreak
+    }
+
+    return {
+        context: { ...context, sentiment: state },
+        escalate: negativeStreak >= env.NLP_ESCALATION_STREAK
+    }
+}
+
+// Empathetic while the user is negative now or on average over the window
+const getTone = (context) => {
+    const state = getSentimentState(context)
+    const isNegative = state.last_label === 'negative' || state.trend_label === 'negative' || state.negative_streak > 0
+    return isNegative ? RESPONSE_TONES.EMPATHETIC : RESPONSE_TONES.NEUTRAL
+}
+
+// Analyze a message and update the session's trend
+const trackMessage = async (context, { botId, message, intent }) => {
+    if (!(await isEnabled(botId))) {
+        return { context, sentiment: null, tone: RESPONSE_TONES.NEUTRAL, escalate: false }
+    }
+
+    const sentiment = analyzeSentiment(message)
+    const recorded = recordSentiment(context, { sentiment, intent })
+
+    return { ...recorded, sentiment, tone: getTone(recorded.context) }
+}
+
+// Record the escalation for support leads and flag the session; written whatever enable_analytics says
+const escalate = async (session, { message, intent, sentiment, context }) => {
+    const state = getSentimentState(context)
+    const data = {
+        sessionId: session.sessionId,
+        userId: session.userId,
+        intent,
+        message,
+        score: sentiment.score,
+        trend: state.trend,
+        negativeStreak: state.negative_streak
+    }
+
+    await db.helpers.transaction(async (tx) => {
+        await tx.analytics.create({
+            data: { botId: session.botId, sessionId: session.id, event: ANALYTICS_EVENTS.SENTIMENT_ESCALATION, data }
+        })
+        await tx.session.update({
+            where: { id: session.id },
+            data: { escalatedAt: new Date() }
+        })
+    })
+
+    logger.warn('Conversation escalated after negative sentiment', data)
+}
+
+module.exports = {
+    recordSentiment,
+    getTone,
+    trackMessage,
+    escalate
+}
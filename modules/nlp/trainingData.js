@@ -0,0 +1,108 @@
+// Training corpus of a bot, built from the database
+const crypto = require('crypto')
+const db = require('../../config/database')
+const configService = require('../configuration/configService')
+const { env } = require('../../config/envConfig')
+
+// Catch-all patterns such as the fallback intent's '*' are not training utterances
+const isTrainableUtterance = (text) => typeof text === 'string' && text.trim() && text.trim() !== '*'
+
+// Languages from the bot's `supported_languages` configuration, always including NLP_LANGUAGE
+const loadSupportedLanguages = async (botId) => {
+    const configured = await configService.get(botId, 'supported_languages')
+    return [...new Set([env.NLP_LANGUAGE, ...configured])]
+}
+
+const uniqueUtterances = (texts) => [...new Set(texts.filter(isTrainableUtterance))]
+
+/**
+ * One corpus entry per intent and language: `patterns`/`responses` and
+ * examples without another language belong to NLP_LANGUAGE, the rest come
+ * from `Intent.translations` and examples tagged with that language.
+ */
+const toCorpusIntents = (intent, languages) => {
+    const translations = intent.translations || {}
+
+    return languages.map((language) => {
+        const isDefault = language === env.NLP_LANGUAGE
+        const translation = translations[language] || {}
+        const examples = intent.examples
+            .filter(example => (example.language || env.NLP_LANGUAGE) === language)
+            .map(example => example.text)
+
+        return {
+            name: intent.name,
+            language,
+            utterances: uniqueUtterances([...(isDefault ? intent.patterns : translation.patterns || []), ...examples]),
+            responses: isDefault ? intent.responses : translation.responses || []
+        }
+    }).filter(entry => entry.utterances.length > 0 || entry.responses.length > 0)
+}
+
+/**
+ * Build the bot's NLP corpus from its active `Intent`, `IntentExample` and `Entity` rows.
+ * Entity synonyms map each canonical value to the texts that should resolve to it.
+ */
+const loadCorpusFromDatabase = async (botId) => {
+    const [intents, entities, languages] = await Promise.all([
+        db.prisma.intent.findMany({
+            where: { botId, isActive: true },
+            include: { examples: { orderBy: { text: 'asc' } } },
+            orderBy: { name: 'asc' }
+        }),
+        db.prisma.entity.findMany({
+            where: { botId, isActive: true },
+            orderBy: { name: 'asc' }
+        }),
+        loadSupportedLanguages(botId)
+    ])
+
+    return {
+        languages,
+        intents: intents.flatMap(intent => toCorpusIntents(intent, languages)),
+        entities: entities.flatMap(entity => entity.values.map(value => ({
+            name: entity.name,
+            option: value,
+            languages,
+            texts: [...new Set([value, ...((entity.synonyms || {})[value] || [])])]
+        })))
+    }
+}
+
+// Priority of each of the bot's active intents, by name
+const loadIntentPriorities = async (botId) => {
+    const intents = await db.prisma.intent.findMany({ where: { botId, isActive: true }, select: { name: true, priority: true } })
+    return new Map(intents.map(intent => [intent.name, intent.priority]))
+}
+
+/**
+ * Signature of the bot's training data, used to notice edits made by other
+ * instances or directly in the database. Intents and entities are hashed by
+ * id and updatedAt, examples, which have no updatedAt, by their content, so
+ * a deleted row replaced by a new one still changes it. The database does
+ * the hashing so only the digests come back.
+ */
+const getTrainingFingerprint = async (botId) => {
+    const [[digests], languages] = await Promise.all([
+        db.prisma.$queryRaw`
+            SELECT
+                (SELECT md5(COALESCE(string_agg(id || ':' || "updatedAt"::text, ',' ORDER BY id), ''))
+                    FROM intents WHERE "botId" = ${botId}) AS intents,
+                (SELECT md5(COALESCE(string_agg(e.id || ':' || e.language || ':' || e.text, ',' ORDER BY e.id), ''))
+                    FROM intent_examples e JOIN intents i ON i.id = e."intentId" WHERE i."botId" = ${botId}) AS examples,
+                (SELECT md5(COALESCE(string_agg(id || ':' || "updatedAt"::text, ',' ORDER BY id), ''))
+                    FROM entities WHERE "botId" = ${botId}) AS entities`,
+        loadSupportedLanguages(botId)
+    ])
+
+    return crypto.createHash('sha256')
+        .update([digests.intents, digests.examples, digests.entities, languages.join(',')].join(':'))
+        .digest('hex')
+}
+
+module.exports = {
+    loadSupportedLanguages,
+    loadCorpusFromDatabase,
+    loadIntentPriorities,
+    getTrainingFingerprint
+}
@@ -0,0 +1,83 @@
+// Per-bot training lock shared by every instance over Redis, so a training data change is trained once
+const crypto = require('crypto')
+const redis = require('../../config/redis')
+const logger = require('../../utils/logger')
+const { env } = require('../../config/envConfig')
+
+// Renew or release the lock only while this instance still holds it
+const RENEW_LOCK = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`
+
+const RELEASE_LOCK = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`
+
+let client = null
+
+const lockKey = (botId) => `nlp:training:${botId}`
+
+const isDistributed = () => client !== null
+
+/**
+ * Run `train` while holding the bot's training lock, renewed until it
+ * settles so a long training run keeps it. Resolves to null without
+ * running `train` when another instance holds the lock. Without Redis
+ * every instance trains on its own.
+ */
+const withLock = async (botId, train) => {
+    if (!isDistributed()) return train()
+
+    const key = lockKey(botId)
+    const token = crypto.randomUUID()
+    const acquired = await client.set(key, token, 'PX', env.NLP_TRAINING_LOCK_TTL_MS, 'NX')
+    if (!acquired) return null
+
+    const renewal = setInterval(() => {
+        client.renewTrainingLock(key, token, env.NLP_TRAINING_LOCK_TTL_MS)
+            .catch((error) => logger.logError(error, { operation: 'training_lock_renew', botId }))
+    }, env.NLP_TRAINING_LOCK_TTL_MS / 3)
+    renewal.unref()
+
+    try {
+        return await train()
+    } finally {
+        clearInterval(renewal)
+        await client.releaseTrainingLock(key, token)
+            .catch((error) => logger.logError(error, { operation: 'training_lock_release', botId }))
+    }
+}
+
+// Share the lock through Redis; returns whether training is coordinated between instances
+const start = async () => {
+    if (isDistributed()) return true
+
+    try {
+        const connection = redis.createRedisClient()
+        if (connection.status === 'wait') await connection.connect()
+        if (!connection.renewTrainingLock) {
+            connection.defineCommand('renewTrainingLock', { numberOfKeys: 1, lua: RENEW_LOCK })
+            connection.defineCommand('releaseTrainingLock', { numberOfKeys: 1, lua: RELEASE_LOCK })
+        }
+        client = connection
+        logger.info('NLP training coordinated over Redis')
+        return true
+    } catch (error) {
+        logger.warn('Redis unavailable, every instance trains its own models', { error: error.message })
+        return false
+    }
+}
+
+const stop = () => {
+    client = null
+}
+
+module.exports = {
+    withLock,
+    start,
+    stop
+}
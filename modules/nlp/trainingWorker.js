@@ -0,0 +1,15 @@
+// Trains an NLP model off the main thread and posts back the exported model
+const { parentPort, workerData } = require('worker_threads')
+const { InitializeNlpManager } = require('../../config/nlp')
+const { evaluateHoldout } = require('./modelEvaluation')
+
+const train = async ({ corpus, botId, threshold }) => {
+    const manager = await InitializeNlpManager(corpus, { botId, modelPath: null })
+    // A second, smaller training run scores the model on utterances it hasn't seen
+    const evaluation = await evaluateHoldout(corpus, { threshold })
+    return { model: manager.export(true), evaluation }
+}
+
+train(workerData)
+    .then((result) => parentPort.postMessage(result))
+    .catch((error) => parentPort.postMessage({ error: error.message }))
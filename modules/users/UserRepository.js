@@ -0,0 +1,110 @@
+// Prisma access for staff users, their refresh tokens and API keys
+const db = require('../../config/database')
+
+// Everything but the password hash
+const USER_FIELDS = {
+    id: true,
+    email: true,
+    username: true,
+    role: true,
+    isActive: true,
+    lastLoginAt: true,
+    createdAt: true,
+    updatedAt: true
+}
+
+// Everything but the key hash, which never leaves the database
+const API_KEY_FIELDS = {
+    id: true,
+    name: true,
+    prefix: true,
+    role: true,
+    botId: true,
+    createdById: true,
+    lastUsedAt: true,
+    expiresAt: true,
+    revokedAt: true,
+    createdAt: true
+}
+
+// Chat users have no role, staff always have one
+const staffFilter = ({ role }) => ({ role: role || { not: null } })
+
+const findUsers = async ({ role, page, limit }) => {
+    const where = staffFilter({ role })
+    const [users, total] = await Promise.all([
+        db.prisma.user.findMany({ where, select: USER_FIELDS, orderBy: { createdAt: 'asc' }, ...db.helpers.paginate(page, limit) }),
+        db.prisma.user.count({ where })
+    ])
+    return { users, total }
+}
+
+const findUserById = (id) => db.prisma.user.findUnique({ where: { id }, select: USER_FIELDS })
+
+// With the password hash, for login only
+const findUserByLogin = (login) => db.prisma.user.findFirst({
+    where: {
+        OR: [
+            { email: { equals: login, mode: 'insensitive' } },
+            { username: { equals: login, mode: 'insensitive' } }
+        ]
+    }
+})
+
+const createUser = (data) => db.prisma.user.create({ data, select: USER_FIELDS })
+
+const updateUser = (id, data) => db.prisma.user.update({ where: { id }, data, select: USER_FIELDS })
+
+const createRefreshToken = (data) => db.prisma.refreshToken.create({ data })
+
+const findRefreshToken = (tokenHash) => db.prisma.refreshToken.findUnique({
+    where: { tokenHash },
+    include: { user: { select: USER_FIELDS } }
+})
+
+// Counts 0 when the token was already revoked, so only one of two concurrent uses wins
+const revokeRefreshToken = (id) => db.prisma.refreshToken.updateMany({
+    where: { id, revokedAt: null },
+    data: { revokedAt: new Date() }
+})
+
+const revokeRefreshTokensOf = (userId) => db.prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+})
+
+const findApiKeys = async ({ page, limit }) => {
+    const [apiKeys, total] = await Promise.all([
+        db.prisma.apiKey.findMany({ select: API_KEY_FIELDS, orderBy: { createdAt: 'desc' }, ...db.helpers.paginate(page, limit) }),
+        db.prisma.apiKey.count()
+    ])
+    return { apiKeys, total }
+}
+
+const findApiKeyByHash = (keyHash) => db.prisma.apiKey.findUnique({ where: { keyHash }, select: API_KEY_FIELDS })
+
+const createApiKey = (data) => db.prisma.apiKey.create({ data, select: API_KEY_FIELDS })
+
+const revokeApiKey = (id) => db.prisma.apiKey.updateMany({
+    where: { id, revokedAt: null },
+    data: { revokedAt: new Date() }
+})
+
+const touchApiKey = (id) => db.prisma.apiKey.update({ where: { id }, data: { lastUsedAt: new Date() }, select: { id: true } })
+
+module.exports = {
+    findUsers,
+    findUserById,
+    findUserByLogin,
+    createUser,
+    updateUser,
+    createRefreshToken,
+    findRefreshToken,
+    revokeRefreshToken,
+    revokeRefreshTokensOf,
+    findApiKeys,
+    findApiKeyByHash,
+    createApiKey,
+    revokeApiKey,
+    touchApiKey
+}
@@ -0,0 +1,57 @@
+// Login, token refresh and API key routes
+const express = require('express')
+const authService = require('./authService')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const { authenticate, requireRole, usersOnly } = require('../../middlewares/authentication')
+const { rateLimit } = require('../../middlewares/rateLimiter')
+const { ROLES } = require('../../utils/constants')
+const {
+    loginSchema,
+    refreshTokenSchema,
+    paginationSchema,
+    apiKeySchema,
+    apiKeyParamsSchema
+} = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') })
+
+router.post('/login', rateLimit('login'), validate(loginSchema), async (req, res) => {
+    const tokens = await authService.login(req.validated.body, clientInfo(req))
+    return formatter.success(res, tokens)
+})
+
+// Refresh tokens work once, the response carries the next one
+router.post('/refresh', rateLimit('login'), validate(refreshTokenSchema), async (req, res) => {
+    const tokens = await authService.refresh(req.validated.body.refreshToken, clientInfo(req))
+    return formatter.success(res, tokens)
+})
+
+router.post('/logout', rateLimit('api'), validate(refreshTokenSchema), async (req, res) => {
+    await authService.logout(req.validated.body.refreshToken, clientInfo(req))
+    return res.status(204).end()
+})
+
+// The signed-in user or API key
+router.get('/me', authenticate(), rateLimit('api'), (req, res) => formatter.success(res, req.auth))
+
+// Keys are managed by signed-in admins only, so no key can mint one for another bot
+router.get('/api-keys', requireRole(ROLES.ADMIN), usersOnly, rateLimit('api'), validate(paginationSchema, 'query'), async (req, res) => {
+    const { apiKeys, ...pagination } = await authService.listApiKeys(req.validated.query)
+    return formatter.paginated(res, apiKeys, pagination)
+})
+
+// The response is the only time the key is shown
+router.post('/api-keys', requireRole(ROLES.ADMIN), usersOnly, rateLimit('api'), validate(apiKeySchema), async (req, res) => {
+    const apiKey = await authService.createApiKey(req.validated.body, req.auth)
+    return formatter.success(res, apiKey, 201)
+})
+
+router.delete('/api-keys/:id', requireRole(ROLES.ADMIN), usersOnly, rateLimit('api'), validate(apiKeyParamsSchema, 'params'), async (req, res) => {
+    await authService.revokeApiKey(req.validated.params.id, req.auth)
+    return res.status(204).end()
+})
+
+module.exports = router
@@ -0,0 +1,188 @@
+// Staff login with access and refresh tokens, and API keys for client apps
+const crypto = require('crypto')
+const bcrypt = require('bcryptjs')
+const jwt = require('jsonwebtoken')
+const logger = require('../../utils/logger')
+const userRepository = require('./UserRepository')
+const botService = require('../bots/botService')
+const { jwtSecret, jwtExpiresIn, jwtRefreshExpiresDays, security } = require('../../config/envConfig')
+const { AppError } = require('../../middlewares/errorHandler')
+const { AUTH_TYPES } = require('../../utils/constants')
+
+const TOKEN_ISSUER = 'chatbot-api'
+const DAY_MS = 24 * 60 * 60 * 1000
+const API_KEY_PREFIX = 'cbk_'
+const API_KEY_SHOWN_CHARS = 12
+
+// lastUsedAt is written at most this often per key, not on every request
+const API_KEY_TOUCH_INTERVAL_MS = 5 * 60 * 1000
+
+const invalidCredentials = () => new AppError('Invalid credentials', 401, 'INVALID_CREDENTIALS')
+
+const invalidRefreshToken = () => new AppError('Invalid or expired refresh token', 401, 'INVALID_TOKEN')
+
+// Refresh tokens and API keys are long random strings, so a fast hash is enough to store them
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex')
+
+const hashPassword = (password) => bcrypt.hash(password, security.bcryptSaltRounds)
+
+// Compared against when the login is unknown, so the response time doesn't tell which logins exist
+let dummyHash
+const passwordMatches = async (password, user) => {
+    dummyHash ??= hashPassword(crypto.randomBytes(16).toString('hex'))
+    return bcrypt.compare(password, user?.passwordHash || await dummyHash)
+}
+
+const canSignIn = (user) => Boolean(user?.isActive && user.role)
+
+const toPrincipal = (type, { id, role }, name) => ({ type, id, role, name })
+
+const signAccessToken = (user) => jwt.sign({ role: user.role }, jwtSecret, {
+    subject: user.id,
+    issuer: TOKEN_ISSUER,
+    expiresIn: jwtExpiresIn
+})
+
+const issueTokens = async ({ passwordHash, ...user }) => {
+    const refreshToken = crypto.randomBytes(32).toString('base64url')
+    await userRepository.createRefreshToken({
+        userId: user.id,
+        tokenHash: hashSecret(refreshToken),
+        expiresAt: new Date(Date.now() + jwtRefreshExpiresDays * DAY_MS)
+    })
+
+    return {
+        tokenType: 'Bearer',
+        accessToken: signAccessToken(user),
+        expiresIn: jwtExpiresIn,
+        refreshToken,
+        user
+    }
+}
+
+const login = async ({ login, password }, meta = {}) => {
+    const user = await userRepository.findUserByLogin(login)
+    const matches = await passwordMatches(password, user)
+
+    if (!matches || !canSignIn(user)) {
+        logger.logSecurity('login_failed', { login, ...meta })
+        throw invalidCredentials()
+    }
+
+    const signedIn = await userRepository.updateUser(user.id, { lastLoginAt: new Date() })
+    logger.logAuth('login', { userId: user.id, role: user.role, ...meta })
+    return issueTokens(signedIn)
+}
+
+/**
+ * Swap a refresh token for a new pair. Each refresh token works once: one
+ * presented again after it was replaced has leaked, so every session of
+ * its user is ended.
+ */
+const refresh = async (refreshToken, meta = {}) => {
+    const stored = await userRepository.findRefreshToken(hashSecret(refreshToken))
+    if (!stored) {
+        logger.logSecurity('refresh_token_invalid', meta)
+        throw invalidRefreshToken()
+    }
+
+    if (stored.revokedAt) {
+        await userRepository.revokeRefreshTokensOf(stored.userId)
+        logger.logSecurity('refresh_token_reused', { userId: stored.userId, ...meta })
+        throw invalidRefreshToken()
+    }
+
+    if (stored.expiresAt <= new Date() || !canSignIn(stored.user)) {
+        logger.logSecurity('refresh_token_rejected', { userId: stored.userId, ...meta })
+        throw invalidRefreshToken()
+    }
+
+    const { count } = await userRepository.revokeRefreshToken(stored.id)
+    if (count === 0) {
+        logger.logSecurity('refresh_token_reused', { userId: stored.userId, ...meta })
+        throw invalidRefreshToken()
+    }
+
+    logger.logAuth('token_refreshed', { userId: stored.userId, ...meta })
+    return issueTokens(stored.user)
+}
+
+// Unknown or already revoked tokens are ignored, logging out twice is not an error
+const logout = async (refreshToken, meta = {}) => {
+    const stored = await userRepository.findRefreshToken(hashSecret(refreshToken))
+    if (!stored || stored.revokedAt) return
+
+    await userRepository.revokeRefreshToken(stored.id)
+    logger.logAuth('logout', { userId: stored.userId, ...meta })
+}
+
+// End every session of a user, after a password change or deactivation
+const revokeSessions = (userId) => userRepository.revokeRefreshTokensOf(userId)
+
+// The role comes from the database rather than the token, so changes apply at once
+const verifyAccessToken = async (token) => {
+    let payload
+    try {
+        payload = jwt.verify(token, jwtSecret, { algorithms: ['HS256'], issuer: TOKEN_ISSUER })
+    } catch (error) {
+        if (error instanceof jwt.TokenExpiredError) throw new AppError('Access token expired', 401, 'TOKEN_EXPIRED')
+        throw new AppError('Invalid access token', 401, 'INVALID_TOKEN')
+    }
+
+    const user = await userRepository.findUserById(payload.sub)
+    if (!canSignIn(user)) throw new AppError('Invalid access token', 401, 'INVALID_TOKEN')
+    return toPrincipal(AUTH_TYPES.USER, user, user.username || user.email)
+}
+
+const verifyApiKey = async (key) => {
+    const apiKey = await userRepository.findApiKeyByHash(hashSecret(key))
+    const expired = apiKey?.expiresAt && apiKey.expiresAt <= new Date()
+    if (!apiKey || apiKey.revokedAt || expired) throw new AppError('Invalid API key', 401, 'INVALID_API_KEY')
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+        userRepository.touchApiKey(apiKey.id).catch((error) => logger.logError(error, { operation: 'api_key_touch', apiKeyId: apiKey.id }))
+    }
+    return { ...toPrincipal(AUTH_TYPES.API_KEY, apiKey, apiKey.name), botId: apiKey.botId }
+}
+
+// The key itself is only returned here; afterwards only its prefix is known
+const createApiKey = async ({ name, role, bot, expiresAt }, createdBy) => {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`
+    const apiKey = await userRepository.createApiKey({
+        name,
+        role,
+        botId: bot ? (await botService.getBotBySlug(bot)).id : null,
+        expiresAt,
+        prefix: key.slice(0, API_KEY_SHOWN_CHARS),
+        keyHash: hashSecret(key),
+        createdById: createdBy.type === AUTH_TYPES.USER ? createdBy.id : null
+    })
+
+    logger.logAuth('api_key_created', { apiKeyId: apiKey.id, name, role, bot, by: createdBy.id })
+    return { ...apiKey, key }
+}
+
+const listApiKeys = async ({ page = 1, limit = 10 } = {}) => {
+    const { apiKeys, total } = await userRepository.findApiKeys({ page, limit })
+    return { apiKeys, total, page, limit }
+}
+
+const revokeApiKey = async (id, revokedBy) => {
+    const { count } = await userRepository.revokeApiKey(id)
+    if (count === 0) throw new AppError(`API key ${id} not found`, 404, 'NOT_FOUND')
+    logger.logAuth('api_key_revoked', { apiKeyId: id, by: revokedBy.id })
+}
+
+module.exports = {
+    hashPassword,
+    signAccessToken,
+    login,
+    refresh,
+    logout,
+    revokeSessions,
+    verifyAccessToken,
+    verifyApiKey,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+}
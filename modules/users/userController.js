@@ -0,0 +1,31 @@
+// Staff user admin routes
+const express = require('express')
+const userService = require('./userService')
+const formatter = require('../../utils/responseFormatter')
+const { validate } = require('../../middlewares/validation')
+const { userSchema, userUpdateSchema, userQuerySchema, userParamsSchema } = require('../../utils/zodValidation')
+
+const router = express.Router()
+
+router.get('/', validate(userQuerySchema, 'query'), async (req, res) => {
+    const { users, ...pagination } = await userService.listUsers(req.validated.query)
+    return formatter.paginated(res, users, pagination)
+})
+
+router.post('/', validate(userSchema), async (req, res) => {
+    const user = await userService.createUser(req.validated.body, req.auth)
+    return formatter.success(res, user, 201)
+})
+
+router.get('/:id', validate(userParamsSchema, 'params'), async (req, res) => {
+    const user = await userService.getUser(req.validated.params.id)
+    return formatter.success(res, user)
+})
+
+// Role, isActive or password; deactivating or setting a password signs the user out everywhere
+router.patch('/:id', validate(userParamsSchema, 'params'), validate(userUpdateSchema), async (req, res) => {
+    const user = await userService.updateUser(req.validated.params.id, req.validated.body, req.auth)
+    return formatter.success(res, user)
+})
+
+module.exports = router
@@ -0,0 +1,54 @@
+// Staff user administration
+const logger = require('../../utils/logger')
+const userRepository = require('./UserRepository')
+const authService = require('./authService')
+const { AppError } = require('../../middlewares/errorHandler')
+const { ROLES } = require('../../utils/constants')
+
+const userNotFound = (id) => new AppError(`User ${id} not found`, 404, 'NOT_FOUND')
+
+const listUsers = async ({ page = 1, limit = 10, role } = {}) => {
+    const { users, total } = await userRepository.findUsers({ role, page, limit })
+    return { users, total, page, limit }
+}
+
+// Chat users share the table but aren't staff
+const getUser = async (id) => {
+    const user = await userRepository.findUserById(id)
+    if (!user?.role) throw userNotFound(id)
+    return user
+}
+
+const createUser = async ({ password, ...user }, createdBy) => {
+    const created = await userRepository.createUser({ ...user, passwordHash: await authService.hashPassword(password) })
+    logger.logAuth('user_created', { userId: created.id, role: created.role, by: createdBy.id })
+    return created
+}
+
+/**
+ * Change a user's role, status or password. Deactivating a user or
+ * setting a new password ends their sessions. Admins can't demote or
+ * deactivate themselves, so there is always one left.
+ */
+const updateUser = async (id, { password, ...changes }, updatedBy) => {
+    await getUser(id)
+    if (id === updatedBy.id && (changes.isActive === false || (changes.role && changes.role !== ROLES.ADMIN))) {
+        throw new AppError('Admins cannot demote or deactivate themselves', 400, 'VALIDATION_ERROR')
+    }
+
+    const updated = await userRepository.updateUser(id, {
+        ...changes,
+        ...(password && { passwordHash: await authService.hashPassword(password) })
+    })
+    if (password || changes.isActive === false) await authService.revokeSessions(id)
+
+    logger.logAuth('user_updated', { userId: id, fields: Object.keys({ ...changes, ...(password && { password }) }), by: updatedBy.id })
+    return updated
+}
+
+module.exports = {
+    listUsers,
+    getUser,
+    createUser,
+    updateUser
+}
@@ -2,6 +2,7 @@
 
 const { prisma, helpers } = require("../config/database");
 const logger = require("../utils/logger");
+const { defaultBot } = require('../config/envConfig')
 
 async function main() {
     logger.info('Starting database seeding')
@@ -12,12 +13,19 @@ async function main() {
         await tx.intentExample.deleteMany({})
         await tx.message.deleteMany({})
         await tx.session.deleteMany({})
-        await tx.user.deleteMany({})
+        await tx.user.deleteMany({ where: { role: null } }) // Staff accounts are kept
         await tx.intent.deleteMany({})
         await tx.entity.deleteMany({})
         await tx.conversationFlow.deleteMany({})
         await tx.configuration.deleteMany({})
 
+        // The default bot is kept with its id, so its model versions and API keys stay valid
+        const bot = await tx.bot.upsert({
+            where: { slug: defaultBot },
+            update: { isActive: true },
+            create: { slug: defaultBot, name: 'Default bot' }
+        })
+
         // seed entites
         const entities = [
             {
@@ -70,7 +78,7 @@ async function main() {
         ]
 
         for (const entity of entities) {
-            await tx.entity.create({ data: entity })
+            await tx.entity.create({ data: { ...entity, botId: bot.id } })
         }
 
         // Seed intents
@@ -80,12 +88,26 @@ async function main() {
                 description: 'User greets the chatbot',
                 patterns: ['hello', 'hi', 'hey', 'good morning', 'good afternoon', 'good evening'],
                 responses: [
-                    'Hello! How can I help you today?',
-                    'Hi there! What can I do for you?',
+                    'Hello{{#if context.user_name}} {{context.user_name}}{{/if}}! How can I help you today?',
+                    'Hi {{context.user_name | there}}! What can I do for you?',
                     'Hey! How are you doing?',
                     'Good to see you! How can I assist?'
                 ],
                 entities: ['person', 'emotion'],
+                slots: {
+                    person: { required: false },
+                    emotion: { required: false }
+                },
+                translations: {
+                    es: {
+                        patterns: ['hola', 'buenos días', 'buenas tardes', 'buenas noches', 'qué tal'],
+                        responses: ['¡Hola! ¿En qué puedo ayudarte hoy?', '¡Hola! ¿Qué puedo hacer por ti?']
+                    },
+                    fr: {
+                        patterns: ['bonjour', 'salut', 'bonsoir', 'coucou'],
+                        responses: ['Bonjour ! Comment puis-je vous aider aujourd\'hui ?', 'Salut ! Que puis-je faire pour vous ?']
+                    }
+                },
                 priority: 10
             },
             {
@@ -99,6 +121,16 @@ async function main() {
                     'Thanks for chatting with me!'
                 ],
                 entities: [],
+                translations: {
+                    es: {
+                        patterns: ['adiós', 'hasta luego', 'nos vemos', 'chao'],
+                        responses: ['¡Adiós! Que tengas un buen día.', '¡Hasta luego!']
+                    },
+                    fr: {
+                        patterns: ['au revoir', 'à bientôt', 'à plus tard', 'bonne journée'],
+                        responses: ['Au revoir ! Bonne journée !', 'À bientôt !']
+                    }
+                },
                 priority: 10
             },
             {
@@ -111,6 +143,38 @@ async function main() {
                     'Feel free to ask me anything. How can I help?'
                 ],
                 entities: ['product'],
+                slots: {
+                    product: { required: false }
+                },
+                translations: {
+                    es: {
+                        patterns: ['ayuda', 'necesito ayuda', 'qué puedes hacer', 'cómo funciona esto'],
+                        responses: ['Puedo ayudarte con varias tareas. ¿Qué te gustaría saber?']
+                    },
+                    fr: {
+                        patterns: ['aide', 'j\'ai besoin d\'aide', 'que peux-tu faire', 'comment ça marche'],
+                        responses: ['Je peux vous aider avec plusieurs choses. Que voulez-vous savoir ?']
+                    }
+                },
+                variants: {
+                    empathetic: [
+                        'I\'m sorry you\'re running into trouble. Tell me what\'s going on and I\'ll do my best to fix it.',
+                        'That sounds frustrating. Let\'s sort it out together, what do you need help with?'
+                    ]
+                },
+                richResponses: [
+                    [
+                        {
+                            type: 'quick_replies',
+                            text: 'I\'m here to assist you! What do you need help with?',
+                            replies: [
+                                { title: 'Products', payload: 'Tell me about your products' },
+                                { title: 'Technical issue', payload: 'I have a problem with my device' },
+                                { title: 'Talk to a person', payload: 'I want to talk to a human' }
+                            ]
+                        }
+                    ]
+                ],
                 priority: 8
             },
             {
@@ -118,11 +182,31 @@ async function main() {
                 description: 'User asks about products',
                 patterns: ['tell me about', 'what is', 'information about', 'details of'],
                 responses: [
-                    'I can provide information about our products. What specific product are you interested in?',
-                    'Which product would you like to know more about?',
-                    'I have details about various products. What catches your interest?'
+                    'I can help you with {{entities.product}}-related questions. What specific issue are you experiencing?',
+                    'Happy to tell you about our {{entities.product | products}}. What would you like to know?',
+                    '{{#if entities.number}}Looking for {{plural entities.number "# unit" "# units"}} of {{entities.product}}? {{/if}}I have all the details about our {{entities.product}} range. What catches your interest?'
                 ],
                 entities: ['product'],
+                slots: {
+                    product: {
+                        prompt: 'Which product would you like to know more about?',
+                        reprompt: 'Sorry, I didn\'t catch that. We have laptops, phones, tablets, headphones and keyboards. Which one?',
+                        max_attempts: 2
+                    }
+                },
+                richResponses: [
+                    [
+                        { type: 'text', text: 'Here are some of our most popular products. Which one are you interested in?' },
+                        {
+                            type: 'carousel',
+                            cards: [
+                                { title: 'Laptops', subtitle: 'Ultrabooks and workstations', buttons: [{ title: 'Laptops', payload: 'laptop' }] },
+                                { title: 'Phones', subtitle: 'The latest smartphones', buttons: [{ title: 'Phones', payload: 'phone' }] },
+                                { title: 'Headphones', subtitle: 'Wireless and noise cancelling', buttons: [{ title: 'Headphones', payload: 'headphones' }] }
+                            ]
+                        }
+                    ]
+                ],
                 priority: 7
             },
             {
@@ -135,6 +219,11 @@ async function main() {
                     'I can\'t provide weather updates, but there are many great weather apps available!'
                 ],
                 entities: ['time'],
+                slots: {
+                    time: { required: false }
+                },
+                // Live forecasts when a weather service is configured, the responses above otherwise
+                ...(process.env.WEATHER_FULFILLMENT_URL && { fulfillment: { url: process.env.WEATHER_FULFILLMENT_URL } }),
                 priority: 5
             },
             {
@@ -147,8 +236,22 @@ async function main() {
                     'All good on my end! What brings you here today?'
                 ],
                 entities: ['emotion'],
+                slots: {
+                    emotion: { required: false }
+                },
                 priority: 3
             },
+            {
+                name: 'human_agent',
+                description: 'User asks to talk to a person',
+                patterns: ['talk to a human', 'speak to an agent', 'I want a real person', 'can I talk to someone', 'customer service representative'],
+                responses: [
+                    'Sure, let me get a member of our team for you.',
+                    'Of course. I\'ll connect you with a person.'
+                ],
+                entities: [],
+                priority: 9
+            },
             {
                 name: 'fallback',
                 description: 'Default response when intent is not recognized',
@@ -164,7 +267,7 @@ async function main() {
         ]
 
         for (const intent of intents) {
-            const createdIntent = await tx.intent.create({ data: intent })
+            const createdIntent = await tx.intent.create({ data: { ...intent, botId: bot.id } })
             // Create examples for each intent
             const examples = intents.patterns.map(pattern => ({
                 intentId: createdIntent.id,
@@ -232,7 +335,7 @@ async function main() {
         ]
 
         for (const flow of conversationFlows) {
-            await tx.conversationFlow.create({ data: flow })
+            await tx.conversationFlow.create({ data: { ...flow, botId: bot.id } })
         }
 
         // Seed Configuration 
@@ -287,6 +390,7 @@ async function main() {
 
         const sampleSession = await tx.session.create({
             data: {
+                botId: bot.id,
                 userId: sampleUser.id,
                 sessionId: 'demo_session_001',
                 context: {
@@ -385,11 +489,12 @@ async function main() {
         ]
 
         for (const analytics of analyticData) {
-            await tx.analytics.create({ data: analytics })
+            await tx.analytics.create({ data: { ...analytics, botId: bot.id } })
         }
 
         logger.info('Seeding completed')
         logger.info('Summary: ')
+        logger.info(` - bot ${bot.slug}`)
         logger.info(` - ${entities.length} entities`)
         logger.info(` - ${intents.length} intents`)
         logger.info(` - ${conversationFlows.length} flows`)
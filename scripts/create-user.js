@@ -0,0 +1,42 @@
+// Script to create a staff user, e.g. the first admin
+//
+// Usage:
+//   USER_PASSWORD=... node scripts/create-user.js --email=admin@example.com --role=ADMIN
+//
+// Options:
+//   --email=<email>        Login email
+//   --username=<name>      Login username, instead of or besides the email
+//   --role=<role>          ADMIN, TRAINER or AGENT (default: ADMIN)
+//
+// The password is read from USER_PASSWORD so it stays out of the shell history.
+const userService = require('../modules/users/userService')
+const logger = require('../utils/logger')
+const { userSchema } = require('../utils/zodValidation')
+const { ROLES } = require('../utils/constants')
+
+// --key=value pairs
+const parseArgs = (argv) => Object.fromEntries(argv
+    .map((arg) => /^--([^=]+)=(.*)$/.exec(arg))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value]))
+
+const main = async () => {
+    const { email, username, role = ROLES.ADMIN } = parseArgs(process.argv.slice(2))
+    const result = userSchema.safeParse({ email, username, role, password: process.env.USER_PASSWORD })
+    if (!result.success) {
+        result.error.errors.forEach((error) => console.error(` - ${error.path.join('.') || 'user'}: ${error.message}`))
+        return 1
+    }
+
+    const user = await userService.createUser(result.data, { id: 'cli' })
+    console.log(`Created ${user.role} user ${user.email || user.username} (${user.id})`)
+    return 0
+}
+
+main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+        logger.logError(error, { script: 'create-user' })
+        console.error(error.message)
+        process.exit(1)
+    })
@@ -1 +1,179 @@
-// Script to train NLP model
\ No newline at end of file
+// Script to train NLP model
+//
+// Usage:
+//   node scripts/train-model.js [train]       Train, register and activate a new model version
+//   node scripts/train-model.js evaluate      k-fold cross-validation report
+//
+// Options:
+//   --bot=<slug>         Bot whose model is trained or evaluated (default: DEFAULT_BOT)
+//
+// Evaluate options:
+//   --source=db|files    Training data source (default: db); files need no database and use the default confidence threshold
+//   --folds=5            Number of folds, at least 2
+//   --repeats=1          Reshuffled runs, more runs make misclassification counts steadier
+//   --seed=42            Shuffle seed
+//   --output=<path>      JSON report path (default: reports/intent-evaluation.json)
+//   --min-f1=<0..1>      Exit with code 1 below this macro-F1 (default: NLP_EVAL_MIN_MACRO_F1)
+const path = require('path')
+const fs = require('fs/promises')
+const { nlp, defaultBot } = require('../config/envConfig')
+const { loadTrainingFiles, DEFAULT_CONFIDENCE_THRESHOLD } = require('../config/nlp')
+const trainingData = require('../modules/nlp/trainingData')
+const modelManager = require('../modules/nlp/modelManager')
+const botService = require('../modules/bots/botService')
+const configService = require('../modules/configuration/configService')
+const { crossValidate } = require('../modules/nlp/modelEvaluation')
+const logger = require('../utils/logger')
+
+// --key=value and --key value pairs after the mode
+const parseArgs = (argv) => {
+    const [mode = 'train', ...rest] = argv[0]?.startsWith('--') ? ['train', ...argv] : argv
+    const options = {}
+
+    for (let i = 0; i < rest.length; i++) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(rest[i])
+        if (!match) continue
+
+        if (match[2] !== undefined) {
+            options[match[1]] = match[2]
+        } else if (rest[i + 1] && !rest[i + 1].startsWith('--')) {
+            options[match[1]] = rest[++i]
+        } else {
+            options[match[1]] = true
+        }
+    }
+
+    return { mode, options }
+}
+
+// A whole-number option of at least `min`
+const integerOption = (options, name, fallback, min) => {
+    if (options[name] === undefined) return fallback
+    const value = Number(options[name])
+    if (!Number.isInteger(value) || value < min) {
+        throw new Error(`--${name} must be a whole number of at least ${min}, got "${options[name]}"`)
+    }
+    return value
+}
+
+// A share such as a score threshold, from 0 to 1
+const fractionOption = (options, name, fallback) => {
+    if (options[name] === undefined) return fallback
+    const raw = options[name]
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new Error(`--${name} must be a number from 0 to 1, got "${raw}"`)
+    }
+    return value
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`
+
+const withUtterances = (corpus) => ({ ...corpus, intents: corpus.intents.filter(intent => intent.utterances.length > 0) })
+
+// The utterances to evaluate and the confidence threshold chatting applies to them; only the database needs a bot
+const loadEvaluationData = async (source, botSlug) => {
+    if (source === 'files') {
+        return { bot: null, corpus: withUtterances(await loadTrainingFiles()), threshold: DEFAULT_CONFIDENCE_THRESHOLD }
+    }
+
+    const bot = await botService.getBotBySlug(botSlug)
+    const [corpus, threshold] = await Promise.all([
+        trainingData.loadCorpusFromDatabase(bot.id),
+        configService.get(bot.id, 'default_confidence_threshold')
+    ])
+    return { bot, corpus: withUtterances(corpus), threshold }
+}
+
+const printSummary = (report) => {
+    console.log(`\nIntent evaluation (${report.folds}-fold x${report.repeats}, ${report.total} predictions, confidence threshold ${report.threshold})`)
+    console.log(`Accuracy: ${percent(report.accuracy)}  Macro precision: ${percent(report.macroPrecision)}  Macro recall: ${percent(report.macroRecall)}  Macro F1: ${percent(report.macroF1)}\n`)
+
+    console.table(Object.fromEntries(Object.entries(report.perIntent).map(([intent, metrics]) => [intent, {
+        precision: percent(metrics.precision),
+        recall: percent(metrics.recall),
+        f1: percent(metrics.f1),
+        support: metrics.support
+    }])))
+
+    console.log('Confusion matrix (rows: expected, columns: predicted)')
+    console.table(report.confusionMatrix.matrix)
+
+    if (report.misclassified.length > 0) {
+        console.log('Most often misclassified utterances')
+        console.table(report.misclassified.map(entry => ({
+            text: entry.text,
+            expected: entry.expected,
+            predicted: Object.entries(entry.predicted).map(([intent, count]) => `${intent} (${count})`).join(', '),
+            count: entry.count
+        })))
+    }
+
+    if (report.underSampled.length > 0) {
+        console.log(`Intents with fewer utterances than folds: ${report.underSampled.join(', ')}`)
+    }
+}
+
+const evaluate = async (botSlug, options) => {
+    const source = options.source || 'db'
+    if (!['db', 'files'].includes(source)) throw new Error(`--source must be "db" or "files", got "${source}"`)
+    const folds = integerOption(options, 'folds', 5, 2)
+    const repeats = integerOption(options, 'repeats', 1, 1)
+    const seed = integerOption(options, 'seed', 42, 0)
+    const minF1 = fractionOption(options, 'min-f1', nlp.evalMinMacroF1)
+    const output = path.resolve(options.output || 'reports/intent-evaluation.json')
+
+    const { bot, corpus, threshold } = await loadEvaluationData(source, botSlug)
+    if (corpus.intents.length < 2) {
+        throw new Error(`Need at least two intents with utterances to evaluate, found ${corpus.intents.length}`)
+    }
+
+    const report = await crossValidate(corpus, {
+        folds,
+        repeats,
+        seed,
+        threshold,
+        onFold: ({ repeat, fold, size }) => logger.info(`Evaluated fold ${fold + 1}/${folds} of run ${repeat + 1}/${repeats}`, { size })
+    })
+
+    printSummary(report)
+
+    await fs.mkdir(path.dirname(output), { recursive: true })
+    await fs.writeFile(output, JSON.stringify({ ...report, bot: bot?.slug || null, source, minMacroF1: minF1, createdAt: new Date().toISOString() }, null, 2))
+    console.log(`\nReport written to ${output}`)
+
+    if (report.macroF1 < minF1) {
+        console.error(`Macro F1 ${percent(report.macroF1)} is below the required ${percent(minF1)}`)
+        return 1
+    }
+    return 0
+}
+
+const train = async (botSlug) => {
+    const bot = await botService.getBotBySlug(botSlug)
+    const { version } = await modelManager.trainVersion(bot.id)
+    console.log(`Trained and activated model version ${version} of bot ${bot.slug}`)
+    return 0
+}
+
+const main = async () => {
+    const { mode, options } = parseArgs(process.argv.slice(2))
+    const botSlug = options.bot || defaultBot
+
+    switch (mode) {
+        case 'train':
+            return train(botSlug)
+        case 'evaluate':
+            return evaluate(botSlug, options)
+        default:
+            throw new Error(`Unknown mode "${mode}", expected "train" or "evaluate"`)
+    }
+}
+
+main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+        logger.logError(error, { script: 'train-model' })
+        console.error(error.message)
+        process.exit(1)
+    })
@@ -1 +1,51 @@
-// Server entry point
\ No newline at end of file
+// Server entry point
+const { config } = require('./config/envConfig')
+const { apiBase, createApp } = require('./config/app')
+const { checkDbConnection } = require('./config/database')
+const modelManager = require('./modules/nlp/modelManager')
+const trainingLock = require('./modules/nlp/trainingLock')
+const botService = require('./modules/bots/botService')
+const configService = require('./modules/configuration/configService')
+const chatEvents = require('./modules/chat/chatEvents')
+const sessionStore = require('./modules/chat/sessionStore')
+const metricsCollector = require('./modules/analytics/metricsCollector')
+const rateLimiter = require('./middlewares/rateLimiter')
+const { attachChatSocket } = require('./modules/chat/chatSocket')
+const logger = require('./utils/logger')
+
+const startServer = async () => {
+    const connected = await checkDbConnection()
+    if (!connected) {
+        process.exit(1)
+    }
+
+    // Configuration changes reach every instance without a restart
+    await configService.start()
+
+    // Instances take turns training, so a training data change is trained once
+    await trainingLock.start()
+    // Load the default bot's model before accepting traffic, the others on their first message; then pick up training data edits
+    const bot = await botService.getDefaultBot()
+    await modelManager.initialize(bot.id)
+    await modelManager.startModelWatcher()
+
+    // Streamed events reach clients connected to any instance behind the load balancer
+    await chatEvents.start()
+    // Session contexts live in Redis and are written behind to the database
+    await sessionStore.start()
+    // Rate limit counters are shared, so quotas hold across instances
+    await rateLimiter.start()
+    // Analytics events are written in batches, off the chat request path
+    metricsCollector.start()
+
+    const app = createApp()
+    const server = app.listen(config.server.port, config.server.host, () => {
+        logger.info(`Server listening on http://${config.server.host}:${config.server.port}`)
+    })
+    attachChatSocket(server, { path: `${apiBase}/chat/ws`, app })
+}
+
+startServer().catch((error) => {
+    logger.logError(error, { phase: 'startup' })
+    process.exit(1)
+})
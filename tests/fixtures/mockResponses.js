@@ -1 +1,40 @@
-// Test data fixtures
\ No newline at end of file
+// Test data fixtures
+
+const chatResponses = {
+    greeting: {
+        sessionId: 'test_session_001',
+        response: 'Hello! How can I help you today?',
+        intent: 'greeting',
+        confidence: 0.95,
+        entities: [],
+        flow: null
+    },
+    productSupport: {
+        sessionId: 'test_session_001',
+        response: 'What issue are you experiencing?',
+        intent: 'help',
+        confidence: 0.88,
+        entities: [{ type: 'product', value: 'laptop', start: 20, end: 26, confidence: 1 }],
+        flow: {
+            name: 'product_support',
+            step: 'identify_issue',
+            status: 'started',
+            slots: { product: 'laptop' }
+        }
+    }
+}
+
+const intentList = {
+    intents: [
+        { id: 'intent_1', name: 'human_agent', priority: 10, isActive: true, exampleCount: 4 },
+        { id: 'intent_2', name: 'greeting', priority: 0, isActive: true, exampleCount: 12 }
+    ],
+    total: 12,
+    page: 1,
+    limit: 2
+}
+
+module.exports = {
+    chatResponses,
+    intentList
+}
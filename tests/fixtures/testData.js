@@ -1 +1,66 @@
-// Test data fixtures
\ No newline at end of file
+// Test data fixtures
+
+const chatMessages = {
+    greeting: { message: 'Hello!', sessionId: 'test_session_001' },
+    productQuestion: { message: 'I need help with my laptop', sessionId: 'test_session_001' },
+    empty: { message: '   ', sessionId: 'test_session_001' }
+}
+
+const intentFiles = {
+    csv: 'intent,text,language\r\ngreeting,hello there,en\r\ngreeting,"Hello, there!",en\r\norder_status,where is my order,\r\n',
+    invalidRasa: 'nlu:\n- intent: greeting\n  examples: [\n'
+}
+
+// "what is" is settled by product_inquiry's priority, "how are you" is not
+const overlappingCorpus = {
+    languages: ['en'],
+    intents: [
+        { name: 'question', language: 'en', utterances: ['what is', 'how do I', 'can you explain', 'why does', 'where can I find'] },
+        { name: 'product_inquiry', language: 'en', utterances: ['what is', 'tell me about the X200', 'product details', 'specs of', 'does it come in blue'] },
+        { name: 'greeting', language: 'en', utterances: ['hello', 'hi', 'good morning', 'hey there', 'how are you'] },
+        { name: 'small_talk', language: 'en', utterances: ['how are you', "what's new"] }
+    ],
+    entities: []
+}
+
+// Spanish and French intents whose accented words carry the meaning
+const multilingualCorpus = {
+    languages: ['en', 'es', 'fr'],
+    intents: [
+        { name: 'order_status', language: 'es', utterances: ['¿dónde está mi pedido?', '¿está mi pedido en camino?', 'estado de mi pedido'] },
+        { name: 'cancel_order', language: 'es', utterances: ['quiero cancelar mi pedido', 'cancela la compra', 'no quiero el pedido'] },
+        { name: 'booking', language: 'fr', utterances: ['je veux réserver une table', 'réserver à 20h', 'une réservation pour deux'] },
+        { name: 'opening_hours', language: 'fr', utterances: ['quelles sont vos heures d\'ouverture', 'êtes-vous ouverts le dimanche', 'à quelle heure fermez-vous'] }
+    ],
+    entities: []
+}
+
+// Knowledge entries of two bots, as the database holds them
+const knowledgeEntries = [
+    { id: 'kb_returns', botId: 'bot_default', type: 'FAQ', title: 'How do I return an item?', content: 'Returns are free within 30 days, start one from your orders page.', source: 'https://example.com/returns', language: 'en', isActive: true, updatedAt: new Date('2026-01-01') },
+    { id: 'kb_shipping', botId: 'bot_default', type: 'DOCUMENT', title: 'Shipping', content: 'Orders ship within two business days.\n\nExpress delivery arrives the next day.', source: null, language: 'en', isActive: true, updatedAt: new Date('2026-01-01') },
+    { id: 'kb_support_returns', botId: 'bot_support', type: 'FAQ', title: 'How do I return an item?', content: 'Support bot: open a ticket to return an item.', source: null, language: 'en', isActive: true, updatedAt: new Date('2026-01-01') }
+]
+
+// Staff users as the user repository returns them
+const staffUsers = {
+    admin: { id: 'user_admin', email: 'admin@example.com', username: 'admin', role: 'ADMIN', isActive: true },
+    trainer: { id: 'user_trainer', email: 'trainer@example.com', username: 'trainer', role: 'TRAINER', isActive: true },
+    agent: { id: 'user_agent', email: 'agent@example.com', username: 'agent', role: 'AGENT', isActive: true }
+}
+
+// Bots as the bot repository returns them
+const bots = {
+    default: { id: 'bot_default', slug: 'default', name: 'Default bot', isActive: true },
+    support: { id: 'bot_support', slug: 'support', name: 'Support bot', isActive: true }
+}
+
+module.exports = {
+    bots,
+    chatMessages,
+    intentFiles,
+    knowledgeEntries,
+    multilingualCorpus,
+    overlappingCorpus,
+    staffUsers
+}
@@ -0,0 +1,48 @@
+// Analytics dashboard integration tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import request from 'supertest'
+
+const analyticsService = require('../../modules/analytics/analyticsService')
+const authService = require('../../modules/users/authService')
+const userRepository = require('../../modules/users/UserRepository')
+const botRepository = require('../../modules/bots/BotRepository')
+const { createApp, apiBase } = require('../../config/app')
+const { bots, staffUsers } = require('../fixtures/testData')
+
+const app = createApp()
+const trainer = { Authorization: `Bearer ${authService.signAccessToken(staffUsers.trainer)}` }
+
+beforeEach(() => {
+    vi.spyOn(userRepository, 'findUserById').mockResolvedValue(staffUsers.trainer)
+    vi.spyOn(botRepository, 'findBotBySlug').mockImplementation(async (slug) => Object.values(bots).find((bot) => bot.slug === slug) || null)
+    vi.spyOn(botRepository, 'findBotById').mockImplementation(async (id) => Object.values(bots).find((bot) => bot.id === id) || null)
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('GET /analytics', () => {
+    it('rejects a range that ends before it starts', async () => {
+        const getDashboard = vi.spyOn(analyticsService, 'getDashboard')
+
+        const res = await request(app).get(`${apiBase}/analytics`).set(trainer).query({ from: '2026-03-10', to: '2026-03-01' })
+
+        expect(res.status).toBe(400)
+        expect(res.body.error.code).toBe('VALIDATION_ERROR')
+        expect(getDashboard).not.toHaveBeenCalled()
+    })
+})
+
+describe('GET /analytics/intents', () => {
+    it('ranks the intents of the bot in the path over the requested range', async () => {
+        const topIntents = [{ intent: 'greeting', count: 42, averageConfidence: 0.91, fallback: false }]
+        const getTopIntents = vi.spyOn(analyticsService, 'getTopIntents').mockResolvedValue(topIntents)
+
+        const res = await request(app).get(`${apiBase}/bots/support/analytics/intents`).set(trainer).query({ from: '2026-03-01', to: '2026-03-04', limit: 5 })
+
+        expect(res.status).toBe(200)
+        expect(res.body.data).toEqual(topIntents)
+        expect(getTopIntents).toHaveBeenCalledWith(bots.support.id, { from: new Date('2026-03-01'), to: new Date('2026-03-04'), limit: 5 })
+    })
+})
@@ -0,0 +1,143 @@
+// Authentication and role check integration tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import request from 'supertest'
+
+const bcrypt = require('bcryptjs')
+const logger = require('../../utils/logger')
+const authService = require('../../modules/users/authService')
+const userRepository = require('../../modules/users/UserRepository')
+const botRepository = require('../../modules/bots/BotRepository')
+const handoffService = require('../../modules/handoff/handoffService')
+const chatService = require('../../modules/chat/chatService')
+const { createApp, apiBase } = require('../../config/app')
+const { bots, staffUsers, chatMessages } = require('../fixtures/testData')
+const { chatResponses } = require('../fixtures/mockResponses')
+
+const app = createApp()
+const password = 'correct horse battery staple'
+
+const bearer = (user) => ({ Authorization: `Bearer ${authService.signAccessToken(user)}` })
+
+beforeEach(() => {
+    vi.spyOn(botRepository, 'findBotBySlug').mockImplementation(async (slug) => Object.values(bots).find((bot) => bot.slug === slug) || null)
+    vi.spyOn(botRepository, 'findBotById').mockImplementation(async (id) => Object.values(bots).find((bot) => bot.id === id) || null)
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('POST /auth/login', () => {
+    it('issues tokens that identify the user on later requests', async () => {
+        vi.spyOn(userRepository, 'findUserByLogin').mockResolvedValue({ ...staffUsers.trainer, passwordHash: bcrypt.hashSync(password, 4) })
+        vi.spyOn(userRepository, 'updateUser').mockResolvedValue(staffUsers.trainer)
+        vi.spyOn(userRepository, 'findUserById').mockResolvedValue(staffUsers.trainer)
+        const createRefreshToken = vi.spyOn(userRepository, 'createRefreshToken').mockResolvedValue({})
+        const logAuth = vi.spyOn(logger, 'logAuth')
+
+        const res = await request(app).post(`${apiBase}/auth/login`).send({ login: 'Trainer@example.com', password })
+
+        expect(res.status).toBe(200)
+        expect(res.body.data).toMatchObject({ tokenType: 'Bearer', user: { id: 'user_trainer', role: 'TRAINER' } })
+        expect(res.body.data.user).not.toHaveProperty('passwordHash')
+        expect(createRefreshToken.mock.calls[0][0].tokenHash).not.toBe(res.body.data.refreshToken)
+        expect(logAuth).toHaveBeenCalledWith('login', expect.objectContaining({ userId: 'user_trainer' }))
+
+        const me = await request(app).get(`${apiBase}/auth/me`).set('Authorization', `Bearer ${res.body.data.accessToken}`)
+
+        expect(me.status).toBe(200)
+        expect(me.body.data).toEqual({ type: 'user', id: 'user_trainer', role: 'TRAINER', name: 'trainer' })
+    })
+
+    it('rejects a wrong password as a security event', async () => {
+        vi.spyOn(userRepository, 'findUserByLogin').mockResolvedValue({ ...staffUsers.trainer, passwordHash: bcrypt.hashSync(password, 4) })
+        const createRefreshToken = vi.spyOn(userRepository, 'createRefreshToken')
+        const logSecurity = vi.spyOn(logger, 'logSecurity')
+
+        const res = await request(app).post(`${apiBase}/auth/login`).send({ login: 'trainer', password: 'not the password' })
+
+        expect(res.status).toBe(401)
+        expect(res.body.error.code).toBe('INVALID_CREDENTIALS')
+        expect(createRefreshToken).not.toHaveBeenCalled()
+        expect(logSecurity).toHaveBeenCalledWith('login_failed', expect.objectContaining({ login: 'trainer' }))
+    })
+})
+
+describe('POST /auth/refresh', () => {
+    it('ends every session of a user whose replaced refresh token comes back', async () => {
+        vi.spyOn(userRepository, 'findRefreshToken').mockResolvedValue({
+            id: 'token_1',
+            userId: 'user_trainer',
+            revokedAt: new Date(),
+            expiresAt: new Date(Date.now() + 60 * 1000),
+            user: staffUsers.trainer
+        })
+        const revokeRefreshTokensOf = vi.spyOn(userRepository, 'revokeRefreshTokensOf').mockResolvedValue({ count: 2 })
+        const logSecurity = vi.spyOn(logger, 'logSecurity')
+
+        const res = await request(app).post(`${apiBase}/auth/refresh`).send({ refreshToken: 'stolen-token' })
+
+        expect(res.status).toBe(401)
+        expect(revokeRefreshTokensOf).toHaveBeenCalledWith('user_trainer')
+        expect(logSecurity).toHaveBeenCalledWith('refresh_token_reused', expect.objectContaining({ userId: 'user_trainer' }))
+    })
+})
+
+describe('Role checks', () => {
+    it('keeps callers without credentials or the right role off trainer routes', async () => {
+        vi.spyOn(userRepository, 'findUserById').mockResolvedValue(staffUsers.agent)
+        const logSecurity = vi.spyOn(logger, 'logSecurity')
+
+        const anonymous = await request(app).get(`${apiBase}/intents`)
+        const agent = await request(app).get(`${apiBase}/intents`).set(bearer(staffUsers.agent))
+
+        expect(anonymous.status).toBe(401)
+        expect(agent.status).toBe(403)
+        expect(agent.body.error.code).toBe('FORBIDDEN')
+        expect(logSecurity).toHaveBeenCalledWith('access_denied', expect.objectContaining({ principal: 'user_agent', required: ['TRAINER'] }))
+    })
+
+    it('claims handoffs as the signed-in agent', async () => {
+        vi.spyOn(userRepository, 'findUserById').mockResolvedValue(staffUsers.agent)
+        const claimSession = vi.spyOn(handoffService, 'claimSession').mockResolvedValue({ sessionId: 'sess_1', agentId: 'user_agent' })
+
+        const res = await request(app).post(`${apiBase}/handoff/sessions/sess_1/claim`).set(bearer(staffUsers.agent)).send({ agentId: 'someone_else' })
+
+        expect(res.status).toBe(200)
+        expect(claimSession).toHaveBeenCalledWith(bots.default.id, 'sess_1', 'user_agent')
+    })
+
+    it('accepts chat from client API keys and rejects unknown ones', async () => {
+        const findApiKeyByHash = vi.spyOn(userRepository, 'findApiKeyByHash').mockResolvedValueOnce(null)
+            .mockResolvedValueOnce({ id: 'key_1', name: 'Web widget', role: 'CLIENT', lastUsedAt: new Date(), revokedAt: null, expiresAt: null })
+        vi.spyOn(chatService, 'processMessage').mockResolvedValue(chatResponses.greeting)
+
+        const unknown = await request(app).post(`${apiBase}/chat/message`).set('X-API-Key', 'cbk_unknown').send(chatMessages.greeting)
+        const client = await request(app).post(`${apiBase}/chat/message`).set('X-API-Key', 'cbk_widget').send(chatMessages.greeting)
+
+        expect(unknown.status).toBe(401)
+        expect(unknown.body.error.code).toBe('INVALID_API_KEY')
+        expect(client.status).toBe(200)
+        expect(findApiKeyByHash.mock.calls[1][0]).toMatch(/^[0-9a-f]{64}$/)
+    })
+})
+
+describe('Global admin routes', () => {
+    it('refuse admin API keys, which belong to one bot, and let signed-in admins through', async () => {
+        vi.spyOn(userRepository, 'findApiKeyByHash').mockResolvedValue({ id: 'key_admin', name: 'Default bot admin', role: 'ADMIN', botId: bots.default.id, lastUsedAt: new Date(), revokedAt: null, expiresAt: null })
+        vi.spyOn(userRepository, 'findUserById').mockResolvedValue(staffUsers.admin)
+        const createApiKey = vi.spyOn(authService, 'createApiKey').mockResolvedValue({ id: 'key_new', key: 'cbk_new' })
+        const logSecurity = vi.spyOn(logger, 'logSecurity')
+        const key = { 'X-API-Key': 'cbk_admin' }
+
+        const rename = await request(app).patch(`${apiBase}/bots/support`).set(key).send({ name: 'Taken over' })
+        const users = await request(app).post(`${apiBase}/users`).set(key).send({ email: 'new@example.com', username: 'new', password, role: 'ADMIN' })
+        const mint = await request(app).post(`${apiBase}/auth/api-keys`).set(key).send({ name: 'Other bot', role: 'ADMIN', bot: 'support' })
+        const admin = await request(app).post(`${apiBase}/auth/api-keys`).set(bearer(staffUsers.admin)).send({ name: 'Widget', bot: 'support' })
+
+        expect([rename.status, users.status, mint.status]).toEqual([403, 403, 403])
+        expect(logSecurity).toHaveBeenCalledWith('access_denied', expect.objectContaining({ principal: 'key_admin', reason: 'api_key_on_global_route' }))
+        expect(admin.status).toBe(201)
+        expect(createApiKey).toHaveBeenCalledTimes(1)
+    })
+})
@@ -1 +1,171 @@
-// Chat API integration tests
\ No newline at end of file
+// Chat API integration tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import request from 'supertest'
+
+const db = require('../../config/database')
+const chatService = require('../../modules/chat/chatService')
+const chatStream = require('../../modules/chat/chatStream')
+const sessionStore = require('../../modules/chat/sessionStore')
+const userRepository = require('../../modules/users/UserRepository')
+const botRepository = require('../../modules/bots/BotRepository')
+const { createApp, apiBase } = require('../../config/app')
+const { bots, chatMessages } = require('../fixtures/testData')
+const { chatResponses } = require('../fixtures/mockResponses')
+
+const app = createApp()
+
+const clientKey = (id, botId) => ({ id, name: id, role: 'CLIENT', botId, lastUsedAt: new Date(), revokedAt: null, expiresAt: null })
+
+beforeEach(() => {
+    vi.spyOn(botRepository, 'findBotBySlug').mockImplementation(async (slug) => Object.values(bots).find((bot) => bot.slug === slug) || null)
+    vi.spyOn(botRepository, 'findBotById').mockImplementation(async (id) => Object.values(bots).find((bot) => bot.id === id) || null)
+})
+
+describe('POST /chat/message', () => {
+    afterEach(() => {
+        vi.restoreAllMocks()
+    })
+
+    it('returns the bot reply for a valid message', async () => {
+        const processMessage = vi.spyOn(chatService, 'processMessage').mockResolvedValue(chatResponses.greeting)
+
+        const res = await request(app).post(`${apiBase}/chat/message`).send(chatMessages.greeting)
+
+        expect(res.status).toBe(200)
+        expect(res.body.success).toBe(true)
+        expect(res.body.data.response).toBe(chatResponses.greeting.response)
+        expect(processMessage).toHaveBeenCalledWith({ ...chatMessages.greeting, botId: bots.default.id, auth: undefined })
+    })
+
+    it('returns the active conversation flow state', async () => {
+        vi.spyOn(chatService, 'processMessage').mockResolvedValue(chatResponses.productSupport)
+
+        const res = await request(app).post(`${apiBase}/chat/message`).send(chatMessages.productQuestion)
+
+        expect(res.status).toBe(200)
+        expect(res.body.data.flow).toMatchObject({ name: 'product_support', step: 'identify_issue' })
+        expect(res.body.data.flow.slots.product).toBe('laptop')
+    })
+
+    it('never takes the user from the message body', async () => {
+        const processMessage = vi.spyOn(chatService, 'processMessage').mockResolvedValue(chatResponses.greeting)
+
+        const res = await request(app).post(`${apiBase}/chat/message`).send({ ...chatMessages.greeting, userId: 'user_admin' })
+
+        expect(res.status).toBe(200)
+        expect(processMessage.mock.calls[0][0]).not.toHaveProperty('userId')
+    })
+
+    it('rejects an empty message', async () => {
+        const processMessage = vi.spyOn(chatService, 'processMessage')
+
+        const res = await request(app).post(`${apiBase}/chat/message`).send(chatMessages.empty)
+
+        expect(res.status).toBe(400)
+        expect(res.body.error.code).toBe('VALIDATION_ERROR')
+        expect(processMessage).not.toHaveBeenCalled()
+    })
+})
+
+describe('POST /chat/sessions/:sessionId/user', () => {
+    afterEach(() => {
+        vi.restoreAllMocks()
+    })
+
+    it('merges an anonymous session into the user only for a client app with a key', async () => {
+        vi.spyOn(userRepository, 'findApiKeyByHash').mockResolvedValue(clientKey('key_1', null))
+        const assignUser = vi.spyOn(sessionStore, 'assignUser').mockResolvedValue({ sessionId: 'sess_1', userId: 'user_42' })
+
+        const anonymous = await request(app).post(`${apiBase}/chat/sessions/sess_1/user`).send({ userId: 'user_42' })
+        const client = await request(app).post(`${apiBase}/chat/sessions/sess_1/user`).set('X-API-Key', 'cbk_mobile').send({ userId: 'user_42' })
+
+        expect(anonymous.status).toBe(401)
+        expect(client.status).toBe(200)
+        expect(client.body.data).toEqual({ sessionId: 'sess_1', userId: 'user_42' })
+        expect(assignUser).toHaveBeenCalledTimes(1)
+        expect(assignUser).toHaveBeenCalledWith(bots.default.id, 'sess_1', 'user_42', expect.objectContaining({ id: 'key_1' }))
+    })
+})
+
+describe('Session ownership', () => {
+    const ownedSession = { id: 'row_owned', botId: bots.default.id, sessionId: 'sess_owned', ownerId: 'key_1', isActive: true, handoffStatus: 'BOT' }
+
+    // Sessions as the database holds them, only `sess_owned` exists
+    const sessionsTable = () => {
+        const session = {
+            findUnique: vi.fn(async ({ where }) => (where.sessionId === ownedSession.sessionId ? { ...ownedSession, expiresAt: new Date(Date.now() + 60 * 60 * 1000) } : null)),
+            update: vi.fn(async ({ data }) => ({ ...ownedSession, ...data })),
+            create: vi.fn()
+        }
+        vi.spyOn(db, 'prisma', 'get').mockReturnValue({ session })
+        return session
+    }
+
+    afterEach(() => {
+        vi.restoreAllMocks()
+    })
+
+    it('shows a transcript only to the API key that started the session', async () => {
+        sessionsTable()
+        vi.spyOn(userRepository, 'findApiKeyByHash')
+            .mockResolvedValueOnce(clientKey('key_2', null))
+            .mockResolvedValueOnce(clientKey('key_1', null))
+        const getTranscript = vi.spyOn(chatService, 'getTranscript').mockResolvedValue({ messages: [], total: 0, page: 1, limit: 10 })
+
+        const anonymous = await request(app).get(`${apiBase}/chat/sessions/sess_owned/messages`)
+        const otherKey = await request(app).get(`${apiBase}/chat/sessions/sess_owned/messages`).set('X-API-Key', 'cbk_other')
+        const owner = await request(app).get(`${apiBase}/chat/sessions/sess_owned/messages`).set('X-API-Key', 'cbk_owner')
+
+        expect(anonymous.status).toBe(404)
+        expect(otherKey.status).toBe(404)
+        expect(owner.status).toBe(200)
+        expect(getTranscript).toHaveBeenCalledTimes(1)
+    })
+
+    it('lets anonymous clients use generated session ids only', async () => {
+        const session = sessionsTable()
+        session.create.mockImplementation(async ({ data }) => ({ id: 'row_new', ...data }))
+        const streamMessage = vi.spyOn(chatStream, 'streamMessage').mockResolvedValue(null)
+
+        const named = await request(app).post(`${apiBase}/chat/sessions/chosen_id/messages`).send({ message: 'Hello!' })
+        const started = await request(app).post(`${apiBase}/chat/sessions`)
+
+        expect(named.status).toBe(404)
+        expect(streamMessage).not.toHaveBeenCalled()
+        expect(started.status).toBe(201)
+        expect(started.body.data.sessionId).toMatch(/^[0-9a-f-]{36}$/)
+        expect(session.create).toHaveBeenCalledWith({ data: expect.objectContaining({ sessionId: started.body.data.sessionId, ownerId: null, userId: null }) })
+    })
+})
+
+describe('Chat with several bots', () => {
+    afterEach(() => {
+        vi.restoreAllMocks()
+    })
+
+    it('answers with the bot in the path, else the API key\'s bot', async () => {
+        const findApiKeyByHash = vi.spyOn(userRepository, 'findApiKeyByHash').mockResolvedValue(clientKey('key_support', bots.support.id))
+        const processMessage = vi.spyOn(chatService, 'processMessage').mockResolvedValue(chatResponses.greeting)
+
+        const anonymous = await request(app).post(`${apiBase}/bots/support/chat/message`).send(chatMessages.greeting)
+        const client = await request(app).post(`${apiBase}/chat/message`).set('X-API-Key', 'cbk_support').send(chatMessages.greeting)
+
+        expect(anonymous.status).toBe(200)
+        expect(client.status).toBe(200)
+        expect(findApiKeyByHash).toHaveBeenCalledTimes(1)
+        expect(processMessage.mock.calls.map(([payload]) => payload.botId)).toEqual([bots.support.id, bots.support.id])
+    })
+
+    it('keeps an API key to its own bot and unknown bots out', async () => {
+        vi.spyOn(userRepository, 'findApiKeyByHash').mockResolvedValue(clientKey('key_widget', null))
+        const processMessage = vi.spyOn(chatService, 'processMessage')
+
+        const otherBot = await request(app).post(`${apiBase}/bots/support/chat/message`).set('X-API-Key', 'cbk_widget').send(chatMessages.greeting)
+        const unknownBot = await request(app).post(`${apiBase}/bots/unknown/chat/message`).send(chatMessages.greeting)
+
+        expect(otherBot.status).toBe(403)
+        expect(otherBot.body.error.code).toBe('FORBIDDEN')
+        expect(unknownBot.status).toBe(404)
+        expect(processMessage).not.toHaveBeenCalled()
+    })
+})
@@ -0,0 +1,81 @@
+// Runtime configuration API integration tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import request from 'supertest'
+
+const db = require('../../config/database')
+const logger = require('../../utils/logger')
+const authService = require('../../modules/users/authService')
+const userRepository = require('../../modules/users/UserRepository')
+const botRepository = require('../../modules/bots/BotRepository')
+const configRepository = require('../../modules/configuration/ConfigurationRepository')
+const configService = require('../../modules/configuration/configService')
+const { createApp, apiBase } = require('../../config/app')
+const { bots, staffUsers } = require('../fixtures/testData')
+
+const app = createApp()
+const admin = { Authorization: `Bearer ${authService.signAccessToken(staffUsers.admin)}` }
+
+const sharedThreshold = { id: 'config_threshold', botId: null, key: 'default_confidence_threshold', value: 0.5, isActive: true, description: 'Minimum intent confidence', updatedAt: new Date() }
+
+beforeEach(() => {
+    vi.spyOn(userRepository, 'findUserById').mockResolvedValue(staffUsers.admin)
+    vi.spyOn(botRepository, 'findBotBySlug').mockImplementation(async (slug) => Object.values(bots).find((bot) => bot.slug === slug) || null)
+    vi.spyOn(botRepository, 'findBotById').mockImplementation(async (id) => Object.values(bots).find((bot) => bot.id === id) || null)
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('PUT /config/:key', () => {
+    it('rejects a threshold outside 0 to 1 without writing it', async () => {
+        const transaction = vi.spyOn(db.helpers, 'transaction')
+
+        const res = await request(app).put(`${apiBase}/config/default_confidence_threshold`).set(admin).send({ value: 1.5 })
+
+        expect(res.status).toBe(400)
+        expect(res.body.error.code).toBe('VALIDATION_ERROR')
+        expect(transaction).not.toHaveBeenCalled()
+    })
+
+    it('overrides the shared value for the bot with an audit entry, and every read sees it', async () => {
+        const rows = [sharedThreshold]
+        vi.spyOn(configRepository, 'findConfigurations').mockImplementation(async () => rows)
+        vi.spyOn(configRepository, 'findConfiguration').mockResolvedValue(null)
+        const createConfiguration = vi.spyOn(configRepository, 'createConfiguration').mockImplementation(async (data) => {
+            const row = { id: 'config_support_threshold', isActive: true, description: null, updatedAt: new Date(), ...data }
+            rows.push(row)
+            return row
+        })
+        const createChange = vi.spyOn(configRepository, 'createChange').mockResolvedValue({})
+        const transaction = vi.spyOn(db.helpers, 'transaction').mockImplementation((callback) => callback({}))
+
+        // Cached before the change, so the update must drop it
+        expect(await configService.get(bots.support.id, 'default_confidence_threshold')).toBe(0.5)
+
+        const res = await request(app).put(`${apiBase}/bots/support/config/default_confidence_threshold`).set(admin).send({ value: 0.7 })
+        const listed = await request(app).get(`${apiBase}/bots/support/config`).set(admin)
+
+        expect(res.status).toBe(200)
+        expect(res.body.data).toMatchObject({ key: 'default_confidence_threshold', value: 0.7, source: 'bot' })
+        expect(transaction).toHaveBeenCalledTimes(1)
+        expect(createConfiguration).toHaveBeenCalledWith({ botId: bots.support.id, key: 'default_confidence_threshold', value: 0.7 }, {})
+        expect(createChange).toHaveBeenCalledWith({ botId: bots.support.id, key: 'default_confidence_threshold', value: 0.7, changedBy: staffUsers.admin.id }, {})
+        expect(listed.body.data.find((setting) => setting.key === 'max_context_messages')).toMatchObject({ value: 10, source: 'default' })
+        expect(await configService.get(bots.support.id, 'default_confidence_threshold')).toBe(0.7)
+        expect(await configService.get(bots.default.id, 'default_confidence_threshold')).toBe(0.5)
+    })
+
+    it('lets only signed-in admins change the value shared by every bot', async () => {
+        vi.spyOn(userRepository, 'findApiKeyByHash').mockResolvedValue({ id: 'key_admin', name: 'Support admin', role: 'ADMIN', botId: bots.support.id, lastUsedAt: new Date(), revokedAt: null, expiresAt: null })
+        const transaction = vi.spyOn(db.helpers, 'transaction')
+        const logSecurity = vi.spyOn(logger, 'logSecurity')
+
+        const res = await request(app).put(`${apiBase}/bots/support/config/enable_analytics`).set('X-API-Key', 'cbk_admin').send({ value: false, shared: true })
+
+        expect(res.status).toBe(403)
+        expect(res.body.error.code).toBe('FORBIDDEN')
+        expect(transaction).not.toHaveBeenCalled()
+        expect(logSecurity).toHaveBeenCalledWith('access_denied', expect.objectContaining({ principal: 'key_admin', reason: 'api_key_shared_config' }))
+    })
+})
@@ -1 +1,159 @@
-// Intent API integration tests
\ No newline at end of file
+// Intent API integration tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import request from 'supertest'
+
+const db = require('../../config/database')
+const intentService = require('../../modules/intents/intentService')
+const intentRepository = require('../../modules/intents/IntentRepository')
+const modelManager = require('../../modules/nlp/modelManager')
+const trainingData = require('../../modules/nlp/trainingData')
+const authService = require('../../modules/users/authService')
+const userRepository = require('../../modules/users/UserRepository')
+const botRepository = require('../../modules/bots/BotRepository')
+const { createApp, apiBase } = require('../../config/app')
+const { bots, intentFiles, overlappingCorpus, staffUsers } = require('../fixtures/testData')
+const { intentList } = require('../fixtures/mockResponses')
+
+const app = createApp()
+const trainer = { Authorization: `Bearer ${authService.signAccessToken(staffUsers.trainer)}` }
+
+beforeEach(() => {
+    vi.spyOn(userRepository, 'findUserById').mockResolvedValue(staffUsers.trainer)
+    vi.spyOn(botRepository, 'findBotBySlug').mockImplementation(async (slug) => Object.values(bots).find((bot) => bot.slug === slug) || null)
+    vi.spyOn(botRepository, 'findBotById').mockImplementation(async (id) => Object.values(bots).find((bot) => bot.id === id) || null)
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('GET /intents', () => {
+    it('lists intents with pagination', async () => {
+        const listIntents = vi.spyOn(intentService, 'listIntents').mockResolvedValue(intentList)
+
+        const res = await request(app).get(`${apiBase}/intents`).set(trainer).query({ limit: 2, q: 'gree' })
+
+        expect(res.status).toBe(200)
+        expect(res.body.data.map((intent) => intent.name)).toEqual(['human_agent', 'greeting'])
+        expect(res.body.meta.pagination).toMatchObject({ total: 12, page: 1, limit: 2, totalPages: 6 })
+        expect(listIntents).toHaveBeenCalledWith(bots.default.id, { page: 1, limit: 2, q: 'gree', status: 'active' })
+    })
+
+    it('lists the intents of the bot in the path', async () => {
+        const listIntents = vi.spyOn(intentService, 'listIntents').mockResolvedValue(intentList)
+
+        const res = await request(app).get(`${apiBase}/bots/support/intents`).set(trainer)
+
+        expect(res.status).toBe(200)
+        expect(listIntents).toHaveBeenCalledWith(bots.support.id, expect.anything())
+    })
+})
+
+describe('POST /intents', () => {
+    it('rejects names that are not lowercase identifiers', async () => {
+        const createIntent = vi.spyOn(intentService, 'createIntent')
+
+        const res = await request(app).post(`${apiBase}/intents`).set(trainer).send({ name: 'Order Status', responses: ['On its way'] })
+
+        expect(res.status).toBe(400)
+        expect(res.body.error.code).toBe('VALIDATION_ERROR')
+        expect(createIntent).not.toHaveBeenCalled()
+    })
+
+    it('rejects names that /intents routes already use', async () => {
+        const createIntent = vi.spyOn(intentService, 'createIntent')
+
+        const res = await request(app).post(`${apiBase}/intents`).set(trainer).send({ name: 'export', responses: ['Exported'] })
+
+        expect(res.status).toBe(400)
+        expect(res.body.error.details[0].message).toBe('"export" is reserved, choose another name')
+        expect(createIntent).not.toHaveBeenCalled()
+    })
+
+    it('rejects rich response links that are not http(s)', async () => {
+        const createIntent = vi.spyOn(intentService, 'createIntent')
+
+        const button = await request(app).post(`${apiBase}/intents`).set(trainer)
+            .send({ name: 'help', responses: ['Here'], richResponses: [[{ type: 'card', title: 'Help', buttons: [{ title: 'Open', url: 'javascript:alert(1)' }] }]] })
+        const image = await request(app).post(`${apiBase}/intents`).set(trainer)
+            .send({ name: 'help', responses: ['Here'], richResponses: [[{ type: 'card', title: 'Help', image_url: 'data:image/svg+xml,<svg/>' }]] })
+        const item = await request(app).post(`${apiBase}/intents`).set(trainer)
+            .send({ name: 'help', responses: ['Here'], richResponses: [[{ type: 'list', items: [{ title: 'FAQ', url: 'javascript:void(0)' }] }]] })
+
+        expect([button.status, image.status, item.status]).toEqual([400, 400, 400])
+        expect(createIntent).not.toHaveBeenCalled()
+    })
+})
+
+describe('POST /intents/import', () => {
+    it('imports a CSV file in one transaction, skipping repeated examples', async () => {
+        const transaction = vi.spyOn(db.helpers, 'transaction').mockImplementation((callback) => callback({}))
+        vi.spyOn(intentRepository, 'findEntitiesByName').mockResolvedValue([])
+        vi.spyOn(intentRepository, 'findIntentsByName').mockResolvedValue([])
+        vi.spyOn(intentRepository, 'createIntent').mockImplementation(async (data) => ({ id: `id_${data.name}`, patterns: [], translations: {}, ...data }))
+        const createExamples = vi.spyOn(intentRepository, 'createExamples').mockResolvedValue({ count: 2 })
+        const scheduleRetrain = vi.spyOn(modelManager, 'scheduleRetrain').mockImplementation(() => {})
+
+        const res = await request(app)
+            .post(`${apiBase}/intents/import`)
+            .set(trainer)
+            .query({ format: 'csv' })
+            .set('Content-Type', 'text/csv')
+            .send(intentFiles.csv)
+
+        expect(res.status).toBe(201)
+        expect(res.body.data).toMatchObject({ intents: { created: 2, updated: 0 }, examplesAdded: 2 })
+        expect(transaction).toHaveBeenCalledTimes(1)
+        expect(createExamples).toHaveBeenCalledWith([
+            { intentId: 'id_greeting', text: 'hello there', language: 'en', entities: [] },
+            { intentId: 'id_order_status', text: 'where is my order', language: 'en', entities: [] }
+        ], {})
+        expect(scheduleRetrain).toHaveBeenCalledWith(bots.default.id, 'intent_import')
+    })
+
+    it('rejects an unreadable Rasa file before writing anything', async () => {
+        const transaction = vi.spyOn(db.helpers, 'transaction')
+
+        const res = await request(app)
+            .post(`${apiBase}/intents/import`)
+            .set(trainer)
+            .query({ format: 'rasa' })
+            .set('Content-Type', 'application/yaml')
+            .send(intentFiles.invalidRasa)
+
+        expect(res.status).toBe(400)
+        expect(res.body.error.code).toBe('INVALID_IMPORT')
+        expect(transaction).not.toHaveBeenCalled()
+    })
+})
+
+describe('GET /intents/export', () => {
+    it('downloads the intents as CSV', async () => {
+        const exportFile = vi.spyOn(intentService, 'exportFile').mockResolvedValue(intentFiles.csv)
+
+        const res = await request(app).get(`${apiBase}/intents/export`).set(trainer).query({ format: 'csv' })
+
+        expect(res.status).toBe(200)
+        expect(res.headers['content-type']).toMatch(/^text\/csv/)
+        expect(res.headers['content-disposition']).toContain('intents.csv')
+        expect(res.text).toBe(intentFiles.csv)
+        expect(exportFile).toHaveBeenCalledWith(bots.default.id, 'csv', { language: undefined })
+    })
+})
+
+describe('GET /intents/lint', () => {
+    it('reports shared utterances, settled by priority or not, and thin intents', async () => {
+        vi.spyOn(trainingData, 'loadCorpusFromDatabase').mockResolvedValue(overlappingCorpus)
+        vi.spyOn(trainingData, 'loadIntentPriorities').mockResolvedValue(new Map([['product_inquiry', 5]]))
+
+        const res = await request(app).get(`${apiBase}/intents/lint`).set(trainer)
+
+        expect(res.status).toBe(200)
+        expect(res.body.data.summary).toMatchObject({ intents: 4, errors: 1 })
+        const [error, ...warnings] = res.body.data.issues
+        expect(error).toMatchObject({ code: 'duplicate_example', severity: 'error', winner: null })
+        expect(error.intents.map((intent) => intent.name)).toEqual(['greeting', 'small_talk'])
+        expect(warnings).toContainEqual(expect.objectContaining({ code: 'duplicate_example', severity: 'warning', winner: 'product_inquiry' }))
+        expect(warnings).toContainEqual(expect.objectContaining({ code: 'too_few_examples', intent: 'small_talk', count: 2 }))
+    })
+})
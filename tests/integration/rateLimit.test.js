@@ -0,0 +1,69 @@
+// Rate limiting integration tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import request from 'supertest'
+
+const logger = require('../../utils/logger')
+const chatService = require('../../modules/chat/chatService')
+const userRepository = require('../../modules/users/UserRepository')
+const botRepository = require('../../modules/bots/BotRepository')
+const { POLICIES } = require('../../middlewares/rateLimiter')
+const { createApp, apiBase } = require('../../config/app')
+const { bots } = require('../fixtures/testData')
+const { chatResponses } = require('../fixtures/mockResponses')
+
+const app = createApp()
+const { quotas } = POLICIES.chat
+
+const clientKey = (id) => ({ id, name: id, role: 'CLIENT', botId: null, lastUsedAt: new Date(), revokedAt: null, expiresAt: null })
+
+const sendMessages = async (count, sessionIdOf, headers = {}) => {
+    const replies = []
+    for (let i = 0; i < count; i++) {
+        replies.push(await request(app).post(`${apiBase}/chat/message`).set(headers).send({ message: 'Hello!', sessionId: sessionIdOf(i) }))
+    }
+    return replies
+}
+
+beforeEach(() => {
+    vi.spyOn(botRepository, 'findBotBySlug').mockImplementation(async (slug) => Object.values(bots).find((bot) => bot.slug === slug) || null)
+    vi.spyOn(botRepository, 'findBotById').mockImplementation(async (id) => Object.values(bots).find((bot) => bot.id === id) || null)
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('Chat rate limits', () => {
+    it('refuses a session over its quota with RateLimit headers and logs the abuse once', async () => {
+        vi.spyOn(chatService, 'processMessage').mockResolvedValue(chatResponses.greeting)
+        const logSecurity = vi.spyOn(logger, 'logSecurity')
+
+        const replies = await sendMessages(quotas.session + 2, () => 'limited_session')
+        const last = replies[quotas.session - 1]
+        const refused = replies[quotas.session]
+
+        expect(replies.slice(0, quotas.session).every((res) => res.status === 200)).toBe(true)
+        expect(last.headers['ratelimit-limit']).toBe(String(quotas.session))
+        expect(last.headers['ratelimit-remaining']).toBe('0')
+        expect(refused.status).toBe(429)
+        expect(refused.body.error.code).toBe('RATE_LIMITED')
+        expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0)
+        expect(logSecurity.mock.calls.filter(([event]) => event === 'rate_limit_exceeded')).toEqual([
+            ['rate_limit_exceeded', expect.objectContaining({ policy: 'chat', bucket: 'session', id: 'limited_session' })]
+        ])
+    })
+
+    it('stops anonymous clients rotating sessions at their IP quota, without throttling API keys', async () => {
+        vi.spyOn(chatService, 'processMessage').mockResolvedValue(chatResponses.greeting)
+        vi.spyOn(userRepository, 'findApiKeyByHash').mockResolvedValue(clientKey('key_widget'))
+        const logSecurity = vi.spyOn(logger, 'logSecurity')
+
+        const replies = await sendMessages(quotas.ip + 1, (i) => `rotating_session_${i}`)
+        const [client] = await sendMessages(1, () => 'client_session', { 'X-API-Key': 'cbk_widget' })
+
+        expect(replies.at(-1).status).toBe(429)
+        expect(logSecurity).toHaveBeenCalledWith('rate_limit_exceeded', expect.objectContaining({ policy: 'chat', bucket: 'ip' }))
+        expect(client.status).toBe(200)
+        expect(client.headers['ratelimit-limit']).toBe(String(quotas.session))
+    })
+})
@@ -0,0 +1,180 @@
+// Streamed chat unit tests: the event sequence and the WebSocket transport
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const http = require('http')
+const { WebSocket } = require('ws')
+const chatService = require('../../modules/chat/chatService')
+const chatEvents = require('../../modules/chat/chatEvents')
+const chatStream = require('../../modules/chat/chatStream')
+const sessionStore = require('../../modules/chat/sessionStore')
+const botRepository = require('../../modules/bots/BotRepository')
+const { attachChatSocket } = require('../../modules/chat/chatSocket')
+const { AppError } = require('../../middlewares/errorHandler')
+const { streaming } = require('../../config/envConfig')
+const { bots } = require('../fixtures/testData')
+const { chatResponses } = require('../fixtures/mockResponses')
+const { STREAM_EVENTS } = require('../../utils/constants')
+
+const SOCKET_PATH = '/ws/chat'
+
+let chunkDelayMs
+
+beforeEach(() => {
+    chunkDelayMs = streaming.chunkDelayMs
+    streaming.chunkDelayMs = 0
+})
+
+afterEach(() => {
+    streaming.chunkDelayMs = chunkDelayMs
+    vi.restoreAllMocks()
+})
+
+// Everything published to a session while `run` goes
+const recordEvents = async (sessionId, run) => {
+    const events = []
+    const unsubscribe = chatEvents.subscribe(sessionId, event => events.push(event))
+    try {
+        await run()
+    } finally {
+        unsubscribe()
+    }
+    return events
+}
+
+describe('chatStream.toChunks', () => {
+    it('splits a reply into word groups that concatenate back to it', () => {
+        const text = 'Your order ships  today and arrives on Friday.'
+
+        const chunks = chatStream.toChunks(text)
+
+        expect(chunks).toEqual(['Your order ships  ', 'today and arrives ', 'on Friday.'])
+        expect(chunks.join('')).toBe(text)
+    })
+})
+
+describe('chatStream.streamMessage', () => {
+    it('publishes typing, the reply in chunks, the result, then stops typing', async () => {
+        const result = { ...chatResponses.greeting, response: 'Hello there, how can I help?' }
+        vi.spyOn(chatService, 'processMessage').mockResolvedValue(result)
+
+        const events = await recordEvents('sess_stream', () => chatStream.streamMessage({ sessionId: 'sess_stream', message: 'hi', botId: bots.default.id }))
+
+        expect(events.map(event => event.type)).toEqual([
+            STREAM_EVENTS.TYPING, STREAM_EVENTS.CHUNK, STREAM_EVENTS.CHUNK, STREAM_EVENTS.MESSAGE, STREAM_EVENTS.TYPING
+        ])
+        expect(events.filter(event => event.type === STREAM_EVENTS.CHUNK).map(event => event.data.text).join('')).toBe(result.response)
+        expect(events[3].data).toEqual(result)
+        expect(events[4].data).toEqual({ typing: false })
+    })
+
+    it('publishes no chunks for a message relayed to an agent', async () => {
+        vi.spyOn(chatService, 'processMessage').mockResolvedValue({ response: null, handoff: { status: 'AGENT' } })
+
+        const events = await recordEvents('sess_agent', () => chatStream.streamMessage({ sessionId: 'sess_agent', message: 'still there?' }))
+
+        expect(events.map(event => event.type)).toEqual([STREAM_EVENTS.TYPING, STREAM_EVENTS.MESSAGE, STREAM_EVENTS.TYPING])
+    })
+
+    it('publishes client errors as they are and hides unexpected ones', async () => {
+        const processMessage = vi.spyOn(chatService, 'processMessage')
+            .mockRejectedValueOnce(new AppError('Session sess_err not found', 404, 'NOT_FOUND'))
+            .mockRejectedValueOnce(new Error('connection reset by peer'))
+
+        const events = await recordEvents('sess_err', async () => {
+            expect(await chatStream.streamMessage({ sessionId: 'sess_err', message: 'hi' })).toBeNull()
+            await chatStream.streamMessage({ sessionId: 'sess_err', message: 'hi' })
+        })
+
+        const errors = events.filter(event => event.type === STREAM_EVENTS.ERROR).map(event => event.data)
+        expect(processMessage).toHaveBeenCalledTimes(2)
+        expect(errors).toEqual([
+            { code: 'NOT_FOUND', message: 'Session sess_err not found' },
+            { code: 'INTERNAL_ERROR', message: 'Message could not be processed' }
+        ])
+        expect(events.at(-1)).toMatchObject({ type: STREAM_EVENTS.TYPING, data: { typing: false } })
+    })
+})
+
+describe('attachChatSocket', () => {
+    let server
+    let wss
+    let baseUrl
+
+    beforeEach(async () => {
+        vi.spyOn(botRepository, 'findBotBySlug').mockImplementation(async (slug) => Object.values(bots).find((bot) => bot.slug === slug) || null)
+        vi.spyOn(sessionStore, 'getOrCreateSession').mockResolvedValue({ id: 'row_ws', sessionId: 'sess_ws', handoffStatus: 'BOT', agentId: null })
+
+        server = http.createServer()
+        wss = attachChatSocket(server, { path: SOCKET_PATH })
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        baseUrl = `ws://127.0.0.1:${server.address().port}${SOCKET_PATH}`
+    })
+
+    afterEach(async () => {
+        for (const client of wss.clients) client.terminate()
+        await new Promise(resolve => wss.close(resolve))
+        await new Promise(resolve => server.close(resolve))
+    })
+
+    // Connect and collect the frames the server sends
+    const connect = (query) => new Promise((resolve, reject) => {
+        const socket = new WebSocket(`${baseUrl}?${query}`)
+        const frames = []
+        const waiters = []
+
+        // Resolves with the first frame of `type`, received already or still to come
+        const next = (type) => new Promise((found) => {
+            const frame = frames.find(f => f.type === type)
+            if (frame) return found(frame)
+            waiters.push({ type, found })
+        })
+
+        socket.on('message', (raw) => {
+            const frame = JSON.parse(raw.toString())
+            frames.push(frame)
+            for (const waiter of waiters.filter(w => w.type === frame.type)) {
+                waiters.splice(waiters.indexOf(waiter), 1)
+                waiter.found(frame)
+            }
+        })
+        socket.on('open', () => resolve({ socket, frames, next }))
+        socket.on('unexpected-response', (req, res) => reject(Object.assign(new Error('Upgrade refused'), { statusCode: res.statusCode })))
+        socket.on('error', reject)
+    })
+
+    it('streams the session\'s events and hands message frames to the chat pipeline', async () => {
+        const streamMessage = vi.spyOn(chatStream, 'streamMessage').mockImplementation(async ({ sessionId }) => {
+            await chatEvents.publish(sessionId, STREAM_EVENTS.MESSAGE, chatResponses.greeting)
+        })
+        const { socket, next } = await connect('sessionId=sess_ws')
+
+        expect((await next(STREAM_EVENTS.READY)).data).toEqual({ sessionId: 'sess_ws', handoff: { status: 'BOT', agentId: null } })
+
+        socket.send(JSON.stringify({ type: 'message', message: 'hello', timezone: 'Europe/Paris' }))
+
+        expect((await next(STREAM_EVENTS.MESSAGE)).data).toEqual(chatResponses.greeting)
+        expect(streamMessage).toHaveBeenCalledWith({ message: 'hello', timezone: 'Europe/Paris', sessionId: 'sess_ws', botId: bots.default.id, auth: null })
+        socket.close()
+    })
+
+    it('answers frames it cannot use with an error event', async () => {
+        const streamMessage = vi.spyOn(chatStream, 'streamMessage')
+        const { socket, frames, next } = await connect('sessionId=sess_ws')
+        await next(STREAM_EVENTS.READY)
+
+        socket.send('not json')
+        socket.send(JSON.stringify({ type: 'typing' }))
+        socket.send(JSON.stringify({ type: 'message', message: '   ' }))
+        await vi.waitFor(() => expect(frames.filter(frame => frame.type === STREAM_EVENTS.ERROR)).toHaveLength(3))
+
+        expect(frames.filter(frame => frame.type === STREAM_EVENTS.ERROR).map(frame => frame.data.code))
+            .toEqual(['INVALID_JSON', 'UNSUPPORTED_FRAME', 'VALIDATION_ERROR'])
+        expect(streamMessage).not.toHaveBeenCalled()
+        socket.close()
+    })
+
+    it('refuses upgrades without a session id or for an unknown bot', async () => {
+        await expect(connect('bot=default')).rejects.toMatchObject({ statusCode: 400 })
+        await expect(connect('sessionId=sess_ws&bot=nope')).rejects.toMatchObject({ statusCode: 404 })
+    })
+})
@@ -0,0 +1,74 @@
+// Relative date and time resolution unit tests
+import { describe, it, expect } from 'vitest'
+
+const { isValidTimezone, findDateTimeEntities, resolveDateTime } = require('../../modules/nlp/dateResolution')
+const { env } = require('../../config/envConfig')
+
+// Tuesday 10 March 2026, 10:00 in Paris
+const paris = { timezone: 'Europe/Paris', now: new Date('2026-03-10T09:00:00Z') }
+
+const resolve = (phrase, options = paris) => resolveDateTime(phrase, options)?.value
+
+describe('dateResolution.resolveDateTime', () => {
+    it('resolves days relative to the session\'s today', () => {
+        expect(resolve('today')).toBe('2026-03-10')
+        expect(resolve('the day after tomorrow')).toBe('2026-03-12')
+        expect(resolve('yesterday')).toBe('2026-03-09')
+    })
+
+    it('takes a bare weekday as today or the coming one and "next" as strictly after today', () => {
+        expect(resolve('tuesday')).toBe('2026-03-10')
+        expect(resolve('next tuesday')).toBe('2026-03-17')
+        expect(resolve('friday')).toBe('2026-03-13')
+        expect(resolve('last monday')).toBe('2026-03-09')
+    })
+
+    it('rolls dates without a year over to the next time they come round and rejects impossible ones', () => {
+        expect(resolve('March 25th')).toBe('2026-03-25')
+        expect(resolve('2 March')).toBe('2027-03-02')
+        expect(resolve('February 30')).toBeUndefined()
+        expect(resolve('12/25/2026')).toBe('2026-12-25')
+    })
+
+    it('puts a time on its own at the next time the clock shows it, with the zone\'s offset', () => {
+        expect(resolve('3pm')).toBe('2026-03-10T15:00:00+01:00')
+        expect(resolve('9:30')).toBe('2026-03-11T09:30:00+01:00')
+        expect(resolve('in 2 hours')).toBe('2026-03-10T12:00:00+01:00')
+    })
+
+    it('uses the offset in force on the resolved day across a DST change', () => {
+        // Saturday 7 March 2026, 10:00 in New York; clocks go forward overnight
+        const newYork = { timezone: 'America/New_York', now: new Date('2026-03-07T15:00:00Z') }
+
+        expect(resolve('today at 9am', newYork)).toBe('2026-03-07T09:00:00-05:00')
+        expect(resolve('tomorrow at 9am', newYork)).toBe('2026-03-08T09:00:00-04:00')
+    })
+
+    it('resolves parts of the day and weekends as ranges with an exclusive end', () => {
+        expect(resolveDateTime('tomorrow morning', paris)).toMatchObject({
+            type: 'daterange',
+            value: '2026-03-11T06:00:00+01:00/2026-03-11T12:00:00+01:00',
+            resolution: { kind: 'range', start: '2026-03-11T06:00:00+01:00', end: '2026-03-11T12:00:00+01:00' }
+        })
+        expect(resolve('this weekend')).toBe('2026-03-14T00:00:00+01:00/2026-03-16T00:00:00+01:00')
+    })
+
+    it('only resolves phrases that are a date or time as a whole', () => {
+        expect(resolveDateTime('sometime tomorrow maybe', paris)).toBeNull()
+        expect(resolveDateTime(42, paris)).toBeNull()
+    })
+
+    it('falls back to NLP_DEFAULT_TIMEZONE for an unknown timezone', () => {
+        expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false)
+        expect(resolveDateTime('today', { ...paris, timezone: 'Mars/Olympus_Mons' }).resolution.timezone).toBe(env.NLP_DEFAULT_TIMEZONE)
+    })
+})
+
+describe('dateResolution.findDateTimeEntities', () => {
+    it('finds each expression and the day and time they make together', () => {
+        const entities = findDateTimeEntities('Book friday at 3pm', paris)
+
+        expect(entities.map(entity => entity.text)).toEqual(['friday', '3pm', 'friday at 3pm'])
+        expect(entities[2]).toMatchObject({ type: 'datetime', value: '2026-03-13T15:00:00+01:00', source: 'datetime' })
+    })
+})
@@ -0,0 +1,98 @@
+// Entity extraction unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const modelManager = require('../../modules/nlp/modelManager')
+const entityExtraction = require('../../modules/nlp/entityExtraction')
+const { bots } = require('../fixtures/testData')
+
+const botId = bots.default.id
+
+// A Tuesday morning in Paris
+const options = { botId, language: 'en', timezone: 'Europe/Paris', now: new Date('2026-03-10T09:00:00Z') }
+
+const speed = { name: 'speed', type: 'text', values: ['standard', 'express'], synonyms: { express: ['next day'] }, isActive: true }
+const deliveryDay = { name: 'delivery_day', type: 'date', values: ['tomorrow'], synonyms: {}, isActive: true }
+
+// node-nlp NER output: inclusive ends, builtin type names
+const nerEntity = (entity, sourceText, start) => ({ entity, sourceText, utteranceText: sourceText, start, end: start + sourceText.length - 1, accuracy: 0.95 })
+
+let nerEntities
+
+beforeEach(() => {
+    nerEntities = []
+    vi.spyOn(db, 'prisma', 'get').mockReturnValue({
+        entity: { findMany: vi.fn(async () => [speed, deliveryDay]) }
+    })
+    vi.spyOn(modelManager, 'getModel').mockResolvedValue({
+        manager: { extractEntities: vi.fn(async () => ({ entities: nerEntities })) }
+    })
+})
+
+afterEach(() => {
+    entityExtraction.invalidateEntityDefinitions(botId)
+    vi.restoreAllMocks()
+})
+
+const byType = (entities, type) => entities.find(entity => entity.type === type)
+
+describe('entityExtraction.extractEntities', () => {
+    it('normalizes the bot\'s entity synonyms to their canonical value', async () => {
+        const entities = await entityExtraction.extractEntities('Next day delivery please', options)
+
+        expect(byType(entities, 'speed')).toEqual({
+            type: 'speed', value: 'express', text: 'Next day', start: 0, end: 8, source: 'dictionary', confidence: 0.95
+        })
+    })
+
+    it('renames builtin NER types, makes their ends exclusive and drops dimensions', async () => {
+        const text = 'Call me on 555-123-4567 at 3pm'
+        nerEntities = [nerEntity('phonenumber', '555-123-4567', 11), nerEntity('dimension', '3pm', 27)]
+
+        const entities = await entityExtraction.extractEntities(text, options)
+
+        expect(byType(entities, 'phone')).toMatchObject({ value: '555-123-4567', start: 11, end: 23, source: 'ner' })
+        expect(byType(entities, 'dimension')).toBeUndefined()
+        expect(byType(entities, 'time')).toMatchObject({ text: '3pm', source: 'datetime' })
+    })
+
+    it('keeps the longest expression where extractors overlap', async () => {
+        const entities = await entityExtraction.extractEntities('Can you come next tuesday at 3pm?', options)
+
+        expect(entities).toHaveLength(1)
+        expect(entities[0]).toMatchObject({ type: 'datetime', text: 'next tuesday at 3pm', value: '2026-03-17T15:00:00+01:00' })
+    })
+
+    it('resolves date entity values found by the dictionary to ISO dates', async () => {
+        const entities = await entityExtraction.extractEntities('deliver it tomorrow', options)
+
+        expect(byType(entities, 'delivery_day')).toMatchObject({ text: 'tomorrow', value: '2026-03-11', source: 'dictionary' })
+    })
+
+    it('leaves the punctuation after a name out of it', async () => {
+        const entities = await entityExtraction.extractEntities('This is Jane Smith, from accounts', options)
+
+        expect(byType(entities, 'person')).toMatchObject({ value: 'Jane Smith', start: 8, end: 18 })
+    })
+
+    it('still extracts entities when the model is unavailable', async () => {
+        modelManager.getModel.mockRejectedValue(new Error('No NLP model trained yet'))
+
+        const entities = await entityExtraction.extractEntities('reach me at jane@example.com', options)
+
+        expect(byType(entities, 'email')).toMatchObject({ value: 'jane@example.com', source: 'regex' })
+    })
+})
+
+describe('entityExtraction.resolveOverlaps', () => {
+    it('prefers longer spans, then higher confidence, and returns text order', () => {
+        const kept = entityExtraction.resolveOverlaps([
+            { type: 'number', start: 10, end: 12, confidence: 0.9 },
+            { type: 'order', start: 10, end: 12, confidence: 1 },
+            { type: 'date', start: 0, end: 8, confidence: 0.7 },
+            { type: 'time', start: 4, end: 8, confidence: 1 }
+        ])
+
+        expect(kept.map(entity => entity.type)).toEqual(['date', 'order'])
+    })
+})
@@ -0,0 +1,134 @@
+// Unrecognized message inbox unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const configService = require('../../modules/configuration/configService')
+const modelManager = require('../../modules/nlp/modelManager')
+const fallbackInbox = require('../../modules/nlp/fallbackInbox')
+const { bots } = require('../fixtures/testData')
+
+const botId = bots.default.id
+
+let sequence = 0
+const message = (content, language = 'en', minutesAgo = 0) => ({
+    id: `msg_${++sequence}`,
+    content,
+    language,
+    createdAt: new Date(Date.now() - minutesAgo * 60 * 1000)
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('fallbackInbox.clusterMessages', () => {
+    it('groups repeated and reworded messages and keeps unrelated ones apart', () => {
+        const messages = [
+            message('Where is my parcel?'),
+            message('where is my parcel'),
+            message('My parcel is late, where is it'),
+            message('Do you sell gift cards?'),
+            message('gift cards for sale?')
+        ]
+
+        const clusters = fallbackInbox.clusterMessages(messages, { language: 'en', similarity: 0.3 })
+
+        expect(clusters.map(cluster => cluster.size)).toEqual([3, 2])
+        expect(clusters[0]).toMatchObject({
+            id: `en:${messages[0].id}`,
+            distinctTexts: 2,
+            samples: [{ text: 'Where is my parcel?', count: 2 }, { text: 'My parcel is late, where is it', count: 1 }]
+        })
+        expect(clusters[1].messageIds).toEqual([messages[3].id, messages[4].id])
+    })
+
+    it('only groups texts without content words with identical texts', () => {
+        const clusters = fallbackInbox.clusterMessages([message('is it?'), message('Is it'), message('what is this')], { language: 'en', similarity: 0 })
+
+        expect(clusters.map(cluster => cluster.size)).toEqual([2, 1])
+    })
+})
+
+describe('fallbackInbox.getClusters', () => {
+    let findMany
+
+    beforeEach(() => {
+        findMany = vi.fn(async () => [
+            message('Where is my parcel?', 'en', 1),
+            message('where is my parcel', 'en', 5),
+            message('¿Dónde está mi paquete?', 'es', 2),
+            message('Where is my parcel?', 'en', 60)
+        ])
+        vi.spyOn(db, 'prisma', 'get').mockReturnValue({ message: { findMany } })
+        vi.spyOn(configService, 'get').mockResolvedValue(0.6)
+    })
+
+    it('reads the bot\'s unreviewed fallbacks and low-confidence messages', async () => {
+        await fallbackInbox.getClusters(botId, { days: 7 })
+
+        const { where } = findMany.mock.calls[0][0]
+        expect(where).toMatchObject({ session: { botId }, reviewedAt: null, OR: [{ intent: expect.any(String) }, { confidence: { lt: 0.6 } }] })
+        expect(Date.now() - where.createdAt.gte.getTime()).toBeCloseTo(7 * 24 * 60 * 60 * 1000, -4)
+    })
+
+    it('clusters each language apart, largest first, and applies minSize and paging', async () => {
+        const all = await fallbackInbox.getClusters(botId)
+        expect(all.clusters.map(cluster => [cluster.language, cluster.size])).toEqual([['en', 3], ['es', 1]])
+        expect(all.clusters[0].firstSeenAt < all.clusters[0].lastSeenAt).toBe(true)
+
+        const large = await fallbackInbox.getClusters(botId, { minSize: 2 })
+        expect(large.total).toBe(1)
+
+        const second = await fallbackInbox.getClusters(botId, { page: 2, limit: 1 })
+        expect(second).toMatchObject({ total: 2, page: 2, clusters: [{ language: 'es' }] })
+    })
+})
+
+describe('fallbackInbox.assignMessages', () => {
+    let tx
+
+    beforeEach(() => {
+        tx = {
+            intent: {
+                findUnique: vi.fn(async () => ({ id: 'int_1', name: 'order_status', isActive: true, patterns: ['where is my order'], examples: [{ text: 'Where is my parcel', language: 'en' }] })),
+                create: vi.fn(async ({ data }) => ({ id: 'int_2', isActive: true, ...data }))
+            },
+            intentExample: { createMany: vi.fn(async () => ({})) },
+            message: { updateMany: vi.fn(async () => ({})) }
+        }
+        vi.spyOn(db.helpers, 'transaction').mockImplementation(async (work) => work(tx))
+        vi.spyOn(db, 'prisma', 'get').mockReturnValue({
+            message: {
+                findMany: vi.fn(async ({ where }) => [
+                    { id: 'msg_a', content: 'where is my parcel?', language: 'en' },
+                    { id: 'msg_b', content: 'Has my order shipped', language: 'en' },
+                    { id: 'msg_c', content: 'has my order shipped?', language: 'en' }
+                ].filter(row => where.id.in.includes(row.id)))
+            }
+        })
+    })
+
+    it('adds the texts the intent does not know yet, marks every message reviewed and retrains', async () => {
+        const scheduleRetrain = vi.spyOn(modelManager, 'scheduleRetrain').mockReturnValue()
+
+        const result = await fallbackInbox.assignMessages(botId, { messageIds: ['msg_a', 'msg_b', 'msg_c'], intent: 'order_status' })
+
+        expect(result).toEqual({ intent: 'order_status', created: false, examplesAdded: 1, messagesReviewed: 3 })
+        expect(tx.intentExample.createMany).toHaveBeenCalledWith({ data: [{ intentId: 'int_1', text: 'Has my order shipped', language: 'en' }] })
+        expect(tx.message.updateMany).toHaveBeenCalledWith({ where: { id: { in: ['msg_a', 'msg_b', 'msg_c'] } }, data: { reviewedAt: expect.any(Date) } })
+        expect(scheduleRetrain).toHaveBeenCalledWith(botId, 'fallback_inbox')
+    })
+
+    it('creates a new intent from the cluster', async () => {
+        vi.spyOn(modelManager, 'scheduleRetrain').mockReturnValue()
+
+        const result = await fallbackInbox.assignMessages(botId, { messageIds: ['msg_b'], newIntent: { name: 'shipping_status', responses: ['Let me check'] } })
+
+        expect(tx.intent.create).toHaveBeenCalledWith({ data: { name: 'shipping_status', responses: ['Let me check'], botId, patterns: [], entities: [] } })
+        expect(result).toMatchObject({ intent: 'shipping_status', created: true, examplesAdded: 1 })
+    })
+
+    it('refuses when none of the messages are waiting for review', async () => {
+        await expect(fallbackInbox.dismissMessages(botId, ['msg_gone'])).rejects.toMatchObject({ statusCode: 409, code: 'NOTHING_TO_REVIEW' })
+    })
+})
@@ -0,0 +1,115 @@
+// Conversation flow engine unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const flowEngine = require('../../modules/flows/flowEngine')
+const entityExtraction = require('../../modules/nlp/entityExtraction')
+const { bots } = require('../fixtures/testData')
+const { FALLBACK_INTENT, FLOW_STATUS } = require('../../utils/constants')
+
+const botId = bots.default.id
+
+// Asks for the customer's email, then looks the order up
+const orderSupport = {
+    name: 'order_support',
+    isActive: true,
+    conditions: { trigger_intents: ['order_status'] },
+    steps: [
+        { id: 'ask_email', type: 'ask', entities: ['email'], message: 'What email did you order with?', reprompt: 'Please send a valid email address', max_attempts: 1, next: 'lookup' },
+        { id: 'lookup', type: 'response', message: 'Looking up your order', next: 'end' }
+    ]
+}
+
+// Passes refund requests on to the order flow
+const refund = {
+    name: 'refund',
+    isActive: true,
+    conditions: { trigger_intents: ['refund_request'] },
+    steps: [
+        { id: 'pass_on', type: 'handoff', message: 'Let me find your order first', flow: 'order_support' }
+    ]
+}
+
+beforeEach(() => {
+    vi.spyOn(db, 'prisma', 'get').mockReturnValue({
+        conversationFlow: { findMany: vi.fn(async () => [orderSupport, refund]) },
+        entity: { findMany: vi.fn(async () => []) }
+    })
+})
+
+afterEach(() => {
+    flowEngine.invalidateFlows(botId)
+    entityExtraction.invalidateEntityDefinitions(botId)
+    vi.restoreAllMocks()
+})
+
+const turn = (message, context, { intent = FALLBACK_INTENT, entities = [] } = {}) => {
+    return flowEngine.handleTurn({ botId, message, intent, entities, context })
+}
+
+const email = { type: 'email', value: 'jane@example.com', start: 0, end: 16 }
+
+describe('flowEngine.handleTurn', () => {
+    it('leaves turns no flow is triggered by to the intent\'s responses', async () => {
+        const result = await turn('hello', { topic: 'greeting' }, { intent: 'greeting' })
+
+        expect(result).toEqual({ handled: false, messages: [], context: { topic: 'greeting' }, flow: null })
+    })
+
+    it('asks the first question of a triggered flow and completes once it is answered', async () => {
+        const started = await turn('where is my order', {}, { intent: 'order_status' })
+        expect(started).toMatchObject({
+            handled: true,
+            messages: ['What email did you order with?'],
+            flow: { name: 'order_support', step: 'ask_email', status: FLOW_STATUS.STARTED, awaiting: ['email'] }
+        })
+        expect(started.context.flow).toMatchObject({ name: 'order_support', stepId: 'ask_email', attempts: 0 })
+
+        const done = await turn('jane@example.com', started.context)
+        expect(done).toMatchObject({
+            handled: true,
+            messages: ['Looking up your order'],
+            flow: { status: FLOW_STATUS.COMPLETED, step: null, slots: { email: 'jane@example.com' } }
+        })
+        expect(done.context).not.toHaveProperty('flow')
+    })
+
+    it('skips questions the triggering message already answers', async () => {
+        const result = await turn('jane@example.com where is my order', {}, { intent: 'order_status', entities: [email] })
+
+        expect(result).toMatchObject({
+            messages: ['Looking up your order'],
+            flow: { status: FLOW_STATUS.COMPLETED, slots: { email: 'jane@example.com' } }
+        })
+    })
+
+    it('re-prompts an invalid answer, then fails after max_attempts', async () => {
+        const started = await turn('where is my order', {}, { intent: 'order_status' })
+
+        const reprompted = await turn('no idea', started.context)
+        expect(reprompted).toMatchObject({ messages: ['Please send a valid email address'], flow: { status: FLOW_STATUS.WAITING } })
+        expect(reprompted.context.flow.attempts).toBe(1)
+
+        const failed = await turn('still no idea', reprompted.context)
+        expect(failed).toMatchObject({ handled: false, messages: [], flow: { name: 'order_support', status: FLOW_STATUS.FAILED } })
+        expect(failed.context).not.toHaveProperty('flow')
+    })
+
+    it('hands off to another flow and asks its first question', async () => {
+        const result = await turn('I want a refund', {}, { intent: 'refund_request' })
+
+        expect(result).toMatchObject({
+            messages: ['Let me find your order first', 'What email did you order with?'],
+            flow: { name: 'order_support', step: 'ask_email', status: FLOW_STATUS.HANDED_OFF }
+        })
+        expect(result.context.flow.name).toBe('order_support')
+    })
+
+    it('drops the state of a flow that no longer exists', async () => {
+        const context = { topic: 'orders', flow: { name: 'retired_flow', stepId: 'ask', slots: {} } }
+
+        const result = await turn('hello', context)
+
+        expect(result).toEqual({ handled: false, messages: [], context: { topic: 'orders' }, flow: null })
+    })
+})
@@ -0,0 +1,83 @@
+// Fulfillment webhook unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const crypto = require('crypto')
+const axios = require('axios')
+const db = require('../../config/database')
+const fulfillment = require('../../modules/chat/fulfillment')
+const { fulfillment: settings } = require('../../config/envConfig')
+const { bots } = require('../fixtures/testData')
+
+const SECRET = 'test-fulfillment-secret'
+
+const session = { id: 'row_1', sessionId: 'sess_1', botId: bots.default.id, userId: null }
+const turn = { message: 'Where is order 42?', confidence: 0.9, language: 'en', entities: [], slots: { order: '42' }, session, context: {} }
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } })
+
+let webhook
+
+beforeEach(() => {
+    vi.useFakeTimers()
+    settings.secret = SECRET
+    webhook = { url: 'https://hooks.example.com/orders', retries: 2 }
+    vi.spyOn(db, 'prisma', 'get').mockReturnValue({
+        intent: { findUnique: vi.fn(async () => ({ isActive: true, fulfillment: webhook })) }
+    })
+})
+
+afterEach(() => {
+    settings.secret = undefined
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+})
+
+// Run fulfill while letting the retry backoff elapse
+const fulfill = async () => {
+    const pending = fulfillment.fulfill('order_status', turn)
+    await vi.runAllTimersAsync()
+    return pending
+}
+
+describe('fulfillment.fulfill', () => {
+    it('signs the timestamp and body with FULFILLMENT_SECRET', async () => {
+        const post = vi.spyOn(axios, 'post').mockResolvedValue({ data: { text: 'Order 42 ships today' } })
+
+        const reply = await fulfill()
+
+        const [url, body, { headers }] = post.mock.calls[0]
+        const expected = crypto.createHmac('sha256', SECRET).update(`${headers['X-Chatbot-Timestamp']}.${body}`).digest('hex')
+        expect(url).toBe(webhook.url)
+        expect(headers['X-Chatbot-Signature']).toBe(`sha256=${expected}`)
+        expect(JSON.parse(body)).toMatchObject({ intent: { name: 'order_status' }, slots: { order: '42' }, session: { id: 'sess_1' } })
+        expect(reply).toMatchObject({ status: 'fulfilled', text: 'Order 42 ships today' })
+    })
+
+    it('retries timeouts and 5xx answers but not 4xx ones', async () => {
+        const post = vi.spyOn(axios, 'post')
+            .mockRejectedValueOnce(httpError(503))
+            .mockRejectedValueOnce(Object.assign(new Error('timeout of 3000ms exceeded'), { code: 'ECONNABORTED' }))
+            .mockResolvedValueOnce({ data: { text: 'Found it' } })
+
+        expect(await fulfill()).toMatchObject({ status: 'fulfilled', text: 'Found it' })
+        expect(post).toHaveBeenCalledTimes(3)
+
+        post.mockReset().mockRejectedValue(httpError(404))
+        expect(await fulfill()).toEqual({ status: 'failed' })
+        expect(post).toHaveBeenCalledTimes(1)
+    })
+
+    it('keeps the conversation\'s own context keys out of the webhook\'s update', async () => {
+        vi.spyOn(axios, 'post').mockResolvedValue({ data: { context: { order_id: '42', flow: { name: 'hijacked' } } } })
+
+        expect((await fulfill()).context).toEqual({ order_id: '42' })
+    })
+
+    it('refuses to call a webhook without FULFILLMENT_SECRET', async () => {
+        settings.secret = undefined
+        const post = vi.spyOn(axios, 'post')
+
+        expect(await fulfill()).toEqual({ status: 'failed' })
+        expect(post).not.toHaveBeenCalled()
+    })
+})
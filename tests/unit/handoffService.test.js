@@ -0,0 +1,134 @@
+// Human agent handoff unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const conversationHistory = require('../../modules/chat/conversationHistory')
+const chatEvents = require('../../modules/chat/chatEvents')
+const sessionStore = require('../../modules/chat/sessionStore')
+const configService = require('../../modules/configuration/configService')
+const handoffService = require('../../modules/handoff/handoffService')
+const { bots } = require('../fixtures/testData')
+const { ANALYTICS_EVENTS, HANDOFF_STATUS, STREAM_EVENTS } = require('../../utils/constants')
+
+let row
+let publish
+let createEvent
+
+beforeEach(() => {
+    row = {
+        id: 'row_1',
+        sessionId: 'sess_1',
+        botId: bots.default.id,
+        userId: null,
+        handoffStatus: HANDOFF_STATUS.BOT,
+        agentId: null,
+        handoffRequestedAt: null,
+        escalatedAt: null
+    }
+
+    // updateMany checks and writes in one step, as the database does
+    createEvent = vi.fn(async ({ data }) => data)
+    const client = {
+        analytics: { create: createEvent },
+        session: {
+            findUnique: vi.fn(async () => ({ ...row })),
+            update: vi.fn(async ({ data }) => {
+                Object.assign(row, data)
+                return { ...row }
+            }),
+            updateMany: vi.fn(async ({ where, data }) => {
+                if (where.id !== row.id || where.handoffStatus !== row.handoffStatus) return { count: 0 }
+                Object.assign(row, data)
+                return { count: 1 }
+            })
+        }
+    }
+    vi.spyOn(db, 'prisma', 'get').mockReturnValue(client)
+    vi.spyOn(db.helpers, 'transaction').mockImplementation(async (work) => work(client))
+    vi.spyOn(conversationHistory, 'saveMessage').mockImplementation(async (message) => ({ id: 'msg_1', createdAt: new Date(), ...message }))
+    publish = vi.spyOn(chatEvents, 'publish').mockResolvedValue()
+    // Handoff history is kept with analytics off, as they are by default
+    vi.spyOn(configService, 'get').mockResolvedValue(false)
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+const queue = () => handoffService.requestHandoff({ ...row }, { reason: 'user_request' })
+
+const recordedEvents = () => createEvent.mock.calls.map(([{ data }]) => data.event)
+
+describe('handoffService.requestHandoff', () => {
+    it('queues a bot-handled session and tells its clients', async () => {
+        const queued = await queue()
+
+        expect(queued.handoffStatus).toBe(HANDOFF_STATUS.QUEUED)
+        expect(createEvent).toHaveBeenCalledWith({
+            data: { botId: bots.default.id, sessionId: 'row_1', event: ANALYTICS_EVENTS.HANDOFF_REQUESTED, data: { sessionId: 'sess_1', reason: 'user_request' } }
+        })
+        expect(publish).toHaveBeenCalledWith('sess_1', STREAM_EVENTS.HANDOFF, { status: HANDOFF_STATUS.QUEUED, agentId: null })
+    })
+
+    it('leaves a session already waiting for an agent as it is', async () => {
+        await queue()
+        db.prisma.session.update.mockClear()
+
+        await queue()
+
+        expect(db.prisma.session.update).not.toHaveBeenCalled()
+    })
+})
+
+describe('handoffService.claimSession', () => {
+    it('lets exactly one of two agents claiming at once win', async () => {
+        await queue()
+
+        const results = await Promise.allSettled([
+            handoffService.claimSession(bots.default.id, 'sess_1', 'agent_a'),
+            handoffService.claimSession(bots.default.id, 'sess_1', 'agent_b')
+        ])
+
+        expect(results[0]).toMatchObject({ status: 'fulfilled', value: { handoffStatus: HANDOFF_STATUS.AGENT, agentId: 'agent_a' } })
+        expect(results[1]).toMatchObject({ status: 'rejected', reason: { statusCode: 409, code: 'SESSION_NOT_QUEUED' } })
+        expect(row.agentId).toBe('agent_a')
+        expect(recordedEvents().filter(event => event === ANALYTICS_EVENTS.HANDOFF_CLAIMED)).toHaveLength(1)
+    })
+
+    it('does not find sessions of another bot', async () => {
+        await queue()
+
+        await expect(handoffService.claimSession(bots.support.id, 'sess_1', 'agent_a'))
+            .rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' })
+    })
+})
+
+describe('handoffService.postAgentMessage', () => {
+    it('only takes replies from the agent who claimed the session', async () => {
+        await queue()
+        await handoffService.claimSession(bots.default.id, 'sess_1', 'agent_a')
+
+        await expect(handoffService.postAgentMessage(bots.default.id, 'sess_1', { agentId: 'agent_b', content: 'Hi' }))
+            .rejects.toMatchObject({ statusCode: 403 })
+
+        const message = await handoffService.postAgentMessage(bots.default.id, 'sess_1', { agentId: 'agent_a', content: 'Hi, I can help' })
+        expect(message).toMatchObject({ content: 'Hi, I can help', metadata: { agent_id: 'agent_a' } })
+        expect(publish).toHaveBeenLastCalledWith('sess_1', STREAM_EVENTS.AGENT_MESSAGE, expect.objectContaining({ agentId: 'agent_a' }))
+    })
+})
+
+describe('handoffService.releaseSession', () => {
+    it('hands the session back, clears its escalation and keeps the whole history with analytics off', async () => {
+        vi.spyOn(sessionStore, 'withContext').mockImplementation(async (session) => ({ ...session, context: { sentiment: { negative_streak: 3 }, topic: 'orders' } }))
+        const saveContext = vi.spyOn(sessionStore, 'saveContext').mockResolvedValue()
+        await queue()
+        await handoffService.claimSession(bots.default.id, 'sess_1', 'agent_a')
+        row.escalatedAt = new Date()
+
+        const released = await handoffService.releaseSession(bots.default.id, 'sess_1', { agentId: 'agent_a', note: 'resolved' })
+
+        expect(released).toMatchObject({ handoffStatus: HANDOFF_STATUS.BOT, agentId: null, escalatedAt: null })
+        expect(saveContext).toHaveBeenCalledWith(expect.objectContaining({ id: 'row_1' }), { topic: 'orders' })
+        expect(recordedEvents()).toEqual([ANALYTICS_EVENTS.HANDOFF_REQUESTED, ANALYTICS_EVENTS.HANDOFF_CLAIMED, ANALYTICS_EVENTS.HANDOFF_RELEASED])
+    })
+})
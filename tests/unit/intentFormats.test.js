@@ -0,0 +1,19 @@
+// Intent file format unit tests
+import { describe, it, expect } from 'vitest'
+
+const intentFormats = require('../../modules/intents/intentFormats')
+const { INTENT_FILE_FORMATS } = require('../../utils/constants')
+
+describe('CSV export', () => {
+    it('keeps utterances spreadsheets would run as formulas inert, and reads them back unchanged', () => {
+        const utterances = ['=HYPERLINK("http://evil.example","hi")', '+1 for that', '-5 degrees outside', '@support help', 'plain text']
+        const intent = { name: 'weather', patterns: utterances, translations: {}, examples: [] }
+
+        const csv = intentFormats.serialize(INTENT_FILE_FORMATS.CSV, { intents: [intent] })
+        const cells = csv.split('\r\n').slice(1, -1).map((row) => row.slice('weather,'.length))
+
+        expect(cells).toEqual(["\"'=HYPERLINK(\"\"http://evil.example\"\",\"\"hi\"\")\",en", "'+1 for that,en", "'-5 degrees outside,en", "'@support help,en", 'plain text,en'])
+        const [parsed] = intentFormats.parseFile(INTENT_FILE_FORMATS.CSV, csv).intents
+        expect(parsed.examples.map(({ text }) => text)).toEqual(utterances)
+    })
+})
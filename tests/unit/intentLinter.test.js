@@ -0,0 +1,36 @@
+// Training data lint unit tests
+import { describe, it, expect } from 'vitest'
+
+const { lintCorpus } = require('../../modules/nlp/intentLinter')
+
+const corpusOf = (intents) => ({ languages: ['en'], intents: intents.map((intent) => ({ language: 'en', ...intent })), entities: [] })
+
+const similarIssues = (result) => result.issues.filter((issue) => issue.code === 'similar_examples')
+
+describe('intentLinter.lintCorpus', () => {
+    it('warns about reworded utterances across intents but not ones sharing only stop words', () => {
+        const corpus = corpusOf([
+            { name: 'order_status', utterances: ['track my parcel please', 'what is the delivery date'] },
+            { name: 'shipping', utterances: ['track my parcel', 'what is the price'] }
+        ])
+
+        const issues = similarIssues(lintCorpus(corpus, { similarity: 0.5, minExamples: 1 }))
+
+        expect(issues).toHaveLength(1)
+        expect(issues[0].intents.map((intent) => intent.text)).toEqual(['track my parcel please', 'track my parcel'])
+    })
+
+    it('stops at a bounded number of similar pairs however many there are', () => {
+        const codes = Array.from({ length: 20 }, (_, i) => `code${i}`)
+        const corpus = corpusOf([
+            { name: 'reset_password', utterances: codes.map((code) => `reset password ${code}a`) },
+            { name: 'forgot_password', utterances: codes.map((code) => `reset password ${code}b`) }
+        ])
+
+        const result = lintCorpus(corpus, { similarity: 0.6 })
+
+        // 400 pairs overlap on two of their three words
+        expect(similarIssues(result)).toHaveLength(100)
+        expect(result.summary.warnings).toBe(100)
+    })
+})
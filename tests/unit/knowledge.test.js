@@ -0,0 +1,111 @@
+// Knowledge base unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const knowledgeIndex = require('../../modules/knowledge/knowledgeIndex')
+const knowledgeService = require('../../modules/knowledge/knowledgeService')
+const { bots, knowledgeEntries } = require('../fixtures/testData')
+
+// Knowledge entries as the database holds them, filtered by bot like the real queries
+const entriesOf = (botId) => knowledgeEntries.filter((entry) => entry.botId === botId && entry.isActive)
+
+beforeEach(() => {
+    vi.spyOn(db, 'prisma', 'get').mockReturnValue({
+        knowledgeEntry: {
+            aggregate: vi.fn(async ({ where }) => ({ _count: { _all: entriesOf(where.botId).length }, _max: { updatedAt: new Date('2026-01-01') } })),
+            findMany: vi.fn(async ({ where }) => entriesOf(where.botId))
+        }
+    })
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('knowledgeIndex', () => {
+    it('ranks the FAQ whose question matches first, with a relevance between 0 and 1', () => {
+        const index = knowledgeIndex.buildIndex(entriesOf(bots.default.id))
+
+        const [best] = knowledgeIndex.search(index, 'how can I return my item', { language: 'en' })
+
+        expect(best.entryId).toBe('kb_returns')
+        expect(best.relevance).toBeGreaterThan(0)
+        expect(best.relevance).toBeLessThanOrEqual(1)
+        expect(knowledgeIndex.search(index, 'return', { language: 'fr' })).toEqual([])
+    })
+
+    it('splits documents into passages at paragraph breaks', () => {
+        expect(knowledgeIndex.splitPassages('First paragraph.\n\nSecond paragraph.')).toEqual(['First paragraph.\n\nSecond paragraph.'])
+        expect(knowledgeIndex.splitPassages(`${'word '.repeat(100)}\n\n${'more '.repeat(100)}`)).toHaveLength(2)
+    })
+})
+
+describe('knowledgeService.answer', () => {
+    it('answers each bot from its own entries, quoting the source', async () => {
+        const own = await knowledgeService.answer(bots.default.id, 'How do I return an item?', { language: 'en' })
+        const other = await knowledgeService.answer(bots.support.id, 'How do I return an item?', { language: 'en' })
+
+        expect(own.knowledge.entryId).toBe('kb_returns')
+        expect(own.text).toContain('https://example.com/returns')
+        expect(other.knowledge.entryId).toBe('kb_support_returns')
+    })
+
+    it('answers nothing below KB_MIN_RELEVANCE', async () => {
+        expect(await knowledgeService.answer(bots.default.id, 'what is the weather like', { language: 'en' })).toBeNull()
+    })
+})
+
+describe('knowledgeService rich answers', () => {
+    it('shows the passage and a card linking to a URL source', async () => {
+        const reply = await knowledgeService.answer(bots.default.id, 'How do I return an item?', { language: 'en', rich: true })
+
+        expect(reply.blocks).toEqual([
+            { type: 'text', text: 'Returns are free within 30 days, start one from your orders page.' },
+            { type: 'card', title: 'How do I return an item?', url: 'https://example.com/returns', buttons: [] }
+        ])
+    })
+
+    it('names a source that is not a link in a text block', async () => {
+        const reply = await knowledgeService.answer(bots.default.id, 'when does express delivery arrive', { language: 'en', rich: true })
+
+        expect(reply.knowledge.entryId).toBe('kb_shipping')
+        expect(reply.blocks[1]).toEqual({ type: 'text', text: 'Source: Shipping' })
+    })
+})
+
+describe('knowledgeService index refresh', () => {
+    const question = 'How do I return an item?'
+    const newEntry = { type: 'FAQ', question: 'Do you ship abroad?', answer: 'Yes, to the EU.', language: 'en' }
+
+    it('rebuilds a bot\'s index only when its entries change, once for concurrent questions', async () => {
+        const { knowledgeEntry } = db.prisma
+        knowledgeEntry.create = vi.fn(async ({ data }) => ({ id: 'kb_new', ...data }))
+        await knowledgeService.createEntry(bots.support.id, newEntry)
+        await knowledgeService.answer(bots.support.id, question, { language: 'en' })
+        knowledgeEntry.aggregate.mockClear()
+        knowledgeEntry.findMany.mockClear()
+
+        // Within KB_REFRESH_INTERVAL_MS the index is used as it is
+        await knowledgeService.answer(bots.support.id, question, { language: 'en' })
+        expect(knowledgeEntry.aggregate).not.toHaveBeenCalled()
+
+        // A change on this instance checks the fingerprint, which is unchanged here
+        await knowledgeService.createEntry(bots.support.id, newEntry)
+        await knowledgeService.answer(bots.support.id, question, { language: 'en' })
+        expect(knowledgeEntry.aggregate).toHaveBeenCalledTimes(1)
+        expect(knowledgeEntry.findMany).not.toHaveBeenCalled()
+
+        knowledgeEntry.aggregate.mockResolvedValue({ _count: { _all: 2 }, _max: { updatedAt: new Date('2026-02-01') } })
+        await knowledgeService.createEntry(bots.support.id, newEntry)
+        await Promise.all([1, 2, 3].map(() => knowledgeService.answer(bots.support.id, question, { language: 'en' })))
+        expect(knowledgeEntry.findMany).toHaveBeenCalledTimes(1)
+    })
+
+    it('answers nothing when the knowledge base cannot be read', async () => {
+        db.prisma.knowledgeEntry.create = vi.fn(async ({ data }) => ({ id: 'kb_new', ...data }))
+        await knowledgeService.createEntry(bots.default.id, newEntry)
+        db.prisma.knowledgeEntry.aggregate.mockRejectedValue(new Error('Connection terminated'))
+
+        expect(await knowledgeService.answer(bots.default.id, question, { language: 'en' })).toBeNull()
+    })
+})
@@ -0,0 +1,54 @@
+// Analytics event collection unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const configService = require('../../modules/configuration/configService')
+const metricsCollector = require('../../modules/analytics/metricsCollector')
+const { bots } = require('../fixtures/testData')
+
+const session = { id: 'row_1', botId: bots.default.id }
+
+// Prisma's errors carry their code, e.g. P2003 for a foreign key, P1001 for an unreachable database
+const prismaError = (code) => Object.assign(new Error(code), { code })
+
+let analytics
+
+beforeEach(() => {
+    analytics = { createMany: vi.fn(), create: vi.fn() }
+    vi.spyOn(db, 'prisma', 'get').mockReturnValue({ analytics })
+    vi.spyOn(configService, 'get').mockResolvedValue(true)
+})
+
+afterEach(async () => {
+    analytics.createMany.mockResolvedValue({ count: 0 })
+    await metricsCollector.flush()
+    vi.restoreAllMocks()
+})
+
+describe('metricsCollector.flush', () => {
+    it('keeps a batch queued while the database is unreachable', async () => {
+        await metricsCollector.track(session, 'message_sent')
+        await metricsCollector.track(session, 'intent_recognized')
+        analytics.createMany.mockRejectedValueOnce(prismaError('P1001')).mockResolvedValueOnce({ count: 2 })
+
+        await expect(metricsCollector.flush()).rejects.toThrow('P1001')
+        await metricsCollector.flush()
+
+        expect(analytics.createMany).toHaveBeenCalledTimes(2)
+        expect(analytics.createMany.mock.calls[1][0].data.map(({ event }) => event)).toEqual(['message_sent', 'intent_recognized'])
+    })
+
+    it('drops only the events the database refuses', async () => {
+        await metricsCollector.track(session, 'message_sent')
+        await metricsCollector.track({ id: 'row_deleted', botId: bots.default.id }, 'message_sent')
+        analytics.createMany.mockRejectedValueOnce(prismaError('P2003'))
+        analytics.create.mockResolvedValueOnce({}).mockRejectedValueOnce(prismaError('P2003'))
+
+        await metricsCollector.flush()
+        await metricsCollector.flush()
+
+        expect(analytics.create).toHaveBeenCalledTimes(2)
+        expect(analytics.create.mock.calls[0][0].data.sessionId).toBe('row_1')
+        expect(analytics.createMany).toHaveBeenCalledTimes(1)
+    })
+})
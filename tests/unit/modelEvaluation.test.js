@@ -0,0 +1,78 @@
+// NLP model evaluation unit tests
+import { describe, it, expect } from 'vitest'
+
+const { evaluateHoldout, splitFolds, computeMetrics, findMisclassified, crossValidate } = require('../../modules/nlp/modelEvaluation')
+const { multilingualCorpus, overlappingCorpus } = require('../fixtures/testData')
+const { FALLBACK_INTENT } = require('../../utils/constants')
+
+describe('splitFolds', () => {
+    it('deals every intent\'s utterances across the folds', () => {
+        const folds = splitFolds(overlappingCorpus, 2, () => 0.5)
+
+        expect(folds.flat()).toHaveLength(17)
+        for (const intent of overlappingCorpus.intents) {
+            const counts = folds.map(fold => fold.filter(sample => sample.expected === intent.name).length)
+            expect(Math.max(...counts) - Math.min(...counts)).toBeLessThanOrEqual(1)
+        }
+    })
+})
+
+describe('computeMetrics', () => {
+    it('scores each intent and leaves predicted-only labels out of the macro average', () => {
+        const metrics = computeMetrics([
+            { expected: 'greeting', predicted: 'greeting' },
+            { expected: 'greeting', predicted: FALLBACK_INTENT },
+            { expected: 'goodbye', predicted: 'goodbye' },
+            { expected: 'goodbye', predicted: 'greeting' }
+        ])
+
+        expect(metrics.accuracy).toBe(0.5)
+        expect(metrics.perIntent.greeting).toMatchObject({ precision: 0.5, recall: 0.5, support: 2 })
+        expect(metrics.perIntent.goodbye).toMatchObject({ precision: 1, recall: 0.5, support: 2 })
+        expect(metrics.perIntent[FALLBACK_INTENT].support).toBe(0)
+        expect(metrics.macroRecall).toBe(0.5)
+        expect(metrics.confusionMatrix.matrix.goodbye.greeting).toBe(1)
+    })
+})
+
+describe('findMisclassified', () => {
+    it('groups repeated mistakes, the most frequent first', () => {
+        const misclassified = findMisclassified([
+            { text: 'what is', expected: 'question', predicted: 'product_inquiry' },
+            { text: 'what is', expected: 'question', predicted: 'product_inquiry' },
+            { text: 'hi', expected: 'greeting', predicted: FALLBACK_INTENT },
+            { text: 'hello', expected: 'greeting', predicted: 'greeting' }
+        ])
+
+        expect(misclassified).toEqual([
+            { text: 'what is', expected: 'question', count: 2, predicted: { product_inquiry: 2 } },
+            { text: 'hi', expected: 'greeting', count: 1, predicted: { [FALLBACK_INTENT]: 1 } }
+        ])
+    })
+})
+
+describe('crossValidate', () => {
+    it('counts predictions below the confidence threshold as the fallback', async () => {
+        const report = await crossValidate(overlappingCorpus, { folds: 2, threshold: 1.01 })
+
+        expect(report).toMatchObject({ method: 'k_fold', folds: 2, threshold: 1.01, total: 17, accuracy: 0 })
+        expect(report.underSampled).toEqual([])
+    }, 60000)
+})
+
+describe('evaluateHoldout', () => {
+    it('scores a model on a share of each intent\'s utterances it was not trained on', async () => {
+        const evaluation = await evaluateHoldout(multilingualCorpus)
+
+        // Three utterances per intent, one of each held out
+        expect(evaluation).toMatchObject({ method: 'holdout', total: multilingualCorpus.intents.length })
+        expect(evaluation.accuracy).toBeGreaterThanOrEqual(0)
+        expect(evaluation.accuracy).toBeLessThanOrEqual(1)
+    }, 60000)
+
+    it('reports no accuracy when no intent has an utterance to spare', async () => {
+        const corpus = { languages: ['en'], intents: [{ name: 'greeting', language: 'en', utterances: ['hello'] }], entities: [] }
+
+        expect(await evaluateHoldout(corpus)).toMatchObject({ total: 0, accuracy: null })
+    })
+})
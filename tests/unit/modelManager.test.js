@@ -0,0 +1,103 @@
+// NLP model lifecycle unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const modelManager = require('../../modules/nlp/modelManager')
+const modelRegistry = require('../../modules/nlp/modelRegistry')
+const trainingLock = require('../../modules/nlp/trainingLock')
+const trainingData = require('../../modules/nlp/trainingData')
+const intentLinter = require('../../modules/nlp/intentLinter')
+const db = require('../../config/database')
+const { env } = require('../../config/envConfig')
+const { bots } = require('../fixtures/testData')
+
+const botId = bots.default.id
+const activeVersion = { botId, version: 3, dataHash: 'stored', languages: ['en'] }
+
+let fingerprint
+
+beforeEach(() => {
+    vi.useFakeTimers()
+    fingerprint = 'fingerprint_1'
+    vi.spyOn(trainingData, 'getTrainingFingerprint').mockImplementation(async () => fingerprint)
+    vi.spyOn(modelRegistry, 'getActiveVersion').mockResolvedValue(activeVersion)
+    vi.spyOn(modelRegistry, 'getLatestVersion').mockResolvedValue({ ...activeVersion, version: 4 })
+    vi.spyOn(modelRegistry, 'loadVersion').mockResolvedValue({})
+})
+
+afterEach(() => {
+    modelManager.stopModelWatcher()
+    modelManager.unloadBot(botId)
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+})
+
+// One watch tick, and the retrain debounce it may start
+const watchTick = () => vi.advanceTimersByTimeAsync(env.NLP_MODEL_WATCH_INTERVAL_MS + env.NLP_RETRAIN_DEBOUNCE_MS)
+
+describe('model watcher', () => {
+    it('does not retrain a bot loaded after the watcher started until its data changes', async () => {
+        // Training stops at the lint step, which is enough to tell a retrain started
+        const lint = vi.spyOn(intentLinter, 'checkBeforeTraining').mockRejectedValue(new Error('stop'))
+        vi.spyOn(trainingData, 'loadCorpusFromDatabase').mockResolvedValue({ languages: ['en'], intents: [{ name: 'greeting', utterances: ['hi'] }], entities: [] })
+
+        await modelManager.startModelWatcher()
+        const live = await modelManager.initialize(botId)
+        await watchTick()
+
+        expect(live.version).toBe(3)
+        expect(lint).not.toHaveBeenCalled()
+
+        fingerprint = 'fingerprint_2'
+        await watchTick()
+
+        expect(lint).toHaveBeenCalledTimes(1)
+    })
+})
+
+describe('retrain', () => {
+    it('leaves training to the instance holding the lock and keeps the live model', async () => {
+        const lint = vi.spyOn(intentLinter, 'checkBeforeTraining')
+        const withLock = vi.spyOn(trainingLock, 'withLock').mockResolvedValue(null)
+
+        const live = await modelManager.initialize(botId)
+        const after = await modelManager.retrain(botId)
+
+        expect(withLock).toHaveBeenCalledWith(botId, expect.any(Function))
+        expect(after).toBe(live)
+        expect(lint).not.toHaveBeenCalled()
+    })
+
+    it('skips data the latest version was already trained on', async () => {
+        const corpus = { languages: ['en'], intents: [{ name: 'greeting', utterances: ['hi'] }], entities: [] }
+        vi.spyOn(trainingData, 'loadCorpusFromDatabase').mockResolvedValue(corpus)
+        vi.spyOn(modelRegistry, 'getLatestVersion').mockResolvedValue({ ...activeVersion, dataHash: modelRegistry.hashCorpus(corpus) })
+        const lint = vi.spyOn(intentLinter, 'checkBeforeTraining')
+
+        const live = await modelManager.initialize(botId)
+        const after = await modelManager.retrain(botId)
+
+        expect(after).toBe(live)
+        expect(lint).not.toHaveBeenCalled()
+    })
+})
+
+describe('modelRegistry.registerVersion', () => {
+    it('numbers the version inside the insert transaction, after taking the bot\'s lock', async () => {
+        const calls = []
+        const tx = {
+            $executeRaw: vi.fn(async () => calls.push('lock')),
+            modelVersion: {
+                aggregate: vi.fn(async () => calls.push('aggregate') && { _max: { version: 7 } }),
+                updateMany: vi.fn(async () => ({ count: 1 })),
+                create: vi.fn(async ({ data }) => data)
+            }
+        }
+        vi.spyOn(db.helpers, 'transaction').mockImplementation(async (callback) => callback(tx))
+
+        const record = await modelRegistry.registerVersion({ botId, model: '{}', dataHash: 'hash', intentCount: 1, languages: ['en'] })
+
+        expect(calls).toEqual(['lock', 'aggregate'])
+        expect(record).toMatchObject({ botId, version: 8, model: '{}', isActive: true })
+        expect(tx.modelVersion.create).toHaveBeenCalledWith(expect.objectContaining({ omit: { model: true } }))
+    })
+})
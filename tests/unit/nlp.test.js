@@ -0,0 +1,30 @@
+// NLP configuration unit tests
+import { describe, it, expect, beforeAll } from 'vitest'
+
+const { createNlpManager, addCorpus, classifyText, preprocessText } = require('../../config/nlp')
+const { multilingualCorpus } = require('../fixtures/testData')
+
+describe('preprocessText', () => {
+    it('keeps accented letters while dropping symbols', () => {
+        expect(preprocessText('¿Dónde  está mi pedido?')).toBe('dónde está mi pedido?')
+        expect(preprocessText('Réserver à 15h ✨')).toBe('réserver à 15h')
+    })
+})
+
+describe('classifyText', () => {
+    let manager
+
+    beforeAll(async () => {
+        manager = createNlpManager(multilingualCorpus.languages)
+        addCorpus(manager, multilingualCorpus)
+        await manager.train()
+    }, 60000)
+
+    it('recognizes accented Spanish and French messages', async () => {
+        const spanish = await classifyText(manager, '¿Dónde está mi pedido?', 'es', 0.5)
+        const french = await classifyText(manager, 'Je voudrais réserver à 15h', 'fr', 0.5)
+
+        expect(spanish.intent).toBe('order_status')
+        expect(french.intent).toBe('booking')
+    })
+})
@@ -0,0 +1,62 @@
+// Response templating unit tests
+import { describe, it, expect } from 'vitest'
+
+const { render, renderBlocks } = require('../../modules/chat/responseTemplates')
+
+const variables = {
+    entities: { product: 'laptop', number: 3, colors: ['red', 'blue'] },
+    context: { user_name: '' },
+    user: { firstName: 'Jane' }
+}
+
+describe('responseTemplates.render', () => {
+    it('fills variables and falls back for missing ones', () => {
+        expect(render('Hi {{user.firstName}}, about your {{entities.product}}', variables)).toBe('Hi Jane, about your laptop')
+        expect(render('Hi {{context.user_name | there}}!', variables)).toBe('Hi there!')
+        expect(render('Pick {{entities.colors}}', variables)).toBe('Pick red, blue')
+    })
+
+    it('picks conditional sections and tidies the spaces missing values leave', () => {
+        const template = '{{#if entities.product}}Your {{entities.product}}{{else}}Your order{{/if}} {{entities.missing}} is ready{{#unless context.user_name}}, friend{{/unless}}.'
+
+        expect(render(template, variables)).toBe('Your laptop is ready, friend.')
+        expect(render(template, { context: { user_name: 'Jane' } })).toBe('Your order is ready.')
+    })
+
+    it('chooses the plural form by the language\'s rules', () => {
+        const template = '{{plural entities.number "# item" "# items"}}'
+
+        expect(render(template, variables)).toBe('3 items')
+        expect(render(template, { entities: { number: 1 } })).toBe('1 item')
+        // French reads zero as singular
+        expect(render(template, { entities: { number: 0 } }, { language: 'fr' })).toBe('0 item')
+        expect(render(template, { entities: {} })).toBe('')
+    })
+
+    it('leaves text without tags and tags it does not know as they are', () => {
+        expect(render('  No tags here  ', variables)).toBe('  No tags here  ')
+        expect(render('Use {{> partial}} here', variables)).toBe('Use {{> partial}} here')
+    })
+
+    it('renders the same way once a template is parsed and after many others', () => {
+        const template = 'Hello {{user.firstName}}'
+        expect(render(template, variables)).toBe('Hello Jane')
+
+        for (let i = 0; i < 1000; i++) render(`Order {{entities.number}} #${i}`, variables)
+
+        expect(render(template, { user: { firstName: 'Ana' } })).toBe('Hello Ana')
+        expect(render('Order {{entities.number}} #0', variables)).toBe('Order 3 #0')
+    })
+})
+
+describe('responseTemplates.renderBlocks', () => {
+    it('renders every string inside rich blocks', () => {
+        const blocks = [
+            { type: 'card', title: 'Your {{entities.product}}', buttons: [{ title: 'Track', payload: 'track {{entities.product}}' }] }
+        ]
+
+        expect(renderBlocks(blocks, variables)).toEqual([
+            { type: 'card', title: 'Your laptop', buttons: [{ title: 'Track', payload: 'track laptop' }] }
+        ])
+    })
+})
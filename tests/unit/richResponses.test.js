@@ -0,0 +1,94 @@
+// Rich response unit tests
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+const logger = require('../../utils/logger')
+const richResponses = require('../../modules/chat/richResponses')
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+const card = {
+    type: 'card',
+    title: 'Trail Runner 2',
+    subtitle: 'Waterproof',
+    url: 'https://shop.example.com/trail-runner-2',
+    buttons: [{ title: 'Buy now', url: 'https://shop.example.com/cart' }, { title: 'More colours', payload: 'more colours' }]
+}
+
+describe('richResponses.isEnabled', () => {
+    it('needs the bot\'s flag and a client that says it renders rich replies', () => {
+        expect(richResponses.isEnabled(true, true)).toBe(true)
+        expect(richResponses.isEnabled(undefined, true)).toBe(false)
+        expect(richResponses.isEnabled(true, false)).toBe(false)
+    })
+})
+
+describe('richResponses.validTemplates', () => {
+    it('skips malformed templates so the intent still answers', () => {
+        const warn = vi.spyOn(logger, 'warn')
+        const good = [{ type: 'text', text: 'Here you go' }, card]
+
+        const templates = richResponses.validTemplates([good, [{ type: 'card' }], 'not a template'], 'product_info')
+
+        expect(templates).toEqual([good])
+        expect(warn).toHaveBeenCalledTimes(2)
+        expect(warn).toHaveBeenCalledWith('Skipping invalid rich response template', expect.objectContaining({ intent: 'product_info', index: 1 }))
+        expect(richResponses.validTemplates(undefined, 'product_info')).toEqual([])
+    })
+})
+
+describe('richResponses.toPlainText', () => {
+    it('spells out cards, carousels, lists and quick replies for text-only clients', () => {
+        const text = richResponses.toPlainText([
+            { type: 'text', text: 'Our favourites:' },
+            card,
+            { type: 'carousel', cards: [{ title: 'Boots' }, { title: 'Sandals', subtitle: 'Summer' }] },
+            { type: 'list', title: 'Stores', items: [{ title: 'Paris', url: 'https://shop.example.com/paris' }, { title: 'Lyon' }] },
+            { type: 'quick_replies', text: 'Anything else?', replies: [{ title: 'Returns' }, { title: 'Sizes' }] }
+        ])
+
+        expect(text).toBe([
+            'Our favourites:',
+            'Trail Runner 2 - Waterproof',
+            'https://shop.example.com/trail-runner-2',
+            'Buy now: https://shop.example.com/cart',
+            'Options: More colours',
+            '1. Boots',
+            '2. Sandals - Summer',
+            'Stores',
+            '1. Paris (https://shop.example.com/paris)',
+            '2. Lyon',
+            'Anything else?',
+            'Options: Returns, Sizes'
+        ].join('\n'))
+    })
+})
+
+describe('richResponses.withQuickReplies', () => {
+    const blocks = [{ type: 'text', text: 'Which size?' }]
+
+    it('offers the choices the reply is waiting on as buttons', () => {
+        const replied = richResponses.withQuickReplies(blocks, { type: 'choice', options: ['small', 'large'] })
+
+        expect(replied).toEqual([...blocks, {
+            type: 'quick_replies',
+            replies: [{ title: 'small', payload: 'small' }, { title: 'large', payload: 'large' }]
+        }])
+    })
+
+    it('titles yes and no in the reply\'s language and keeps the payloads the context reads', () => {
+        const [, french] = richResponses.withQuickReplies(blocks, { type: 'confirmation' }, 'fr')
+        const [, unknown] = richResponses.withQuickReplies(blocks, { type: 'confirmation' }, 'de')
+
+        expect(french.replies).toEqual([{ title: 'Oui', payload: 'yes' }, { title: 'Non', payload: 'no' }])
+        expect(unknown.replies).toEqual([{ title: 'Yes', payload: 'yes' }, { title: 'No', payload: 'no' }])
+    })
+
+    it('keeps the template\'s own quick replies and adds nothing without an expectation', () => {
+        const own = [...blocks, { type: 'quick_replies', replies: [{ title: 'M' }] }]
+
+        expect(richResponses.withQuickReplies(own, { type: 'choice', options: ['small'] })).toBe(own)
+        expect(richResponses.withQuickReplies(blocks, null)).toBe(blocks)
+    })
+})
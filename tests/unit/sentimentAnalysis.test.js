@@ -0,0 +1,61 @@
+// Sentiment tracking and escalation unit tests
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const configService = require('../../modules/configuration/configService')
+const sentimentAnalysis = require('../../modules/nlp/sentimentAnalysis')
+const { env } = require('../../config/envConfig')
+const { bots } = require('../fixtures/testData')
+const { ANALYTICS_EVENTS, RESPONSE_TONES } = require('../../utils/constants')
+
+const negative = { score: -2, comparative: -0.5, label: 'negative' }
+const neutral = { score: 0, comparative: 0, label: 'neutral' }
+
+// The context after each of the sentiments in turn, with whether that turn asked to escalate
+const replay = (sentiments) => sentiments.reduce(({ context, turns }, sentiment) => {
+    const recorded = sentimentAnalysis.recordSentiment(context, { sentiment, intent: 'order_status' })
+    return { context: recorded.context, turns: [...turns, recorded.escalate] }
+}, { context: {}, turns: [] })
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('sentimentAnalysis.recordSentiment', () => {
+    it('asks to escalate from the turn the negative streak reaches NLP_ESCALATION_STREAK on', () => {
+        const streak = env.NLP_ESCALATION_STREAK
+        const { context, turns } = replay(Array(streak + 1).fill(negative))
+
+        expect(turns).toEqual([...Array(streak - 1).fill(false), true, true])
+        expect(context.sentiment.negative_streak).toBe(streak + 1)
+        expect(sentimentAnalysis.getTone(context)).toBe(RESPONSE_TONES.EMPATHETIC)
+    })
+
+    it('resets the streak on a message that is not negative', () => {
+        const { context, turns } = replay([negative, neutral])
+
+        expect(turns).toEqual([false, false])
+        expect(context.sentiment.negative_streak).toBe(0)
+        expect(context.sentiment.scores).toEqual([-2, 0])
+    })
+})
+
+describe('sentimentAnalysis.escalate', () => {
+    it('flags the session and records the escalation even with analytics off', async () => {
+        const session = { id: 'row_1', sessionId: 'sess_1', botId: bots.default.id, userId: null }
+        const tx = {
+            analytics: { create: vi.fn(async ({ data }) => data) },
+            session: { update: vi.fn(async ({ data }) => ({ ...session, ...data })) }
+        }
+        vi.spyOn(db.helpers, 'transaction').mockImplementation(async (work) => work(tx))
+        vi.spyOn(configService, 'get').mockResolvedValue(false)
+        const { context } = replay([negative, negative, negative])
+
+        await sentimentAnalysis.escalate(session, { message: 'This is useless', intent: 'order_status', sentiment: negative, context })
+
+        expect(tx.session.update).toHaveBeenCalledWith({ where: { id: 'row_1' }, data: { escalatedAt: expect.any(Date) } })
+        expect(tx.analytics.create).toHaveBeenCalledWith({
+            data: { botId: bots.default.id, sessionId: 'row_1', event: ANALYTICS_EVENTS.SENTIMENT_ESCALATION, data: expect.objectContaining({ negativeStreak: 3, score: -2 }) }
+        })
+    })
+})
@@ -0,0 +1,70 @@
+// Slot filling unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const slotFilling = require('../../modules/flows/slotFilling')
+const { bots } = require('../fixtures/testData')
+const { FALLBACK_INTENT, SLOT_STATUS } = require('../../utils/constants')
+
+const botId = bots.default.id
+
+// An order intent needing the customer's email and a delivery speed, with the speed's synonyms
+const orderIntent = {
+    name: 'place_order',
+    isActive: true,
+    entities: ['email', 'speed'],
+    slots: { speed: { prompt: 'Standard or express delivery?', max_attempts: 1 } }
+}
+const speedEntity = { name: 'speed', type: 'text', values: ['standard', 'express'], synonyms: { express: ['fast', 'next day'] }, isActive: true }
+
+beforeEach(() => {
+    vi.spyOn(db, 'prisma', 'get').mockReturnValue({
+        intent: { findUnique: vi.fn(async ({ where }) => (where.botId_name.name === orderIntent.name ? orderIntent : null)) },
+        entity: { findMany: vi.fn(async () => [speedEntity]) }
+    })
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+const turn = (message, context, intent = FALLBACK_INTENT) => slotFilling.handleTurn({ botId, message, intent, context })
+
+describe('slotFilling.handleTurn', () => {
+    it('asks for each missing slot in turn and answers with the filled values', async () => {
+        const first = await turn('I want to order', {}, 'place_order')
+        expect(first).toMatchObject({ handled: true, status: SLOT_STATUS.PROMPTING, pending: 'email', messages: ['Could you tell me the email?'] })
+
+        const second = await turn('it is jane@example.com', first.context)
+        expect(second).toMatchObject({ handled: true, pending: 'speed', messages: ['Standard or express delivery?'] })
+
+        const done = await turn('next day please', second.context)
+        expect(done).toMatchObject({ handled: false, status: SLOT_STATUS.COMPLETED, intent: 'place_order', slots: { email: 'jane@example.com', speed: 'express' } })
+        expect(done.context).toEqual({})
+    })
+
+    it('takes the slots the first message already gives', async () => {
+        const result = await turn('express delivery to jane@example.com', {}, 'place_order')
+
+        expect(result).toMatchObject({ handled: false, status: SLOT_STATUS.COMPLETED, slots: { email: 'jane@example.com', speed: 'express' } })
+    })
+
+    it('re-prompts an invalid answer, then falls back after max_attempts', async () => {
+        const asked = await turn('order with jane@example.com', {}, 'place_order')
+
+        const reprompted = await turn('whatever', asked.context)
+        expect(reprompted).toMatchObject({ handled: true, pending: 'speed', messages: ['Standard or express delivery?'] })
+
+        const failed = await turn('still no idea', reprompted.context)
+        expect(failed).toMatchObject({ handled: false, status: SLOT_STATUS.FAILED, intent: FALLBACK_INTENT })
+        expect(failed.context).not.toHaveProperty('slot_filling')
+    })
+
+    it('lets the user move on to another intent', async () => {
+        const asked = await turn('I want to order', {}, 'place_order')
+
+        const moved = await turn('what are your opening hours', asked.context, 'opening_hours')
+
+        expect(moved).toMatchObject({ handled: false, status: SLOT_STATUS.ABANDONED, intent: 'opening_hours' })
+    })
+})
@@ -0,0 +1,37 @@
+// Training data unit tests
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+const db = require('../../config/database')
+const configService = require('../../modules/configuration/configService')
+const trainingData = require('../../modules/nlp/trainingData')
+const { bots } = require('../fixtures/testData')
+
+let digests
+let languages
+
+beforeEach(() => {
+    digests = { intents: 'intents_1', examples: 'examples_1', entities: 'entities_1' }
+    languages = []
+    vi.spyOn(db, 'prisma', 'get').mockReturnValue({ $queryRaw: vi.fn(async () => [{ ...digests }]) })
+    vi.spyOn(configService, 'get').mockImplementation(async () => languages)
+})
+
+afterEach(() => {
+    vi.restoreAllMocks()
+})
+
+describe('getTrainingFingerprint', () => {
+    it('changes with the examples and with the bot\'s languages', async () => {
+        const before = await trainingData.getTrainingFingerprint(bots.default.id)
+        expect(await trainingData.getTrainingFingerprint(bots.default.id)).toBe(before)
+
+        // e.g. an example deleted and another added, which leaves the count as it was
+        digests.examples = 'examples_2'
+        const afterExamples = await trainingData.getTrainingFingerprint(bots.default.id)
+
+        languages = ['es']
+        const afterLanguages = await trainingData.getTrainingFingerprint(bots.default.id)
+
+        expect(new Set([before, afterExamples, afterLanguages]).size).toBe(3)
+    })
+})
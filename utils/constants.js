@@ -1 +1,185 @@
-// Application constants
\ No newline at end of file
+// Application constants
+
+// Message authors, mirrors the MessageType enum in prisma/schema.prisma
+const MESSAGE_TYPES = {
+    USER: 'USER',
+    BOT: 'BOT',
+    SYSTEM: 'SYSTEM',
+    AGENT: 'AGENT'
+}
+
+// Intent used when nothing else is recognized
+const FALLBACK_INTENT = 'fallback'
+
+const DEFAULT_FALLBACK_RESPONSE = 'I\'m not sure I understand. Could you please rephrase that?'
+
+// Conversation flow step types
+const FLOW_STEP_TYPES = {
+    ASK: 'ask',
+    RESPONSE: 'response',
+    HANDOFF: 'handoff'
+}
+
+// Reserved values for a flow step's `next` pointer
+const FLOW_TARGETS = {
+    END: 'end',
+    ROUTE: 'route_to_flow',
+    HANDOFF_PREFIX: 'flow:'
+}
+
+// Flow lifecycle states reported back to the chat service
+const FLOW_STATUS = {
+    STARTED: 'started',
+    WAITING: 'waiting',
+    COMPLETED: 'completed',
+    HANDED_OFF: 'handed_off',
+    ROUTED: 'routed',
+    FAILED: 'failed'
+}
+
+// Re-prompts allowed for a missing or invalid slot before falling back
+const SLOT_MAX_REPROMPTS = 2
+
+// Slot filling lifecycle states
+const SLOT_STATUS = {
+    PROMPTING: 'prompting',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    ABANDONED: 'abandoned'
+}
+
+// Response tones picked from the user's sentiment
+const RESPONSE_TONES = {
+    NEUTRAL: 'neutral',
+    EMPATHETIC: 'empathetic'
+}
+
+// Prepended to regular responses when an intent has no empathetic variants
+const EMPATHETIC_OPENERS = {
+    en: ['I\'m sorry this has been frustrating.', 'I understand this isn\'t going smoothly.', 'Thanks for bearing with me.'],
+    es: ['Siento que esto esté siendo frustrante.', 'Entiendo que esto no está yendo bien.'],
+    fr: ['Je suis désolé que ce soit frustrant.', 'Je comprends que cela ne se passe pas bien.']
+}
+
+// Event names stored in the Analytics table
+const ANALYTICS_EVENTS = {
+    SESSION_STARTED: 'session_started',
+    MESSAGE_SENT: 'message_sent',
+    INTENT_RECOGNIZED: 'intent_recognized',
+    RESPONSE_GENERATED: 'response_generated',
+    SENTIMENT_ESCALATION: 'sentiment_escalation',
+    HANDOFF_REQUESTED: 'handoff_requested',
+    HANDOFF_CLAIMED: 'handoff_claimed',
+    HANDOFF_RELEASED: 'handoff_released'
+}
+
+// Who answers a session, mirrors the HandoffStatus enum in prisma/schema.prisma
+const HANDOFF_STATUS = {
+    BOT: 'BOT',
+    QUEUED: 'QUEUED',
+    AGENT: 'AGENT'
+}
+
+// Intent users trigger by asking for a person
+const HANDOFF_INTENT = 'human_agent'
+
+const HANDOFF_REASONS = {
+    USER_REQUEST: 'user_request',
+    ESCALATION: 'sentiment_escalation'
+}
+
+// System messages shown to the user while a person takes over
+const HANDOFF_MESSAGES = {
+    QUEUED: 'I\'ve asked a member of our team to join. Please stay here, someone will be with you shortly.',
+    CLAIMED: 'An agent has joined the conversation.',
+    RELEASED: 'The agent has left the conversation. I\'m back to help with anything else.'
+}
+
+// Events streamed to SSE and WebSocket clients following a session
+const STREAM_EVENTS = {
+    READY: 'ready',
+    TYPING: 'typing',
+    CHUNK: 'chunk',
+    MESSAGE: 'message',
+    AGENT_MESSAGE: 'agent_message',
+    SYSTEM: 'system',
+    HANDOFF: 'handoff',
+    ERROR: 'error'
+}
+
+// Quick reply titles offered under yes/no questions; the payloads stay "yes" and "no"
+const CONFIRMATION_REPLIES = {
+    en: { yes: 'Yes', no: 'No' },
+    es: { yes: 'Sí', no: 'No' },
+    fr: { yes: 'Oui', no: 'Non' }
+}
+
+// Introduces the reference quoted under knowledge base answers
+const KNOWLEDGE_SOURCE_LABELS = {
+    en: 'Source',
+    es: 'Fuente',
+    fr: 'Source'
+}
+
+// Training data lint findings, errors listed before warnings
+const LINT_SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+}
+
+const LINT_ISSUES = {
+    DUPLICATE_EXAMPLE: 'duplicate_example', // the same text under several intents
+    SIMILAR_EXAMPLES: 'similar_examples', // near-identical texts under different intents
+    TOO_FEW_EXAMPLES: 'too_few_examples'
+}
+
+// Files intents are imported from and exported to
+const INTENT_FILE_FORMATS = {
+    JSON: 'json', // training/*.json: intents, utterances and entities
+    CSV: 'csv', // one intent,text,language row per utterance
+    RASA: 'rasa' // Rasa NLU YAML
+}
+
+// Access roles, mirrors the Role enum in prisma/schema.prisma; admins pass every role check
+const ROLES = {
+    ADMIN: 'ADMIN',
+    TRAINER: 'TRAINER', // edits intents, entities, the knowledge base and models
+    AGENT: 'AGENT', // answers handed off conversations
+    CLIENT: 'CLIENT' // apps calling the chat API with an API key
+}
+
+// Who may use the chat API; agents follow the sessions they answer
+const CHAT_ROLES = [ROLES.CLIENT, ROLES.AGENT]
+
+// How a request proved who it comes from
+const AUTH_TYPES = {
+    USER: 'user', // access token from /auth/login
+    API_KEY: 'api_key'
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    FALLBACK_INTENT,
+    DEFAULT_FALLBACK_RESPONSE,
+    FLOW_STEP_TYPES,
+    FLOW_TARGETS,
+    FLOW_STATUS,
+    SLOT_MAX_REPROMPTS,
+    SLOT_STATUS,
+    RESPONSE_TONES,
+    EMPATHETIC_OPENERS,
+    ANALYTICS_EVENTS,
+    HANDOFF_STATUS,
+    HANDOFF_INTENT,
+    HANDOFF_REASONS,
+    HANDOFF_MESSAGES,
+    STREAM_EVENTS,
+    CONFIRMATION_REPLIES,
+    KNOWLEDGE_SOURCE_LABELS,
+    LINT_SEVERITY,
+    LINT_ISSUES,
+    INTENT_FILE_FORMATS,
+    ROLES,
+    CHAT_ROLES,
+    AUTH_TYPES
+}
@@ -24,7 +24,7 @@ winston.addColors({
     error: 'red',
     warn: 'yellow',
     info: 'green',
-    http: 'magneta',
+    http: 'magenta',
     debug: 'white'
 })
 
@@ -1 +1,33 @@
 // NLP utility functions
+const natural = require('natural')
+
+const STEMMERS = {
+    en: natural.PorterStemmer,
+    es: natural.PorterStemmerEs,
+    fr: natural.PorterStemmerFr,
+    de: natural.PorterStemmerDe,
+    it: natural.PorterStemmerIt,
+    pt: natural.PorterStemmerPt,
+    nl: natural.PorterStemmerNl
+}
+
+// Escape text for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Whole-word, case-insensitive pattern for a phrase
+const wordPattern = (phrase, flags = 'i') => new RegExp(`\\b${escapeRegex(phrase)}\\b`, flags)
+
+// Texts differing only in case, punctuation or spacing count as the same text
+const normalizeText = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').replace(/\s+/g, ' ').trim()
+
+// Stemmed terms of a text for retrieval and similarity, English stop words removed unless kept
+const analyzeTerms = (text, language = 'en', { keepStopWords = false } = {}) => {
+    return (STEMMERS[language] || STEMMERS.en).tokenizeAndStem(text, keepStopWords)
+}
+
+module.exports = {
+    escapeRegex,
+    wordPattern,
+    normalizeText,
+    analyzeTerms
+}
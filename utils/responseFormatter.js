@@ -1 +1,39 @@
-// API response formatting
\ No newline at end of file
+// API response formatting
+
+const success = (res, data, statusCode = 200, meta) => {
+    return res.status(statusCode).json({
+        success: true,
+        data,
+        ...(meta && { meta }),
+        timestamp: new Date().toISOString()
+    })
+}
+
+const error = (res, message, statusCode = 500, code = 'INTERNAL_ERROR', details) => {
+    return res.status(statusCode).json({
+        success: false,
+        error: {
+            code,
+            message,
+            ...(details && { details })
+        },
+        timestamp: new Date().toISOString()
+    })
+}
+
+const paginated = (res, items, { total, page, limit }) => {
+    return success(res, items, 200, {
+        pagination: {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        }
+    })
+}
+
+module.exports = {
+    success,
+    error,
+    paginated
+}
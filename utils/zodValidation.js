@@ -1 +1,497 @@
-// Zod validation schemas
\ No newline at end of file
+// Zod validation schemas
+const { z } = require('zod')
+const { isValidTimezone } = require('../modules/nlp/dateResolution')
+const { INTENT_FILE_FORMATS, ROLES } = require('./constants')
+
+const sessionIdSchema = z.string().trim().min(1).max(128)
+
+const userIdSchema = z.string().trim().min(1)
+
+// Chat
+const chatMessageSchema = z.object({
+    message: z.string().trim().min(1, 'Message cannot be empty').max(1000),
+    // Anonymous clients leave it out to start a session, then send back the id they got
+    sessionId: sessionIdSchema.optional(),
+    timezone: z.string().trim().refine(isValidTimezone, 'Must be an IANA timezone, e.g. Europe/Paris').optional(),
+    // Clients that render quick replies, cards, carousels and lists natively
+    rich: z.boolean().optional()
+})
+
+// The user an anonymous session is merged into after they sign in
+const sessionUserSchema = z.object({
+    userId: userIdSchema
+})
+
+// Messages posted to a session clients follow over SSE or WebSocket
+const streamMessageSchema = chatMessageSchema.omit({ sessionId: true })
+
+// Human agent handoff, acting as the signed-in agent
+const sessionParamsSchema = z.object({
+    sessionId: sessionIdSchema
+})
+
+const agentMessageSchema = z.object({
+    content: z.string().trim().min(1, 'Message cannot be empty').max(2000),
+    type: z.enum(['AGENT', 'SYSTEM']).default('AGENT')
+})
+
+const handoffReleaseSchema = z.object({
+    note: z.string().trim().max(1000).optional()
+})
+
+// Links that clients open or fetch, so no javascript: or data: URLs
+const httpUrlSchema = z.string().url().refine((url) => /^https?:/.test(url), 'Must be an http(s) URL')
+
+// Rich responses, stored in Intent.richResponses as a list of templates, each a list of blocks
+const richButtonSchema = z.object({
+    title: z.string().trim().min(1).max(40),
+    payload: z.string().trim().min(1).optional(),
+    url: httpUrlSchema.optional()
+}).refine((button) => button.payload || button.url, 'A button needs a payload or a url')
+
+const quickReplySchema = z.object({
+    title: z.string().trim().min(1).max(40),
+    payload: z.string().trim().min(1).optional() // Sent back as the user's message, defaults to the title
+})
+
+const richCardSchema = z.object({
+    title: z.string().trim().min(1).max(80),
+    subtitle: z.string().trim().max(300).optional(),
+    image_url: httpUrlSchema.optional(),
+    url: httpUrlSchema.optional(),
+    buttons: z.array(richButtonSchema).max(3).default([])
+})
+
+const richListItemSchema = z.object({
+    title: z.string().trim().min(1).max(80),
+    subtitle: z.string().trim().max(300).optional(),
+    url: httpUrlSchema.optional(),
+    payload: z.string().trim().min(1).optional()
+})
+
+const richBlockSchema = z.discriminatedUnion('type', [
+    z.object({ type: z.literal('text'), text: z.string().trim().min(1) }),
+    z.object({ type: z.literal('quick_replies'), text: z.string().trim().min(1).optional(), replies: z.array(quickReplySchema).min(1).max(10) }),
+    richCardSchema.extend({ type: z.literal('card') }),
+    z.object({ type: z.literal('carousel'), cards: z.array(richCardSchema).min(1).max(10) }),
+    z.object({ type: z.literal('list'), title: z.string().trim().min(1).max(80).optional(), items: z.array(richListItemSchema).min(1).max(20) })
+])
+
+const richTemplateSchema = z.array(richBlockSchema).min(1)
+
+// Intent fulfillment webhooks, stored in Intent.fulfillment
+const fulfillmentSchema = z.object({
+    url: httpUrlSchema,
+    timeout_ms: z.number().int().min(100).max(30000).optional(),
+    retries: z.number().int().min(0).max(5).optional()
+})
+
+// What a webhook may answer with; anything it leaves out comes from the static responses
+const fulfillmentReplySchema = z.object({
+    text: z.string().trim().min(1).max(2000).optional(),
+    rich: richTemplateSchema.optional(),
+    context: z.record(z.unknown()).optional()
+})
+
+// Pagination
+const paginationSchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(10)
+})
+
+// Knowledge base
+const languageSchema = z.string().trim().regex(/^[a-z]{2}$/, 'Must be a two-letter language code')
+
+const knowledgeEntrySchema = z.discriminatedUnion('type', [
+    z.object({
+        type: z.literal('FAQ'),
+        question: z.string().trim().min(3).max(500),
+        answer: z.string().trim().min(1).max(5000),
+        source: z.string().trim().max(500).optional(),
+        language: languageSchema.default('en')
+    }),
+    z.object({
+        type: z.literal('DOCUMENT'),
+        title: z.string().trim().min(1).max(200),
+        content: z.string().trim().min(1).max(200000),
+        source: z.string().trim().max(500).optional(),
+        language: languageSchema.default('en')
+    })
+])
+
+const knowledgeImportSchema = z.object({
+    entries: z.array(knowledgeEntrySchema).min(1).max(500)
+})
+
+const knowledgeQuerySchema = paginationSchema.extend({
+    type: z.enum(['FAQ', 'DOCUMENT']).optional(),
+    language: languageSchema.optional()
+})
+
+const knowledgeSearchSchema = z.object({
+    q: z.string().trim().min(1).max(1000),
+    language: languageSchema.default('en')
+})
+
+const knowledgeParamsSchema = z.object({
+    id: z.string().trim().min(1)
+})
+
+// Fallback inbox
+const inboxQuerySchema = paginationSchema.extend({
+    days: z.coerce.number().int().min(1).max(365).default(30),
+    minSize: z.coerce.number().int().min(1).default(1),
+    similarity: z.coerce.number().min(0).max(1).optional()
+})
+
+const inboxMessageIdsSchema = z.array(z.string().trim().min(1)).min(1).max(1000)
+
+// Paths under /intents that its routes use, so an intent named like them couldn't be reached
+const RESERVED_INTENT_NAMES = ['export', 'import', 'lint', 'priorities', 'entities']
+
+const intentNameSchema = z.string().trim()
+    .regex(/^[a-z][a-z0-9_]{1,63}$/, 'Use lowercase letters, digits and underscores')
+    .refine((name) => !RESERVED_INTENT_NAMES.includes(name), (name) => ({ message: `"${name}" is reserved, choose another name` }))
+
+// Assign to an existing intent by name, or create one with at least one response
+const inboxAssignSchema = z.object({
+    messageIds: inboxMessageIdsSchema,
+    intent: intentNameSchema.optional(),
+    newIntent: z.object({
+        name: intentNameSchema,
+        description: z.string().trim().max(500).optional(),
+        responses: z.array(z.string().trim().min(1).max(2000)).min(1)
+    }).optional()
+}).refine((body) => Boolean(body.intent) !== Boolean(body.newIntent), 'Provide either intent or newIntent')
+
+const inboxDismissSchema = z.object({
+    messageIds: inboxMessageIdsSchema
+})
+
+// Intents, their examples and entities
+const entityNameSchema = z.string().trim().regex(/^[a-z][a-z0-9_]{0,63}$/, 'Use lowercase letters, digits and underscores')
+const utteranceSchema = z.string().trim().min(1).max(1000)
+const responseTextSchema = z.string().trim().min(1).max(2000)
+const tonedResponsesSchema = z.record(z.array(responseTextSchema))
+
+// Names are looked up as stored, intents created before the naming rule included
+const recordNameSchema = z.string().trim().min(1).max(64)
+
+const intentSlotSchema = z.object({
+    required: z.boolean().optional(),
+    prompt: responseTextSchema.optional(),
+    reprompt: responseTextSchema.optional(),
+    max_attempts: z.number().int().min(0).max(10).optional()
+})
+
+const intentTranslationSchema = z.object({
+    patterns: z.array(utteranceSchema).optional(),
+    responses: z.array(responseTextSchema).optional(),
+    richResponses: z.array(richTemplateSchema).optional(),
+    variants: tonedResponsesSchema.optional()
+})
+
+const intentSchema = z.object({
+    name: intentNameSchema,
+    description: z.string().trim().max(500).optional(),
+    priority: z.number().int().min(-1000).max(1000).optional(),
+    patterns: z.array(utteranceSchema).max(1000).optional(),
+    responses: z.array(responseTextSchema).max(100).optional(),
+    entities: z.array(entityNameSchema).max(20).optional(),
+    slots: z.record(entityNameSchema, intentSlotSchema).optional(),
+    translations: z.record(languageSchema, intentTranslationSchema).optional(),
+    variants: tonedResponsesSchema.optional(),
+    richResponses: z.array(richTemplateSchema).max(20).optional(),
+    fulfillment: fulfillmentSchema.optional(),
+    isActive: z.boolean().optional()
+})
+
+// Everything but the name can change; null clears the description or removes the webhook
+const intentUpdateSchema = intentSchema.omit({ name: true }).partial().extend({
+    description: z.string().trim().max(500).nullable().optional(),
+    fulfillment: fulfillmentSchema.nullable().optional()
+}).refine((body) => Object.keys(body).length > 0, 'Provide at least one field to update')
+
+const intentQuerySchema = paginationSchema.extend({
+    q: z.string().trim().min(1).max(100).optional(),
+    status: z.enum(['active', 'inactive', 'all']).default('active')
+})
+
+const intentParamsSchema = z.object({
+    name: recordNameSchema
+})
+
+// Overrides of the NLP_LINT_* settings, to try stricter or looser checks
+const intentLintQuerySchema = z.object({
+    language: languageSchema.optional(),
+    similarity: z.coerce.number().min(0).max(1).optional(),
+    minExamples: z.coerce.number().int().min(1).max(100).optional()
+})
+
+// Highest priority first: the first intent listed outranks the rest
+const intentPrioritySchema = z.object({
+    intents: z.array(recordNameSchema).min(1).max(1000)
+}).refine((body) => new Set(body.intents).size === body.intents.length, 'List each intent once')
+
+// Entity annotations locate a value inside the example's text
+const exampleEntitySchema = z.object({
+    entity: entityNameSchema,
+    value: z.string().trim().min(1).max(200).optional(),
+    start: z.number().int().min(0),
+    end: z.number().int().min(1)
+}).refine((annotation) => annotation.end > annotation.start, 'end must come after start')
+
+const intentExampleSchema = z.object({
+    text: utteranceSchema,
+    language: languageSchema.optional(),
+    entities: z.array(exampleEntitySchema).max(20).optional()
+}).refine(
+    (example) => (example.entities || []).every((annotation) => annotation.end <= example.text.length),
+    'Entity annotations must lie within the text'
+)
+
+const intentExamplesSchema = z.object({
+    examples: z.array(intentExampleSchema).min(1).max(500)
+})
+
+const intentExampleQuerySchema = paginationSchema.extend({
+    language: languageSchema.optional()
+})
+
+const intentExampleParamsSchema = intentParamsSchema.extend({
+    exampleId: z.string().trim().min(1)
+})
+
+const entityValueSchema = z.string().trim().min(1).max(200)
+
+// Synonyms map each value to other texts that mean it
+const entitySchema = z.object({
+    name: entityNameSchema,
+    type: z.string().trim().min(1).max(32).optional(),
+    values: z.array(entityValueSchema).max(1000).optional(),
+    synonyms: z.record(z.array(entityValueSchema)).optional()
+})
+
+const entityUpdateSchema = entitySchema.omit({ name: true }).extend({
+    isActive: z.boolean().optional()
+}).refine((body) => Object.keys(body).length > 0, 'Provide at least one field to update')
+
+const entityQuerySchema = intentQuerySchema
+
+const entityParamsSchema = z.object({
+    name: recordNameSchema
+})
+
+const uniqueNames = (records) => new Set(records.map((record) => record.name)).size === records.length
+
+// Intents and entities an import adds or merges into the existing ones
+const intentImportSchema = z.object({
+    intents: z.array(intentSchema.extend({
+        examples: z.array(intentExampleSchema).max(5000).default([])
+    })).max(1000).default([]),
+    entities: z.array(entitySchema).max(500).default([])
+})
+    .refine((bundle) => bundle.intents.length + bundle.entities.length > 0, 'The file has no intents or entities')
+    .refine((bundle) => uniqueNames(bundle.intents) && uniqueNames(bundle.entities), 'Each intent and entity may appear once')
+
+// The training/*.json files as one document; entities use the NLP named entity layout
+const trainingFilesSchema = z.object({
+    intents: z.array(z.object({ name: z.string(), language: languageSchema.optional() }).passthrough()).default([]),
+    utterances: z.record(z.array(z.string())).default({}),
+    entities: z.array(z.object({
+        name: z.string(),
+        type: z.string().optional(),
+        option: z.string(),
+        texts: z.array(z.string()).default([])
+    })).default([])
+})
+
+const intentExportQuerySchema = z.object({
+    format: z.enum(Object.values(INTENT_FILE_FORMATS)).default(INTENT_FILE_FORMATS.JSON),
+    language: languageSchema.optional() // Rasa files hold one language, NLP_LANGUAGE by default
+})
+
+// `replace` swaps the examples of imported intents for the file's instead of adding to them
+const intentImportQuerySchema = intentExportQuerySchema.extend({
+    mode: z.enum(['merge', 'replace']).default('merge')
+})
+
+// Authentication, staff users and API keys
+const roleSchema = z.enum(Object.values(ROLES))
+
+// Client apps sign in with API keys, not as users
+const staffRoleSchema = roleSchema.exclude([ROLES.CLIENT])
+
+// bcrypt only reads the first 72 bytes
+const passwordSchema = z.string()
+    .min(12, 'Password must be at least 12 characters')
+    .refine((password) => Buffer.byteLength(password) <= 72, 'Password must be at most 72 bytes')
+
+const loginSchema = z.object({
+    login: z.string().trim().min(1).max(254), // email or username
+    password: z.string().min(1).max(1024)
+})
+
+const refreshTokenSchema = z.object({
+    refreshToken: z.string().min(1).max(512)
+})
+
+const userSchema = z.object({
+    email: z.string().trim().toLowerCase().email().max(254).optional(),
+    username: z.string().trim().min(3).max(64).regex(/^[A-Za-z0-9_.-]+$/, 'Use letters, digits, dots, dashes and underscores').optional(),
+    password: passwordSchema,
+    role: staffRoleSchema
+}).refine((user) => user.email || user.username, 'A user needs an email or a username')
+
+const userUpdateSchema = z.object({
+    role: staffRoleSchema,
+    isActive: z.boolean(),
+    password: passwordSchema
+}).partial().refine((changes) => Object.keys(changes).length > 0, 'Nothing to update')
+
+const userQuerySchema = paginationSchema.extend({
+    role: staffRoleSchema.optional()
+})
+
+const userParamsSchema = z.object({
+    id: z.string().trim().min(1).max(64)
+})
+
+// Bots
+const botSlugSchema = z.string().trim().regex(/^[a-z0-9][a-z0-9-]{1,47}$/, 'Use lowercase letters, digits and dashes')
+
+const botSchema = z.object({
+    slug: botSlugSchema,
+    name: z.string().trim().min(1).max(100),
+    description: z.string().trim().max(500).optional()
+})
+
+const botUpdateSchema = botSchema.omit({ slug: true }).extend({
+    description: z.string().trim().max(500).nullable(),
+    isActive: z.boolean()
+}).partial().refine((changes) => Object.keys(changes).length > 0, 'Nothing to update')
+
+const botParamsSchema = z.object({
+    slug: botSlugSchema
+})
+
+const apiKeySchema = z.object({
+    name: z.string().trim().min(1).max(100),
+    role: roleSchema.default(ROLES.CLIENT),
+    bot: botSlugSchema.optional(), // the bot its requests go to, the default bot when left out
+    expiresAt: z.coerce.date().refine((date) => date > new Date(), 'Must be in the future').optional()
+})
+
+const apiKeyParamsSchema = userParamsSchema
+
+// NLP models
+const modelVersionParamsSchema = z.object({
+    version: z.coerce.number().int().min(1)
+})
+
+// Runtime configuration: the values each Configuration key may hold
+const configurationValueSchemas = {
+    default_confidence_threshold: z.number().min(0).max(1),
+    max_context_messages: z.number().int().min(1).max(100),
+    enable_sentiment_analysis: z.boolean(),
+    fallback_responses: z.array(z.string().trim().min(1).max(1000)).min(1).max(50),
+    supported_languages: z.array(languageSchema).max(20),
+    // Runtime overrides of the ENABLE_* feature flags
+    enable_analytics: z.boolean(),
+    enable_rich_responses: z.boolean(),
+    enable_context_management: z.boolean()
+}
+
+const configurationKeySchema = z.enum(Object.keys(configurationValueSchemas))
+
+const configurationParamsSchema = z.object({
+    key: configurationKeySchema
+})
+
+// The value is checked against its key's schema by the config service
+const configurationUpdateSchema = z.object({
+    value: z.unknown().refine((value) => value !== undefined, 'Required'),
+    shared: z.boolean().default(false) // set it for every bot rather than this one, signed-in admins only
+})
+
+const configurationChangeQuerySchema = paginationSchema.extend({
+    key: configurationKeySchema.optional()
+})
+
+// Analytics dashboards, over at most a year
+const ANALYTICS_MAX_RANGE_MS = 366 * 24 * 60 * 60 * 1000
+
+const analyticsRangeSchema = z.object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional()
+})
+
+const inAnalyticsRange = ({ from, to = new Date() }) => !from || (from < to && to - from <= ANALYTICS_MAX_RANGE_MS)
+
+const analyticsQuerySchema = analyticsRangeSchema
+    .refine(inAnalyticsRange, 'from must be before to, at most 366 days apart')
+
+const analyticsIntentQuerySchema = analyticsRangeSchema.extend({
+    limit: z.coerce.number().int().min(1).max(100).default(10)
+}).refine(inAnalyticsRange, 'from must be before to, at most 366 days apart')
+
+module.exports = {
+    sessionIdSchema,
+    chatMessageSchema,
+    streamMessageSchema,
+    sessionUserSchema,
+    sessionParamsSchema,
+    agentMessageSchema,
+    handoffReleaseSchema,
+    richBlockSchema,
+    richTemplateSchema,
+    fulfillmentSchema,
+    fulfillmentReplySchema,
+    paginationSchema,
+    knowledgeEntrySchema,
+    knowledgeImportSchema,
+    knowledgeQuerySchema,
+    knowledgeSearchSchema,
+    knowledgeParamsSchema,
+    intentNameSchema,
+    inboxQuerySchema,
+    inboxAssignSchema,
+    inboxDismissSchema,
+    intentSchema,
+    intentUpdateSchema,
+    intentQuerySchema,
+    intentParamsSchema,
+    intentLintQuerySchema,
+    intentPrioritySchema,
+    intentExamplesSchema,
+    intentExampleQuerySchema,
+    intentExampleParamsSchema,
+    entitySchema,
+    entityUpdateSchema,
+    entityQuerySchema,
+    entityParamsSchema,
+    intentImportSchema,
+    trainingFilesSchema,
+    intentExportQuerySchema,
+    intentImportQuerySchema,
+    loginSchema,
+    refreshTokenSchema,
+    userSchema,
+    userUpdateSchema,
+    userQuerySchema,
+    userParamsSchema,
+    botSlugSchema,
+    botSchema,
+    botUpdateSchema,
+    botParamsSchema,
+    apiKeySchema,
+    apiKeyParamsSchema,
+    modelVersionParamsSchema,
+    configurationValueSchemas,
+    configurationKeySchema,
+    configurationParamsSchema,
+    configurationUpdateSchema,
+    configurationChangeQuerySchema,
+    analyticsQuerySchema,
+    analyticsIntentQuerySchema
+}